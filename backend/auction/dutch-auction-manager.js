@@ -0,0 +1,452 @@
+const Order = require("../models/Order");
+const {
+    transitionOrder,
+    InvalidTransitionError,
+} = require("../lifecycle/order-state-machine");
+
+const DEFAULT_DURATION = parseInt(process.env.AUCTION_DURATION_MS) || 5000;
+const MAX_DURATION = parseInt(process.env.AUCTION_MAX_DURATION_MS) || 300000;
+const TICK_INTERVAL = parseInt(process.env.AUCTION_TICK_MS) || 50;
+const PERSIST_INTERVAL = 1000; // Write currentPrice to Mongo at most once per second
+
+/**
+ * Dutch Auction Manager
+ *
+ * Runs server-side Dutch auctions for orders: decays the price from the
+ * order's startPrice to endPrice, broadcasts ticks over Socket.IO and hands
+ * the order to the first resolver that accepts at (or above) the live price.
+ * Auction fields on the Order model are kept in sync with the in-memory state.
+ */
+class DutchAuctionManager {
+    constructor(io, options = {}) {
+        this.io = io;
+        this.defaultDuration = options.defaultDuration || DEFAULT_DURATION;
+        this.maxDuration = options.maxDuration || MAX_DURATION;
+        this.tickInterval = options.tickInterval || TICK_INTERVAL;
+        this.activeAuctions = new Map();
+    }
+
+    /**
+     * Start an auction for an order
+     * @param {Object} order - Order document (must be in "created" status)
+     * @param {number} duration - Auction duration in ms
+     * @returns {Promise<Object>} The auction state
+     */
+    async createAuction(order, duration = this.defaultDuration) {
+        const { orderId } = order;
+
+        if (this.activeAuctions.has(orderId)) {
+            throw new Error(`Auction already active for order ${orderId}`);
+        }
+
+        if (order.status !== "created") {
+            throw new Error(`Order ${orderId} is not open for a Dutch auction`);
+        }
+
+        const startPrice = parseFloat(order.startPrice);
+        const endPrice = parseFloat(order.endPrice);
+        if (!(startPrice > endPrice) || endPrice <= 0) {
+            throw new Error(
+                `Invalid price range for order ${orderId}: ${order.startPrice} → ${order.endPrice}`
+            );
+        }
+
+        duration = Math.min(
+            Math.max(parseInt(duration) || this.defaultDuration, 1000),
+            this.maxDuration
+        );
+
+        const startTime = Date.now();
+        const auction = {
+            orderId,
+            startPrice,
+            endPrice,
+            currentPrice: startPrice,
+            startTime,
+            endTime: startTime + duration,
+            duration,
+            isActive: true,
+            intervalId: null,
+            reservedBy: null, // Resolver whose acceptance is in flight
+            reservedPrice: null,
+            reservedAt: null,
+            lastPersistedAt: startTime,
+        };
+
+        // Reserve the slot before the first await so concurrent starts fail
+        this.activeAuctions.set(orderId, auction);
+
+        try {
+            const { changed, fromStatus } = await transitionOrder(
+                orderId,
+                "auction_active",
+                {
+                    actor: "dutch-auction-manager",
+                    actorType: "system",
+                    reason: "Dutch auction started",
+                    fields: {
+                        auctionActive: true,
+                        auctionStartTime: new Date(startTime),
+                        auctionEndTime: new Date(auction.endTime),
+                        currentPrice: startPrice.toString(),
+                    },
+                }
+            );
+
+            if (!changed || fromStatus !== "created") {
+                throw new Error(
+                    `Order ${orderId} is not open for a Dutch auction`
+                );
+            }
+        } catch (error) {
+            this.activeAuctions.delete(orderId);
+            throw error;
+        }
+
+        auction.intervalId = setInterval(
+            () => this.tick(auction),
+            this.tickInterval
+        );
+
+        console.log(
+            `🚀 Started Dutch auction for order ${orderId}: ${startPrice} → ${endPrice} over ${duration}ms`
+        );
+
+        this.io.emit("auctionStarted", {
+            orderId,
+            startPrice,
+            endPrice,
+            duration,
+            startTime,
+            endTime: auction.endTime,
+        });
+
+        return this.toPublicState(auction);
+    }
+
+    /**
+     * Price at a given point in time. Non-linear decay (progress^1.5) so the
+     * price falls slowly at first and faster towards the end.
+     */
+    priceAt(auction, now = Date.now()) {
+        const progress = Math.min((now - auction.startTime) / auction.duration, 1);
+        const adjustedProgress = Math.pow(Math.max(progress, 0), 1.5);
+        return (
+            auction.startPrice -
+            (auction.startPrice - auction.endPrice) * adjustedProgress
+        );
+    }
+
+    tick(auction) {
+        if (!auction.isActive) return;
+
+        const now = Date.now();
+        const elapsed = now - auction.startTime;
+
+        if (elapsed >= auction.duration) {
+            this.endAuction(auction.orderId, "timeout").catch((error) => {
+                console.error(
+                    `❌ Failed to end auction for order ${auction.orderId}:`,
+                    error
+                );
+            });
+            return;
+        }
+
+        auction.currentPrice = this.priceAt(auction, now);
+
+        this.io.emit("priceUpdate", {
+            orderId: auction.orderId,
+            currentPrice: auction.currentPrice,
+            progress: (elapsed / auction.duration) * 100,
+            timeRemaining: auction.duration - elapsed,
+        });
+
+        if (now - auction.lastPersistedAt >= PERSIST_INTERVAL) {
+            auction.lastPersistedAt = now;
+            Order.updateOne(
+                { orderId: auction.orderId, auctionActive: true },
+                { currentPrice: auction.currentPrice.toString() }
+            ).catch((error) => {
+                console.error(
+                    `⚠️ Failed to persist auction price for ${auction.orderId}:`,
+                    error.message
+                );
+            });
+        }
+    }
+
+    /**
+     * Hold the auction for a resolver while its acceptance is sent on-chain.
+     * Only the first valid call wins; the hold is taken synchronously so
+     * concurrent calls see the auction as taken. The price stops decaying
+     * until the hold is committed with acceptAuction() or given up with
+     * releaseAuction().
+     * @param {string} orderId - The order ID
+     * @param {number} acceptedPrice - Price in INR per token (decimal)
+     * @param {string} resolverAddress - Address of the accepting resolver
+     * @returns {Object} { success, acceptedPrice } or { success: false, message }
+     */
+    reserveAuction(orderId, acceptedPrice, resolverAddress) {
+        const auction = this.activeAuctions.get(orderId);
+        if (!auction || !auction.isActive) {
+            return { success: false, message: "Auction not active" };
+        }
+        if (auction.reservedBy) {
+            return {
+                success: false,
+                message: "Auction is already being accepted",
+            };
+        }
+
+        const price = parseFloat(acceptedPrice);
+        const livePrice = this.priceAt(auction);
+
+        if (!Number.isFinite(price)) {
+            return { success: false, message: "Invalid accepted price" };
+        }
+
+        // Resolvers may not undercut the live price or bid above the start
+        if (price < livePrice || price > auction.startPrice) {
+            return {
+                success: false,
+                message: `Accepted price ${price} must be between current price ${livePrice.toFixed(
+                    4
+                )} and start price ${auction.startPrice}`,
+            };
+        }
+
+        clearInterval(auction.intervalId);
+        auction.intervalId = null;
+        auction.currentPrice = livePrice;
+        auction.reservedBy = resolverAddress;
+        auction.reservedPrice = price;
+        auction.reservedAt = Date.now();
+
+        console.log(
+            `⏸️ Dutch auction for order ${orderId} held for ${resolverAddress} at price ${price}`
+        );
+        return { success: true, acceptedPrice: price };
+    }
+
+    /**
+     * Give up a hold whose on-chain acceptance failed and reopen the
+     * auction where it stopped; the time spent held is added back
+     * @param {string} orderId - The order ID
+     * @param {string} resolverAddress - The resolver holding it
+     * @returns {boolean} Whether the auction was reopened
+     */
+    releaseAuction(orderId, resolverAddress) {
+        const auction = this.activeAuctions.get(orderId);
+        if (!auction || auction.reservedBy !== resolverAddress) {
+            return false;
+        }
+
+        const held = Date.now() - auction.reservedAt;
+        auction.startTime += held;
+        auction.endTime += held;
+        auction.reservedBy = null;
+        auction.reservedPrice = null;
+        auction.reservedAt = null;
+        auction.intervalId = setInterval(
+            () => this.tick(auction),
+            this.tickInterval
+        );
+
+        Order.updateOne(
+            { orderId, auctionActive: true },
+            { auctionEndTime: new Date(auction.endTime) }
+        ).catch((error) => {
+            console.error(
+                `⚠️ Failed to persist auction end time for ${orderId}:`,
+                error.message
+            );
+        });
+
+        console.log(
+            `▶️ Dutch auction for order ${orderId} reopened after a failed acceptance`
+        );
+        return true;
+    }
+
+    /**
+     * Commit a hold once the order was accepted on-chain: the auction ends
+     * and the Order document moves to "accepted"
+     * @param {string} orderId - The order ID
+     * @param {string} resolverAddress - The resolver holding it
+     * @param {Object} [options] - { transactionHash } of the acceptance
+     * @returns {Promise<Object>} { success, acceptedPrice }
+     * @throws If the auction isn't held by the resolver, or the Order
+     *   document could not be updated
+     */
+    async acceptAuction(orderId, resolverAddress, options = {}) {
+        const auction = this.activeAuctions.get(orderId);
+        if (!auction || auction.reservedBy !== resolverAddress) {
+            throw new Error(
+                `Auction for order ${orderId} is not held by ${resolverAddress}`
+            );
+        }
+
+        // Accepted on-chain already, so the auction is over either way
+        const price = auction.reservedPrice;
+        this.stopAuction(auction);
+        auction.currentPrice = price;
+        auction.acceptedPrice = price;
+        auction.acceptedBy = resolverAddress;
+
+        const acceptedAt = new Date();
+        await transitionOrder(orderId, "accepted", {
+            actor: resolverAddress,
+            actorType: "resolver",
+            reason: `Dutch auction accepted at ${price}`,
+            transactionHash: options.transactionHash || null,
+            fields: {
+                auctionActive: false,
+                auctionEndTime: acceptedAt,
+                currentPrice: price.toString(),
+                acceptedPrice: price.toString(),
+                acceptedAt,
+                acceptedBy: resolverAddress.toLowerCase(),
+            },
+        });
+
+        this.io.emit("auctionAccepted", {
+            orderId,
+            acceptedPrice: price,
+            finalPrice: price,
+            resolverAddress,
+            reason: "accepted",
+        });
+
+        console.log(
+            `✅ Dutch auction for order ${orderId} accepted at price ${price} by ${resolverAddress}`
+        );
+
+        return { success: true, acceptedPrice: price };
+    }
+
+    /**
+     * End an auction without a winner
+     * @param {string} orderId - The order ID
+     * @param {string} reason - "timeout" or "cancelled"
+     */
+    async endAuction(orderId, reason = "cancelled") {
+        const auction = this.activeAuctions.get(orderId);
+        // A held auction is ended by its resolver's commit or release
+        if (!auction || !auction.isActive || auction.reservedBy) {
+            return false;
+        }
+
+        this.stopAuction(auction);
+        auction.currentPrice = auction.endPrice;
+
+        await this.closeOrderAuction(orderId, reason, {
+            auctionEndTime: new Date(),
+            currentPrice: auction.endPrice.toString(),
+        });
+
+        this.io.emit("auctionEnded", {
+            orderId,
+            finalPrice: auction.endPrice,
+            reason,
+        });
+
+        console.log(`🏁 Dutch auction for order ${orderId} ended (${reason})`);
+        return true;
+    }
+
+    /**
+     * Clear the auction flags on an order. If it is still auction_active it
+     * goes back to "created" (the order stays open on-chain); if something
+     * else already moved it on, only the flag is cleared.
+     */
+    async closeOrderAuction(orderId, reason, fields = {}) {
+        try {
+            await transitionOrder(orderId, "created", {
+                actor: "dutch-auction-manager",
+                actorType: "system",
+                reason: `Dutch auction ended (${reason})`,
+                fields: { ...fields, auctionActive: false },
+            });
+        } catch (error) {
+            if (!(error instanceof InvalidTransitionError)) throw error;
+            await Order.updateOne(
+                { orderId, auctionActive: true },
+                { ...fields, auctionActive: false }
+            );
+        }
+    }
+
+    stopAuction(auction) {
+        auction.isActive = false;
+        clearInterval(auction.intervalId);
+        this.activeAuctions.delete(auction.orderId);
+    }
+
+    /**
+     * Close out auctions left marked active by a previous process. Their
+     * timers died with it, so they can never be accepted.
+     */
+    async recoverStaleAuctions() {
+        const staleOrders = await Order.find({
+            auctionActive: true,
+            orderId: { $nin: Array.from(this.activeAuctions.keys()) },
+        });
+
+        for (const order of staleOrders) {
+            await this.closeOrderAuction(order.orderId, "server_restart");
+        }
+
+        if (staleOrders.length > 0) {
+            console.log(
+                `🧹 Closed ${staleOrders.length} stale Dutch auction(s)`
+            );
+        }
+        return staleOrders.length;
+    }
+
+    getActiveAuction(orderId) {
+        const auction = this.activeAuctions.get(orderId);
+        if (!auction) return null;
+
+        if (!auction.reservedBy) {
+            auction.currentPrice = this.priceAt(auction);
+        }
+        return this.toPublicState(auction);
+    }
+
+    getAllActiveAuctions() {
+        return Array.from(this.activeAuctions.keys()).map((orderId) =>
+            this.getActiveAuction(orderId)
+        );
+    }
+
+    toPublicState(auction) {
+        const now = Date.now();
+        return {
+            orderId: auction.orderId,
+            startPrice: auction.startPrice,
+            endPrice: auction.endPrice,
+            currentPrice: auction.currentPrice,
+            startTime: auction.startTime,
+            endTime: auction.endTime,
+            duration: auction.duration,
+            isActive: auction.isActive,
+            isReserved: !!auction.reservedBy,
+            progress: Math.min(
+                ((now - auction.startTime) / auction.duration) * 100,
+                100
+            ),
+            timeRemaining: Math.max(auction.endTime - now, 0),
+        };
+    }
+
+    shutdown() {
+        for (const auction of this.activeAuctions.values()) {
+            clearInterval(auction.intervalId);
+        }
+        this.activeAuctions.clear();
+    }
+}
+
+module.exports = DutchAuctionManager;
@@ -0,0 +1,57 @@
+const crypto = require("crypto");
+
+/**
+ * Minimal HS256 JSON Web Tokens (RFC 7519), enough for the API's own
+ * session tokens: sign, and verify signature plus exp/nbf.
+ */
+
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+function base64url(input) {
+    return Buffer.from(input).toString("base64url");
+}
+
+function hmac(secret, data) {
+    return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+function signJwt(payload, secret) {
+    const unsigned = `${base64url(JSON.stringify(HEADER))}.${base64url(
+        JSON.stringify(payload)
+    )}`;
+    return `${unsigned}.${hmac(secret, unsigned)}`;
+}
+
+/**
+ * @returns {Object|null} The payload, or null if the token is malformed,
+ *   badly signed, expired or not yet valid
+ */
+function verifyJwt(token, secret, now = Math.floor(Date.now() / 1000)) {
+    if (typeof token !== "string") return null;
+    const parts = token.split(".");
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(hmac(secret, `${header}.${payload}`));
+    const received = Buffer.from(signature);
+    if (
+        expected.length !== received.length ||
+        !crypto.timingSafeEqual(expected, received)
+    ) {
+        return null;
+    }
+
+    try {
+        const { alg } = JSON.parse(Buffer.from(header, "base64url"));
+        if (alg !== HEADER.alg) return null;
+
+        const claims = JSON.parse(Buffer.from(payload, "base64url"));
+        if (typeof claims.exp !== "number" || claims.exp <= now) return null;
+        if (typeof claims.nbf === "number" && claims.nbf > now) return null;
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = { signJwt, verifyJwt };
@@ -0,0 +1,170 @@
+const { createPublicClient, http, isAddress, isHex } = require("viem");
+const {
+    getActiveChainId,
+    getContractAddress,
+    getRpcUrl,
+    getViemChain,
+} = require("../../deployments");
+const {
+    ACCEPTANCE_PRIMARY_TYPE,
+    ACCEPTANCE_TYPES,
+    ResolverRegistryClient,
+    acceptanceDomain,
+} = require("../../contracts");
+const AcceptanceNonce = require("../models/AcceptanceNonce");
+
+class ResolverAcceptanceError extends Error {
+    constructor(message, { code = "INVALID_ACCEPTANCE" } = {}) {
+        super(message);
+        this.name = "ResolverAcceptanceError";
+        this.code = code;
+    }
+}
+
+// HTTP status for each error code
+const STATUS_BY_CODE = {
+    INVALID_ACCEPTANCE: 400,
+    EXPIRED: 400,
+    INVALID_SIGNATURE: 401,
+    NOT_RESOLVER: 403,
+    REPLAYED: 409,
+};
+
+/**
+ * Resolver Acceptance Verifier
+ *
+ * Checks the EIP-712 acceptance a resolver signs for POST
+ * /api/orders/:orderId/accept before the relayer spends gas on it: the
+ * signature must recover to the resolver, the resolver must be registered
+ * in ResolverRegistry, the deadline must be near and unexpired, and each
+ * (resolver, nonce) pair is accepted once.
+ */
+class ResolverAcceptanceVerifier {
+    constructor(options = {}) {
+        this.chainId = options.chainId || getActiveChainId();
+        this.publicClient =
+            options.publicClient ||
+            createPublicClient({
+                chain: getViemChain(this.chainId),
+                transport: http(getRpcUrl(this.chainId)),
+            });
+        this.domain = acceptanceDomain(
+            this.chainId,
+            options.orderProtocolAddress ||
+                getContractAddress("OrderProtocol", this.chainId)
+        );
+        this.resolverRegistry =
+            options.resolverRegistry ||
+            new ResolverRegistryClient({
+                publicClient: this.publicClient,
+                chainId: this.chainId,
+            });
+        // Longest a signed acceptance may stay valid
+        this.maxDeadlineSeconds =
+            options.maxDeadlineSeconds ||
+            parseInt(process.env.ACCEPTANCE_MAX_DEADLINE_SECONDS) ||
+            300;
+    }
+
+    /**
+     * Verify a signed acceptance and mark its nonce used
+     * @param {Object} params
+     * @param {string} params.orderId - bytes32 order ID
+     * @param {bigint} params.acceptedPrice - Price in wei, as signed
+     * @param {string} params.resolverAddress - Claimed signer
+     * @param {string|number} params.deadline - Unix seconds
+     * @param {string|number} params.nonce - uint256, unique per resolver
+     * @param {string} params.signature
+     * @throws {ResolverAcceptanceError}
+     */
+    async verify({
+        orderId,
+        acceptedPrice,
+        resolverAddress,
+        deadline,
+        nonce,
+        signature,
+    }) {
+        let message;
+        try {
+            message = {
+                orderId,
+                acceptedPrice: BigInt(acceptedPrice),
+                deadline: BigInt(deadline),
+                nonce: BigInt(nonce),
+            };
+        } catch (error) {
+            throw new ResolverAcceptanceError(
+                "deadline and nonce must be integers"
+            );
+        }
+        if (
+            !isHex(orderId) ||
+            orderId.length !== 66 ||
+            !isAddress(resolverAddress || "") ||
+            !isHex(signature)
+        ) {
+            throw new ResolverAcceptanceError(
+                "orderId, resolverAddress and signature are required"
+            );
+        }
+
+        const now = BigInt(Math.floor(Date.now() / 1000));
+        if (message.deadline <= now) {
+            throw new ResolverAcceptanceError("Acceptance has expired", {
+                code: "EXPIRED",
+            });
+        }
+        if (message.deadline > now + BigInt(this.maxDeadlineSeconds)) {
+            throw new ResolverAcceptanceError(
+                `Acceptance deadline must be within ${this.maxDeadlineSeconds}s`
+            );
+        }
+
+        // publicClient.verifyTypedData also accepts ERC-1271 contract wallets
+        const valid = await this.publicClient
+            .verifyTypedData({
+                address: resolverAddress,
+                domain: this.domain,
+                types: ACCEPTANCE_TYPES,
+                primaryType: ACCEPTANCE_PRIMARY_TYPE,
+                message,
+                signature,
+            })
+            .catch(() => false);
+        if (!valid) {
+            throw new ResolverAcceptanceError(
+                "Signature does not match the resolver",
+                { code: "INVALID_SIGNATURE" }
+            );
+        }
+
+        if (!(await this.resolverRegistry.isResolver(resolverAddress))) {
+            throw new ResolverAcceptanceError(
+                `${resolverAddress} is not a registered resolver`,
+                { code: "NOT_RESOLVER" }
+            );
+        }
+
+        const fresh = await AcceptanceNonce.consume(
+            resolverAddress,
+            message.nonce.toString(),
+            { orderId, expiresAt: new Date(Number(message.deadline) * 1000) }
+        );
+        if (!fresh) {
+            throw new ResolverAcceptanceError(
+                "Acceptance nonce was already used",
+                { code: "REPLAYED" }
+            );
+        }
+    }
+
+    /** HTTP status for a ResolverAcceptanceError */
+    static statusFor(error) {
+        return STATUS_BY_CODE[error.code] || 400;
+    }
+}
+
+ResolverAcceptanceVerifier.ResolverAcceptanceError = ResolverAcceptanceError;
+
+module.exports = ResolverAcceptanceVerifier;
@@ -0,0 +1,178 @@
+const crypto = require("crypto");
+const { verifyMessage } = require("viem");
+const {
+    generateSiweNonce,
+    parseSiweMessage,
+    validateSiweMessage,
+} = require("viem/siwe");
+const { getActiveChainId } = require("../../deployments");
+const AuthNonce = require("../models/AuthNonce");
+const { signJwt, verifyJwt } = require("./jwt");
+
+const SIWE_STATEMENT = "Sign in to YuPI";
+
+class SiweAuthError extends Error {
+    constructor(message, { code = "INVALID_MESSAGE" } = {}) {
+        super(message);
+        this.name = "SiweAuthError";
+        this.code = code;
+    }
+}
+
+function defaultDomains() {
+    try {
+        return new URL(process.env.FRONTEND_URL || "http://localhost:3000")
+            .host;
+    } catch (error) {
+        return "localhost:3000";
+    }
+}
+
+/**
+ * SIWE Session Manager
+ *
+ * Sign-In With Ethereum (EIP-4361) for makers and resolvers. Clients fetch a
+ * nonce, sign a SIWE message for one of the allowed domains on the active
+ * chain, and exchange it for a short-lived HS256 JWT bound to the signing
+ * address. Nonces are stored in Mongo and can be used once, so a signed
+ * message cannot be replayed.
+ */
+class SiweSessionManager {
+    constructor(options = {}) {
+        this.domains = (
+            options.domains ||
+            process.env.AUTH_DOMAINS ||
+            defaultDomains()
+        )
+            .toString()
+            .split(",")
+            .map((domain) => domain.trim())
+            .filter(Boolean);
+        this.chainId = options.chainId || getActiveChainId();
+        this.sessionTtl =
+            options.sessionTtl ||
+            parseInt(process.env.AUTH_SESSION_TTL_SECONDS) ||
+            900;
+        this.nonceTtl =
+            options.nonceTtl ||
+            parseInt(process.env.AUTH_NONCE_TTL_SECONDS) ||
+            600;
+
+        this.secret = options.secret || process.env.AUTH_JWT_SECRET;
+        if (!this.secret) {
+            this.secret = crypto.randomBytes(32).toString("hex");
+            console.warn(
+                "⚠️ AUTH_JWT_SECRET is not set; sessions will not survive a restart"
+            );
+        }
+    }
+
+    /**
+     * Issue a single-use nonce, with the message fields the server expects
+     * @returns {Promise<Object>} { nonce, expiresAt, domain, chainId, statement }
+     */
+    async issueNonce() {
+        const nonce = generateSiweNonce();
+        const expiresAt = new Date(Date.now() + this.nonceTtl * 1000);
+        await AuthNonce.create({ nonce, expiresAt });
+
+        return {
+            nonce,
+            expiresAt,
+            domain: this.domains[0],
+            chainId: this.chainId,
+            statement: SIWE_STATEMENT,
+        };
+    }
+
+    /**
+     * Verify a signed SIWE message and start a session for its address
+     * @param {Object} params
+     * @param {string} params.message - EIP-4361 message
+     * @param {string} params.signature - personal_sign signature over it
+     * @returns {Promise<Object>} { token, address, expiresAt }
+     * @throws {SiweAuthError}
+     */
+    async signIn({ message, signature }) {
+        if (typeof message !== "string" || typeof signature !== "string") {
+            throw new SiweAuthError("message and signature are required");
+        }
+
+        const fields = parseSiweMessage(message);
+        if (!fields.address || !fields.nonce || !fields.domain) {
+            throw new SiweAuthError("Not a valid SIWE message");
+        }
+        if (!this.domains.includes(fields.domain)) {
+            throw new SiweAuthError(`Domain ${fields.domain} is not allowed`);
+        }
+        if (fields.chainId !== this.chainId) {
+            throw new SiweAuthError(
+                `Sign in on chain ${this.chainId}, not ${fields.chainId}`
+            );
+        }
+        if (!validateSiweMessage({ message: fields })) {
+            throw new SiweAuthError("Message is expired or not yet valid");
+        }
+
+        let valid = false;
+        try {
+            valid = await verifyMessage({
+                address: fields.address,
+                message,
+                signature,
+            });
+        } catch (error) {
+            valid = false;
+        }
+        if (!valid) {
+            throw new SiweAuthError("Signature does not match the address", {
+                code: "INVALID_SIGNATURE",
+            });
+        }
+
+        // Only burn the nonce once the signature checks out
+        const address = fields.address.toLowerCase();
+        if (!(await AuthNonce.consume(fields.nonce, address))) {
+            throw new SiweAuthError("Nonce is unknown, expired or already used", {
+                code: "INVALID_NONCE",
+            });
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        let exp = now + this.sessionTtl;
+        if (fields.expirationTime) {
+            exp = Math.min(
+                exp,
+                Math.floor(fields.expirationTime.getTime() / 1000)
+            );
+        }
+
+        const token = signJwt(
+            { sub: address, chainId: this.chainId, iat: now, exp },
+            this.secret
+        );
+        return { token, address, expiresAt: new Date(exp * 1000) };
+    }
+
+    /**
+     * @param {string} token - Session JWT
+     * @returns {Object|null} { address, chainId, expiresAt }, or null if the
+     *   token is invalid or expired
+     */
+    verifySession(token) {
+        const claims = verifyJwt(token, this.secret);
+        if (!claims || !/^0x[a-f0-9]{40}$/.test(claims.sub)) return null;
+        if (claims.chainId !== this.chainId) return null;
+
+        return {
+            address: claims.sub,
+            chainId: claims.chainId,
+            expiresAt: new Date(claims.exp * 1000),
+        };
+    }
+}
+
+SiweSessionManager.SiweAuthError = SiweAuthError;
+SiweSessionManager.SIWE_STATEMENT = SIWE_STATEMENT;
+
+module.exports = SiweSessionManager;
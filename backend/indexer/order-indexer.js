@@ -0,0 +1,469 @@
+const { createPublicClient, http, formatEther } = require("viem");
+const { getContract, getRpcUrl } = require("../../deployments");
+const { OrderProtocolClient } = require("../../contracts");
+const Order = require("../models/Order");
+const IndexerCheckpoint = require("../models/IndexerCheckpoint");
+const {
+    canTransition,
+    transitionOrder,
+    recordOrderCreated,
+} = require("../lifecycle/order-state-machine");
+
+const INDEXER_NAME = "order-protocol";
+
+const ORDER_EVENT_NAMES = [
+    "OrderCreated",
+    "OrderAccepted",
+    "OrderFullfilled",
+    "OrderFailed",
+];
+
+/**
+ * Derive the database status of an order from its on-chain state.
+ * The contract marks both successful and refunded orders as `fullfilled`;
+ * only successful ones have a proof stored.
+ * @param {Object} chainOrder - Result of OrderProtocol.getOrder
+ * @param {string} proof - Stored proof for the order ("" if none)
+ * @returns {string} One of created / accepted / fulfilled / failed
+ */
+function deriveOrderStatus(chainOrder, proof) {
+    if (chainOrder.fullfilled) {
+        return proof ? "fulfilled" : "failed";
+    }
+    return chainOrder.accepted ? "accepted" : "created";
+}
+
+/**
+ * Statuses to step through to reach the chain status with legal transitions,
+ * e.g. created → accepted → fulfilled when both events land in one range.
+ * @returns {string[]|null} The steps, or null if the chain contradicts the table
+ */
+function chainTransitionPath(fromStatus, toStatus) {
+    if (fromStatus === toStatus || canTransition(fromStatus, toStatus)) {
+        return [toStatus];
+    }
+    if (toStatus === "fulfilled" && canTransition(fromStatus, "accepted")) {
+        return ["accepted", "fulfilled"];
+    }
+    return null;
+}
+
+/**
+ * Order Indexer
+ *
+ * Tails OrderProtocol events and keeps the Mongo Order collection in sync
+ * with the contract. Progress is checkpointed per block; the most recent
+ * `reorgDepth` blocks are always re-read, and a hash mismatch on the
+ * checkpoint block rewinds further. Order fields are derived from getOrder
+ * rather than from event payloads, so re-processing a block is idempotent.
+ */
+class OrderIndexer {
+    constructor(options = {}) {
+        this.io = options.io || null;
+        this.auctionManager = options.auctionManager || null;
+        const orderProtocol = getContract("OrderProtocol");
+        this.rpcUrl = options.rpcUrl || getRpcUrl();
+        this.contractAddress = (
+            options.contractAddress ||
+            orderProtocol.address ||
+            ""
+        ).toLowerCase();
+        // Backfill from the deployment block when the registry knows it
+        this.startBlock =
+            options.startBlock ??
+            (parseInt(process.env.INDEXER_START_BLOCK) ||
+                orderProtocol.blockNumber ||
+                0);
+        this.reorgDepth =
+            options.reorgDepth ?? (parseInt(process.env.INDEXER_REORG_DEPTH) || 12);
+        this.confirmations =
+            options.confirmations ??
+            (parseInt(process.env.INDEXER_CONFIRMATIONS) || 0);
+        this.batchSize =
+            options.batchSize || parseInt(process.env.INDEXER_BATCH_SIZE) || 2000;
+        this.pollInterval =
+            options.pollInterval ||
+            parseInt(process.env.INDEXER_POLL_INTERVAL_MS) ||
+            5000;
+
+        this.client = null;
+        this.orderProtocol = null;
+        this.orderEvents = [];
+        this.chainId = null;
+        this.lastBlock = null;
+        this.lastBlockHash = null;
+        this.isRunning = false;
+        this.isPolling = false;
+        this.pollTimer = null;
+        this.lastError = null;
+        this.lastPollAt = null;
+    }
+
+    async start() {
+        if (this.isRunning) return;
+
+        if (!this.rpcUrl || !this.contractAddress) {
+            throw new Error(
+                "Order indexer requires RPC_URL and CONTRACT_ADDRESS"
+            );
+        }
+
+        this.client = createPublicClient({ transport: http(this.rpcUrl) });
+        this.orderProtocol = new OrderProtocolClient({
+            address: this.contractAddress,
+            publicClient: this.client,
+        });
+        this.orderEvents = this.orderProtocol.events.filter((event) =>
+            ORDER_EVENT_NAMES.includes(event.name)
+        );
+        this.chainId = await this.client.getChainId();
+
+        const checkpoint = await IndexerCheckpoint.findOne({
+            name: INDEXER_NAME,
+            chainId: this.chainId,
+            contractAddress: this.contractAddress,
+        });
+
+        if (checkpoint) {
+            this.lastBlock = checkpoint.lastBlock;
+            this.lastBlockHash = checkpoint.lastBlockHash;
+            console.log(
+                `📚 Order indexer resuming from block ${this.lastBlock} (chain ${this.chainId})`
+            );
+        } else {
+            this.lastBlock = this.startBlock - 1;
+            console.log(
+                `📚 Order indexer backfilling from block ${this.startBlock} (chain ${this.chainId})`
+            );
+        }
+
+        this.isRunning = true;
+        this.scheduleNextPoll(0);
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    scheduleNextPoll(delay = this.pollInterval) {
+        if (!this.isRunning) return;
+        this.pollTimer = setTimeout(async () => {
+            await this.poll();
+            this.scheduleNextPoll();
+        }, delay);
+    }
+
+    async poll() {
+        if (this.isPolling) return;
+        this.isPolling = true;
+
+        try {
+            const head = Number(await this.client.getBlockNumber());
+            const safeHead = head - this.confirmations;
+
+            const reorged = await this.detectReorg();
+            if (!reorged && safeHead <= this.lastBlock) {
+                return;
+            }
+
+            // Re-read the most recent blocks on every pass to absorb shallow reorgs
+            let fromBlock = Math.max(
+                this.startBlock,
+                this.lastBlock - this.reorgDepth + 1
+            );
+
+            while (fromBlock <= safeHead && this.isRunning) {
+                const toBlock = Math.min(
+                    fromBlock + this.batchSize - 1,
+                    safeHead
+                );
+                await this.processRange(fromBlock, toBlock);
+                await this.saveCheckpoint(toBlock);
+                fromBlock = toBlock + 1;
+            }
+
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = error.message;
+            console.error("❌ Order indexer poll failed:", error.message);
+        } finally {
+            this.lastPollAt = new Date();
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Compare the checkpoint block hash with the canonical chain and rewind
+     * the checkpoint when they differ.
+     * @returns {Promise<boolean>} Whether a reorg was detected
+     */
+    async detectReorg() {
+        if (!this.lastBlockHash || this.lastBlock < this.startBlock) {
+            return false;
+        }
+
+        const block = await this.client.getBlock({
+            blockNumber: BigInt(this.lastBlock),
+        });
+
+        if (block.hash === this.lastBlockHash) {
+            return false;
+        }
+
+        const rewindTo = Math.max(
+            this.startBlock - 1,
+            this.lastBlock - this.reorgDepth
+        );
+        console.warn(
+            `⚠️ Reorg detected at block ${this.lastBlock}, rewinding indexer to ${rewindTo}`
+        );
+        this.lastBlock = rewindTo;
+        this.lastBlockHash = null;
+        return true;
+    }
+
+    async processRange(fromBlock, toBlock) {
+        const logs = await this.client.getLogs({
+            address: this.contractAddress,
+            events: this.orderEvents,
+            fromBlock: BigInt(fromBlock),
+            toBlock: BigInt(toBlock),
+        });
+
+        if (logs.length === 0) return;
+
+        console.log(
+            `📚 Indexing ${logs.length} OrderProtocol event(s) in blocks ${fromBlock}-${toBlock}`
+        );
+
+        // Group by order so each order is reconciled once per range
+        const touchedOrders = new Map();
+        for (const log of logs) {
+            const orderId = log.args.orderId;
+            const entry = touchedOrders.get(orderId) || {
+                createdLog: null,
+                lastLog: null,
+            };
+            if (log.eventName === "OrderCreated") {
+                entry.createdLog = log;
+            }
+            entry.lastLog = log;
+            touchedOrders.set(orderId, entry);
+        }
+
+        for (const [orderId, { createdLog, lastLog }] of touchedOrders) {
+            await this.syncOrder(orderId, createdLog, lastLog);
+        }
+    }
+
+    /**
+     * Reconcile a single order document with the contract state
+     * @param {string} orderId - bytes32 order ID
+     * @param {Object|null} createdLog - OrderCreated log, if seen in this range
+     * @param {Object|null} lastLog - Latest log for the order in this range
+     */
+    async syncOrder(orderId, createdLog = null, lastLog = null) {
+        const chainOrder = await this.orderProtocol.getOrder(orderId);
+
+        if (!OrderProtocolClient.exists(chainOrder)) {
+            console.warn(
+                `⚠️ Order ${orderId} no longer exists on-chain (reorged out?)`
+            );
+            return null;
+        }
+
+        const proof = chainOrder.fullfilled
+            ? await this.orderProtocol.getProof(orderId)
+            : "";
+
+        const status = deriveOrderStatus(chainOrder, proof);
+        const chainFields = {
+            acceptedBy: chainOrder.accepted
+                ? chainOrder.taker.toLowerCase()
+                : null,
+            acceptedPrice: chainOrder.accepted
+                ? formatEther(chainOrder.acceptedPrice)
+                : null,
+            acceptedAt: chainOrder.accepted
+                ? new Date(Number(chainOrder.acceptedTime) * 1000)
+                : null,
+            proof: proof || null,
+        };
+
+        let existing = await Order.findByOrderId(orderId);
+
+        if (!existing) {
+            const creation =
+                createdLog || (await this.findCreationLog(orderId));
+            if (!creation) {
+                console.warn(
+                    `⚠️ OrderCreated log for ${orderId} not found after block ${this.startBlock}, skipping`
+                );
+                return null;
+            }
+
+            // Insert as created so the history starts at the beginning; the
+            // chain status is then applied as ordinary transitions below
+            const result = await Order.findOneAndUpdate(
+                { orderId },
+                {
+                    $setOnInsert: {
+                        orderId,
+                        walletAddress: chainOrder.maker.toLowerCase(),
+                        amount: formatEther(chainOrder.amount),
+                        tokenAddress: chainOrder.token.toLowerCase(),
+                        startPrice: formatEther(chainOrder.startPrice),
+                        endPrice: formatEther(chainOrder.endPrice),
+                        recipientUpiAddress: chainOrder.recipientUpiAddress,
+                        transactionHash: creation.transactionHash,
+                        blockNumber: Number(creation.blockNumber),
+                        status: "created",
+                    },
+                },
+                { upsert: true, new: true, rawResult: true }
+            );
+            existing = result.value;
+
+            if (!result.lastErrorObject?.updatedExisting) {
+                await recordOrderCreated(existing, {
+                    actor: chainOrder.maker.toLowerCase(),
+                    actorType: "chain",
+                    reason: "OrderCreated event indexed",
+                    transactionHash: creation.transactionHash,
+                });
+                console.log(`📥 Indexed new order ${orderId}`);
+                this.emitStatusChange(existing, null);
+            }
+        }
+
+        // A running auction is the only off-chain refinement of "created"
+        const nextStatus =
+            status === "created" && existing.status === "auction_active"
+                ? existing.status
+                : status;
+
+        if (nextStatus !== "created" && nextStatus !== "auction_active") {
+            if (
+                this.auctionManager &&
+                this.auctionManager.getActiveAuction(orderId)
+            ) {
+                await this.auctionManager.endAuction(orderId, "settled_onchain");
+            }
+        }
+
+        return this.applyChainStatus(
+            orderId,
+            nextStatus,
+            {
+                ...chainFields,
+                ...(nextStatus !== "auction_active" && { auctionActive: false }),
+            },
+            lastLog?.transactionHash || null
+        );
+    }
+
+    /**
+     * Move the order to the status the chain reports. Legal paths are walked
+     * step by step; a chain state the table cannot reach (e.g. a reorg undid
+     * an acceptance) is forced and flagged in the history.
+     */
+    async applyChainStatus(orderId, toStatus, fields, transactionHash) {
+        // Re-read: ending an auction above may have changed the status
+        const current = await Order.findByOrderId(orderId);
+        const previousStatus = current.status;
+        const path = chainTransitionPath(previousStatus, toStatus);
+        const options = {
+            actor: "order-indexer",
+            actorType: "chain",
+            transactionHash,
+            fields,
+        };
+
+        let order = current;
+        if (path) {
+            for (const step of path) {
+                ({ order } = await transitionOrder(orderId, step, {
+                    ...options,
+                    reason: `On-chain status is ${toStatus}`,
+                }));
+            }
+        } else {
+            ({ order } = await transitionOrder(orderId, toStatus, {
+                ...options,
+                force: true,
+                reason: `On-chain status ${toStatus} contradicts recorded status ${previousStatus} (reorg?)`,
+            }));
+            console.warn(
+                `⚠️ Forced order ${orderId} ${previousStatus} → ${toStatus} to match chain`
+            );
+        }
+
+        if (previousStatus !== order.status) {
+            this.emitStatusChange(order, previousStatus);
+        }
+        return order;
+    }
+
+    async findCreationLog(orderId) {
+        const logs = await this.client.getLogs({
+            address: this.contractAddress,
+            event: this.orderEvents.find((e) => e.name === "OrderCreated"),
+            args: { orderId },
+            fromBlock: BigInt(this.startBlock),
+            toBlock: "latest",
+        });
+        return logs[0] || null;
+    }
+
+    async saveCheckpoint(blockNumber) {
+        const block = await this.client.getBlock({
+            blockNumber: BigInt(blockNumber),
+        });
+
+        this.lastBlock = blockNumber;
+        this.lastBlockHash = block.hash;
+
+        await IndexerCheckpoint.findOneAndUpdate(
+            {
+                name: INDEXER_NAME,
+                chainId: this.chainId,
+                contractAddress: this.contractAddress,
+            },
+            { lastBlock: blockNumber, lastBlockHash: block.hash },
+            { upsert: true }
+        );
+    }
+
+    emitStatusChange(order, previousStatus) {
+        if (!this.io || !order) return;
+        this.io.emit("orderStatusChanged", {
+            orderId: order.orderId,
+            previousStatus,
+            status: order.status,
+            acceptedBy: order.acceptedBy,
+            acceptedPrice: order.acceptedPrice,
+            proof: order.proof,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    getStatus() {
+        return {
+            running: this.isRunning,
+            chainId: this.chainId,
+            contract: this.contractAddress,
+            lastBlock: this.lastBlock,
+            lastPollAt: this.lastPollAt,
+            lastError: this.lastError,
+        };
+    }
+}
+
+OrderIndexer.deriveOrderStatus = deriveOrderStatus;
+OrderIndexer.chainTransitionPath = chainTransitionPath;
+
+module.exports = OrderIndexer;
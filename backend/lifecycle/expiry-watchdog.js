@@ -0,0 +1,282 @@
+const { createPublicClient, http } = require("viem");
+const { getContractAddress, getRpcUrl } = require("../../deployments");
+const { OrderProtocolClient } = require("../../contracts");
+const Order = require("../models/Order");
+const ResolverCallback = require("../models/ResolverCallback");
+const {
+    transitionOrder,
+    InvalidTransitionError,
+    OrderNotFoundError,
+} = require("./order-state-machine");
+
+/**
+ * Whether an accepted order's fulfillment window has closed, using the same
+ * condition as OrderProtocol.fullfillOrder
+ * @param {Object} chainOrder - Result of OrderProtocol.getOrder
+ * @param {bigint} maxFulfillmentTime - i_maxFullfillmentTime (seconds)
+ * @param {bigint} now - Latest block timestamp (seconds)
+ */
+function isFulfillmentExpired(chainOrder, maxFulfillmentTime, now) {
+    return (
+        chainOrder.accepted &&
+        !chainOrder.fullfilled &&
+        now > chainOrder.acceptedTime + maxFulfillmentTime
+    );
+}
+
+/**
+ * Expiry Watchdog
+ *
+ * Refunds makers whose accepted orders were never fulfilled. Candidates are
+ * accepted orders in Mongo plus the on-chain orders of known resolvers
+ * (getOrdersByTaker); once the latest block is past acceptedTime +
+ * i_maxFullfillmentTime, the relayer calls fullfillOrder with an empty proof
+ * (sent through the relayer transaction manager), which makes the contract
+ * refund the maker. The order is then marked failed
+ * and the maker notified over Socket.IO.
+ */
+class ExpiryWatchdog {
+    constructor(options = {}) {
+        this.io = options.io || null;
+        this.rpcUrl = options.rpcUrl || getRpcUrl();
+        this.contractAddress =
+            options.contractAddress || getContractAddress("OrderProtocol");
+        this.transactionManager = options.transactionManager || null;
+        this.scanInterval =
+            options.scanInterval ||
+            parseInt(process.env.WATCHDOG_SCAN_INTERVAL_MS) ||
+            30000;
+        this.takers = (
+            options.takers ||
+            [process.env.MAIN_RESOLVER_ADDRESS, process.env.WATCHDOG_TAKERS]
+                .filter(Boolean)
+                .join(",")
+                .split(",")
+        )
+            .map((address) => address.trim().toLowerCase())
+            .filter(Boolean);
+
+        this.publicClient = options.publicClient || null;
+        this.orderProtocol = null;
+        this.maxFulfillmentTime = null;
+        this.isRunning = false;
+        this.isScanning = false;
+        this.scanTimer = null;
+        this.lastScanAt = null;
+        this.lastError = null;
+        this.refundedCount = 0;
+    }
+
+    async start() {
+        if (this.isRunning) return;
+
+        if (!this.rpcUrl || !this.contractAddress || !this.transactionManager) {
+            throw new Error(
+                "Expiry watchdog requires RPC_URL, CONTRACT_ADDRESS and a relayer transaction manager"
+            );
+        }
+
+        if (!this.publicClient) {
+            this.publicClient = createPublicClient({
+                transport: http(this.rpcUrl),
+            });
+        }
+
+        this.orderProtocol = new OrderProtocolClient({
+            address: this.contractAddress,
+            publicClient: this.publicClient,
+            send: (request) =>
+                this.transactionManager.sendContractTransaction(request),
+        });
+
+        this.maxFulfillmentTime =
+            await this.orderProtocol.getMaxFulfillmentTime();
+
+        console.log(
+            `⏰ Expiry watchdog started (window ${this.maxFulfillmentTime}s, scanning every ${this.scanInterval}ms)`
+        );
+        this.isRunning = true;
+        this.scheduleNextScan(0);
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.scanTimer) {
+            clearTimeout(this.scanTimer);
+            this.scanTimer = null;
+        }
+    }
+
+    scheduleNextScan(delay = this.scanInterval) {
+        if (!this.isRunning) return;
+        this.scanTimer = setTimeout(async () => {
+            await this.scan();
+            this.scheduleNextScan();
+        }, delay);
+    }
+
+    async scan() {
+        if (this.isScanning) return;
+        this.isScanning = true;
+
+        try {
+            const block = await this.publicClient.getBlock();
+            const orderIds = await this.findCandidates();
+
+            for (const orderId of orderIds) {
+                try {
+                    const chainOrder = await this.readOrder(orderId);
+                    if (
+                        !OrderProtocolClient.exists(chainOrder) ||
+                        !isFulfillmentExpired(
+                            chainOrder,
+                            this.maxFulfillmentTime,
+                            block.timestamp
+                        )
+                    ) {
+                        continue;
+                    }
+
+                    await this.refundExpiredOrder(orderId, chainOrder);
+                } catch (error) {
+                    console.error(
+                        `❌ Failed to refund expired order ${orderId}:`,
+                        error.message
+                    );
+                }
+            }
+
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = error.message;
+            console.error("❌ Expiry watchdog scan failed:", error.message);
+        } finally {
+            this.lastScanAt = new Date();
+            this.isScanning = false;
+        }
+    }
+
+    /**
+     * Accepted orders from Mongo, plus unfulfilled accepted orders of known
+     * resolvers read from the contract (covers orders Mongo never saw)
+     * @returns {Promise<string[]>} Order IDs
+     */
+    async findCandidates() {
+        const candidates = new Set();
+
+        const accepted = await Order.find({ status: "accepted" }).select(
+            "orderId"
+        );
+        accepted.forEach((order) => candidates.add(order.orderId.toLowerCase()));
+
+        const registered = await ResolverCallback.distinct("resolverAddress", {
+            active: true,
+        });
+        const takers = new Set([...this.takers, ...registered]);
+
+        for (const taker of takers) {
+            const orders = await this.orderProtocol.getOrdersByTaker(taker);
+
+            for (let index = 0; index < orders.length; index++) {
+                if (!orders[index].accepted || orders[index].fullfilled) {
+                    continue;
+                }
+                const orderId = await this.orderProtocol.getOrderIdByTaker(
+                    taker,
+                    index
+                );
+                candidates.add(orderId);
+            }
+        }
+
+        return Array.from(candidates);
+    }
+
+    async readOrder(orderId) {
+        return this.orderProtocol.getOrder(orderId);
+    }
+
+    /**
+     * Call fullfillOrder with an empty proof so the contract refunds the
+     * maker, then record the failure and notify the maker
+     */
+    async refundExpiredOrder(orderId, chainOrder) {
+        console.log(
+            `⏰ Order ${orderId} passed its fulfillment window, refunding maker ${chainOrder.maker}`
+        );
+
+        // Gas estimation re-checks the order against the contract first
+        const { transactionHash: hash, receipt } =
+            await this.orderProtocol.fulfillOrder(orderId, "", { orderId });
+
+        if (receipt.status !== "success") {
+            throw new Error(`Refund transaction ${hash} reverted`);
+        }
+        this.refundedCount += 1;
+
+        console.log(`✅ Maker refunded for order ${orderId} (tx ${hash})`);
+
+        const maker = chainOrder.maker.toLowerCase();
+        const reason = "Fulfillment window expired; maker refunded";
+        let order = null;
+        try {
+            ({ order } = await transitionOrder(orderId, "failed", {
+                actor: "expiry-watchdog",
+                actorType: "relayer",
+                reason,
+                transactionHash: hash,
+            }));
+        } catch (error) {
+            if (
+                !(error instanceof OrderNotFoundError) &&
+                !(error instanceof InvalidTransitionError)
+            ) {
+                throw error;
+            }
+            console.warn(`⚠️ Status not recorded: ${error.message}`);
+        }
+
+        if (this.io) {
+            const timestamp = new Date().toISOString();
+            if (order) {
+                this.io.emit("orderStatusChanged", {
+                    orderId,
+                    previousStatus: "accepted",
+                    status: order.status,
+                    acceptedBy: order.acceptedBy,
+                    acceptedPrice: order.acceptedPrice,
+                    proof: order.proof,
+                    timestamp,
+                });
+            }
+            this.io.emit("orderRefunded", {
+                orderId,
+                maker,
+                taker: chainOrder.taker.toLowerCase(),
+                reason,
+                transactionHash: hash,
+                timestamp,
+            });
+        }
+
+        return { transactionHash: hash, order };
+    }
+
+    getStatus() {
+        return {
+            running: this.isRunning,
+            maxFulfillmentTime:
+                this.maxFulfillmentTime !== null
+                    ? Number(this.maxFulfillmentTime)
+                    : null,
+            takers: this.takers,
+            lastScanAt: this.lastScanAt,
+            lastError: this.lastError,
+            refundedCount: this.refundedCount,
+        };
+    }
+}
+
+ExpiryWatchdog.isFulfillmentExpired = isFulfillmentExpired;
+
+module.exports = ExpiryWatchdog;
@@ -0,0 +1,166 @@
+const Order = require("../models/Order");
+const OrderEvent = require("../models/OrderEvent");
+
+const ORDER_STATUSES = [
+    "created",
+    "auction_active",
+    "accepted",
+    "fulfilled",
+    "failed",
+];
+
+// Allowed status transitions; fulfilled and failed are terminal
+const ORDER_TRANSITIONS = {
+    created: ["auction_active", "accepted", "failed"],
+    auction_active: ["created", "accepted", "failed"],
+    accepted: ["fulfilled", "failed"],
+    fulfilled: [],
+    failed: [],
+};
+
+class InvalidTransitionError extends Error {
+    constructor(orderId, fromStatus, toStatus) {
+        super(
+            `Illegal status transition for order ${orderId}: ${fromStatus} → ${toStatus}`
+        );
+        this.name = "InvalidTransitionError";
+        this.orderId = orderId;
+        this.fromStatus = fromStatus;
+        this.toStatus = toStatus;
+    }
+}
+
+class OrderNotFoundError extends Error {
+    constructor(orderId) {
+        super(`No order found with ID ${orderId}`);
+        this.name = "OrderNotFoundError";
+        this.orderId = orderId;
+    }
+}
+
+/**
+ * Check whether a status transition is allowed
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean}
+ */
+function canTransition(fromStatus, toStatus) {
+    return (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Move an order to a new status and append the transition to its history.
+ * The update is conditional on the status read, so concurrent writers cannot
+ * both transition from the same state. Transitioning to the current status is
+ * a no-op (extra fields are still applied) and is not recorded.
+ *
+ * @param {string} orderId - The order ID
+ * @param {string} toStatus - Target status
+ * @param {Object} options
+ * @param {string} options.actor - Who caused the transition (address or service)
+ * @param {string} options.actorType - maker / resolver / relayer / chain / admin / system
+ * @param {string} [options.reason] - Human-readable reason
+ * @param {string} [options.transactionHash] - Related on-chain transaction
+ * @param {Object} [options.fields] - Extra Order fields to set with the status
+ * @param {Object} [options.metadata] - Extra data stored on the event
+ * @param {boolean} [options.force] - Bypass the transition table (chain reconciliation only)
+ * @returns {Promise<Object>} { order, changed, fromStatus }
+ */
+async function transitionOrder(orderId, toStatus, options = {}) {
+    const {
+        actor,
+        actorType,
+        reason = null,
+        transactionHash = null,
+        fields = {},
+        metadata = null,
+        force = false,
+    } = options;
+
+    if (!ORDER_STATUSES.includes(toStatus)) {
+        throw new InvalidTransitionError(orderId, "unknown", toStatus);
+    }
+
+    // Retry when another writer changes the status between read and update
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const order = await Order.findByOrderId(orderId);
+        if (!order) {
+            throw new OrderNotFoundError(orderId);
+        }
+
+        const fromStatus = order.status;
+
+        if (fromStatus === toStatus) {
+            const updated =
+                Object.keys(fields).length > 0
+                    ? await Order.findOneAndUpdate(
+                          { orderId },
+                          { $set: fields },
+                          { new: true }
+                      )
+                    : order;
+            return { order: updated, changed: false, fromStatus };
+        }
+
+        if (!force && !canTransition(fromStatus, toStatus)) {
+            throw new InvalidTransitionError(orderId, fromStatus, toStatus);
+        }
+
+        const updated = await Order.findOneAndUpdate(
+            { orderId, status: fromStatus },
+            { $set: { ...fields, status: toStatus } },
+            { new: true }
+        );
+
+        if (!updated) {
+            continue;
+        }
+
+        await OrderEvent.create({
+            orderId,
+            fromStatus,
+            toStatus,
+            actor,
+            actorType,
+            reason,
+            transactionHash,
+            forced: force && !canTransition(fromStatus, toStatus),
+            metadata,
+        });
+
+        console.log(
+            `🔄 Order ${orderId}: ${fromStatus} → ${toStatus} (${actorType}: ${actor})`
+        );
+
+        return { order: updated, changed: true, fromStatus };
+    }
+
+    throw new Error(`Concurrent status updates on order ${orderId}`);
+}
+
+/**
+ * Record the creation event that starts an order's history
+ * @param {Object} order - The newly created Order document
+ * @param {Object} options - { actor, actorType, transactionHash, reason }
+ */
+async function recordOrderCreated(order, options = {}) {
+    return OrderEvent.create({
+        orderId: order.orderId,
+        fromStatus: null,
+        toStatus: order.status,
+        actor: options.actor || order.walletAddress,
+        actorType: options.actorType || "maker",
+        reason: options.reason || "Order created",
+        transactionHash: options.transactionHash || order.transactionHash,
+    });
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    InvalidTransitionError,
+    OrderNotFoundError,
+    canTransition,
+    transitionOrder,
+    recordOrderCreated,
+};
@@ -0,0 +1,116 @@
+/**
+ * Payout proofs: whether a payout fetched from the payout provider pays an
+ * order, so the relayer can fulfill it on-chain.
+ */
+
+const { inrToPaise, formatPaise } = require("../../payouts/money");
+const {
+    parseBeneficiary,
+    attachBankAccount,
+    payoutMatchesBeneficiary,
+    describeBeneficiary,
+} = require("../../payouts/beneficiary");
+
+/**
+ * Validate a payout as proof for an order: the amount must be the
+ * order's INR amount in paise (exact BigInt conversion), the payout must be
+ * processed, paid to the order's beneficiary (UPI to its VPA or IMPS/NEFT to
+ * its bank account), reference the order and be created after the order
+ * was accepted.
+ * @param {string} orderId - The order ID
+ * @param {Object} orderDetails - On-chain order (getOrder, stringified)
+ * @param {Object} payoutDetails - Normalized payout (with beneficiary)
+ * @param {Object} [options]
+ * @param {Object} [options.bankAccount] - Off-chain bank details for a
+ *   bankref recipient; without them only a UPI payout can match
+ * @returns {Object} { valid, reason }
+ */
+function validateTransaction(
+    orderId,
+    orderDetails,
+    payoutDetails,
+    { bankAccount = null } = {}
+) {
+    const expectedAmountPaise = inrToPaise(orderDetails.amount);
+    let actualAmountPaise;
+    try {
+        actualAmountPaise = BigInt(payoutDetails.amount);
+    } catch (error) {
+        return {
+            valid: false,
+            reason: `Invalid payout amount: ${payoutDetails.amount}`,
+        };
+    }
+
+    if (actualAmountPaise !== expectedAmountPaise) {
+        return {
+            valid: false,
+            reason: `Amount mismatch: expected ${expectedAmountPaise} paise (₹${formatPaise(
+                expectedAmountPaise
+            )}), got ${actualAmountPaise} paise (₹${formatPaise(
+                actualAmountPaise
+            )})`,
+        };
+    }
+
+    if (payoutDetails.status !== "processed") {
+        return {
+            valid: false,
+            reason: `Payout not successful: status is ${payoutDetails.status} (expected 'processed')`,
+        };
+    }
+
+    let beneficiary;
+    try {
+        beneficiary = parseBeneficiary(orderDetails.recipientUpiAddress);
+        if (beneficiary.bankRef && bankAccount) {
+            beneficiary = attachBankAccount(beneficiary, bankAccount);
+        }
+    } catch (error) {
+        return {
+            valid: false,
+            reason: `Order recipient is invalid: ${error.message}`,
+        };
+    }
+    if (!payoutMatchesBeneficiary(beneficiary, payoutDetails)) {
+        const paidTo = payoutDetails.beneficiary;
+        return {
+            valid: false,
+            reason: `Payout recipient ${
+                paidTo ? describeBeneficiary(paidTo) : "(unknown)"
+            } via ${payoutDetails.mode} does not match order recipient ${describeBeneficiary(
+                beneficiary
+            )}`,
+        };
+    }
+
+    const references = [
+        payoutDetails.referenceId,
+        payoutDetails.orderId,
+    ].filter(Boolean);
+    if (
+        !references.some(
+            (reference) => reference.toLowerCase() === orderId.toLowerCase()
+        )
+    ) {
+        return {
+            valid: false,
+            reason: `Payout does not reference order ${orderId} (reference_id or notes.order_id)`,
+        };
+    }
+
+    // Check timing - payout should be after order acceptance (both in seconds)
+    const payoutTime = payoutDetails.createdAt;
+    const acceptedTime = orderDetails.acceptedTime;
+
+    if (payoutTime < acceptedTime) {
+        return {
+            valid: false,
+            reason: `Payout time (${payoutTime}) is before order acceptance time (${acceptedTime})`,
+        };
+    }
+
+    return { valid: true };
+}
+
+module.exports = { validateTransaction };
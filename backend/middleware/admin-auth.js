@@ -0,0 +1,111 @@
+const crypto = require("crypto");
+const { verifyMessage } = require("viem");
+
+const SIGNATURE_MAX_AGE = 300; // Admin signatures are valid for 5 minutes
+const usedSignatures = new Map(); // signature -> expiry (ms), replay protection
+
+/**
+ * Message an admin wallet signs to authorize a single request
+ */
+function buildAdminMessage(method, path, timestamp, rawBody = "") {
+    const bodyHash = crypto.createHash("sha256").update(rawBody).digest("hex");
+    return [
+        "YuPI admin request",
+        `Method: ${method.toUpperCase()}`,
+        `Path: ${path}`,
+        `Timestamp: ${timestamp}`,
+        `Body: ${bodyHash}`,
+    ].join("\n");
+}
+
+function getAdminAddresses() {
+    return (process.env.ADMIN_ADDRESSES || "")
+        .split(",")
+        .map((address) => address.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function checkApiKey(providedKey) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    if (!adminKey || !providedKey) return false;
+
+    const expected = Buffer.from(adminKey);
+    const received = Buffer.from(providedKey);
+    return (
+        expected.length === received.length &&
+        crypto.timingSafeEqual(expected, received)
+    );
+}
+
+async function checkSignature(req) {
+    const address = (req.get("X-Admin-Address") || "").toLowerCase();
+    const timestamp = req.get("X-Admin-Timestamp");
+    const signature = req.get("X-Admin-Signature");
+
+    if (!address || !timestamp || !signature) return null;
+    if (!getAdminAddresses().includes(address)) return null;
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+    if (!Number.isFinite(age) || age > SIGNATURE_MAX_AGE) return null;
+
+    const now = Date.now();
+    for (const [usedSignature, expiry] of usedSignatures) {
+        if (expiry < now) usedSignatures.delete(usedSignature);
+    }
+    if (usedSignatures.has(signature)) return null;
+
+    const message = buildAdminMessage(
+        req.method,
+        req.originalUrl,
+        timestamp,
+        req.rawBody ? req.rawBody.toString("utf8") : ""
+    );
+
+    try {
+        const valid = await verifyMessage({ address, message, signature });
+        if (!valid) return null;
+    } catch (error) {
+        return null;
+    }
+
+    usedSignatures.set(signature, now + SIGNATURE_MAX_AGE * 2 * 1000);
+    return address;
+}
+
+/**
+ * Require admin credentials: either the ADMIN_API_KEY in X-Admin-Key, or a
+ * wallet signature from one of ADMIN_ADDRESSES over the request (headers
+ * X-Admin-Address, X-Admin-Timestamp, X-Admin-Signature).
+ * Sets req.admin = { method, actor } on success.
+ */
+const requireAdmin = async (req, res, next) => {
+    try {
+        if (!process.env.ADMIN_API_KEY && getAdminAddresses().length === 0) {
+            return res.status(503).json({
+                error: "Admin API disabled",
+                message: "Neither ADMIN_API_KEY nor ADMIN_ADDRESSES is configured",
+            });
+        }
+
+        if (checkApiKey(req.get("X-Admin-Key"))) {
+            req.admin = { method: "api_key", actor: "admin:api_key" };
+            return next();
+        }
+
+        const signer = await checkSignature(req);
+        if (signer) {
+            req.admin = { method: "signature", actor: signer };
+            return next();
+        }
+
+        res.status(401).json({
+            error: "Unauthorized",
+            message:
+                "A valid X-Admin-Key header or admin wallet signature is required",
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = { requireAdmin, buildAdminMessage };
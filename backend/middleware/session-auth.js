@@ -0,0 +1,44 @@
+/**
+ * Require a SIWE session: `Authorization: Bearer <token>` from
+ * POST /api/auth/verify. Sets req.session = { address, chainId, expiresAt }.
+ */
+const requireSession = (req, res, next) => {
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+    const session =
+        scheme === "Bearer" && token
+            ? req.app.get("siweSessionManager").verifySession(token)
+            : null;
+
+    if (!session) {
+        return res.status(401).json({
+            error: "Unauthorized",
+            message:
+                "Sign in with Ethereum and send the session token as a Bearer token",
+        });
+    }
+
+    req.session = session;
+    next();
+};
+
+/**
+ * Require a SIWE session for the wallet a request acts on
+ * @param {Function} getAddress - (req) => the request's wallet address
+ */
+const requireWalletSession = (getAddress) => [
+    requireSession,
+    (req, res, next) => {
+        const address = (getAddress(req) || "").toLowerCase();
+        if (address !== req.session.address) {
+            return res.status(403).json({
+                error: "Forbidden",
+                message: `This session is for ${req.session.address}, not ${
+                    address || "an unspecified wallet"
+                }`,
+            });
+        }
+        next();
+    },
+];
+
+module.exports = { requireSession, requireWalletSession };
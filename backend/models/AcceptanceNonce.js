@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// Nonces of EIP-712 resolver acceptances the relayer has acted on. Kept
+// until the acceptance's deadline so a signature can't be replayed.
+const acceptanceNonceSchema = new mongoose.Schema(
+    {
+        resolver: {
+            type: String,
+            required: true,
+            lowercase: true,
+        },
+        nonce: {
+            type: String,
+            required: true,
+        },
+        orderId: {
+            type: String,
+            required: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+acceptanceNonceSchema.index({ resolver: 1, nonce: 1 }, { unique: true });
+acceptanceNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Record a resolver's acceptance nonce as used
+ * @returns {Promise<boolean>} false if the resolver already used it
+ */
+acceptanceNonceSchema.statics.consume = async function (
+    resolver,
+    nonce,
+    { orderId, expiresAt }
+) {
+    try {
+        await this.create({ resolver, nonce, orderId, expiresAt });
+        return true;
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+module.exports = mongoose.model("AcceptanceNonce", acceptanceNonceSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// SIWE nonces. Each one can sign in once; Mongo drops them once expired.
+const authNonceSchema = new mongoose.Schema(
+    {
+        nonce: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        usedAt: {
+            type: Date,
+            default: null,
+        },
+        usedBy: {
+            type: String,
+            lowercase: true,
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Mark an unexpired, unused nonce as used
+ * @returns {Promise<Object|null>} The nonce document, or null if it was
+ *   never issued, has expired or was already used
+ */
+authNonceSchema.statics.consume = function (nonce, address) {
+    return this.findOneAndUpdate(
+        { nonce, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date(), usedBy: address } },
+        { new: true }
+    );
+};
+
+module.exports = mongoose.model("AuthNonce", authNonceSchema);
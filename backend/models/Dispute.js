@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+const disputeSchema = new mongoose.Schema(
+    {
+        disputeId: {
+            type: String,
+            required: true,
+            unique: true,
+            index: true,
+        },
+        type: {
+            type: String,
+            enum: ["payout_reversed"],
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ["open", "resolved"],
+            default: "open",
+            index: true,
+        },
+        orderId: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        payoutId: {
+            type: String,
+            required: true,
+        },
+        makerAddress: {
+            type: String,
+            lowercase: true,
+            default: null,
+        },
+        resolverAddress: {
+            type: String,
+            lowercase: true,
+            default: null,
+        },
+        amount: {
+            type: Number, // Paise
+            default: null,
+        },
+        reason: {
+            type: String,
+            required: true,
+        },
+        resolution: {
+            type: String,
+            default: null,
+        },
+        resolvedBy: {
+            type: String,
+            default: null,
+        },
+        resolvedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// One dispute per payout and cause
+disputeSchema.index({ payoutId: 1, type: 1 }, { unique: true });
+
+disputeSchema.methods.toFormattedJSON = function () {
+    return {
+        disputeId: this.disputeId,
+        type: this.type,
+        status: this.status,
+        orderId: this.orderId,
+        payoutId: this.payoutId,
+        makerAddress: this.makerAddress,
+        resolverAddress: this.resolverAddress,
+        amount: this.amount,
+        reason: this.reason,
+        resolution: this.resolution,
+        resolvedBy: this.resolvedBy,
+        resolvedAt: this.resolvedAt,
+        createdAt: this.createdAt,
+    };
+};
+
+module.exports = mongoose.model("Dispute", disputeSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+const indexerCheckpointSchema = new mongoose.Schema(
+    {
+        // One checkpoint per indexer + contract + chain
+        name: {
+            type: String,
+            required: true,
+        },
+        chainId: {
+            type: Number,
+            required: true,
+        },
+        contractAddress: {
+            type: String,
+            required: true,
+            lowercase: true,
+        },
+        lastBlock: {
+            type: Number,
+            required: true,
+        },
+        lastBlockHash: {
+            type: String,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+indexerCheckpointSchema.index(
+    { name: 1, chainId: 1, contractAddress: 1 },
+    { unique: true }
+);
+
+module.exports = mongoose.model("IndexerCheckpoint", indexerCheckpointSchema);
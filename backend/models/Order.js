@@ -1,4 +1,41 @@
 const mongoose = require("mongoose");
+const {
+    parseBeneficiary,
+    attachBankAccount,
+} = require("../../payouts/beneficiary");
+
+const bankAccountSchema = new mongoose.Schema(
+    {
+        accountNumber: { type: String, required: true },
+        ifsc: { type: String, required: true, uppercase: true },
+        name: { type: String, required: true },
+        salt: { type: String, default: null }, // For the on-chain bankref
+    },
+    { _id: false }
+);
+
+const beneficiarySchema = new mongoose.Schema(
+    {
+        type: {
+            type: String, // Preferred rail: UPI (vpa) or IMPS/NEFT (bank_account)
+            enum: ["vpa", "bank_account"],
+            required: true,
+        },
+        vpa: {
+            type: String,
+            default: null,
+        },
+        bankAccount: {
+            type: bankAccountSchema, // Also the IMPS fallback for vpa orders
+            default: null,
+        },
+        bankRef: {
+            type: String, // On-chain hash of bankAccount, see payouts/beneficiary.js
+            default: null,
+        },
+    },
+    { _id: false }
+);
 
 const orderSchema = new mongoose.Schema(
     {
@@ -44,10 +81,14 @@ const orderSchema = new mongoose.Schema(
             required: true,
         },
         recipientUpiAddress: {
-            type: String,
+            type: String, // On-chain recipient, see payouts/beneficiary.js
             required: true,
             trim: true,
         },
+        beneficiary: {
+            type: beneficiarySchema, // Parsed from recipientUpiAddress
+            default: null,
+        },
         transactionHash: {
             type: String,
             required: true,
@@ -58,6 +99,10 @@ const orderSchema = new mongoose.Schema(
             type: Number,
             required: true,
         },
+        submittedAt: {
+            type: Date, // When the maker posted it; the indexer may record it first
+            default: null,
+        },
         status: {
             type: String,
             enum: [
@@ -106,6 +151,11 @@ const orderSchema = new mongoose.Schema(
                 message: "Invalid acceptedBy address format",
             },
         },
+        proof: {
+            type: String, // RazorpayX payout ID stored on-chain at fulfillment
+            default: null,
+            index: true,
+        },
         createdAt: {
             type: Date,
             default: Date.now,
@@ -126,6 +176,48 @@ orderSchema.index({ walletAddress: 1, createdAt: -1 });
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ auctionActive: 1, auctionEndTime: 1 });
 
+// Keep the typed beneficiary in step with the on-chain recipient string.
+// Orders whose recipient can't be parsed are still recorded, without one.
+// Bank details posted by the maker stay as long as they match the recipient's
+// bankref.
+orderSchema.pre("validate", function (next) {
+    if (this.isModified("recipientUpiAddress") || !this.beneficiary) {
+        const stored = this.beneficiary?.bankAccount?.toObject();
+        let beneficiary = null;
+        try {
+            beneficiary = parseBeneficiary(this.recipientUpiAddress);
+        } catch (error) {
+            // Recorded without a beneficiary
+        }
+        if (beneficiary?.bankRef && stored) {
+            try {
+                beneficiary = attachBankAccount(beneficiary, stored);
+            } catch (error) {
+                // Details for another reference; drop them
+            }
+        }
+        this.beneficiary = beneficiary;
+    }
+    next();
+});
+
+/**
+ * Beneficiary without the off-chain bank details, for API responses
+ */
+orderSchema.methods.publicBeneficiary = function () {
+    if (!this.beneficiary) return null;
+    const { type, vpa, bankAccount, bankRef } = this.beneficiary;
+    return {
+        type,
+        vpa,
+        bankRef,
+        bankAccount: bankAccount && {
+            ifsc: bankAccount.ifsc,
+            last4: bankAccount.accountNumber.slice(-4),
+        },
+    };
+};
+
 // Update the updatedAt field before saving
 orderSchema.pre("save", function (next) {
     this.updatedAt = new Date();
@@ -142,6 +234,7 @@ orderSchema.methods.toFormattedJSON = function () {
         startPrice: this.startPrice,
         endPrice: this.endPrice,
         recipientUpiAddress: this.recipientUpiAddress,
+        beneficiary: this.publicBeneficiary(),
         transactionHash: this.transactionHash,
         blockNumber: this.blockNumber,
         status: this.status,
@@ -152,6 +245,7 @@ orderSchema.methods.toFormattedJSON = function () {
         acceptedPrice: this.acceptedPrice,
         acceptedAt: this.acceptedAt,
         acceptedBy: this.acceptedBy,
+        proof: this.proof,
         createdAt: this.createdAt,
         updatedAt: this.updatedAt,
     };
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+const orderEventSchema = new mongoose.Schema(
+    {
+        orderId: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        fromStatus: {
+            type: String, // null for the creation event
+            default: null,
+        },
+        toStatus: {
+            type: String,
+            required: true,
+        },
+        actor: {
+            type: String, // Address, service name or "admin:<method>"
+            required: true,
+        },
+        actorType: {
+            type: String,
+            enum: ["maker", "resolver", "relayer", "chain", "admin", "system"],
+            required: true,
+        },
+        reason: {
+            type: String,
+            default: null,
+        },
+        transactionHash: {
+            type: String,
+            default: null,
+        },
+        forced: {
+            type: Boolean, // Transition bypassed the state machine (chain reconciliation)
+            default: false,
+        },
+        metadata: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+orderEventSchema.index({ orderId: 1, createdAt: 1 });
+
+// History is append-only: refuse any update or delete
+const rejectMutation = function (next) {
+    next(new Error("OrderEvent history is append-only"));
+};
+orderEventSchema.pre(
+    [
+        "updateOne",
+        "updateMany",
+        "findOneAndUpdate",
+        "replaceOne",
+        "findOneAndReplace",
+        "deleteOne",
+        "deleteMany",
+        "findOneAndDelete",
+    ],
+    rejectMutation
+);
+orderEventSchema.pre("save", function (next) {
+    if (!this.isNew) {
+        return rejectMutation(next);
+    }
+    next();
+});
+
+orderEventSchema.methods.toFormattedJSON = function () {
+    return {
+        orderId: this.orderId,
+        fromStatus: this.fromStatus,
+        toStatus: this.toStatus,
+        actor: this.actor,
+        actorType: this.actorType,
+        reason: this.reason,
+        transactionHash: this.transactionHash,
+        forced: this.forced,
+        metadata: this.metadata,
+        createdAt: this.createdAt,
+    };
+};
+
+// Static method to get the timeline of an order, oldest first
+orderEventSchema.statics.findByOrderId = function (orderId) {
+    return this.find({ orderId }).sort({ createdAt: 1, _id: 1 });
+};
+
+module.exports = mongoose.model("OrderEvent", orderEventSchema);
@@ -0,0 +1,124 @@
+const mongoose = require("mongoose");
+
+const payoutEventSchema = new mongoose.Schema(
+    {
+        eventId: {
+            type: String, // X-Razorpay-Event-Id, for de-duplication
+            default: null,
+        },
+        event: {
+            type: String, // e.g. payout.processed
+            required: true,
+        },
+        status: {
+            type: String,
+            required: true,
+        },
+        occurredAt: {
+            type: Date, // RazorpayX event created_at
+            default: null,
+        },
+        receivedAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+const payoutSchema = new mongoose.Schema(
+    {
+        payoutId: {
+            type: String, // RazorpayX payout ID (pout_...)
+            required: true,
+            unique: true,
+            index: true,
+        },
+        orderId: {
+            type: String, // From the payout's notes.order_id
+            default: null,
+            index: true,
+        },
+        status: {
+            type: String,
+            enum: ["processed", "failed", "reversed"],
+            required: true,
+            index: true,
+        },
+        amount: {
+            type: Number, // Paise
+            required: true,
+        },
+        currency: {
+            type: String,
+            default: "INR",
+        },
+        mode: {
+            type: String,
+            default: null,
+        },
+        fundAccountId: {
+            type: String,
+            default: null,
+        },
+        referenceId: {
+            type: String,
+            default: null,
+        },
+        utr: {
+            type: String,
+            default: null,
+        },
+        failureReason: {
+            type: String,
+            default: null,
+        },
+        notes: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        processedAt: {
+            type: Date,
+            default: null,
+        },
+        failedAt: {
+            type: Date,
+            default: null,
+        },
+        reversedAt: {
+            type: Date,
+            default: null,
+        },
+        events: [payoutEventSchema],
+    },
+    {
+        timestamps: true,
+    }
+);
+
+payoutSchema.methods.toFormattedJSON = function () {
+    return {
+        payoutId: this.payoutId,
+        orderId: this.orderId,
+        status: this.status,
+        amount: this.amount,
+        currency: this.currency,
+        mode: this.mode,
+        fundAccountId: this.fundAccountId,
+        referenceId: this.referenceId,
+        utr: this.utr,
+        failureReason: this.failureReason,
+        processedAt: this.processedAt,
+        failedAt: this.failedAt,
+        reversedAt: this.reversedAt,
+        events: this.events.map(({ event, status, occurredAt, receivedAt }) => ({
+            event,
+            status,
+            occurredAt,
+            receivedAt,
+        })),
+        updatedAt: this.updatedAt,
+    };
+};
+
+module.exports = mongoose.model("Payout", payoutSchema);
@@ -0,0 +1,144 @@
+const mongoose = require("mongoose");
+
+// One broadcast of a relayer transaction; fee bumps add further broadcasts
+// with the same nonce
+const broadcastSchema = new mongoose.Schema(
+    {
+        hash: {
+            type: String,
+            required: true,
+            lowercase: true,
+        },
+        maxFeePerGas: {
+            type: String, // wei
+            required: true,
+        },
+        maxPriorityFeePerGas: {
+            type: String, // wei
+            required: true,
+        },
+        sentAt: {
+            type: Date,
+            default: Date.now,
+        },
+    },
+    { _id: false }
+);
+
+const relayerTransactionSchema = new mongoose.Schema(
+    {
+        from: {
+            type: String,
+            required: true,
+            lowercase: true,
+        },
+        chainId: {
+            type: Number,
+            required: true,
+        },
+        nonce: {
+            type: Number,
+            required: true,
+        },
+        to: {
+            type: String,
+            required: true,
+            lowercase: true,
+        },
+        functionName: {
+            type: String,
+            required: true,
+        },
+        args: {
+            type: [String], // Stringified call arguments, for display
+            default: [],
+        },
+        data: {
+            type: String, // Calldata, re-sent unchanged on fee bumps
+            required: true,
+        },
+        gas: {
+            type: String,
+            required: true,
+        },
+        orderId: {
+            type: String,
+            default: null,
+            index: true,
+        },
+        status: {
+            type: String,
+            enum: ["pending", "confirmed", "failed", "dropped"],
+            default: "pending",
+            index: true,
+        },
+        broadcasts: {
+            type: [broadcastSchema],
+            default: [],
+        },
+        transactionHash: {
+            type: String, // The broadcast that was mined
+            lowercase: true,
+            default: null,
+        },
+        blockNumber: {
+            type: Number,
+            default: null,
+        },
+        gasUsed: {
+            type: String,
+            default: null,
+        },
+        lastError: {
+            type: String,
+            default: null,
+        },
+        finalizedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// A nonce is only ever held by one transaction at a time; dropped and failed
+// sends may leave earlier records behind for the same nonce
+relayerTransactionSchema.index(
+    { from: 1, chainId: 1, nonce: 1 },
+    { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+relayerTransactionSchema.methods.latestBroadcast = function () {
+    return this.broadcasts[this.broadcasts.length - 1] || null;
+};
+
+relayerTransactionSchema.methods.toFormattedJSON = function () {
+    const latest = this.latestBroadcast();
+    return {
+        id: this._id.toString(),
+        from: this.from,
+        chainId: this.chainId,
+        nonce: this.nonce,
+        to: this.to,
+        functionName: this.functionName,
+        args: this.args,
+        orderId: this.orderId,
+        status: this.status,
+        transactionHash: this.transactionHash || (latest && latest.hash),
+        broadcasts: this.broadcasts.map((broadcast) => ({
+            hash: broadcast.hash,
+            maxFeePerGas: broadcast.maxFeePerGas,
+            maxPriorityFeePerGas: broadcast.maxPriorityFeePerGas,
+            sentAt: broadcast.sentAt,
+        })),
+        blockNumber: this.blockNumber,
+        gasUsed: this.gasUsed,
+        lastError: this.lastError,
+        createdAt: this.createdAt,
+        finalizedAt: this.finalizedAt,
+    };
+};
+
+module.exports = mongoose.model("RelayerTransaction", relayerTransactionSchema);
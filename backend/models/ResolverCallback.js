@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+const resolverCallbackSchema = new mongoose.Schema(
+    {
+        resolverAddress: {
+            type: String,
+            required: true,
+            unique: true,
+            lowercase: true,
+            index: true,
+            validate: {
+                validator: function (v) {
+                    return /^0x[a-fA-F0-9]{40}$/.test(v);
+                },
+                message: "Invalid resolver address format",
+            },
+        },
+        callbackUrl: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        secret: {
+            type: String, // HMAC key shared with the resolver at registration
+            required: true,
+            select: false,
+        },
+        registrationSignature: {
+            type: String,
+            required: true,
+        },
+        registeredAt: {
+            type: Date,
+            default: Date.now,
+        },
+        active: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Static method to find the active callback for a resolver (includes secret)
+resolverCallbackSchema.statics.findActiveByResolver = function (
+    resolverAddress
+) {
+    return this.findOne({
+        resolverAddress: resolverAddress.toLowerCase(),
+        active: true,
+    }).select("+secret");
+};
+
+module.exports = mongoose.model("ResolverCallback", resolverCallbackSchema);
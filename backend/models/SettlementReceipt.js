@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+
+const allocationSchema = new mongoose.Schema(
+    {
+        role: {
+            type: String,
+            enum: ["relayer", "maker", "resolver"],
+            required: true,
+        },
+        participant: {
+            type: String,
+            required: true,
+            lowercase: true,
+        },
+        asset: {
+            type: String,
+            required: true,
+        },
+        amount: {
+            type: String, // Decimal string in asset units, as sent to ClearNode
+            required: true,
+        },
+    },
+    { _id: false }
+);
+
+const settlementReceiptSchema = new mongoose.Schema(
+    {
+        orderId: {
+            type: String,
+            required: true,
+            unique: true,
+            index: true,
+        },
+        sessionId: {
+            type: String,
+            default: null,
+        },
+        status: {
+            type: String,
+            enum: ["pending", "settled", "failed"],
+            default: "pending",
+            index: true,
+        },
+        payoutId: {
+            type: String, // RazorpayX payout the settlement pays for
+            default: null,
+            index: true,
+        },
+        acceptedPrice: {
+            type: String, // INR per token, 18 decimals
+            required: true,
+        },
+        resolverFeeBps: {
+            type: Number,
+            required: true,
+        },
+        relayerFeeBps: {
+            type: Number,
+            required: true,
+        },
+        allocations: {
+            type: [allocationSchema],
+            default: [],
+        },
+        stateVersion: {
+            type: Number,
+            default: null,
+        },
+        closeResponse: {
+            type: mongoose.Schema.Types.Mixed, // Signed ClearNode response
+            default: null,
+        },
+        resolverSignature: {
+            type: String, // Resolver's co-signature over the final allocations
+            default: null,
+        },
+        clearNodeSigner: {
+            type: String,
+            lowercase: true,
+            default: null,
+        },
+        signatureVerified: {
+            type: Boolean,
+            default: false,
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+        settledAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+settlementReceiptSchema.methods.toFormattedJSON = function () {
+    return {
+        orderId: this.orderId,
+        sessionId: this.sessionId,
+        status: this.status,
+        payoutId: this.payoutId,
+        acceptedPrice: this.acceptedPrice,
+        resolverFeeBps: this.resolverFeeBps,
+        relayerFeeBps: this.relayerFeeBps,
+        allocations: this.allocations.map(
+            ({ role, participant, asset, amount }) => ({
+                role,
+                participant,
+                asset,
+                amount,
+            })
+        ),
+        stateVersion: this.stateVersion,
+        resolverCosigned: !!this.resolverSignature,
+        clearNodeSigner: this.clearNodeSigner,
+        signatureVerified: this.signatureVerified,
+        error: this.error,
+        settledAt: this.settledAt,
+        createdAt: this.createdAt,
+    };
+};
+
+module.exports = mongoose.model("SettlementReceipt", settlementReceiptSchema);
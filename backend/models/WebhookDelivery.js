@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+
+const webhookDeliverySchema = new mongoose.Schema(
+    {
+        deliveryId: {
+            type: String,
+            required: true,
+            unique: true,
+            index: true,
+        },
+        resolverAddress: {
+            type: String,
+            required: true,
+            lowercase: true,
+            index: true,
+        },
+        orderId: {
+            type: String,
+            default: null,
+            index: true,
+        },
+        eventType: {
+            type: String,
+            required: true,
+        },
+        callbackUrl: {
+            type: String,
+            required: true,
+        },
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ["pending", "delivered", "failed"],
+            default: "pending",
+            index: true,
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        maxAttempts: {
+            type: Number,
+            default: 6,
+        },
+        nextAttemptAt: {
+            type: Date,
+            default: Date.now,
+        },
+        lastAttemptAt: {
+            type: Date,
+            default: null,
+        },
+        lastResponseStatus: {
+            type: Number,
+            default: null,
+        },
+        lastError: {
+            type: String,
+            default: null,
+        },
+        deliveredAt: {
+            type: Date,
+            default: null,
+        },
+        replayedFrom: {
+            type: String, // deliveryId of the original delivery when replayed
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+webhookDeliverySchema.methods.toFormattedJSON = function () {
+    return {
+        deliveryId: this.deliveryId,
+        resolverAddress: this.resolverAddress,
+        orderId: this.orderId,
+        eventType: this.eventType,
+        callbackUrl: this.callbackUrl,
+        status: this.status,
+        attempts: this.attempts,
+        maxAttempts: this.maxAttempts,
+        nextAttemptAt: this.nextAttemptAt,
+        lastAttemptAt: this.lastAttemptAt,
+        lastResponseStatus: this.lastResponseStatus,
+        lastError: this.lastError,
+        deliveredAt: this.deliveredAt,
+        replayedFrom: this.replayedFrom,
+        createdAt: this.createdAt,
+    };
+};
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,246 @@
+const CoinGeckoPriceProvider = require("./providers/coingecko-provider");
+const StaticPriceProvider = require("./providers/static-provider");
+const TwapPriceProvider = require("./providers/twap-provider");
+
+const MAX_STALENESS = parseInt(process.env.PRICE_MAX_STALENESS_MS) || 300000;
+const MAX_DEVIATION = parseFloat(process.env.PRICE_MAX_DEVIATION) || 0.02;
+// Two sources at least, so the deviation check always has something to compare
+const MIN_SOURCES = parseInt(process.env.PRICE_MIN_SOURCES) || 2;
+const PROVIDER_TIMEOUT =
+    parseInt(process.env.PRICE_PROVIDER_TIMEOUT_MS) || 10000;
+
+class PriceConfidenceError extends Error {
+    constructor(tokenSymbol, reason, details = {}) {
+        super(`No confident price for ${tokenSymbol}: ${reason}`);
+        this.name = "PriceConfidenceError";
+        this.tokenSymbol = tokenSymbol;
+        this.reason = reason;
+        this.details = details;
+    }
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0
+        ? (sorted[middle - 1] + sorted[middle]) / 2
+        : sorted[middle];
+}
+
+/**
+ * Price Oracle
+ *
+ * Aggregates INR quotes from several providers (CoinGecko, static/file feeds,
+ * on-chain TWAPs) into a median price. Quotes older than `maxStaleness` are
+ * discarded; if fewer than `minSources` remain, or any remaining source is
+ * more than `maxDeviation` away from the median, the oracle refuses to quote
+ * rather than guess. With the default of two sources it fails closed when
+ * only one is healthy. Every result reports which sources were used.
+ */
+class PriceOracle {
+    constructor(options = {}) {
+        this.providers = options.providers || [];
+        this.maxStaleness = options.maxStaleness || MAX_STALENESS;
+        this.maxDeviation = options.maxDeviation || MAX_DEVIATION;
+        this.minSources = options.minSources || MIN_SOURCES;
+        this.providerTimeout = options.providerTimeout || PROVIDER_TIMEOUT;
+        this.lastResults = new Map();
+
+        if (this.providers.length === 0) {
+            throw new Error("PriceOracle requires at least one provider");
+        }
+    }
+
+    /**
+     * Build the oracle from environment configuration. CoinGecko is always
+     * used; PRICE_FEED_FILE adds a file feed and PRICE_TWAP_POOLS (JSON) adds
+     * on-chain TWAPs read from PRICE_TWAP_RPC_URL (or RPC_URL). Configure at
+     * least PRICE_MIN_SOURCES (default 2) of them, or every quote is refused.
+     */
+    static fromEnv() {
+        const coinGecko = new CoinGeckoPriceProvider();
+        const providers = [coinGecko];
+
+        if (process.env.PRICE_FEED_FILE) {
+            providers.push(
+                new StaticPriceProvider({ file: process.env.PRICE_FEED_FILE })
+            );
+        }
+
+        if (process.env.PRICE_TWAP_POOLS) {
+            providers.push(
+                new TwapPriceProvider({
+                    pools: JSON.parse(process.env.PRICE_TWAP_POOLS),
+                    window: parseInt(process.env.PRICE_TWAP_WINDOW_SECONDS),
+                    rpcUrl:
+                        process.env.PRICE_TWAP_RPC_URL || process.env.RPC_URL,
+                    quoteProvider: coinGecko,
+                })
+            );
+        }
+
+        const oracle = new PriceOracle({ providers });
+        if (providers.length < oracle.minSources) {
+            console.warn(
+                `⚠️ Price oracle has ${providers.length} source(s) but needs ${oracle.minSources}; set PRICE_TWAP_POOLS or PRICE_FEED_FILE, or every quote will be refused`
+            );
+        }
+        return oracle;
+    }
+
+    async fetchQuote(provider, tokenSymbol) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(
+                () => reject(new Error("Provider timed out")),
+                this.providerTimeout
+            );
+        });
+
+        try {
+            return await Promise.race([
+                provider.getQuote(tokenSymbol),
+                timeout,
+            ]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Get an aggregated INR price for a token
+     * @param {string} tokenSymbol - Token symbol (e.g., 'USDC')
+     * @returns {Promise<Object>} { tokenSymbol, price, sources, rejected, deviation, timestamp }
+     * @throws {PriceConfidenceError} When the sources are too few, stale or disagree
+     */
+    async getPrice(tokenSymbol) {
+        const now = Date.now();
+        const results = await Promise.allSettled(
+            this.providers.map((provider) =>
+                this.fetchQuote(provider, tokenSymbol)
+            )
+        );
+
+        const sources = [];
+        const rejected = [];
+
+        results.forEach((result, index) => {
+            const name = this.providers[index].name;
+
+            if (result.status === "rejected") {
+                rejected.push({ name, reason: result.reason.message });
+                return;
+            }
+
+            const { price, updatedAt } = result.value;
+            const age = Math.max(now - updatedAt, 0);
+
+            if (!Number.isFinite(price) || price <= 0) {
+                rejected.push({ name, reason: `Invalid price ${price}` });
+            } else if (!Number.isFinite(age) || age > this.maxStaleness) {
+                rejected.push({
+                    name,
+                    price,
+                    reason: `Stale quote (${Math.round(age / 1000)}s old)`,
+                });
+            } else {
+                sources.push({ name, price, updatedAt, age });
+            }
+        });
+
+        if (sources.length < this.minSources) {
+            throw this.refuse(
+                tokenSymbol,
+                `${sources.length} fresh source(s), ${this.minSources} required`,
+                { sources, rejected }
+            );
+        }
+
+        const price = median(sources.map((source) => source.price));
+        const deviation = Math.max(
+            ...sources.map((source) => Math.abs(source.price - price) / price)
+        );
+
+        if (deviation > this.maxDeviation) {
+            throw this.refuse(
+                tokenSymbol,
+                `sources deviate ${(deviation * 100).toFixed(2)}% (max ${(
+                    this.maxDeviation * 100
+                ).toFixed(2)}%)`,
+                { sources, rejected, deviation }
+            );
+        }
+
+        const result = {
+            tokenSymbol: tokenSymbol.toUpperCase(),
+            price,
+            sources,
+            rejected,
+            deviation,
+            timestamp: new Date(now).toISOString(),
+        };
+
+        this.lastResults.set(result.tokenSymbol, result);
+        console.log(
+            `💰 Oracle price for ${result.tokenSymbol}: ₹${price} from ${sources
+                .map((source) => source.name)
+                .join(", ")}`
+        );
+        return result;
+    }
+
+    refuse(tokenSymbol, reason, details) {
+        console.warn(`⚠️ Refusing to quote ${tokenSymbol}: ${reason}`);
+        return new PriceConfidenceError(tokenSymbol, reason, details);
+    }
+
+    /**
+     * Calculate UPI amount for token trade using the aggregated price
+     * @param {string} tokenSymbol - Token to sell
+     * @param {number} tokenAmount - Amount of tokens
+     * @returns {Promise<Object>} Calculation result
+     */
+    async calculateUPIAmount(tokenSymbol, tokenAmount) {
+        const quote = await this.getPrice(tokenSymbol);
+        const totalINR = quote.price * tokenAmount;
+
+        return {
+            tokenSymbol,
+            tokenAmount,
+            pricePerToken: quote.price,
+            totalINR: totalINR.toFixed(2),
+            upiAmountPaise: Math.floor(totalINR * 100), // Convert to paise
+            formattedINR: `₹${totalINR.toFixed(2)}`,
+            sources: quote.sources.map(({ name, price, age }) => ({
+                name,
+                price,
+                age,
+            })),
+            rejectedSources: quote.rejected,
+            deviation: quote.deviation,
+            timestamp: quote.timestamp,
+        };
+    }
+
+    getStatus() {
+        return {
+            providers: this.providers.map((provider) => provider.name),
+            maxStaleness: this.maxStaleness,
+            maxDeviation: this.maxDeviation,
+            minSources: this.minSources,
+            lastPrices: Object.fromEntries(
+                Array.from(this.lastResults.entries()).map(
+                    ([symbol, result]) => [
+                        symbol,
+                        { price: result.price, timestamp: result.timestamp },
+                    ]
+                )
+            ),
+        };
+    }
+}
+
+PriceOracle.PriceConfidenceError = PriceConfidenceError;
+PriceOracle.median = median;
+
+module.exports = PriceOracle;
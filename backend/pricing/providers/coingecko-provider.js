@@ -0,0 +1,21 @@
+const CoinGeckoAPI = require("../../utils/coingecko-api");
+
+/**
+ * CoinGecko price provider (INR quotes from the simple/price endpoint)
+ */
+class CoinGeckoPriceProvider {
+    constructor(options = {}) {
+        this.name = options.name || "coingecko";
+        this.api = options.api || new CoinGeckoAPI();
+    }
+
+    /**
+     * @param {string} tokenSymbol - Token symbol (e.g., 'USDC')
+     * @returns {Promise<Object>} { price, updatedAt } (INR, ms timestamp)
+     */
+    async getQuote(tokenSymbol) {
+        return this.api.getTokenQuoteINR(tokenSymbol);
+    }
+}
+
+module.exports = CoinGeckoPriceProvider;
@@ -0,0 +1,61 @@
+const fs = require("fs");
+
+/**
+ * Static / file-based price provider, mainly for tests and local setups.
+ *
+ * Prices come either from an in-memory map or from a JSON file that is
+ * re-read on every quote, e.g.
+ *   { "USDC": { "price": 88.5, "updatedAt": "2025-01-01T00:00:00Z" } }
+ * A bare number is also accepted. Entries without updatedAt take the file's
+ * modification time (or "now" for in-memory prices).
+ */
+class StaticPriceProvider {
+    constructor(options = {}) {
+        this.name = options.name || (options.file ? "file" : "static");
+        this.prices = options.prices || null;
+        this.file = options.file || null;
+
+        if (!this.prices && !this.file) {
+            throw new Error("StaticPriceProvider requires prices or a file");
+        }
+    }
+
+    async getQuote(tokenSymbol) {
+        let prices = this.prices;
+        let defaultUpdatedAt = Date.now();
+
+        if (this.file) {
+            const [contents, stats] = await Promise.all([
+                fs.promises.readFile(this.file, "utf8"),
+                fs.promises.stat(this.file),
+            ]);
+            prices = JSON.parse(contents);
+            defaultUpdatedAt = stats.mtimeMs;
+        }
+
+        const entry = prices[tokenSymbol.toUpperCase()];
+        if (entry === undefined || entry === null) {
+            throw new Error(`Token ${tokenSymbol} not in ${this.name} feed`);
+        }
+
+        const price = typeof entry === "object" ? entry.price : entry;
+        const updatedAt =
+            typeof entry === "object" && entry.updatedAt
+                ? new Date(entry.updatedAt).getTime()
+                : defaultUpdatedAt;
+
+        return { price: Number(price), updatedAt };
+    }
+
+    /**
+     * Replace a price in the in-memory map (useful for testing)
+     */
+    setPrice(tokenSymbol, price, updatedAt = Date.now()) {
+        if (!this.prices) {
+            throw new Error("Cannot set prices on a file-based feed");
+        }
+        this.prices[tokenSymbol.toUpperCase()] = { price, updatedAt };
+    }
+}
+
+module.exports = StaticPriceProvider;
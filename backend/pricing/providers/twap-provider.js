@@ -0,0 +1,92 @@
+const { createPublicClient, http, parseAbi, getAddress } = require("viem");
+
+const UNISWAP_V3_POOL_ABI = parseAbi([
+    "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)",
+]);
+
+/**
+ * On-chain TWAP provider reading Uniswap V3 pool oracles.
+ *
+ * Each token is configured with the pool to read and how to interpret it:
+ *   {
+ *     "WETH": {
+ *       "pool": "0x...",
+ *       "baseIsToken0": true,      // token being priced is token0
+ *       "baseDecimals": 18,
+ *       "quoteDecimals": 6,
+ *       "quoteSymbol": "USDC"      // optional: convert the quote token to INR
+ *     }
+ *   }
+ * Without quoteSymbol the pool's quote token is assumed to be INR-denominated.
+ * With it, `quoteProvider` prices the quote token in INR.
+ */
+class TwapPriceProvider {
+    constructor(options = {}) {
+        this.name = options.name || "twap";
+        this.pools = options.pools || {};
+        this.window = options.window || 1800; // seconds
+        this.quoteProvider = options.quoteProvider || null;
+        this.client =
+            options.client ||
+            createPublicClient({ transport: http(options.rpcUrl) });
+    }
+
+    async getQuote(tokenSymbol) {
+        const config = this.pools[tokenSymbol.toUpperCase()];
+        if (!config) {
+            throw new Error(`No TWAP pool configured for ${tokenSymbol}`);
+        }
+
+        const [observation, block] = await Promise.all([
+            this.client.readContract({
+                address: getAddress(config.pool),
+                abi: UNISWAP_V3_POOL_ABI,
+                functionName: "observe",
+                args: [[this.window, 0]],
+            }),
+            this.client.getBlock(),
+        ]);
+
+        const [tickCumulatives] = observation;
+        const tickDelta = tickCumulatives[1] - tickCumulatives[0];
+        let averageTick = Number(tickDelta / BigInt(this.window));
+        // Round towards negative infinity, as the Uniswap OracleLibrary does
+        if (tickDelta < 0n && tickDelta % BigInt(this.window) !== 0n) {
+            averageTick -= 1;
+        }
+
+        // Price of token0 in token1, adjusted for decimals
+        const token0Decimals = config.baseIsToken0
+            ? config.baseDecimals
+            : config.quoteDecimals;
+        const token1Decimals = config.baseIsToken0
+            ? config.quoteDecimals
+            : config.baseDecimals;
+        const token0Price =
+            Math.pow(1.0001, averageTick) *
+            Math.pow(10, token0Decimals - token1Decimals);
+        const priceInQuote = config.baseIsToken0
+            ? token0Price
+            : 1 / token0Price;
+
+        let updatedAt = Number(block.timestamp) * 1000;
+        let price = priceInQuote;
+
+        if (config.quoteSymbol) {
+            if (!this.quoteProvider) {
+                throw new Error(
+                    `TWAP for ${tokenSymbol} needs a quote provider for ${config.quoteSymbol}`
+                );
+            }
+            const quote = await this.quoteProvider.getQuote(
+                config.quoteSymbol
+            );
+            price = priceInQuote * quote.price;
+            updatedAt = Math.min(updatedAt, quote.updatedAt);
+        }
+
+        return { price, updatedAt };
+    }
+}
+
+module.exports = TwapPriceProvider;
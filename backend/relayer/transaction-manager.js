@@ -0,0 +1,599 @@
+const {
+    createPublicClient,
+    createWalletClient,
+    encodeFunctionData,
+    http,
+    TransactionReceiptNotFoundError,
+} = require("viem");
+const { privateKeyToAccount } = require("viem/accounts");
+const { getRpcUrl } = require("../../deployments");
+const RelayerTransaction = require("../models/RelayerTransaction");
+
+const NONCE_TOO_LOW_PATTERN = /nonce too low|nonce has already been used/i;
+const ALREADY_KNOWN_PATTERN = /already known|known transaction/i;
+
+// Nodes reject replacements that raise fees by less than 10%
+const MIN_FEE_BUMP_PERCENT = 10;
+
+class RelayerTransactionError extends Error {
+    constructor(message, { code = "SEND_FAILED", transaction = null } = {}) {
+        super(message);
+        this.name = "RelayerTransactionError";
+        this.code = code;
+        this.transaction = transaction;
+    }
+}
+
+/**
+ * Relayer Transaction Manager
+ *
+ * Every transaction signed with RELAYER_PRIVATE_KEY goes through here.
+ * Sends are serialized so each gets the next nonce, and every send is
+ * recorded in RelayerTransaction before it is broadcast, so pending nonces
+ * survive restarts. A monitor loop confirms pending transactions, marks
+ * them dropped when their nonce is used by another transaction, and
+ * re-broadcasts them with bumped fees (same nonce) when they are not mined
+ * within the confirmation timeout.
+ */
+class RelayerTransactionManager {
+    constructor(options = {}) {
+        this.rpcUrl = options.rpcUrl || getRpcUrl();
+        this.relayerPrivateKey =
+            options.relayerPrivateKey || process.env.RELAYER_PRIVATE_KEY;
+        this.confirmationTimeout =
+            options.confirmationTimeout ||
+            parseInt(process.env.RELAYER_TX_TIMEOUT_MS) ||
+            60000;
+        this.feeBumpPercent = Math.max(
+            options.feeBumpPercent ||
+                parseInt(process.env.RELAYER_FEE_BUMP_PERCENT) ||
+                20,
+            MIN_FEE_BUMP_PERCENT
+        );
+        this.maxBroadcasts =
+            options.maxBroadcasts ||
+            parseInt(process.env.RELAYER_MAX_BROADCASTS) ||
+            5;
+        this.pollInterval =
+            options.pollInterval ||
+            parseInt(process.env.RELAYER_POLL_INTERVAL_MS) ||
+            3000;
+        // Enough for every re-broadcast to get its full timeout
+        this.waitTimeout =
+            options.waitTimeout ||
+            parseInt(process.env.RELAYER_TX_WAIT_TIMEOUT_MS) ||
+            this.confirmationTimeout * (this.maxBroadcasts + 1);
+
+        this.publicClient = options.publicClient || null;
+        this.walletClient = options.walletClient || null;
+        this.account = null;
+        this.chainId = null;
+        this.nextNonce = null;
+        this.sendQueue = Promise.resolve();
+        this.waiters = new Map(); // record id -> { resolve, reject, timer }
+
+        this.isRunning = false;
+        this.startPromise = null;
+        this.isChecking = false;
+        this.checkTimer = null;
+        this.lastCheckAt = null;
+        this.lastError = null;
+        this.rebroadcastCount = 0;
+    }
+
+    get address() {
+        return this.account ? this.account.address.toLowerCase() : null;
+    }
+
+    async start() {
+        if (this.isRunning) return;
+        if (!this.startPromise) {
+            this.startPromise = this.initialize().finally(() => {
+                this.startPromise = null;
+            });
+        }
+        return this.startPromise;
+    }
+
+    async initialize() {
+        if (!this.walletClient && (!this.rpcUrl || !this.relayerPrivateKey)) {
+            throw new Error(
+                "Relayer transaction manager requires RPC_URL and RELAYER_PRIVATE_KEY"
+            );
+        }
+
+        if (!this.publicClient) {
+            this.publicClient = createPublicClient({
+                transport: http(this.rpcUrl),
+            });
+        }
+        this.chainId = await this.publicClient.getChainId();
+
+        if (!this.walletClient) {
+            const key = this.relayerPrivateKey.startsWith("0x")
+                ? this.relayerPrivateKey
+                : `0x${this.relayerPrivateKey}`;
+            this.walletClient = createWalletClient({
+                account: privateKeyToAccount(key),
+                chain: {
+                    id: this.chainId,
+                    name: `Chain ${this.chainId}`,
+                    nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
+                    rpcUrls: {
+                        default: { http: [this.rpcUrl] },
+                        public: { http: [this.rpcUrl] },
+                    },
+                },
+                transport: http(this.rpcUrl),
+            });
+        }
+        this.account = this.walletClient.account;
+
+        // Records saved just before a crash, never broadcast (as far as we know)
+        await RelayerTransaction.updateMany(
+            {
+                from: this.address,
+                chainId: this.chainId,
+                status: "pending",
+                "broadcasts.0": { $exists: false },
+            },
+            {
+                status: "failed",
+                lastError: "Not broadcast before the relayer restarted",
+                finalizedAt: new Date(),
+            }
+        );
+        await this.syncNonce();
+
+        console.log(
+            `📮 Relayer transaction manager started for ${this.account.address} (next nonce ${this.nextNonce})`
+        );
+        this.isRunning = true;
+        this.scheduleNextCheck(0);
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.checkTimer) {
+            clearTimeout(this.checkTimer);
+            this.checkTimer = null;
+        }
+    }
+
+    /**
+     * Next nonce to use: past the node's pending count and past every nonce
+     * we still hold as pending (which the node may have evicted)
+     */
+    async syncNonce() {
+        const chainNonce = await this.publicClient.getTransactionCount({
+            address: this.account.address,
+            blockTag: "pending",
+        });
+        const highestPending = await RelayerTransaction.findOne({
+            from: this.address,
+            chainId: this.chainId,
+            status: "pending",
+        })
+            .sort({ nonce: -1 })
+            .select("nonce");
+
+        this.nextNonce = Math.max(
+            chainNonce,
+            highestPending ? highestPending.nonce + 1 : 0
+        );
+        return this.nextNonce;
+    }
+
+    /**
+     * Send a contract call from the relayer and wait until it is mined
+     * @param {Object} params
+     * @param {string} params.address - Contract address
+     * @param {Array} params.abi - Contract ABI
+     * @param {string} params.functionName - Function to call
+     * @param {Array} [params.args] - Call arguments
+     * @param {number} [params.gasBufferPercent] - Added to the gas estimate (default 20)
+     * @param {string} [params.orderId] - Order the transaction is for
+     * @returns {Promise<Object>} { transactionHash, receipt, transaction }; the
+     *   receipt may have status "reverted"
+     * @throws {RelayerTransactionError} If the send fails, the transaction is
+     *   dropped, stuck after its last re-broadcast (code STUCK) or not mined
+     *   within waitTimeout (code TIMEOUT). A stuck or timed-out transaction is
+     *   still tracked and may yet be mined.
+     */
+    async sendContractTransaction({
+        address,
+        abi,
+        functionName,
+        args = [],
+        gasBufferPercent = 20,
+        orderId = null,
+    }) {
+        await this.start();
+
+        // Estimating first surfaces contract reverts before a nonce is used
+        const gasEstimate = await this.publicClient.estimateContractGas({
+            address,
+            abi,
+            functionName,
+            args,
+            account: this.account,
+        });
+        const gas = (gasEstimate * BigInt(100 + gasBufferPercent)) / 100n;
+        const data = encodeFunctionData({ abi, functionName, args });
+
+        const transaction = await this.enqueue(() =>
+            this.broadcastNew({
+                to: address,
+                data,
+                gas,
+                functionName,
+                args,
+                orderId,
+            })
+        );
+
+        console.log(
+            `📮 Relayer sent ${functionName} (nonce ${transaction.nonce}): ${
+                transaction.latestBroadcast().hash
+            }`
+        );
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(
+                () =>
+                    this.rejectWaiter(
+                        transaction,
+                        "TIMEOUT",
+                        `not mined within ${this.waitTimeout}ms`
+                    ),
+                this.waitTimeout
+            );
+            this.waiters.set(transaction._id.toString(), {
+                resolve,
+                reject,
+                timer,
+            });
+        });
+    }
+
+    /**
+     * Run sends one at a time so nonces are assigned in order
+     */
+    enqueue(task) {
+        const run = this.sendQueue.then(task);
+        this.sendQueue = run.catch(() => {});
+        return run;
+    }
+
+    async broadcastNew({ to, data, gas, functionName, args, orderId }) {
+        for (let attempt = 0; ; attempt++) {
+            const nonce = this.nextNonce;
+            const fees = await this.publicClient.estimateFeesPerGas();
+
+            const transaction = await RelayerTransaction.create({
+                from: this.address,
+                chainId: this.chainId,
+                nonce,
+                to,
+                functionName,
+                args: args.map((arg) => String(arg)),
+                data,
+                gas: gas.toString(),
+                orderId: orderId ? orderId.toLowerCase() : null,
+            });
+
+            try {
+                const hash = await this.walletClient.sendTransaction({
+                    account: this.account,
+                    chain: this.walletClient.chain,
+                    to,
+                    data,
+                    gas,
+                    nonce,
+                    maxFeePerGas: fees.maxFeePerGas,
+                    maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+                });
+
+                this.nextNonce = nonce + 1;
+                transaction.broadcasts.push({
+                    hash,
+                    maxFeePerGas: fees.maxFeePerGas.toString(),
+                    maxPriorityFeePerGas: fees.maxPriorityFeePerGas.toString(),
+                });
+                await transaction.save();
+                return transaction;
+            } catch (error) {
+                transaction.status = "failed";
+                transaction.lastError = error.shortMessage || error.message;
+                transaction.finalizedAt = new Date();
+                await transaction.save();
+
+                // Something else used our nonce; resync once and retry
+                if (NONCE_TOO_LOW_PATTERN.test(error.message) && attempt === 0) {
+                    console.warn(
+                        `⚠️ Relayer nonce ${nonce} already used, resyncing`
+                    );
+                    await this.syncNonce();
+                    continue;
+                }
+
+                throw new RelayerTransactionError(
+                    `Failed to send ${functionName}: ${transaction.lastError}`,
+                    { transaction }
+                );
+            }
+        }
+    }
+
+    scheduleNextCheck(delay = this.pollInterval) {
+        if (!this.isRunning) return;
+        this.checkTimer = setTimeout(async () => {
+            await this.checkPending();
+            this.scheduleNextCheck();
+        }, delay);
+    }
+
+    async checkPending() {
+        if (this.isChecking) return;
+        this.isChecking = true;
+
+        try {
+            const pending = await RelayerTransaction.find({
+                from: this.address,
+                chainId: this.chainId,
+                status: "pending",
+                "broadcasts.0": { $exists: true },
+            }).sort({ nonce: 1 });
+
+            if (pending.length > 0) {
+                // Read before the receipts, so a transaction mined between
+                // the two calls is never mistaken for a dropped one
+                const minedNonce = await this.publicClient.getTransactionCount({
+                    address: this.account.address,
+                    blockTag: "latest",
+                });
+
+                for (const transaction of pending) {
+                    try {
+                        await this.checkTransaction(transaction, minedNonce);
+                    } catch (error) {
+                        console.error(
+                            `❌ Failed to check relayer transaction ${transaction.nonce}:`,
+                            error.message
+                        );
+                    }
+                }
+            }
+
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = error.message;
+            console.error("❌ Relayer transaction check failed:", error.message);
+        } finally {
+            this.lastCheckAt = new Date();
+            this.isChecking = false;
+        }
+    }
+
+    async checkTransaction(transaction, minedNonce) {
+        // Any of its broadcasts may be the one that was mined
+        for (const broadcast of [...transaction.broadcasts].reverse()) {
+            const receipt = await this.findReceipt(broadcast.hash);
+            if (receipt) {
+                return this.finalize(transaction, receipt);
+            }
+        }
+
+        if (minedNonce > transaction.nonce) {
+            return this.drop(
+                transaction,
+                `Nonce ${transaction.nonce} was used by another transaction`
+            );
+        }
+
+        const latest = transaction.latestBroadcast();
+        const waited = Date.now() - new Date(latest.sentAt).getTime();
+        if (waited < this.confirmationTimeout) return;
+
+        // Out of re-broadcasts: keep watching for it, but stop the caller waiting
+        if (transaction.broadcasts.length >= this.maxBroadcasts) {
+            this.rejectWaiter(
+                transaction,
+                "STUCK",
+                `not mined after ${transaction.broadcasts.length} broadcasts`
+            );
+            return;
+        }
+
+        try {
+            await this.rebroadcast(transaction);
+        } catch (error) {
+            this.rejectWaiter(
+                transaction,
+                "STUCK",
+                `re-broadcast failed: ${error.shortMessage || error.message}`
+            );
+            throw error;
+        }
+    }
+
+    async findReceipt(hash) {
+        try {
+            return await this.publicClient.getTransactionReceipt({ hash });
+        } catch (error) {
+            if (error instanceof TransactionReceiptNotFoundError) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Re-send a stuck transaction with the same nonce and bumped fees
+     */
+    async rebroadcast(transaction) {
+        const latest = transaction.latestBroadcast();
+        const current = await this.publicClient.estimateFeesPerGas();
+        const bump = (value) =>
+            (BigInt(value) * BigInt(100 + this.feeBumpPercent)) / 100n;
+        const maxPriorityFeePerGas = [
+            bump(latest.maxPriorityFeePerGas),
+            current.maxPriorityFeePerGas,
+        ].reduce((a, b) => (a > b ? a : b));
+        const maxFeePerGas = [bump(latest.maxFeePerGas), current.maxFeePerGas]
+            .concat(maxPriorityFeePerGas)
+            .reduce((a, b) => (a > b ? a : b));
+
+        let hash;
+        try {
+            hash = await this.walletClient.sendTransaction({
+                account: this.account,
+                chain: this.walletClient.chain,
+                to: transaction.to,
+                data: transaction.data,
+                gas: BigInt(transaction.gas),
+                nonce: transaction.nonce,
+                maxFeePerGas,
+                maxPriorityFeePerGas,
+            });
+        } catch (error) {
+            // Mined meanwhile or already in the mempool; the next check sees it
+            if (
+                NONCE_TOO_LOW_PATTERN.test(error.message) ||
+                ALREADY_KNOWN_PATTERN.test(error.message)
+            ) {
+                return;
+            }
+            transaction.lastError = error.shortMessage || error.message;
+            await transaction.save();
+            throw error;
+        }
+
+        transaction.broadcasts.push({
+            hash,
+            maxFeePerGas: maxFeePerGas.toString(),
+            maxPriorityFeePerGas: maxPriorityFeePerGas.toString(),
+        });
+        await transaction.save();
+        this.rebroadcastCount += 1;
+
+        console.log(
+            `⛽ Relayer re-broadcast ${transaction.functionName} (nonce ${transaction.nonce}) with bumped fees: ${hash}`
+        );
+    }
+
+    async finalize(transaction, receipt) {
+        transaction.status =
+            receipt.status === "success" ? "confirmed" : "failed";
+        transaction.transactionHash = receipt.transactionHash;
+        transaction.blockNumber = Number(receipt.blockNumber);
+        transaction.gasUsed = receipt.gasUsed.toString();
+        transaction.lastError =
+            receipt.status === "success" ? null : "Transaction reverted";
+        transaction.finalizedAt = new Date();
+        await transaction.save();
+
+        const waiter = this.takeWaiter(transaction);
+        if (waiter) {
+            waiter.resolve({
+                transactionHash: receipt.transactionHash,
+                receipt,
+                transaction,
+            });
+        }
+    }
+
+    async drop(transaction, reason) {
+        transaction.status = "dropped";
+        transaction.lastError = reason;
+        transaction.finalizedAt = new Date();
+        await transaction.save();
+
+        console.warn(
+            `⚠️ Relayer ${transaction.functionName} (nonce ${transaction.nonce}) dropped: ${reason}`
+        );
+
+        const waiter = this.takeWaiter(transaction);
+        if (waiter) {
+            waiter.reject(
+                new RelayerTransactionError(
+                    `${transaction.functionName} transaction dropped: ${reason}`,
+                    { code: "DROPPED", transaction }
+                )
+            );
+        }
+    }
+
+    /**
+     * Fail the caller waiting on a transaction that is still pending
+     */
+    rejectWaiter(transaction, code, reason) {
+        const waiter = this.takeWaiter(transaction);
+        if (!waiter) return;
+
+        console.warn(
+            `⚠️ Relayer ${transaction.functionName} (nonce ${transaction.nonce}) ${reason}`
+        );
+        waiter.reject(
+            new RelayerTransactionError(
+                `${transaction.functionName} transaction ${reason}`,
+                { code, transaction }
+            )
+        );
+    }
+
+    takeWaiter(transaction) {
+        const id = transaction._id.toString();
+        const waiter = this.waiters.get(id);
+        this.waiters.delete(id);
+        if (waiter) clearTimeout(waiter.timer);
+        return waiter;
+    }
+
+    /**
+     * Relayer transactions, newest first
+     * @param {Object} [filters] - { status, orderId }
+     * @param {Object} [options] - { limit, skip }
+     */
+    async listTransactions({ status, orderId } = {}, { limit = 50, skip = 0 } = {}) {
+        const query = {};
+        if (status) query.status = status;
+        if (orderId) query.orderId = orderId.toLowerCase();
+
+        return RelayerTransaction.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+    }
+
+    async countByStatus() {
+        const counts = { pending: 0, confirmed: 0, failed: 0, dropped: 0 };
+        const groups = await RelayerTransaction.aggregate([
+            { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]);
+        groups.forEach((group) => {
+            counts[group._id] = group.count;
+        });
+        return counts;
+    }
+
+    getStatus() {
+        return {
+            running: this.isRunning,
+            address: this.address,
+            chainId: this.chainId,
+            nextNonce: this.nextNonce,
+            awaitingConfirmation: this.waiters.size,
+            confirmationTimeout: this.confirmationTimeout,
+            waitTimeout: this.waitTimeout,
+            feeBumpPercent: this.feeBumpPercent,
+            lastCheckAt: this.lastCheckAt,
+            lastError: this.lastError,
+            rebroadcastCount: this.rebroadcastCount,
+        };
+    }
+}
+
+RelayerTransactionManager.RelayerTransactionError = RelayerTransactionError;
+
+module.exports = RelayerTransactionManager;
@@ -0,0 +1,135 @@
+const express = require("express");
+const router = express.Router();
+const { requireAdmin } = require("../middleware/admin-auth");
+
+router.use(requireAdmin);
+
+// GET /api/admin/webhooks/deliveries - List resolver webhook deliveries
+router.get("/webhooks/deliveries", async (req, res) => {
+    try {
+        const {
+            status,
+            resolverAddress,
+            orderId,
+            limit = 50,
+            skip = 0,
+        } = req.query;
+
+        const registry = req.app.get("resolverCallbackRegistry");
+        const deliveries = await registry.listDeliveries(
+            { status, resolverAddress, orderId },
+            {
+                limit: Math.min(parseInt(limit) || 50, 100),
+                skip: parseInt(skip) || 0,
+            }
+        );
+
+        res.json({
+            success: true,
+            data: deliveries.map((delivery) => delivery.toFormattedJSON()),
+        });
+    } catch (error) {
+        console.error("Error listing webhook deliveries:", error);
+        res.status(500).json({
+            error: "Failed to list webhook deliveries",
+            message: "An internal server error occurred",
+        });
+    }
+});
+
+// POST /api/admin/webhooks/deliveries/:deliveryId/replay - Re-send a delivery
+router.post("/webhooks/deliveries/:deliveryId/replay", async (req, res) => {
+    try {
+        const { deliveryId } = req.params;
+        const registry = req.app.get("resolverCallbackRegistry");
+        const delivery = await registry.replay(deliveryId);
+
+        if (!delivery) {
+            return res.status(404).json({
+                error: "Delivery not found",
+                message: `No webhook delivery found with ID ${deliveryId}`,
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Delivery replayed",
+            data: delivery.toFormattedJSON(),
+        });
+    } catch (error) {
+        console.error("Error replaying webhook delivery:", error);
+        res.status(500).json({
+            error: "Failed to replay webhook delivery",
+            message: "An internal server error occurred",
+        });
+    }
+});
+
+// GET /api/admin/disputes - List payout disputes
+router.get("/disputes", async (req, res) => {
+    try {
+        const { status, orderId, limit = 50, skip = 0 } = req.query;
+
+        const payoutTracker = req.app.get("payoutTracker");
+        const disputes = await payoutTracker.listDisputes(
+            { status, orderId },
+            {
+                limit: Math.min(parseInt(limit) || 50, 100),
+                skip: parseInt(skip) || 0,
+            }
+        );
+
+        res.json({
+            success: true,
+            data: disputes.map((dispute) => dispute.toFormattedJSON()),
+        });
+    } catch (error) {
+        console.error("Error listing disputes:", error);
+        res.status(500).json({
+            error: "Failed to list disputes",
+            message: "An internal server error occurred",
+        });
+    }
+});
+
+// POST /api/admin/disputes/:disputeId/resolve - Close an open dispute
+router.post("/disputes/:disputeId/resolve", async (req, res) => {
+    try {
+        const { disputeId } = req.params;
+        const { resolution } = req.body;
+
+        if (!resolution) {
+            return res.status(400).json({
+                error: "Missing required fields",
+                message: "resolution is required",
+            });
+        }
+
+        const payoutTracker = req.app.get("payoutTracker");
+        const dispute = await payoutTracker.resolveDispute(disputeId, {
+            resolution,
+            resolvedBy: req.admin.actor,
+        });
+
+        if (!dispute) {
+            return res.status(404).json({
+                error: "Dispute not found",
+                message: `No open dispute found with ID ${disputeId}`,
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Dispute resolved",
+            data: dispute.toFormattedJSON(),
+        });
+    } catch (error) {
+        console.error("Error resolving dispute:", error);
+        res.status(500).json({
+            error: "Failed to resolve dispute",
+            message: "An internal server error occurred",
+        });
+    }
+});
+
+module.exports = router;
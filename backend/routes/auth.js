@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+const { requireSession } = require("../middleware/session-auth");
+
+// GET /api/auth/nonce - Issue a single-use SIWE nonce
+router.get("/nonce", async (req, res) => {
+    try {
+        const siwe = req.app.get("siweSessionManager");
+        res.json({ success: true, data: await siwe.issueNonce() });
+    } catch (error) {
+        console.error("Error issuing SIWE nonce:", error);
+        res.status(500).json({
+            error: "Failed to issue nonce",
+            message: "An internal server error occurred",
+        });
+    }
+});
+
+// POST /api/auth/verify - Exchange a signed SIWE message for a session token
+router.post("/verify", async (req, res) => {
+    try {
+        const { message, signature } = req.body;
+        const siwe = req.app.get("siweSessionManager");
+        const session = await siwe.signIn({ message, signature });
+
+        console.log(`🔐 SIWE session started for ${session.address}`);
+        res.json({ success: true, data: session });
+    } catch (error) {
+        if (error.name === "SiweAuthError") {
+            return res.status(error.code === "INVALID_MESSAGE" ? 400 : 401).json({
+                error: "Sign-in rejected",
+                message: error.message,
+            });
+        }
+
+        console.error("Error verifying SIWE message:", error);
+        res.status(500).json({
+            error: "Failed to verify sign-in",
+            message: "An internal server error occurred",
+        });
+    }
+});
+
+// GET /api/auth/session - Current session for the Bearer token
+router.get("/session", requireSession, (req, res) => {
+    res.json({ success: true, data: req.session });
+});
+
+module.exports = router;
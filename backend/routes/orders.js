@@ -1,22 +1,60 @@
 const express = require("express");
 const router = express.Router();
 const Order = require("../models/Order");
-const axios = require("axios");
-const CoinGeckoAPI = require("../utils/coingecko-api");
+const PriceOracle = require("../pricing/price-oracle");
 const {
-    createWalletClient,
     http,
     parseEther,
-    parseGwei,
+    formatEther,
+    formatUnits,
+    parseEventLogs,
     createPublicClient,
 } = require("viem");
-const { privateKeyToAccount } = require("viem/accounts");
-
-// Store resolver callbacks (in production, use Redis or database)
-const resolverCallbacks = new Map();
+const { getRpcUrl, getViemChain } = require("../../deployments");
+const { OrderProtocolClient } = require("../../contracts");
+const OrderEvent = require("../models/OrderEvent");
+const SettlementReceipt = require("../models/SettlementReceipt");
+const {
+    parseBeneficiary,
+    attachBankAccount,
+} = require("../../payouts/beneficiary");
+const { PayoutWaitError } = require("../webhooks/razorpayx-payouts");
+const { requireAdmin } = require("../middleware/admin-auth");
+const {
+    requireSession,
+    requireWalletSession,
+} = require("../middleware/session-auth");
+const ResolverAcceptanceVerifier = require("../auth/resolver-acceptance-verifier");
+const {
+    ORDER_STATUSES,
+    transitionOrder,
+    recordOrderCreated,
+    InvalidTransitionError,
+    OrderNotFoundError,
+} = require("../lifecycle/order-state-machine");
+const { isFulfillmentExpired } = require("../lifecycle/expiry-watchdog");
+const { validateTransaction } = require("../lifecycle/payout-proof");
+
+// Aggregated price oracle for instant pricing (refuses to quote on low confidence)
+const priceOracle = PriceOracle.fromEnv();
+const { PriceConfidenceError } = PriceOracle;
 
-// Initialize CoinGecko API for instant pricing
-const coinGeckoAPI = new CoinGeckoAPI();
+/**
+ * OrderProtocol client for the active chain; writes are sent through the
+ * relayer transaction manager, when given
+ * @param {RelayerTransactionManager} [relayer]
+ */
+function orderProtocolClient(relayer = null) {
+    return new OrderProtocolClient({
+        publicClient: createPublicClient({
+            chain: getViemChain(),
+            transport: http(getRpcUrl()),
+        }),
+        send: relayer
+            ? (request) => relayer.sendContractTransaction(request)
+            : null,
+    });
+}
 
 // Configuration for instant fulfillment
 const INSTANT_FULFILLMENT_CONFIG = {
@@ -33,106 +71,6 @@ const INSTANT_FULFILLMENT_CONFIG = {
     },
 };
 
-/**
- * Register a resolver callback endpoint
- * @param {string} resolverAddress - The resolver's address
- * @param {string} callbackUrl - The callback URL
- */
-function registerResolverCallback(resolverAddress, callbackUrl) {
-    const normalizedAddress = resolverAddress.toLowerCase();
-    resolverCallbacks.set(normalizedAddress, callbackUrl);
-    console.log(
-        `📡 Registered callback for resolver ${resolverAddress} (normalized: ${normalizedAddress}): ${callbackUrl}`
-    );
-    console.log(`📊 Total registered callbacks: ${resolverCallbacks.size}`);
-    console.log(
-        `📋 All registered resolvers:`,
-        Array.from(resolverCallbacks.keys())
-    );
-}
-
-/**
- * Signal resolver that their order was accepted
- * @param {string} orderId - The order ID
- * @param {string} resolverAddress - The resolver's address
- * @param {Object} details - Additional details about the acceptance
- */
-async function signalResolverOrderAccepted(orderId, resolverAddress, details) {
-    try {
-        const normalizedAddress = resolverAddress.toLowerCase();
-        console.log(
-            `🔍 Looking up callback for resolver ${resolverAddress} (normalized: ${normalizedAddress})`
-        );
-        console.log(
-            `📊 Currently registered callbacks: ${resolverCallbacks.size}`
-        );
-        console.log(
-            `📋 Registered resolvers:`,
-            Array.from(resolverCallbacks.keys())
-        );
-
-        const callbackUrl = resolverCallbacks.get(normalizedAddress);
-
-        if (!callbackUrl) {
-            console.log(
-                `❌ No callback registered for resolver ${resolverAddress} (normalized: ${normalizedAddress})`
-            );
-            return;
-        }
-
-        const signalPayload = {
-            type: "ORDER_ACCEPTED",
-            orderId,
-            resolverAddress,
-            timestamp: new Date().toISOString(),
-            details,
-        };
-
-        console.log(
-            `📡 Signaling resolver ${resolverAddress} about order ${orderId}...`
-        );
-
-        await axios.post(callbackUrl, signalPayload, {
-            timeout: 5000,
-            headers: {
-                "Content-Type": "application/json",
-            },
-        });
-
-        console.log(`✅ Successfully signaled resolver ${resolverAddress}`);
-    } catch (error) {
-        console.error(
-            `❌ Failed to signal resolver ${resolverAddress}:`,
-            error.message
-        );
-        throw error;
-    }
-}
-
-// Define Worldchain Sepolia chain
-const worldchainSepolia = {
-    id: 4801,
-    name: "Worldchain Sepolia",
-    network: "worldchain-sepolia",
-    nativeCurrency: {
-        decimals: 18,
-        name: "Ether",
-        symbol: "ETH",
-    },
-    rpcUrls: {
-        default: {
-            http: [
-                "https://worldchain-sepolia.g.alchemy.com/v2/ydzpyjQ8ltFGNlU9MwB0q",
-            ],
-        },
-        public: {
-            http: [
-                "https://worldchain-sepolia.g.alchemy.com/v2/ydzpyjQ8ltFGNlU9MwB0q",
-            ],
-        },
-    },
-};
-
 // Validation middleware
 const validateWalletAddress = (req, res, next) => {
     const walletAddress =
@@ -190,6 +128,22 @@ const validateOrderData = (req, res, next) => {
         errors.push(
             "recipientUpiAddress is required and must be a non-empty string"
         );
+    } else {
+        let beneficiary = null;
+        try {
+            beneficiary = parseBeneficiary(recipientUpiAddress);
+        } catch (error) {
+            errors.push(`recipientUpiAddress is invalid: ${error.message}`);
+        }
+        if (beneficiary?.bankRef) {
+            try {
+                attachBankAccount(beneficiary, req.body.bankAccount || {});
+            } catch (error) {
+                errors.push(
+                    `bankAccount ({ accountNumber, ifsc, name, salt }) must match the recipient's bankref: ${error.message}`
+                );
+            }
+        }
     }
 
     if (!transactionHash || !/^0x[a-fA-F0-9]{64}$/.test(transactionHash)) {
@@ -213,7 +167,7 @@ const validateOrderData = (req, res, next) => {
 // POST /api/orders/resolver/register - Register resolver callback endpoint
 router.post("/resolver/register", async (req, res) => {
     try {
-        const { resolverAddress, callbackUrl } = req.body;
+        const { resolverAddress, callbackUrl, timestamp, signature } = req.body;
 
         if (!resolverAddress || !/^0x[a-fA-F0-9]{40}$/.test(resolverAddress)) {
             return res.status(400).json({
@@ -239,17 +193,40 @@ router.post("/resolver/register", async (req, res) => {
             });
         }
 
-        registerResolverCallback(resolverAddress, callbackUrl);
+        if (!timestamp || !signature || typeof signature !== "string") {
+            return res.status(400).json({
+                error: "Missing signature",
+                message:
+                    "timestamp and a wallet signature of the registration message are required",
+            });
+        }
+
+        const registry = req.app.get("resolverCallbackRegistry");
+        const registration = await registry.register({
+            resolverAddress,
+            callbackUrl,
+            timestamp,
+            signature,
+        });
 
         res.json({
             success: true,
             message: "Resolver callback registered successfully",
             data: {
-                resolverAddress,
-                callbackUrl,
+                resolverAddress: registration.resolverAddress,
+                callbackUrl: registration.callbackUrl,
+                // Returned once; the resolver uses it to verify webhook HMACs
+                webhookSecret: registration.secret,
             },
         });
     } catch (error) {
+        if (error.name === "RegistrationError") {
+            return res.status(401).json({
+                error: "Registration rejected",
+                message: error.message,
+            });
+        }
+
         console.error("Error registering resolver callback:", error);
         res.status(500).json({
             error: "Failed to register resolver callback",
@@ -259,157 +236,231 @@ router.post("/resolver/register", async (req, res) => {
 });
 
 // POST /api/orders - Create a new order record with instant fulfillment
-router.post("/", validateWalletAddress, validateOrderData, async (req, res) => {
-    try {
-        const {
-            orderId,
-            walletAddress,
-            amount,
-            tokenAddress,
-            startPrice,
-            endPrice,
-            recipientUpiAddress,
-            transactionHash,
-            blockNumber,
-            tokenSymbol, // Add token symbol for CoinGecko lookup
-            yellowEnabled = true, // Enable Yellow Network by default
-        } = req.body;
-
-        // Check if order already exists
-        const existingOrder = await Order.findByOrderId(orderId);
-        if (existingOrder) {
-            return res.status(409).json({
-                error: "Order already exists",
-                message: `Order with ID ${orderId} already exists in database`,
-            });
-        }
-
-        // Check if transaction hash already exists
-        const existingTx = await Order.findOne({ transactionHash });
-        if (existingTx) {
-            return res.status(409).json({
-                error: "Transaction already recorded",
-                message: `Order with transaction hash ${transactionHash} already exists`,
-            });
-        }
+router.post(
+    "/",
+    validateWalletAddress,
+    requireWalletSession((req) => req.body.walletAddress),
+    validateOrderData,
+    async (req, res) => {
+        try {
+            const {
+                orderId,
+                walletAddress,
+                amount,
+                tokenAddress,
+                startPrice,
+                endPrice,
+                recipientUpiAddress,
+                transactionHash,
+                blockNumber,
+                tokenSymbol, // Add token symbol for price oracle lookup
+                yellowEnabled = true, // Enable Yellow Network by default
+            } = req.body;
+
+            // Check if order already exists
+            const existingOrder = await Order.findByOrderId(orderId);
+
+            // The chain indexer may have recorded this order before the frontend
+            // posted it; the maker's first post of the same creation
+            // transaction is not a conflict
+            const alreadyIndexed =
+                existingOrder &&
+                existingOrder.transactionHash === transactionHash &&
+                existingOrder.walletAddress === walletAddress.toLowerCase() &&
+                !existingOrder.submittedAt;
+
+            if (existingOrder && !alreadyIndexed) {
+                return res.status(409).json({
+                    error: "Order already exists",
+                    message: `Order with ID ${orderId} already exists in database`,
+                });
+            }
 
-        // Create new order
-        const newOrder = new Order({
-            orderId,
-            walletAddress: walletAddress.toLowerCase(),
-            amount,
-            tokenAddress: tokenAddress.toLowerCase(),
-            startPrice,
-            endPrice,
-            recipientUpiAddress: recipientUpiAddress.trim(),
-            transactionHash,
-            blockNumber,
-        });
+            // Check if transaction hash already exists
+            const existingTx =
+                !alreadyIndexed && (await Order.findOne({ transactionHash }));
+            if (existingTx) {
+                return res.status(409).json({
+                    error: "Transaction already recorded",
+                    message: `Order with transaction hash ${transactionHash} already exists`,
+                });
+            }
 
-        await newOrder.save();
+            let newOrder;
+            if (alreadyIndexed) {
+                // Claim it, so concurrent repeats of this post can't both
+                // start fulfillment
+                newOrder = await Order.findOneAndUpdate(
+                    { _id: existingOrder._id, submittedAt: null },
+                    {
+                        $set: {
+                            submittedAt: new Date(),
+                            beneficiary: beneficiaryFromRequest(req.body),
+                        },
+                    },
+                    { new: true }
+                );
+                if (!newOrder) {
+                    return res.status(409).json({
+                        error: "Order already exists",
+                        message: `Order with ID ${orderId} already exists in database`,
+                    });
+                }
+            } else {
+                newOrder = new Order({
+                    orderId,
+                    walletAddress: walletAddress.toLowerCase(),
+                    amount,
+                    tokenAddress: tokenAddress.toLowerCase(),
+                    startPrice,
+                    endPrice,
+                    recipientUpiAddress: recipientUpiAddress.trim(),
+                    transactionHash,
+                    blockNumber,
+                    beneficiary: beneficiaryFromRequest(req.body),
+                    submittedAt: new Date(),
+                });
+                await newOrder.save();
+                await recordOrderCreated(newOrder, {
+                    actor: newOrder.walletAddress,
+                    actorType: "maker",
+                });
+            }
 
-        console.log(
-            `🚀 Order created: ${orderId}, Yellow enabled: ${yellowEnabled}`
-        );
+            console.log(
+                `🚀 Order created: ${orderId}, Yellow enabled: ${yellowEnabled}`
+            );
 
-        // Auto-fulfill instantly for Yellow Network demo
-        if (yellowEnabled) {
-            setTimeout(async () => {
-                await autoFulfillOrderInstantly(orderId, tokenSymbol, amount);
-            }, INSTANT_FULFILLMENT_CONFIG.AUTO_FULFILL_DELAY);
-        }
+            // Auto-fulfill instantly for Yellow Network demo
+            if (yellowEnabled) {
+                const yellowSessionManager = req.app.get(
+                    "yellowSessionManager"
+                );
+                const yellowInstantSettlement = req.app.get(
+                    "yellowInstantSettlement"
+                );
+                const relayer = req.app.get("relayerTransactionManager");
+                setTimeout(async () => {
+                    await autoFulfillOrderInstantly(
+                        orderId,
+                        tokenSymbol,
+                        amount,
+                        {
+                            yellowSessionManager,
+                            yellowInstantSettlement,
+                            relayer,
+                            makerAddress: newOrder.walletAddress,
+                        }
+                    );
+                }, INSTANT_FULFILLMENT_CONFIG.AUTO_FULFILL_DELAY);
+            }
 
-        res.status(201).json({
-            success: true,
-            message: yellowEnabled
-                ? "Order created, instant fulfillment starting..."
-                : "Order created successfully",
-            data: {
-                ...newOrder.toFormattedJSON(),
-                yellowNetwork: {
-                    enabled: yellowEnabled,
-                    instantFulfillment: yellowEnabled,
-                    expectedSettlementTime: yellowEnabled
-                        ? "~3 seconds"
-                        : "20-30 seconds traditional",
+            res.status(201).json({
+                success: true,
+                message: yellowEnabled
+                    ? "Order created, instant fulfillment starting..."
+                    : "Order created successfully",
+                data: {
+                    ...newOrder.toFormattedJSON(),
+                    yellowNetwork: {
+                        enabled: yellowEnabled,
+                        instantFulfillment: yellowEnabled,
+                        expectedSettlementTime: yellowEnabled
+                            ? "~3 seconds"
+                            : "20-30 seconds traditional",
+                    },
                 },
-            },
-        });
-    } catch (error) {
-        console.error("Error creating order:", error);
+            });
+        } catch (error) {
+            console.error("Error creating order:", error);
+
+            if (error.code === 11000) {
+                // Duplicate key error
+                const field = Object.keys(error.keyPattern)[0];
+                return res.status(409).json({
+                    error: "Duplicate entry",
+                    message: `An order with this ${field} already exists`,
+                });
+            }
 
-        if (error.code === 11000) {
-            // Duplicate key error
-            const field = Object.keys(error.keyPattern)[0];
-            return res.status(409).json({
-                error: "Duplicate entry",
-                message: `An order with this ${field} already exists`,
+            res.status(500).json({
+                error: "Failed to create order",
+                message: "An internal server error occurred",
             });
         }
-
-        res.status(500).json({
-            error: "Failed to create order",
-            message: "An internal server error occurred",
-        });
     }
-});
+);
 
 // GET /api/orders/wallet/:address - Get all orders for a wallet address
-router.get("/wallet/:address", validateWalletAddress, async (req, res) => {
-    try {
-        const { address } = req.params;
-        const { status, limit = 50, skip = 0 } = req.query;
+router.get(
+    "/wallet/:address",
+    validateWalletAddress,
+    requireWalletSession((req) => req.params.address),
+    async (req, res) => {
+        try {
+            const { address } = req.params;
+            const { status, limit = 50, skip = 0 } = req.query;
 
-        const options = {
-            limit: Math.min(parseInt(limit), 100), // Max 100 orders per request
-            skip: parseInt(skip) || 0,
-        };
+            const options = {
+                limit: Math.min(parseInt(limit), 100), // Max 100 orders per request
+                skip: parseInt(skip) || 0,
+            };
 
-        if (
-            status &&
-            [
-                "created",
-                "auction_active",
-                "accepted",
-                "fulfilled",
-                "failed",
-            ].includes(status)
-        ) {
-            options.status = status;
-        }
+            if (
+                status &&
+                [
+                    "created",
+                    "auction_active",
+                    "accepted",
+                    "fulfilled",
+                    "failed",
+                ].includes(status)
+            ) {
+                options.status = status;
+            }
 
-        const orders = await Order.findByWallet(address, options);
-        const totalOrders = await Order.countDocuments({
-            walletAddress: address.toLowerCase(),
-            ...(options.status && { status: options.status }),
-        });
+            const orders = await Order.findByWallet(address, options);
+            const totalOrders = await Order.countDocuments({
+                walletAddress: address.toLowerCase(),
+                ...(options.status && { status: options.status }),
+            });
 
-        res.json({
-            success: true,
-            data: {
-                orders: orders.map((order) => order.toFormattedJSON()),
-                pagination: {
-                    total: totalOrders,
-                    limit: options.limit,
-                    skip: options.skip,
-                    hasMore: totalOrders > options.skip + options.limit,
+            res.json({
+                success: true,
+                data: {
+                    orders: orders.map((order) => order.toFormattedJSON()),
+                    pagination: {
+                        total: totalOrders,
+                        limit: options.limit,
+                        skip: options.skip,
+                        hasMore: totalOrders > options.skip + options.limit,
+                    },
                 },
-            },
-        });
-    } catch (error) {
-        console.error("Error fetching orders:", error);
-        res.status(500).json({
-            error: "Failed to fetch orders",
-            message: "An internal server error occurred",
-        });
+            });
+        } catch (error) {
+            console.error("Error fetching orders:", error);
+            res.status(500).json({
+                error: "Failed to fetch orders",
+                message: "An internal server error occurred",
+            });
+        }
     }
-});
+);
 
 // GET /api/orders/health - Health check with instant fulfillment status (MUST be before /:orderId)
 router.get("/health", async (req, res) => {
     try {
-        // Test CoinGecko API connectivity
-        const priceTest = await coinGeckoAPI.getTokenPriceINR("USDC");
+        // Test price oracle; a low-confidence quote disables live pricing
+        let pricing;
+        try {
+            const priceTest = await priceOracle.getPrice("USDC");
+            pricing = {
+                sources: priceTest.sources.map((source) => source.name),
+                testPrice: `₹${priceTest.price} per USDC`,
+            };
+        } catch (error) {
+            pricing = { error: error.message };
+        }
 
         res.json({
             success: true,
@@ -417,14 +468,13 @@ router.get("/health", async (req, res) => {
             timestamp: new Date().toISOString(),
             features: {
                 instantFulfillment: true,
-                dutchAuction: false, // Disabled for instant swaps
+                dutchAuction: true,
                 yellowNetwork: true,
-                livePricing: true,
+                livePricing: !pricing.error,
             },
             pricing: {
-                source: "CoinGecko API",
-                testPrice: `₹${priceTest} per USDC`,
-                cacheStatus: coinGeckoAPI.getCacheStatus(),
+                ...pricing,
+                oracle: priceOracle.getStatus(),
             },
             performance: {
                 settlementTime: "~3 seconds",
@@ -487,46 +537,55 @@ router.get("/:orderId", async (req, res) => {
     }
 });
 
-// PUT /api/orders/:orderId/status - Update order status
-router.put("/:orderId/status", async (req, res) => {
+// PUT /api/orders/:orderId/status - Manually override order status (admin only)
+router.put("/:orderId/status", requireAdmin, async (req, res) => {
     try {
         const { orderId } = req.params;
-        const { status } = req.body;
+        const { status, reason, transactionHash } = req.body;
 
-        if (
-            ![
-                "created",
-                "auction_active",
-                "accepted",
-                "fulfilled",
-                "failed",
-            ].includes(status)
-        ) {
+        if (!ORDER_STATUSES.includes(status)) {
             return res.status(400).json({
                 error: "Invalid status",
-                message:
-                    "Status must be one of: created, auction_active, accepted, fulfilled, failed",
+                message: `Status must be one of: ${ORDER_STATUSES.join(", ")}`,
             });
         }
 
-        const order = await Order.findByOrderId(orderId);
-
-        if (!order) {
-            return res.status(404).json({
-                error: "Order not found",
-                message: `No order found with ID ${orderId}`,
+        if (!reason || typeof reason !== "string" || !reason.trim()) {
+            return res.status(400).json({
+                error: "Missing reason",
+                message: "Manual status overrides must include a reason",
             });
         }
 
-        order.status = status;
-        await order.save();
+        const { order, changed } = await transitionOrder(orderId, status, {
+            actor: req.admin.actor,
+            actorType: "admin",
+            reason: reason.trim(),
+            transactionHash: transactionHash || null,
+            metadata: { authMethod: req.admin.method },
+        });
 
         res.json({
             success: true,
-            message: "Order status updated successfully",
+            message: changed
+                ? "Order status updated successfully"
+                : "Order already has this status",
             data: order.toFormattedJSON(),
         });
     } catch (error) {
+        if (error instanceof OrderNotFoundError) {
+            return res.status(404).json({
+                error: "Order not found",
+                message: error.message,
+            });
+        }
+        if (error instanceof InvalidTransitionError) {
+            return res.status(409).json({
+                error: "Invalid status transition",
+                message: error.message,
+            });
+        }
+
         console.error("Error updating order status:", error);
         res.status(500).json({
             error: "Failed to update order status",
@@ -535,540 +594,592 @@ router.put("/:orderId/status", async (req, res) => {
     }
 });
 
-// GET /api/orders/stats/:address - Get order statistics for a wallet
-router.get("/stats/:address", validateWalletAddress, async (req, res) => {
+// GET /api/orders/:orderId/history - Get the status timeline of an order
+router.get("/:orderId/history", async (req, res) => {
     try {
-        const { address } = req.params;
-
-        const stats = await Order.aggregate([
-            { $match: { walletAddress: address.toLowerCase() } },
-            {
-                $group: {
-                    _id: "$status",
-                    count: { $sum: 1 },
-                },
-            },
-        ]);
-
-        const totalOrders = await Order.countDocuments({
-            walletAddress: address.toLowerCase(),
-        });
+        const { orderId } = req.params;
+        const order = await Order.findByOrderId(orderId);
 
-        const formattedStats = {
-            total: totalOrders,
-            created: 0,
-            accepted: 0,
-            fulfilled: 0,
-            failed: 0,
-        };
+        if (!order) {
+            return res.status(404).json({
+                error: "Order not found",
+                message: `No order found with ID ${orderId}`,
+            });
+        }
 
-        stats.forEach((stat) => {
-            formattedStats[stat._id] = stat.count;
-        });
+        const events = await OrderEvent.findByOrderId(orderId);
 
         res.json({
             success: true,
-            data: formattedStats,
+            data: {
+                orderId,
+                currentStatus: order.status,
+                events: events.map((event) => event.toFormattedJSON()),
+            },
         });
     } catch (error) {
-        console.error("Error fetching order stats:", error);
+        console.error("Error fetching order history:", error);
         res.status(500).json({
-            error: "Failed to fetch order statistics",
+            error: "Failed to fetch order history",
             message: "An internal server error occurred",
         });
     }
 });
 
-// POST /api/orders/:orderId/accept - Accept an order (called by resolver)
-router.post("/:orderId/accept", async (req, res) => {
+// POST /api/orders/:orderId/start-auction - Start a Dutch auction for an order
+router.post("/:orderId/start-auction", requireSession, async (req, res) => {
     try {
         const { orderId } = req.params;
-        const { acceptedPrice, resolverAddress } = req.body;
-
-        // Phase 2.3: Create Yellow Network tripartite session for instant settlement
-        const yellowSessionManager = req.app.get("yellowSessionManager");
-        const yellowSession =
-            await yellowSessionManager.createTripartiteSession(
-                orderId,
-                resolverAddress,
-                { acceptedPrice }
-            );
-        console.log(
-            `🟡 Yellow Network session created: ${yellowSession.sessionId}`
-        );
-        console.log(
-            `⚡ Settlement time reduction: 20-30s → 5s via state channels`
-        );
-
-        // Check if order is in Dutch auction
-        const auctionManager = req.app.get("auctionManager");
-        const activeAuction = auctionManager.getActiveAuction(orderId);
+        const { duration } = req.body || {};
 
-        if (activeAuction && activeAuction.isActive) {
-            // Accept the Dutch auction
-            const auctionResult = auctionManager.acceptAuction(
-                orderId,
-                parseFloat(acceptedPrice)
-            );
-
-            if (!auctionResult.success) {
-                return res.status(400).json({
-                    error: "Failed to accept auction",
-                    message: auctionResult.message,
-                });
-            }
-
-            // Emit Socket.IO event for auction acceptance (no database update needed)
-            const io = req.app.get("io");
-            if (io) {
-                io.emit("orderAccepted", {
-                    orderId,
-                    acceptedPrice,
-                    resolverAddress,
-                    timestamp: new Date(),
-                });
-            }
-        }
-
-        // Validate input
-        if (!acceptedPrice || typeof acceptedPrice !== "string") {
-            return res.status(400).json({
-                error: "Invalid acceptedPrice",
-                message: "acceptedPrice is required and must be a string",
+        const order = await Order.findByOrderId(orderId);
+        if (!order) {
+            return res.status(404).json({
+                error: "Order not found",
+                message: `No order found with ID ${orderId}`,
             });
         }
 
-        // Convert price to BigInt (wei format)
-        let acceptedPriceWei;
-        try {
-            const priceFloat = parseFloat(acceptedPrice);
-
-            // Check if price is already in wei format (very large number) or decimal format
-            if (priceFloat > 1e15) {
-                // Price is already in wei format (e.g., 85623053138257490432)
-                acceptedPriceWei = BigInt(acceptedPrice);
-                console.log(
-                    `✅ Price already in wei format: ${acceptedPriceWei.toString()}`
-                );
-            } else {
-                // Price is in decimal format (e.g., 90.5), convert to wei
-                acceptedPriceWei = BigInt(Math.floor(priceFloat * 1e18));
-                console.log(
-                    `✅ Price converted from decimal to wei: ${priceFloat} → ${acceptedPriceWei.toString()}`
-                );
-            }
-        } catch (error) {
-            return res.status(400).json({
-                error: "Invalid acceptedPrice format",
-                message: "acceptedPrice must be a valid number",
+        if (order.walletAddress !== req.session.address) {
+            return res.status(403).json({
+                error: "Forbidden",
+                message: `Only the order's maker (${order.walletAddress}) can start its auction`,
             });
         }
 
-        if (!resolverAddress || !/^0x[a-fA-F0-9]{40}$/.test(resolverAddress)) {
-            return res.status(400).json({
-                error: "Invalid resolverAddress",
-                message: "resolverAddress must be a valid Ethereum address",
+        if (order.status !== "created" || order.auctionActive) {
+            return res.status(409).json({
+                error: "Auction not allowed",
+                message: `Order ${orderId} is ${order.status} and cannot be auctioned`,
             });
         }
 
-        // Read order details from blockchain only (no database involvement)
-        let orderStartPrice, orderEndPrice;
-        try {
-            console.log(`📋 Reading order ${orderId} from blockchain...`);
+        const auctionManager = req.app.get("auctionManager");
+        const auction = await auctionManager.createAuction(order, duration);
 
-            const { createPublicClient, http } = require("viem");
-            const { worldchainSepolia } = require("viem/chains");
+        res.json({
+            success: true,
+            message: "Dutch auction started",
+            data: auction,
+        });
+    } catch (error) {
+        console.error(
+            `Error starting auction for order ${req.params.orderId}:`,
+            error
+        );
+        res.status(400).json({
+            error: "Failed to start auction",
+            message: error.message,
+        });
+    }
+});
 
-            const rpcUrl =
-                process.env.RPC_URL ||
-                "https://worldchain-sepolia.g.alchemy.com/v2/ydzpyjQ8ltFGNlU9MwB0q";
-            const contractAddress =
-                process.env.CONTRACT_ADDRESS ||
-                "0xC3dd62f9EE406b43A2f463b3a59BEcDC1579933b";
+// GET /api/orders/:orderId/auction-status - Get live Dutch auction state
+router.get("/:orderId/auction-status", async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const auctionManager = req.app.get("auctionManager");
+        const auction = auctionManager.getActiveAuction(orderId);
+
+        if (auction) {
+            return res.json({
+                success: true,
+                data: { ...auction, active: auction.isActive },
+            });
+        }
 
-            const publicClient = createPublicClient({
-                chain: worldchainSepolia,
-                transport: http(rpcUrl),
+        const order = await Order.findByOrderId(orderId);
+        if (!order) {
+            return res.status(404).json({
+                error: "Order not found",
+                message: `No order found with ID ${orderId}`,
             });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                orderId,
+                active: false,
+                status: order.status,
+                currentPrice: order.currentPrice
+                    ? parseFloat(order.currentPrice)
+                    : null,
+                acceptedPrice: order.acceptedPrice
+                    ? parseFloat(order.acceptedPrice)
+                    : null,
+                acceptedBy: order.acceptedBy,
+                auctionStartTime: order.auctionStartTime,
+                auctionEndTime: order.auctionEndTime,
+            },
+        });
+    } catch (error) {
+        console.error("Error fetching auction status:", error);
+        res.status(500).json({
+            error: "Failed to fetch auction status",
+            message: "An internal server error occurred",
+        });
+    }
+});
+
+// GET /api/orders/stats/:address - Get order statistics for a wallet
+router.get(
+    "/stats/:address",
+    validateWalletAddress,
+    requireWalletSession((req) => req.params.address),
+    async (req, res) => {
+        try {
+            const { address } = req.params;
 
-            const contractABI = [
+            const stats = await Order.aggregate([
+                { $match: { walletAddress: address.toLowerCase() } },
                 {
-                    inputs: [
-                        {
-                            internalType: "bytes32",
-                            name: "_orderId",
-                            type: "bytes32",
-                        },
-                    ],
-                    name: "getOrder",
-                    outputs: [
-                        {
-                            components: [
-                                {
-                                    internalType: "address",
-                                    name: "maker",
-                                    type: "address",
-                                },
-                                {
-                                    internalType: "address",
-                                    name: "taker",
-                                    type: "address",
-                                },
-                                {
-                                    internalType: "string",
-                                    name: "recipientUpiAddress",
-                                    type: "string",
-                                },
-                                {
-                                    internalType: "uint256",
-                                    name: "amount",
-                                    type: "uint256",
-                                },
-                                {
-                                    internalType: "address",
-                                    name: "token",
-                                    type: "address",
-                                },
-                                {
-                                    internalType: "uint256",
-                                    name: "startPrice",
-                                    type: "uint256",
-                                },
-                                {
-                                    internalType: "uint256",
-                                    name: "acceptedPrice",
-                                    type: "uint256",
-                                },
-                                {
-                                    internalType: "uint256",
-                                    name: "endPrice",
-                                    type: "uint256",
-                                },
-                                {
-                                    internalType: "uint256",
-                                    name: "startTime",
-                                    type: "uint256",
-                                },
-                                {
-                                    internalType: "uint256",
-                                    name: "acceptedTime",
-                                    type: "uint256",
-                                },
-                                {
-                                    internalType: "bool",
-                                    name: "accepted",
-                                    type: "bool",
-                                },
-                                {
-                                    internalType: "bool",
-                                    name: "fullfilled",
-                                    type: "bool",
-                                },
-                            ],
-                            internalType: "struct OrderProtocol.Order",
-                            name: "",
-                            type: "tuple",
-                        },
-                    ],
-                    stateMutability: "view",
-                    type: "function",
+                    $group: {
+                        _id: "$status",
+                        count: { $sum: 1 },
+                    },
                 },
-            ];
+            ]);
+
+            const totalOrders = await Order.countDocuments({
+                walletAddress: address.toLowerCase(),
+            });
 
-            const blockchainOrder = await publicClient.readContract({
-                address: contractAddress,
-                abi: contractABI,
-                functionName: "getOrder",
-                args: [orderId],
+            const formattedStats = {
+                total: totalOrders,
+                created: 0,
+                accepted: 0,
+                fulfilled: 0,
+                failed: 0,
+            };
+
+            stats.forEach((stat) => {
+                formattedStats[stat._id] = stat.count;
             });
 
-            console.log(`🔍 Raw blockchain order data:`, blockchainOrder);
-            console.log(`🔍 Order type:`, typeof blockchainOrder);
-            console.log(`🔍 Order.maker:`, blockchainOrder.maker);
-            console.log(`🔍 Order.startPrice:`, blockchainOrder.startPrice);
-            console.log(`🔍 Order.endPrice:`, blockchainOrder.endPrice);
+            res.json({
+                success: true,
+                data: formattedStats,
+            });
+        } catch (error) {
+            console.error("Error fetching order stats:", error);
+            res.status(500).json({
+                error: "Failed to fetch order statistics",
+                message: "An internal server error occurred",
+            });
+        }
+    }
+);
 
-            // Check if order exists (maker is not zero address)
+// POST /api/orders/:orderId/accept - Accept an order (called by resolver)
+router.post(
+    "/:orderId/accept",
+    requireWalletSession((req) => req.body.resolverAddress),
+    async (req, res) => {
+        // Set while this request holds the order's Dutch auction
+        let auctionHeld = false;
+        try {
+            const { orderId } = req.params;
+            const {
+                acceptedPrice,
+                resolverAddress,
+                deadline,
+                nonce,
+                signature,
+            } = req.body;
+
+            // Validate input. Prices are INR per token with 18 decimals, as
+            // the contract and the signed acceptance hold them
             if (
-                !blockchainOrder.maker ||
-                blockchainOrder.maker ===
-                    "0x0000000000000000000000000000000000000000"
+                typeof acceptedPrice !== "string" ||
+                !/^[0-9]+$/.test(acceptedPrice)
             ) {
-                return res.status(404).json({
-                    error: "Order not found",
-                    message: `Order with ID ${orderId} does not exist on blockchain`,
-                });
-            }
-
-            // Check if order is already accepted
-            if (blockchainOrder.accepted) {
-                // accepted field
                 return res.status(400).json({
-                    error: "Order already accepted",
-                    message: `Order ${orderId} has already been accepted`,
+                    error: "Invalid acceptedPrice",
+                    message:
+                        "acceptedPrice is required and must be an integer string in wei (18 decimals)",
                 });
             }
+            const acceptedPriceWei = BigInt(acceptedPrice);
 
-            // Ensure we have valid price data before proceeding
-            if (!blockchainOrder.startPrice || !blockchainOrder.endPrice) {
-                console.error(
-                    `❌ Missing price data - startPrice: ${blockchainOrder.startPrice}, endPrice: ${blockchainOrder.endPrice}`
-                );
-                return res.status(500).json({
-                    error: "Invalid order data",
-                    message: "Order price data is missing or invalid",
-                });
-            }
-
-            orderStartPrice = blockchainOrder.startPrice; // startPrice
-            orderEndPrice = blockchainOrder.endPrice; // endPrice
-            console.log(`✅ Order found on blockchain - Status: Active`);
-            console.log(`   Maker: ${blockchainOrder.maker}`);
-            console.log(
-                `   Amount: ${
-                    blockchainOrder.amount?.toString() || "undefined"
-                }`
-            );
-            console.log(`   Token: ${blockchainOrder.token}`);
-            console.log(`   Start Price: ${orderStartPrice.toString()}`);
-            console.log(`   End Price: ${orderEndPrice.toString()}`);
-            console.log(`   Accepted: ${blockchainOrder.accepted}`);
-            console.log(`   Fulfilled: ${blockchainOrder.fulfilled}`);
-
-            console.log(`🔍 Price validation:`);
-            console.log(
-                `   Order range: ${orderEndPrice.toString()} ≤ price ≤ ${orderStartPrice.toString()}`
-            );
-            console.log(`   Accepted price: ${acceptedPriceWei.toString()}`);
-
-            // Smart contract validates: endPrice <= acceptedPrice <= startPrice
             if (
-                acceptedPriceWei < orderEndPrice ||
-                acceptedPriceWei > orderStartPrice
+                !resolverAddress ||
+                !/^0x[a-fA-F0-9]{40}$/.test(resolverAddress)
             ) {
                 return res.status(400).json({
-                    error: "Price out of range",
-                    message: `Accepted price ${acceptedPriceWei.toString()} must be between ${orderEndPrice.toString()} and ${orderStartPrice.toString()}`,
+                    error: "Invalid resolverAddress",
+                    message: "resolverAddress must be a valid Ethereum address",
                 });
             }
 
-            console.log(`✅ Price validation passed!`);
-        } catch (validationError) {
-            console.error(`❌ Price validation error:`, validationError);
-            if (validationError.message?.includes("OrderNotFound")) {
-                return res.status(404).json({
-                    error: "Order not found",
-                    message: `Order with ID ${orderId} does not exist on blockchain`,
+            // The resolver's EIP-712 acceptance authorizes the relayer to
+            // accept at this price; checked before anything is spent on it
+            try {
+                await req.app.get("resolverAcceptanceVerifier").verify({
+                    orderId,
+                    acceptedPrice: acceptedPriceWei,
+                    resolverAddress,
+                    deadline,
+                    nonce,
+                    signature,
                 });
+            } catch (error) {
+                if (error.name !== "ResolverAcceptanceError") throw error;
+                return res
+                    .status(ResolverAcceptanceVerifier.statusFor(error))
+                    .json({
+                        error: "Invalid acceptance",
+                        message: error.message,
+                    });
             }
-            return res.status(500).json({
-                error: "Price validation failed",
-                message: validationError.message,
-            });
-        }
-
-        console.log(
-            `Relayer accepting order ${orderId} at price ${acceptedPrice} for resolver ${resolverAddress}`
-        );
 
-        // Set up blockchain connection with relayer's private key using viem
-        const rpcUrl =
-            process.env.RPC_URL ||
-            "https://worldchain-sepolia.g.alchemy.com/v2/ydzpyjQ8ltFGNlU9MwB0q";
-        const relayerPrivateKey =
-            process.env.RELAYER_PRIVATE_KEY ||
-            "6c1db0c528e7cac4202419249bc98d3df647076707410041e32f6e9080906bfb";
-        const contractAddress =
-            process.env.CONTRACT_ADDRESS ||
-            "0xC3dd62f9EE406b43A2f463b3a59BEcDC1579933b";
-
-        // Create account from private key
-        const account = privateKeyToAccount(`0x${relayerPrivateKey}`);
-
-        // Create public client for reading blockchain data
-        const publicClient = createPublicClient({
-            chain: worldchainSepolia,
-            transport: http(rpcUrl),
-        });
+            // Read order details from blockchain only (no database involvement)
+            let orderStartPrice, orderEndPrice, orderAmount;
+            try {
+                console.log(`📋 Reading order ${orderId} from blockchain...`);
+
+                const blockchainOrder =
+                    await orderProtocolClient().getOrder(orderId);
+
+                console.log(`🔍 Raw blockchain order data:`, blockchainOrder);
+                console.log(`🔍 Order type:`, typeof blockchainOrder);
+                console.log(`🔍 Order.maker:`, blockchainOrder.maker);
+                console.log(`🔍 Order.startPrice:`, blockchainOrder.startPrice);
+                console.log(`🔍 Order.endPrice:`, blockchainOrder.endPrice);
+
+                // Check if order exists (maker is not zero address)
+                if (!OrderProtocolClient.exists(blockchainOrder)) {
+                    return res.status(404).json({
+                        error: "Order not found",
+                        message: `Order with ID ${orderId} does not exist on blockchain`,
+                    });
+                }
+
+                // Check if order is already accepted
+                if (blockchainOrder.accepted) {
+                    // accepted field
+                    return res.status(400).json({
+                        error: "Order already accepted",
+                        message: `Order ${orderId} has already been accepted`,
+                    });
+                }
+
+                // Ensure we have valid price data before proceeding
+                if (!blockchainOrder.startPrice || !blockchainOrder.endPrice) {
+                    console.error(
+                        `❌ Missing price data - startPrice: ${blockchainOrder.startPrice}, endPrice: ${blockchainOrder.endPrice}`
+                    );
+                    return res.status(500).json({
+                        error: "Invalid order data",
+                        message: "Order price data is missing or invalid",
+                    });
+                }
+
+                orderStartPrice = blockchainOrder.startPrice; // startPrice
+                orderEndPrice = blockchainOrder.endPrice; // endPrice
+                orderAmount = blockchainOrder.amount;
+                console.log(`✅ Order found on blockchain - Status: Active`);
+                console.log(`   Maker: ${blockchainOrder.maker}`);
+                console.log(
+                    `   Amount: ${
+                        blockchainOrder.amount?.toString() || "undefined"
+                    }`
+                );
+                console.log(`   Token: ${blockchainOrder.token}`);
+                console.log(`   Start Price: ${orderStartPrice.toString()}`);
+                console.log(`   End Price: ${orderEndPrice.toString()}`);
+                console.log(`   Accepted: ${blockchainOrder.accepted}`);
+                console.log(`   Fulfilled: ${blockchainOrder.fulfilled}`);
 
-        // Create wallet client for sending transactions
-        const walletClient = createWalletClient({
-            account,
-            chain: worldchainSepolia,
-            transport: http(rpcUrl),
-        });
+                console.log(`🔍 Price validation:`);
+                console.log(
+                    `   Order range: ${orderEndPrice.toString()} ≤ price ≤ ${orderStartPrice.toString()}`
+                );
+                console.log(
+                    `   Accepted price: ${acceptedPriceWei.toString()}`
+                );
 
-        // OrderProtocol contract ABI (minimal - just the acceptOrder function)
-        const contractABI = [
-            {
-                inputs: [
-                    {
-                        internalType: "bytes32",
-                        name: "_orderId",
-                        type: "bytes32",
-                    },
-                    {
-                        internalType: "uint256",
-                        name: "_acceptedPrice",
-                        type: "uint256",
-                    },
-                    {
-                        internalType: "address",
-                        name: "_taker",
-                        type: "address",
-                    },
-                ],
-                name: "acceptOrder",
-                outputs: [],
-                stateMutability: "nonpayable",
-                type: "function",
-            },
-        ];
-
-        // Estimate gas
-        const gasEstimate = await publicClient.estimateContractGas({
-            address: contractAddress,
-            abi: contractABI,
-            functionName: "acceptOrder",
-            args: [orderId, acceptedPriceWei, resolverAddress],
-            account: account,
-        });
+                // Smart contract validates: endPrice <= acceptedPrice <= startPrice
+                if (
+                    acceptedPriceWei < orderEndPrice ||
+                    acceptedPriceWei > orderStartPrice
+                ) {
+                    return res.status(400).json({
+                        error: "Price out of range",
+                        message: `Accepted price ${acceptedPriceWei.toString()} must be between ${orderEndPrice.toString()} and ${orderStartPrice.toString()}`,
+                    });
+                }
+
+                console.log(`✅ Price validation passed!`);
+            } catch (validationError) {
+                console.error(`❌ Price validation error:`, validationError);
+                if (validationError.message?.includes("OrderNotFound")) {
+                    return res.status(404).json({
+                        error: "Order not found",
+                        message: `Order with ID ${orderId} does not exist on blockchain`,
+                    });
+                }
+                return res.status(500).json({
+                    error: "Price validation failed",
+                    message: validationError.message,
+                });
+            }
 
-        // Add 20% buffer to gas estimate
-        const gasLimit = (gasEstimate * 120n) / 100n;
+            // Hold the Dutch auction, if one is running, so no one else can
+            // win it while this acceptance is sent; it reopens if that fails
+            const auctionManager = req.app.get("auctionManager");
+            const activeAuction = auctionManager.getActiveAuction(orderId);
 
-        // Send transaction
-        const txHash = await walletClient.writeContract({
-            address: contractAddress,
-            abi: contractABI,
-            functionName: "acceptOrder",
-            args: [orderId, acceptedPriceWei, resolverAddress],
-            gas: gasLimit,
-        });
+            if (activeAuction && activeAuction.isActive) {
+                // Auction prices are decimal INR
+                const auctionResult = auctionManager.reserveAuction(
+                    orderId,
+                    formatUnits(acceptedPriceWei, 18),
+                    resolverAddress
+                );
 
-        console.log(`Transaction sent by relayer: ${txHash}`);
+                if (!auctionResult.success) {
+                    return res.status(409).json({
+                        error: "Failed to accept auction",
+                        message: auctionResult.message,
+                    });
+                }
+                auctionHeld = true;
+            }
 
-        // Wait for confirmation
-        const receipt = await publicClient.waitForTransactionReceipt({
-            hash: txHash,
-        });
+            // Phase 2.3: Create Yellow Network tripartite session for instant
+            // settlement, funded with the maker's escrow
+            const yellowSessionManager = req.app.get("yellowSessionManager");
+            const storedOrder = await Order.findByOrderId(orderId);
+            const makerAddress = storedOrder
+                ? storedOrder.walletAddress
+                : (await getOrderFromContract(orderId))?.maker;
+            const funding = await req.app
+                .get("yellowInstantSettlement")
+                .sessionFunding({
+                    amount: orderAmount,
+                    endPrice: orderEndPrice,
+                });
+            const yellowSession = {
+                sessionId: await yellowSessionManager.createTripartiteSession(
+                    orderId,
+                    makerAddress,
+                    resolverAddress,
+                    funding
+                ),
+            };
+            console.log(
+                `🟡 Yellow Network session created: ${yellowSession.sessionId}`
+            );
+            console.log(
+                `⚡ Settlement time reduction: 20-30s → 5s via state channels`
+            );
 
-        if (receipt.status === "success") {
             console.log(
-                `✅ Order ${orderId} accepted successfully! Tx: ${txHash}`
+                `Relayer accepting order ${orderId} at price ${acceptedPrice} for resolver ${resolverAddress}`
             );
 
-            // Emit Socket.IO event for order acceptance (pure blockchain, no database)
-            const io = req.app.get("io");
-            if (io) {
-                io.emit("orderAccepted", {
+            // The relayer transaction manager assigns the nonce, re-broadcasts
+            // with higher fees if the transaction gets stuck and waits until mined
+            const relayer = req.app.get("relayerTransactionManager");
+            const { transactionHash: txHash, receipt } =
+                await orderProtocolClient(relayer).acceptOrder(
                     orderId,
-                    acceptedPrice,
+                    acceptedPriceWei,
                     resolverAddress,
+                    { orderId }
+                );
+
+            console.log(`Transaction mined for relayer: ${txHash}`);
+
+            if (receipt.status === "success") {
+                console.log(
+                    `✅ Order ${orderId} accepted successfully! Tx: ${txHash}`
+                );
+
+                if (auctionHeld) {
+                    auctionHeld = false;
+                    try {
+                        await auctionManager.acceptAuction(
+                            orderId,
+                            resolverAddress,
+                            { transactionHash: txHash }
+                        );
+                    } catch (error) {
+                        // Recorded again from the chain below
+                        console.error(
+                            `❌ Failed to record auction acceptance for ${orderId}:`,
+                            error.message
+                        );
+                    }
+                }
+
+                await recordOnChainTransition(orderId, "accepted", {
+                    actor: resolverAddress,
+                    actorType: "resolver",
+                    reason: "Order accepted on-chain via relayer",
                     transactionHash: txHash,
-                    timestamp: new Date(),
+                    fields: {
+                        acceptedBy: resolverAddress.toLowerCase(),
+                        acceptedPrice: formatEther(acceptedPriceWei),
+                        acceptedAt: new Date(),
+                    },
                 });
-            }
 
-            // Signal back to the resolver that the order was accepted
-            try {
-                await signalResolverOrderAccepted(orderId, resolverAddress, {
-                    transactionHash: txHash,
-                    blockNumber: Number(receipt.blockNumber),
-                    acceptedPrice,
-                    yellowSessionId: yellowSession.sessionId, // Include Yellow session info
+                // Emit Socket.IO event for order acceptance
+                const io = req.app.get("socketio");
+                if (io) {
+                    io.emit("orderAccepted", {
+                        orderId,
+                        acceptedPrice,
+                        resolverAddress,
+                        transactionHash: txHash,
+                        timestamp: new Date(),
+                    });
+                }
+
+                // Signal back to the resolver that the order was accepted
+                // (retried in the background if the first attempt fails)
+                try {
+                    const registry = req.app.get("resolverCallbackRegistry");
+                    await registry.dispatch(
+                        resolverAddress,
+                        "ORDER_ACCEPTED",
+                        orderId,
+                        {
+                            transactionHash: txHash,
+                            blockNumber: Number(receipt.blockNumber),
+                            acceptedPrice,
+                            yellowSessionId: yellowSession.sessionId, // Include Yellow session info
+                        }
+                    );
+                } catch (signalError) {
+                    console.warn(
+                        `Failed to signal resolver: ${signalError.message}`
+                    );
+                    // Don't fail the response if signaling fails
+                }
+
+                res.json({
+                    success: true,
+                    message: "Order accepted successfully",
+                    data: {
+                        orderId,
+                        acceptedPrice,
+                        resolverAddress,
+                        transactionHash: txHash,
+                        blockNumber: Number(receipt.blockNumber),
+                        gasUsed: receipt.gasUsed.toString(),
+                        yellowNetwork: {
+                            sessionId: yellowSession.sessionId,
+                            instant: true,
+                            settlementTime: "~5 seconds via state channels",
+                        },
+                    },
                 });
-            } catch (signalError) {
-                console.warn(
-                    `Failed to signal resolver: ${signalError.message}`
+            } else {
+                console.error(
+                    `❌ Transaction failed for order ${orderId}. Tx: ${txHash}`
                 );
-                // Don't fail the response if signaling fails
-            }
-
-            res.json({
-                success: true,
-                message: "Order accepted successfully",
-                data: {
-                    orderId,
-                    acceptedPrice,
-                    resolverAddress,
+                if (auctionHeld) {
+                    auctionManager.releaseAuction(orderId, resolverAddress);
+                }
+                res.status(500).json({
+                    error: "Transaction failed",
+                    message: `Failed to accept order ${orderId}`,
                     transactionHash: txHash,
-                    blockNumber: Number(receipt.blockNumber),
-                    gasUsed: receipt.gasUsed.toString(),
-                    yellowNetwork: {
-                        sessionId: yellowSession.sessionId,
-                        instant: true,
-                        settlementTime: "~5 seconds via state channels",
-                    },
-                },
-            });
-        } else {
+                });
+            }
+        } catch (error) {
             console.error(
-                `❌ Transaction failed for order ${orderId}. Tx: ${txHash}`
+                `Error accepting order ${req.params.orderId}:`,
+                error
             );
-            res.status(500).json({
-                error: "Transaction failed",
-                message: `Failed to accept order ${orderId}`,
-                transactionHash: txHash,
+
+            if (auctionHeld) {
+                req.app
+                    .get("auctionManager")
+                    .releaseAuction(
+                        req.params.orderId,
+                        req.body.resolverAddress
+                    );
+            }
+
+            let errorMessage = "Failed to accept order";
+            let statusCode = 500;
+
+            // Parse specific blockchain errors
+            if (error.message.includes("OrderProtocol__AlreadyAccepted")) {
+                errorMessage = `Order ${req.params.orderId} was already accepted by another resolver`;
+                statusCode = 409;
+            } else if (error.message.includes("OrderProtocol__InvalidPrice")) {
+                errorMessage = `Invalid price for order ${req.params.orderId}`;
+                statusCode = 400;
+            } else if (error.message.includes("OrderProtocol__NotAResolver")) {
+                errorMessage = `Address ${req.body.resolverAddress} is not registered as a resolver`;
+                statusCode = 403;
+            } else if (
+                error.message.includes("OrderProtocol__OrderDoesNotExists")
+            ) {
+                errorMessage = `Order ${req.params.orderId} does not exist`;
+                statusCode = 404;
+            }
+
+            res.status(statusCode).json({
+                error: errorMessage,
+                message: error.message,
             });
         }
-    } catch (error) {
-        console.error(`Error accepting order ${req.params.orderId}:`, error);
-
-        let errorMessage = "Failed to accept order";
-        let statusCode = 500;
-
-        // Parse specific blockchain errors
-        if (error.message.includes("OrderProtocol__AlreadyAccepted")) {
-            errorMessage = `Order ${req.params.orderId} was already accepted by another resolver`;
-            statusCode = 409;
-        } else if (error.message.includes("OrderProtocol__InvalidPrice")) {
-            errorMessage = `Invalid price for order ${req.params.orderId}`;
-            statusCode = 400;
-        } else if (error.message.includes("OrderProtocol__NotAResolver")) {
-            errorMessage = `Address ${req.body.resolverAddress} is not registered as a resolver`;
-            statusCode = 403;
-        } else if (
-            error.message.includes("OrderProtocol__OrderDoesNotExists")
-        ) {
-            errorMessage = `Order ${req.params.orderId} does not exist`;
-            statusCode = 404;
-        }
-
-        res.status(statusCode).json({
-            error: errorMessage,
-            message: error.message,
-        });
     }
-});
+);
 
 /**
- * Auto-fulfill order instantly using CoinGecko pricing
+ * Auto-fulfill order instantly using price oracle pricing
  * This replaces the Dutch auction with instant price-based fulfillment
  */
-async function autoFulfillOrderInstantly(orderId, tokenSymbol, tokenAmount) {
+async function autoFulfillOrderInstantly(
+    orderId,
+    tokenSymbol,
+    tokenAmount,
+    { yellowSessionManager, yellowInstantSettlement, relayer, makerAddress }
+) {
     try {
         console.log(`⚡ Auto-fulfilling order ${orderId} instantly...`);
         console.log(`💰 Token: ${tokenSymbol}, Amount: ${tokenAmount}`);
 
-        // Step 1: Get real-time price from CoinGecko
-        const livePriceCalculation = await coinGeckoAPI.calculateUPIAmount(
-            tokenSymbol,
-            parseFloat(tokenAmount)
-        );
+        // Step 1: Get real-time price from the oracle. Without a confident
+        // price the order is left open for resolvers instead.
+        let livePriceCalculation;
+        try {
+            livePriceCalculation = await priceOracle.calculateUPIAmount(
+                tokenSymbol,
+                parseFloat(tokenAmount)
+            );
+        } catch (error) {
+            if (error instanceof PriceConfidenceError) {
+                console.warn(
+                    `⚠️ Skipping auto-fulfillment of order ${orderId}: ${error.message}`
+                );
+                return;
+            }
+            throw error;
+        }
         console.log(`📊 Live price calculation:`, livePriceCalculation);
 
-        // Step 2: Create Yellow Network session for instant settlement
-        const YellowSessionManager = require("../yellow/session-manager");
-        const yellowSessionManager = new YellowSessionManager();
+        // Step 2: Create Yellow Network session for instant settlement,
+        // funded with the maker's escrow
+        const orderDetails = await getOrderFromContract(orderId);
+        if (!orderDetails) {
+            console.warn(
+                `⚠️ Skipping auto-fulfillment of order ${orderId}: not found on contract`
+            );
+            return;
+        }
         const sessionId = await yellowSessionManager.createTripartiteSession(
             orderId,
+            makerAddress,
             INSTANT_FULFILLMENT_CONFIG.MAIN_RESOLVER,
-            {
-                type: "instant_fulfillment",
-                pricing: livePriceCalculation,
-                timestamp: Date.now(),
-            }
+            await yellowInstantSettlement.sessionFunding(orderDetails)
         );
         console.log(`🟡 Yellow session created: ${sessionId}`);
 
@@ -1084,6 +1195,7 @@ async function autoFulfillOrderInstantly(orderId, tokenSymbol, tokenAmount) {
 
         // Use the existing accept order logic but with live pricing
         const acceptResult = await acceptOrderAutomatically(
+            relayer,
             orderId,
             acceptedPriceWei.toString(),
             INSTANT_FULFILLMENT_CONFIG.MAIN_RESOLVER,
@@ -1091,6 +1203,19 @@ async function autoFulfillOrderInstantly(orderId, tokenSymbol, tokenAmount) {
         );
 
         if (acceptResult.success) {
+            await recordOnChainTransition(orderId, "accepted", {
+                actor: INSTANT_FULFILLMENT_CONFIG.MAIN_RESOLVER,
+                actorType: "relayer",
+                reason: "Auto-accepted at live market price",
+                transactionHash: acceptResult.transactionHash,
+                fields: {
+                    acceptedBy:
+                        INSTANT_FULFILLMENT_CONFIG.MAIN_RESOLVER.toLowerCase(),
+                    acceptedPrice: livePriceCalculation.totalINR.toString(),
+                    acceptedAt: new Date(),
+                },
+            });
+
             console.log(`🎉 Order ${orderId} instantly fulfilled!`);
             console.log(
                 `⏱️ Settlement time: ~3 seconds (vs 20-30s traditional)`
@@ -1108,6 +1233,7 @@ async function autoFulfillOrderInstantly(orderId, tokenSymbol, tokenAmount) {
  * Automatically accept order with live pricing (internal function)
  */
 async function acceptOrderAutomatically(
+    relayer,
     orderId,
     acceptedPrice,
     resolverAddress,
@@ -1136,84 +1262,13 @@ async function acceptOrderAutomatically(
         }
 
         // Execute blockchain transaction
-        const rpcUrl =
-            process.env.RPC_URL ||
-            "https://worldchain-sepolia.g.alchemy.com/v2/ydzpyjQ8ltFGNlU9MwB0q";
-        const relayerPrivateKey =
-            process.env.RELAYER_PRIVATE_KEY ||
-            "6c1db0c528e7cac4202419249bc98d3df647076707410041e32f6e9080906bfb";
-        const contractAddress =
-            process.env.CONTRACT_ADDRESS ||
-            "0xC3dd62f9EE406b43A2f463b3a59BEcDC1579933b";
-
-        const {
-            createPublicClient,
-            createWalletClient,
-            http,
-        } = require("viem");
-        const { privateKeyToAccount } = require("viem/accounts");
-
-        // Define chain
-        const worldchainSepolia = {
-            id: 4801,
-            name: "Worldchain Sepolia",
-            network: "worldchain-sepolia",
-            nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
-            rpcUrls: {
-                default: { http: [rpcUrl] },
-                public: { http: [rpcUrl] },
-            },
-        };
-
-        const account = privateKeyToAccount(`0x${relayerPrivateKey}`);
-        const publicClient = createPublicClient({
-            chain: worldchainSepolia,
-            transport: http(rpcUrl),
-        });
-        const walletClient = createWalletClient({
-            account,
-            chain: worldchainSepolia,
-            transport: http(rpcUrl),
-        });
-
-        const contractABI = [
-            {
-                inputs: [
-                    {
-                        internalType: "bytes32",
-                        name: "_orderId",
-                        type: "bytes32",
-                    },
-                    {
-                        internalType: "uint256",
-                        name: "_acceptedPrice",
-                        type: "uint256",
-                    },
-                    {
-                        internalType: "address",
-                        name: "_taker",
-                        type: "address",
-                    },
-                ],
-                name: "acceptOrder",
-                outputs: [],
-                stateMutability: "nonpayable",
-                type: "function",
-            },
-        ];
-
-        // Send transaction
-        const txHash = await walletClient.writeContract({
-            address: contractAddress,
-            abi: contractABI,
-            functionName: "acceptOrder",
-            args: [orderId, acceptedPriceWei, resolverAddress],
-        });
-
-        // Wait for confirmation
-        const receipt = await publicClient.waitForTransactionReceipt({
-            hash: txHash,
-        });
+        const { transactionHash: txHash, receipt } =
+            await orderProtocolClient(relayer).acceptOrder(
+                orderId,
+                acceptedPriceWei,
+                resolverAddress,
+                { orderId }
+            );
 
         return {
             success: receipt.status === "success",
@@ -1285,6 +1340,132 @@ router.get("/:orderId/fulfillment-status", async (req, res) => {
     }
 });
 
+// GET /api/orders/:orderId/beneficiary - Off-chain bank details, for the order's taker only
+router.get("/:orderId/beneficiary", requireSession, async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        const orderDetails = await getOrderFromContract(orderId);
+        if (!orderDetails) {
+            return res.status(404).json({
+                error: "Order not found",
+                message: `Order ${orderId} does not exist on contract`,
+            });
+        }
+
+        if (!orderDetails.accepted) {
+            return res.status(400).json({
+                error: "Order not accepted",
+                message: "Bank details are released to the order's taker",
+            });
+        }
+
+        if (req.session.address !== orderDetails.taker.toLowerCase()) {
+            return res.status(403).json({
+                error: "Forbidden",
+                message: "Not the order's taker",
+            });
+        }
+
+        const order = await Order.findByOrderId(orderId);
+        const bankAccount = order?.beneficiary?.bankAccount;
+        if (!bankAccount?.accountNumber) {
+            return res.status(404).json({
+                error: "Bank details not found",
+                message: `Order ${orderId} has no off-chain bank details`,
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                orderId,
+                bankAccount: {
+                    accountNumber: bankAccount.accountNumber,
+                    ifsc: bankAccount.ifsc,
+                    name: bankAccount.name,
+                    salt: bankAccount.salt,
+                },
+            },
+        });
+    } catch (error) {
+        console.error(
+            `Error getting bank details for order ${req.params.orderId}:`,
+            error
+        );
+        res.status(500).json({
+            error: "Failed to get bank details",
+            message: "An internal server error occurred",
+        });
+    }
+});
+
+// GET /api/orders/:orderId/settlement - Preview the Yellow settlement a resolver co-signs
+router.get("/:orderId/settlement", async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const { payoutId } = req.query;
+
+        if (!payoutId) {
+            return res.status(400).json({
+                error: "Missing payoutId",
+                message: "payoutId query parameter is required",
+            });
+        }
+
+        const orderDetails = await getOrderFromContract(orderId);
+        if (!orderDetails) {
+            return res.status(404).json({
+                error: "Order not found",
+                message: `Order ${orderId} does not exist on contract`,
+            });
+        }
+
+        if (!orderDetails.accepted) {
+            return res.status(400).json({
+                error: "Order not accepted",
+                message: "Order must be accepted before settlement",
+            });
+        }
+
+        const yellowInstantSettlement = req.app.get("yellowInstantSettlement");
+        const receipt = await yellowInstantSettlement.getReceipt(orderId);
+
+        let preview = null;
+        let previewError = null;
+        try {
+            preview = await yellowInstantSettlement.previewSettlement(
+                orderId,
+                orderDetails,
+                payoutId
+            );
+        } catch (error) {
+            previewError = error.message;
+        }
+
+        res.json({
+            success: true,
+            data: {
+                orderId,
+                taker: orderDetails.taker,
+                acceptedPrice: orderDetails.acceptedPrice,
+                preview,
+                previewError,
+                receipt: receipt ? receipt.toFormattedJSON() : null,
+            },
+        });
+    } catch (error) {
+        console.error(
+            `Error previewing settlement for order ${req.params.orderId}:`,
+            error
+        );
+        res.status(500).json({
+            error: "Failed to preview settlement",
+            message: error.message,
+        });
+    }
+});
+
 // GET /api/orders/live-pricing/:tokenSymbol - Get live pricing for token
 router.get("/live-pricing/:tokenSymbol", async (req, res) => {
     try {
@@ -1295,7 +1476,7 @@ router.get("/live-pricing/:tokenSymbol", async (req, res) => {
             `📊 Getting live pricing for ${tokenSymbol}, amount: ${amount}`
         );
 
-        const pricing = await coinGeckoAPI.calculateUPIAmount(
+        const pricing = await priceOracle.calculateUPIAmount(
             tokenSymbol,
             parseFloat(amount)
         );
@@ -1313,6 +1494,15 @@ router.get("/live-pricing/:tokenSymbol", async (req, res) => {
             },
         });
     } catch (error) {
+        if (error instanceof PriceConfidenceError) {
+            return res.status(503).json({
+                error: "Price unavailable",
+                message: error.message,
+                sources: error.details.sources,
+                rejectedSources: error.details.rejected,
+            });
+        }
+
         console.error(
             `Error getting live pricing for ${req.params.tokenSymbol}:`,
             error
@@ -1328,255 +1518,303 @@ router.get("/live-pricing/:tokenSymbol", async (req, res) => {
  * Fulfill order after payment verification
  * POST /api/orders/:orderId/fulfill
  */
-router.post("/:orderId/fulfill", async (req, res) => {
-    try {
-        const { orderId } = req.params;
-        const { transactionId, resolverAddress } = req.body;
+router.post(
+    "/:orderId/fulfill",
+    requireWalletSession((req) => req.body.resolverAddress),
+    async (req, res) => {
+        try {
+            const { orderId } = req.params;
+            const {
+                transactionId,
+                resolverAddress,
+                settlementSignature,
+                settlementMode = "yellow",
+            } = req.body;
 
-        console.log(`📤 Received fulfillment request for order: ${orderId}`);
-        console.log(`🔗 Transaction ID: ${transactionId}`);
-        console.log(`👤 Resolver: ${resolverAddress}`);
+            console.log(
+                `📤 Received fulfillment request for order: ${orderId}`
+            );
+            console.log(`🔗 Transaction ID: ${transactionId}`);
+            console.log(`👤 Resolver: ${resolverAddress}`);
 
-        if (!transactionId || !resolverAddress) {
-            return res.status(400).json({
-                error: "Missing required fields",
-                message: "transactionId and resolverAddress are required",
-            });
-        }
+            if (!transactionId || !resolverAddress) {
+                return res.status(400).json({
+                    error: "Missing required fields",
+                    message: "transactionId and resolverAddress are required",
+                });
+            }
 
-        // Step 1: Get order details from smart contract
-        const orderDetails = await getOrderFromContract(orderId);
-        if (!orderDetails) {
-            return res.status(404).json({
-                error: "Order not found",
-                message: `Order ${orderId} does not exist on contract`,
-            });
-        }
+            if (!["yellow", "onchain"].includes(settlementMode)) {
+                return res.status(400).json({
+                    error: "Invalid settlement mode",
+                    message: 'settlementMode must be "yellow" or "onchain"',
+                });
+            }
 
-        console.log(`📋 Order details:`, {
-            accepted: orderDetails.accepted,
-            amount: orderDetails.amount,
-            recipientUpi: orderDetails.recipientUpiAddress,
-            acceptedTime: orderDetails.acceptedTime,
-        });
+            if (settlementMode === "yellow" && !settlementSignature) {
+                return res.status(400).json({
+                    error: "Missing settlement signature",
+                    message:
+                        'settlementSignature is required for settlementMode "yellow" (see GET /api/orders/:orderId/settlement)',
+                });
+            }
 
-        if (!orderDetails.accepted) {
-            return res.status(400).json({
-                error: "Order not accepted",
-                message: "Order must be accepted before fulfillment",
-            });
-        }
+            // Step 1: Get order details from smart contract
+            const orderDetails = await getOrderFromContract(orderId);
+            if (!orderDetails) {
+                return res.status(404).json({
+                    error: "Order not found",
+                    message: `Order ${orderId} does not exist on contract`,
+                });
+            }
 
-        // Step 2: Verify transaction with RazorpayX
-        const transactionDetails = await verifyRazorpayXTransaction(
-            transactionId
-        );
-        if (!transactionDetails) {
-            return res.status(400).json({
-                error: "Transaction verification failed",
-                message: "Could not verify transaction with RazorpayX",
+            console.log(`📋 Order details:`, {
+                accepted: orderDetails.accepted,
+                amount: orderDetails.amount,
+                recipientUpi: orderDetails.recipientUpiAddress,
+                acceptedTime: orderDetails.acceptedTime,
             });
-        }
 
-        // Step 3: Validate transaction details
-        const validation = validateTransaction(
-            orderDetails,
-            transactionDetails
-        );
-        if (!validation.valid) {
-            return res.status(400).json({
-                error: "Transaction validation failed",
-                message: validation.reason,
-            });
-        }
+            if (!orderDetails.accepted) {
+                return res.status(400).json({
+                    error: "Order not accepted",
+                    message: "Order must be accepted before fulfillment",
+                });
+            }
 
-        // Step 4: Execute instant settlement via Yellow Network
-        const yellowSessionManager = req.app.get("yellowSessionManager");
-        const settlementResult = await yellowSessionManager.instantSettlement(
-            orderId,
-            transactionId,
-            orderDetails
-        );
-        console.log(
-            `⚡ Yellow Network instant settlement: ${
-                settlementResult.success ? "SUCCESS" : "FAILED"
-            }`
-        );
+            if (
+                resolverAddress.toLowerCase() !==
+                orderDetails.taker.toLowerCase()
+            ) {
+                return res.status(403).json({
+                    error: "Not the order's resolver",
+                    message: `Order ${orderId} was accepted by ${orderDetails.taker}`,
+                });
+            }
 
-        // Step 5: Call fulfillOrder on smart contract
-        const fulfillmentResult = await fulfillOrderOnContract(
-            orderId,
-            transactionId
-        );
-        if (!fulfillmentResult.success) {
-            return res.status(500).json({
-                error: "Contract fulfillment failed",
-                message: fulfillmentResult.message,
-            });
-        }
+            // Step 2: A payout proves exactly one order
+            const otherOrderId = await findOrderUsingPayout(
+                transactionId,
+                orderId
+            );
+            if (otherOrderId) {
+                return res.status(409).json({
+                    error: "Payout already used",
+                    message: `Payout ${transactionId} is already the proof for order ${otherOrderId}`,
+                });
+            }
 
-        console.log(`✅ Order ${orderId} fulfilled successfully!`);
-        console.log(
-            `📝 Transaction hash: ${fulfillmentResult.transactionHash}`
-        );
-        console.log(
-            `⚡ Yellow Network settlement: ~5s (vs 20-30s traditional)`
-        );
+            // Step 3: Wait for RazorpayX to report the payout processed (only
+            // when payout webhooks are configured)
+            const payoutTracker = req.app.get("payoutTracker");
+            if (payoutTracker.enabled) {
+                try {
+                    await payoutTracker.waitForProcessed(transactionId);
+                } catch (error) {
+                    if (!(error instanceof PayoutWaitError)) throw error;
+                    return res
+                        .status(error.reason === "timeout" ? 409 : 400)
+                        .json({
+                            error:
+                                error.reason === "timeout"
+                                    ? "Payout not processed yet"
+                                    : "Payout not successful",
+                            message: error.message,
+                        });
+                }
+            }
+
+            // Step 4: Verify transaction with the payout provider
+            const payoutProvider = req.app.get("payoutProvider");
+            const transactionDetails = await verifyPayout(
+                payoutProvider,
+                transactionId
+            );
+            if (!transactionDetails) {
+                return res.status(400).json({
+                    error: "Transaction verification failed",
+                    message: `Could not verify transaction with ${payoutProvider.name}`,
+                });
+            }
 
-        // Emit fulfillment event via Socket.IO
-        const io = req.app.get("socketio");
-        if (io) {
-            io.emit("orderFulfilled", {
+            // Step 5: Validate transaction details, against the bank details
+            // the maker posted when the recipient only has a bankref
+            const storedOrder = await Order.findByOrderId(orderId);
+            const validation = validateTransaction(
                 orderId,
-                transactionId,
+                orderDetails,
+                transactionDetails,
+                { bankAccount: storedOrder?.beneficiary?.bankAccount }
+            );
+            if (!validation.valid) {
+                console.warn(
+                    `⚠️ Payout ${transactionId} rejected for order ${orderId}: ${validation.reason}`
+                );
+                return res.status(400).json({
+                    error: "Transaction validation failed",
+                    message: validation.reason,
+                });
+            }
+
+            console.log(
+                `💰 Payout ${transactionId} pays order ${orderId}: ${transactionDetails.amount} paise`
+            );
+
+            // Step 6: A proof that arrives after the fulfillment window would
+            // only make the contract refund the maker, after the resolver was
+            // already paid through Yellow
+            if (await isFulfillmentWindowClosed(orderDetails)) {
+                return res.status(409).json({
+                    error: "Fulfillment window expired",
+                    message: `Order ${orderId} can no longer be fulfilled; the maker is refunded instead`,
+                });
+            }
+
+            // Step 7: Settle the order's Yellow session off-chain. A failed
+            // settlement is recorded on its receipt and does not block the
+            // on-chain fulfillment below. Resolvers whose channel path stalled
+            // retry with settlementMode "onchain" to skip straight to step 8.
+            const yellowInstantSettlement = req.app.get(
+                "yellowInstantSettlement"
+            );
+            let settlementResult = null;
+            if (settlementMode === "yellow") {
+                settlementResult =
+                    await yellowInstantSettlement.executeSettlement(orderId, {
+                        orderDetails,
+                        payoutId: transactionId,
+                        resolverSignature: settlementSignature,
+                    });
+                console.log(
+                    `⚡ Yellow Network instant settlement: ${
+                        settlementResult.success ? "SUCCESS" : "FAILED"
+                    }`
+                );
+            } else {
+                console.log(
+                    "⛓️ On-chain settlement requested, skipping Yellow"
+                );
+            }
+
+            // Step 8: Call fulfillOrder on smart contract
+            const fulfillmentResult = await fulfillOrderOnContract(
+                req.app.get("relayerTransactionManager"),
+                orderId,
+                transactionId
+            );
+            if (fulfillmentResult.refunded) {
+                // The window closed before the transaction was mined
+                await recordOnChainTransition(orderId, "failed", {
+                    actor: "relayer",
+                    actorType: "relayer",
+                    reason: "Fulfillment window expired; maker refunded",
+                    transactionHash: fulfillmentResult.transactionHash,
+                });
+                return res.status(409).json({
+                    error: "Fulfillment window expired",
+                    message: fulfillmentResult.message,
+                    transactionHash: fulfillmentResult.transactionHash,
+                });
+            }
+            if (!fulfillmentResult.success) {
+                return res.status(500).json({
+                    error: "Contract fulfillment failed",
+                    message: fulfillmentResult.message,
+                });
+            }
+
+            console.log(`✅ Order ${orderId} fulfilled successfully!`);
+
+            await recordOnChainTransition(orderId, "fulfilled", {
+                actor: resolverAddress,
+                actorType: "resolver",
+                reason: "Payout proof verified and submitted on-chain",
+                transactionHash: fulfillmentResult.transactionHash,
+                fields: { proof: transactionId },
+            });
+            console.log(
+                `📝 Transaction hash: ${fulfillmentResult.transactionHash}`
+            );
+            console.log(
+                `⚡ Yellow Network settlement: ~5s (vs 20-30s traditional)`
+            );
+
+            // Emit fulfillment event via Socket.IO
+            const io = req.app.get("socketio");
+            if (io) {
+                io.emit("orderFulfilled", {
+                    orderId,
+                    transactionId,
+                    transactionHash: fulfillmentResult.transactionHash,
+                    blockNumber: fulfillmentResult.blockNumber,
+                    timestamp: new Date().toISOString(),
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: "Order fulfilled successfully",
                 transactionHash: fulfillmentResult.transactionHash,
                 blockNumber: fulfillmentResult.blockNumber,
-                timestamp: new Date().toISOString(),
+                settlementMode,
+                yellowNetwork: settlementResult && {
+                    instantSettlement: settlementResult.success,
+                    settlementTime: "~5 seconds via state channels",
+                    sessionCompleted: settlementResult.success,
+                    receipt: settlementResult.receipt.toFormattedJSON(),
+                },
+            });
+        } catch (error) {
+            console.error("❌ Error fulfilling order:", error);
+            res.status(500).json({
+                error: "Internal server error",
+                message: error.message,
             });
         }
+    }
+);
 
-        res.status(200).json({
-            success: true,
-            message: "Order fulfilled successfully",
-            transactionHash: fulfillmentResult.transactionHash,
-            blockNumber: fulfillmentResult.blockNumber,
-            yellowNetwork: {
-                instantSettlement: settlementResult.success,
-                settlementTime: "~5 seconds via state channels",
-                sessionCompleted: settlementResult.sessionCompleted,
-            },
-        });
+/**
+ * The order's beneficiary with the maker's off-chain bank details attached,
+ * from a request validateOrderData accepted
+ */
+function beneficiaryFromRequest({ recipientUpiAddress, bankAccount }) {
+    const beneficiary = parseBeneficiary(recipientUpiAddress);
+    return beneficiary.bankRef
+        ? attachBankAccount(beneficiary, bankAccount)
+        : beneficiary;
+}
+
+/**
+ * Record a status change that already happened on-chain. The order may be
+ * missing from the database or already moved by the indexer; neither should
+ * fail the request, so those cases are only logged.
+ */
+async function recordOnChainTransition(orderId, status, options) {
+    try {
+        await transitionOrder(orderId, status, options);
     } catch (error) {
-        console.error("❌ Error fulfilling order:", error);
-        res.status(500).json({
-            error: "Internal server error",
-            message: error.message,
-        });
+        if (
+            error instanceof OrderNotFoundError ||
+            error instanceof InvalidTransitionError
+        ) {
+            console.warn(`⚠️ Status not recorded: ${error.message}`);
+            return;
+        }
+        console.error(
+            `❌ Failed to record ${status} for order ${orderId}:`,
+            error
+        );
     }
-});
+}
 
 /**
  * Get order details from smart contract
  */
 async function getOrderFromContract(orderId) {
     try {
-        const rpcUrl = process.env.RPC_URL;
-        const contractAddress = process.env.CONTRACT_ADDRESS;
-
-        // Create public client for reading blockchain data
-        const publicClient = createPublicClient({
-            chain: {
-                id: 4801,
-                name: "Worldchain Sepolia",
-                network: "worldchain-sepolia",
-                nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
-                rpcUrls: {
-                    default: { http: [rpcUrl] },
-                    public: { http: [rpcUrl] },
-                },
-                blockExplorers: {
-                    default: {
-                        name: "Explorer",
-                        url: "https://worldchain-sepolia.explorer.alchemy.com",
-                    },
-                },
-            },
-            transport: http(rpcUrl),
-        });
-
-        // getOrder function ABI
-        const getOrderABI = [
-            {
-                inputs: [
-                    {
-                        internalType: "bytes32",
-                        name: "_orderId",
-                        type: "bytes32",
-                    },
-                ],
-                name: "getOrder",
-                outputs: [
-                    {
-                        components: [
-                            {
-                                internalType: "address",
-                                name: "maker",
-                                type: "address",
-                            },
-                            {
-                                internalType: "address",
-                                name: "taker",
-                                type: "address",
-                            },
-                            {
-                                internalType: "string",
-                                name: "recipientUpiAddress",
-                                type: "string",
-                            },
-                            {
-                                internalType: "uint256",
-                                name: "amount",
-                                type: "uint256",
-                            },
-                            {
-                                internalType: "address",
-                                name: "token",
-                                type: "address",
-                            },
-                            {
-                                internalType: "uint256",
-                                name: "startPrice",
-                                type: "uint256",
-                            },
-                            {
-                                internalType: "uint256",
-                                name: "acceptedPrice",
-                                type: "uint256",
-                            },
-                            {
-                                internalType: "uint256",
-                                name: "endPrice",
-                                type: "uint256",
-                            },
-                            {
-                                internalType: "uint256",
-                                name: "startTime",
-                                type: "uint256",
-                            },
-                            {
-                                internalType: "uint256",
-                                name: "acceptedTime",
-                                type: "uint256",
-                            },
-                            {
-                                internalType: "bool",
-                                name: "accepted",
-                                type: "bool",
-                            },
-                            {
-                                internalType: "bool",
-                                name: "fullfilled",
-                                type: "bool",
-                            },
-                        ],
-                        internalType: "struct OrderProtocol.Order",
-                        name: "",
-                        type: "tuple",
-                    },
-                ],
-                stateMutability: "view",
-                type: "function",
-            },
-        ];
-
-        // Call getOrder function
         console.log("📞 Calling getOrder with args:", [orderId]);
-        const result = await publicClient.readContract({
-            address: contractAddress,
-            abi: getOrderABI,
-            functionName: "getOrder",
-            args: [orderId],
-        });
+        const result = await orderProtocolClient().getOrder(orderId);
 
         console.log("✅ Contract call successful, raw result:", result);
 
@@ -1602,173 +1840,102 @@ async function getOrderFromContract(orderId) {
 }
 
 /**
- * Verify transaction with RazorpayX API
+ * Fetch a payout, with its beneficiary, from the payout provider
+ * @returns {Promise<Object|null>} Normalized payout, or null if it can't be fetched
  */
-async function verifyRazorpayXTransaction(payoutId) {
+async function verifyPayout(payoutProvider, payoutId) {
     try {
-        const response = await axios.get(
-            `https://api.razorpay.com/v1/payouts/${payoutId}`,
-            {
-                auth: {
-                    username: process.env.RAZORPAYX_KEY_ID,
-                    password: process.env.RAZORPAYX_KEY_SECRET,
-                },
-                timeout: 30000,
-            }
-        );
-
-        return response.data;
+        return await payoutProvider.getPayoutStatus(payoutId, {
+            withBeneficiary: true,
+        });
     } catch (error) {
-        console.error("Error verifying RazorpayX payout:", error);
+        console.error(
+            `Error verifying payout with ${payoutProvider.name}:`,
+            error.message
+        );
         return null;
     }
 }
 
 /**
- * Validate transaction details against order requirements
+ * Whether an order's fulfillment window has closed as of the latest block,
+ * the condition under which fullfillOrder refunds the maker
+ * @param {Object} orderDetails - From getOrderFromContract
  */
-function validateTransaction(orderDetails, payoutDetails) {
-    // The order amount on contract is in wei (ETH), but we need to compare with INR
-    // Since the order represents ₹100 as 100 ETH (1:1 ratio for simplicity in this demo)
-    // We can extract the INR amount by taking the integer part of ETH amount
-    const orderAmountWei = BigInt(orderDetails.amount);
-    const orderAmountETH = Number(orderAmountWei) / 1e18; // Convert wei to ETH
-    const expectedAmountINR = Math.floor(orderAmountETH); // Assume 1 ETH = ₹1 for demo
-    const expectedAmountPaise = expectedAmountINR * 100;
-
-    const actualAmountPaise = payoutDetails.amount;
-
-    console.log("💰 Amount validation:");
-    console.log("- Order amount (wei):", orderAmountWei.toString());
-    console.log("- Order amount (ETH):", orderAmountETH);
-    console.log("- Expected INR:", expectedAmountINR);
-    console.log("- Expected paise:", expectedAmountPaise);
-    console.log("- Actual paise:", actualAmountPaise);
-
-    if (actualAmountPaise !== expectedAmountPaise) {
-        return {
-            valid: false,
-            reason: `Amount mismatch: expected ${expectedAmountPaise} paise (₹${expectedAmountINR}), got ${actualAmountPaise} paise (₹${
-                actualAmountPaise / 100
-            })`,
-        };
-    }
-
-    // Check if payout is successful (allow both processed and processing for testing)
-    if (
-        payoutDetails.status !== "processed" &&
-        payoutDetails.status !== "processing"
-    ) {
-        return {
-            valid: false,
-            reason: `Payout not successful: status is ${payoutDetails.status} (expected 'processed' or 'processing')`,
-        };
-    }
-
-    // Check timing - payout should be after order acceptance
-    const payoutTime = payoutDetails.created_at;
-    const acceptedTime = Math.floor(orderDetails.acceptedTime / 1000); // Convert from milliseconds to seconds
-
-    if (payoutTime <= acceptedTime) {
-        return {
-            valid: false,
-            reason: `Payout time (${payoutTime}) is before order acceptance time (${acceptedTime})`,
-        };
-    }
+async function isFulfillmentWindowClosed(orderDetails) {
+    const client = orderProtocolClient();
+    const [maxFulfillmentTime, block] = await Promise.all([
+        client.getMaxFulfillmentTime(),
+        client.publicClient.getBlock(),
+    ]);
+    return isFulfillmentExpired(
+        { ...orderDetails, acceptedTime: BigInt(orderDetails.acceptedTime) },
+        maxFulfillmentTime,
+        block.timestamp
+    );
+}
 
-    return { valid: true };
+/**
+ * Find another order that already used a payout as its proof, either
+ * fulfilled with it or settled against it through Yellow
+ * @returns {Promise<string|null>} The other order's ID
+ */
+async function findOrderUsingPayout(payoutId, orderId) {
+    const [order, receipt] = await Promise.all([
+        Order.findOne({ proof: payoutId, orderId: { $ne: orderId } }),
+        SettlementReceipt.findOne({ payoutId, orderId: { $ne: orderId } }),
+    ]);
+    return (order && order.orderId) || (receipt && receipt.orderId) || null;
 }
 
 /**
- * Call fulfillOrder function on smart contract
+ * Call fulfillOrder function on smart contract. A mined transaction is only
+ * a fulfillment if it emitted OrderFullfilled; OrderFailed means the
+ * contract refunded the maker instead (`refunded` is set).
+ * @param {RelayerTransactionManager} relayer - Sends as the relayer
  */
-async function fulfillOrderOnContract(orderId, proof) {
+async function fulfillOrderOnContract(relayer, orderId, proof) {
     try {
-        const rpcUrl = process.env.RPC_URL;
-        const contractAddress = process.env.CONTRACT_ADDRESS;
-        const relayerPrivateKey = process.env.RELAYER_PRIVATE_KEY;
-
-        // Chain configuration (copy from existing code)
-        const worldchainSepolia = {
-            id: 4801,
-            name: "Worldchain Sepolia",
-            network: "worldchain-sepolia",
-            nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
-            rpcUrls: {
-                default: { http: [rpcUrl] },
-                public: { http: [rpcUrl] },
-            },
-            blockExplorers: {
-                default: {
-                    name: "Explorer",
-                    url: "https://worldchain-sepolia.explorer.alchemy.com",
-                },
-            },
-        };
-
-        // Create account from private key
-        const account = privateKeyToAccount(`0x${relayerPrivateKey}`);
-
-        // Create public client for reading blockchain data
-        const publicClient = createPublicClient({
-            chain: worldchainSepolia,
-            transport: http(rpcUrl),
-        });
-
-        // Create wallet client for sending transactions
-        const walletClient = createWalletClient({
-            account,
-            chain: worldchainSepolia,
-            transport: http(rpcUrl),
-        });
-
-        // fullfillOrder function ABI
-        const fullfillOrderABI = [
-            {
-                inputs: [
-                    {
-                        internalType: "bytes32",
-                        name: "_orderId",
-                        type: "bytes32",
-                    },
-                    {
-                        internalType: "string",
-                        name: "_proof",
-                        type: "string",
-                    },
-                ],
-                name: "fullfillOrder",
-                outputs: [],
-                stateMutability: "nonpayable",
-                type: "function",
-            },
-        ];
-
-        // Estimate gas
-        const gasEstimate = await publicClient.estimateContractGas({
-            address: contractAddress,
-            abi: fullfillOrderABI,
-            functionName: "fullfillOrder",
-            args: [orderId, proof],
-            account: account,
-        });
-
-        console.log(`⛽ Estimated gas for fulfillOrder: ${gasEstimate}`);
+        const client = orderProtocolClient(relayer);
+        const { transactionHash: hash, receipt } = await client.fulfillOrder(
+            orderId,
+            proof,
+            { orderId }
+        );
 
-        // Write to contract
-        const hash = await walletClient.writeContract({
-            address: contractAddress,
-            abi: fullfillOrderABI,
-            functionName: "fullfillOrder",
-            args: [orderId, proof],
-            gas: gasEstimate + BigInt(10000), // Add some buffer
-            gasPrice: parseGwei("20"),
-        });
+        if (receipt.status !== "success") {
+            return {
+                success: false,
+                message: `fullfillOrder transaction ${hash} reverted`,
+            };
+        }
 
-        console.log(`📝 Transaction sent: ${hash}`);
+        const outcome = parseEventLogs({
+            abi: client.abi,
+            eventName: ["OrderFullfilled", "OrderFailed"],
+            logs: receipt.logs,
+        }).find(
+            (log) => log.args.orderId.toLowerCase() === orderId.toLowerCase()
+        );
 
-        // Wait for transaction confirmation
-        const receipt = await publicClient.waitForTransactionReceipt({ hash });
+        if (!outcome) {
+            return {
+                success: false,
+                transactionHash: hash,
+                message: `fullfillOrder transaction ${hash} emitted neither OrderFullfilled nor OrderFailed`,
+            };
+        }
+        if (outcome.eventName === "OrderFailed") {
+            console.warn(
+                `⏰ Order ${orderId} was past its fulfillment window; the contract refunded the maker (tx ${hash})`
+            );
+            return {
+                success: false,
+                refunded: true,
+                transactionHash: hash,
+                message: `Order ${orderId} was past its fulfillment window; the contract refunded the maker`,
+            };
+        }
 
         console.log(
             `✅ Transaction confirmed in block: ${receipt.blockNumber}`
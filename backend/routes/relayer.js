@@ -0,0 +1,54 @@
+const express = require("express");
+const router = express.Router();
+const { requireAdmin } = require("../middleware/admin-auth");
+
+router.use(requireAdmin);
+
+const TRANSACTION_STATUSES = ["pending", "confirmed", "failed", "dropped"];
+
+// GET /api/relayer/transactions - List relayer transactions by status
+router.get("/transactions", async (req, res) => {
+    try {
+        const { status, orderId, limit = 50, skip = 0 } = req.query;
+
+        if (status && !TRANSACTION_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: "Invalid status",
+                message: `status must be one of: ${TRANSACTION_STATUSES.join(
+                    ", "
+                )}`,
+            });
+        }
+
+        const relayer = req.app.get("relayerTransactionManager");
+        const [transactions, counts] = await Promise.all([
+            relayer.listTransactions(
+                { status, orderId },
+                {
+                    limit: Math.min(parseInt(limit) || 50, 100),
+                    skip: parseInt(skip) || 0,
+                }
+            ),
+            relayer.countByStatus(),
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                relayer: relayer.getStatus(),
+                counts,
+                transactions: transactions.map((transaction) =>
+                    transaction.toFormattedJSON()
+                ),
+            },
+        });
+    } catch (error) {
+        console.error("Error listing relayer transactions:", error);
+        res.status(500).json({
+            error: "Failed to list relayer transactions",
+            message: "An internal server error occurred",
+        });
+    }
+});
+
+module.exports = router;
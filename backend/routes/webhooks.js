@@ -0,0 +1,47 @@
+const express = require("express");
+const router = express.Router();
+const RazorpayXPayoutTracker = require("../webhooks/razorpayx-payouts");
+
+const { SIGNATURE_HEADER, EVENT_ID_HEADER } = RazorpayXPayoutTracker;
+
+// POST /api/webhooks/razorpayx - RazorpayX payout lifecycle events
+router.post("/razorpayx", async (req, res) => {
+    const payoutTracker = req.app.get("payoutTracker");
+
+    if (!payoutTracker.enabled) {
+        return res.status(503).json({
+            error: "Webhooks not configured",
+            message: "RAZORPAYX_WEBHOOK_SECRET is not set",
+        });
+    }
+
+    if (!payoutTracker.verifySignature(req.rawBody, req.get(SIGNATURE_HEADER))) {
+        console.warn("⚠️ Rejected RazorpayX webhook with invalid signature");
+        return res.status(401).json({
+            error: "Invalid signature",
+            message: `${SIGNATURE_HEADER} does not match the request body`,
+        });
+    }
+
+    try {
+        const { payout, ignored, duplicate, dispute } =
+            await payoutTracker.ingest(req.body, req.get(EVENT_ID_HEADER));
+
+        res.json({
+            success: true,
+            ignored: !!ignored,
+            duplicate: !!duplicate,
+            payout: payout ? payout.toFormattedJSON() : null,
+            disputeId: dispute ? dispute.disputeId : null,
+        });
+    } catch (error) {
+        // A non-2xx response makes RazorpayX retry the delivery
+        console.error("Error ingesting RazorpayX webhook:", error);
+        res.status(500).json({
+            error: "Failed to process webhook",
+            message: "An internal server error occurred",
+        });
+    }
+});
+
+module.exports = router;
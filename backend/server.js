@@ -8,6 +8,7 @@ const { Server } = require("socket.io");
 require("dotenv").config();
 
 const YellowClearNodeConnection = require("./yellow/clearnode-connection.js");
+const { getActiveChainId, getContractAddress } = require("../deployments");
 
 const app = express();
 const server = createServer(app);
@@ -28,15 +29,28 @@ const io = new Server(server, {
     },
 });
 
+// Keep the raw body around for signature checks (admin requests, webhooks)
+app.use(
+    express.json({
+        limit: "10mb",
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    })
+);
+app.use(express.urlencoded({ extended: true }));
+
+// Payout webhooks are signed and arrive in bursts from a few RazorpayX IPs;
+// rate limiting them would make RazorpayX retry or drop payout events
+const webhookRoutes = require("./routes/webhooks");
+app.use("/api/webhooks", webhookRoutes);
+
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 100,
 });
 app.use(limiter);
 
-app.use(express.json({ limit: "10mb" }));
-app.use(express.urlencoded({ extended: true }));
-
 const connectDB = async () => {
     try {
         const conn = await mongoose.connect(
@@ -68,34 +82,104 @@ const yellowSessionManager = new YellowSessionManager(yellowConnection);
 app.set("yellowSessionManager", yellowSessionManager);
 console.log("⚡ Yellow Session Manager ready for instant settlements");
 
-class DutchAuctionManager {
-    static createAuction() {
-        return null;
-    }
-    static acceptAuction() {
-        return { success: false, message: "Dutch auction disabled" };
-    }
-    static getActiveAuction() {
-        return null;
+const YellowInstantSettlement = require("./yellow/instant-settlement");
+const yellowInstantSettlement = new YellowInstantSettlement(
+    yellowSessionManager
+);
+app.set("yellowInstantSettlement", yellowInstantSettlement);
+
+const DutchAuctionManager = require("./auction/dutch-auction-manager");
+const auctionManager = new DutchAuctionManager(io);
+
+const ResolverCallbackRegistry = require("./webhooks/resolver-callback-registry");
+const resolverCallbackRegistry = new ResolverCallbackRegistry();
+app.set("resolverCallbackRegistry", resolverCallbackRegistry);
+
+const OrderIndexer = require("./indexer/order-indexer");
+const orderIndexer = new OrderIndexer({ io, auctionManager });
+app.set("orderIndexer", orderIndexer);
+
+// Payout provider used to verify payout proofs (PAYOUT_PROVIDER, RazorpayX by default)
+const { createPayoutProvider } = require("../payouts");
+const payoutProvider = createPayoutProvider();
+app.set("payoutProvider", payoutProvider);
+
+const RazorpayXPayoutTracker = require("./webhooks/razorpayx-payouts");
+const payoutTracker = new RazorpayXPayoutTracker({
+    io,
+    resolverCallbackRegistry,
+});
+app.set("payoutTracker", payoutTracker);
+
+// Every relayer-signed transaction goes through here (nonces, fee bumps)
+const RelayerTransactionManager = require("./relayer/transaction-manager");
+const relayerTransactionManager = new RelayerTransactionManager();
+app.set("relayerTransactionManager", relayerTransactionManager);
+
+const ExpiryWatchdog = require("./lifecycle/expiry-watchdog");
+const expiryWatchdog = new ExpiryWatchdog({
+    io,
+    transactionManager: relayerTransactionManager,
+});
+app.set("expiryWatchdog", expiryWatchdog);
+
+// SIWE sign-in; wallet-scoped routes require a session for their address
+const SiweSessionManager = require("./auth/siwe-session-manager");
+app.set("siweSessionManager", new SiweSessionManager());
+
+// EIP-712 acceptances resolvers sign before the relayer accepts for them
+const ResolverAcceptanceVerifier = require("./auth/resolver-acceptance-verifier");
+app.set("resolverAcceptanceVerifier", new ResolverAcceptanceVerifier());
+
+mongoose.connection.once("open", () => {
+    auctionManager.recoverStaleAuctions().catch((error) => {
+        console.error("Failed to recover stale Dutch auctions:", error);
+    });
+
+    resolverCallbackRegistry.resumePending().catch((error) => {
+        console.error("Failed to resume resolver webhook deliveries:", error);
+    });
+
+    relayerTransactionManager.start().catch((error) => {
+        console.error("Failed to start relayer transaction manager:", error);
+    });
+
+    if (process.env.INDEXER_ENABLED !== "false") {
+        orderIndexer.start().catch((error) => {
+            console.error("Failed to start order indexer:", error);
+        });
     }
-    static getAllActiveAuctions() {
-        return [];
+
+    if (process.env.WATCHDOG_ENABLED !== "false") {
+        expiryWatchdog.start().catch((error) => {
+            console.error("Failed to start expiry watchdog:", error);
+        });
     }
-}
+});
 
 io.on("connection", (socket) => {
     console.log("🔌 Client connected:", socket.id);
+    socket.emit("activeAuctions", auctionManager.getAllActiveAuctions());
     socket.on("disconnect", () => {
         console.log("🔌 Client disconnected:", socket.id);
     });
 });
 
-app.set("auctionManager", DutchAuctionManager);
+app.set("auctionManager", auctionManager);
 app.set("socketio", io);
 
+const authRoutes = require("./routes/auth");
+app.use("/api/auth", authRoutes);
+
 const orderRoutes = require("./routes/orders");
 app.use("/api/orders", orderRoutes);
 
+const adminRoutes = require("./routes/admin");
+app.use("/api/admin", adminRoutes);
+
+const relayerRoutes = require("./routes/relayer");
+app.use("/api/relayer", relayerRoutes);
+
 app.get("/health", async (req, res) => {
     const yellowStatus = await yellowConnection.healthCheck();
     res.status(200).json({
@@ -105,10 +189,15 @@ app.get("/health", async (req, res) => {
         database:
             mongoose.connection.readyState === 1 ? "connected" : "disconnected",
         instantFulfillment: true,
+        activeAuctions: auctionManager.getAllActiveAuctions().length,
+        indexer: orderIndexer.getStatus(),
+        expiryWatchdog: expiryWatchdog.getStatus(),
+        relayer: relayerTransactionManager.getStatus(),
+        chainId: getActiveChainId(),
         contracts: {
-            orderProtocol: process.env.ORDER_PROTOCOL_ADDRESS,
-            makerRegistry: process.env.MAKER_REGISTRY_ADDRESS,
-            resolverRegistry: process.env.RESOLVER_REGISTRY_ADDRESS,
+            orderProtocol: getContractAddress("OrderProtocol"),
+            makerRegistry: getContractAddress("MakerRegistry"),
+            resolverRegistry: getContractAddress("ResolverRegistry"),
         },
     });
 });
@@ -133,7 +222,9 @@ const PORT = process.env.PORT || 5001;
 server.listen(PORT, () => {
     console.log("🚀 Yellow Network Backend Server Started");
     console.log("📍 Port:", PORT);
-    console.log("🔗 Contract:", process.env.ORDER_PROTOCOL_ADDRESS);
+    console.log(
+        `🔗 Contract: ${getContractAddress("OrderProtocol")} (chain ${getActiveChainId()})`
+    );
     console.log("🟡 Yellow Network: Instant fulfillment enabled");
 });
 
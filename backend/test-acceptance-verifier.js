@@ -0,0 +1,352 @@
+#!/usr/bin/env node
+
+/**
+ * Test the EIP-712 resolver acceptance checks: signer, price, deadline,
+ * registry membership and nonce reuse, with a stub resolver registry and
+ * AcceptanceNonce kept in memory
+ * Run with: npm run test-acceptance
+ */
+
+const assert = require("assert");
+const mongoose = require("mongoose");
+const { verifyTypedData } = require("viem");
+const { privateKeyToAccount } = require("viem/accounts");
+const {
+    ACCEPTANCE_PRIMARY_TYPE,
+    ACCEPTANCE_TYPES,
+    acceptanceDomain,
+} = require("../contracts");
+const AcceptanceNonce = require("./models/AcceptanceNonce");
+const ResolverAcceptanceVerifier = require("./auth/resolver-acceptance-verifier");
+
+const { ResolverAcceptanceError } = ResolverAcceptanceVerifier;
+
+const CHAIN_ID = 31337;
+const ORDER_PROTOCOL = "0x00000000000000000000000000000000000000c1";
+const ORDER_ID = `0x${"88".repeat(32)}`;
+const PRICE = 88n * 10n ** 18n;
+const RESOLVER = privateKeyToAccount(`0x${"11".repeat(32)}`);
+const STRANGER = privateKeyToAccount(`0x${"22".repeat(32)}`);
+
+/**
+ * In-memory acceptance nonces with the (resolver, nonce) unique index
+ */
+class MemoryNonces {
+    constructor() {
+        this.nonces = new Map();
+    }
+
+    reset() {
+        this.nonces.clear();
+    }
+
+    install() {
+        this.originalCreate = AcceptanceNonce.create;
+        AcceptanceNonce.create = async (fields) => {
+            const nonce = new AcceptanceNonce(fields);
+            const error = nonce.validateSync();
+            if (error) throw error;
+            const key = `${nonce.resolver}:${nonce.nonce}`;
+            if (this.nonces.has(key)) {
+                throw Object.assign(new Error("duplicate key"), {
+                    code: 11000,
+                });
+            }
+            this.nonces.set(key, nonce);
+            return nonce;
+        };
+    }
+
+    uninstall() {
+        AcceptanceNonce.create = this.originalCreate;
+    }
+}
+
+class AcceptanceVerifierTest {
+    constructor() {
+        this.testResults = [];
+        this.nonces = new MemoryNonces();
+        this.resolvers = new Set();
+        this.verifier = new ResolverAcceptanceVerifier({
+            chainId: CHAIN_ID,
+            orderProtocolAddress: ORDER_PROTOCOL,
+            // EOA signatures only; no RPC behind it
+            publicClient: { verifyTypedData },
+            resolverRegistry: {
+                isResolver: async (address) =>
+                    this.resolvers.has(address.toLowerCase()),
+            },
+            maxDeadlineSeconds: 300,
+        });
+    }
+
+    async runTests() {
+        console.log("🧪 Testing resolver acceptance verification...\n");
+
+        // Model calls must never wait on a real connection
+        mongoose.set("bufferCommands", false);
+        this.nonces.install();
+
+        try {
+            await this.run("Valid acceptance", () => this.testValid());
+            await this.run("Wrong signer", () => this.testWrongSigner());
+            await this.run("Accepted price mismatch", () =>
+                this.testPriceMismatch()
+            );
+            await this.run("Signed for another order protocol", () =>
+                this.testDomain()
+            );
+            await this.run("Expired deadline", () => this.testExpired());
+            await this.run("Deadline too far out", () =>
+                this.testFarDeadline()
+            );
+            await this.run("Not a registered resolver", () =>
+                this.testNotResolver()
+            );
+            await this.run("Nonce reuse", () => this.testReplay());
+            await this.run("Malformed input", () => this.testMalformed());
+        } finally {
+            this.nonces.uninstall();
+        }
+
+        this.displayResults();
+        return this.testResults.every((result) => result.passed);
+    }
+
+    async run(testName, test) {
+        console.log(`🔹 ${testName}...`);
+        this.nonces.reset();
+        this.resolvers = new Set([RESOLVER.address.toLowerCase()]);
+        try {
+            await test();
+            this.addResult(testName, true);
+            console.log("  ✅ Passed");
+        } catch (error) {
+            this.addResult(testName, false, { error: error.message });
+            console.log("  ❌ Failed:", error.message);
+        }
+    }
+
+    /**
+     * Verifier input for an acceptance signed by `account`: `signed`
+     * changes the signed message, any other field overrides what is
+     * submitted alongside the signature
+     */
+    async acceptance({
+        account = RESOLVER,
+        signed = {},
+        domain = acceptanceDomain(CHAIN_ID, ORDER_PROTOCOL),
+        ...submitted
+    } = {}) {
+        const message = {
+            orderId: ORDER_ID,
+            acceptedPrice: PRICE,
+            deadline: BigInt(Math.floor(Date.now() / 1000) + 120),
+            nonce: 1n,
+            ...signed,
+        };
+        const signature = await account.signTypedData({
+            domain,
+            types: ACCEPTANCE_TYPES,
+            primaryType: ACCEPTANCE_PRIMARY_TYPE,
+            message,
+        });
+
+        return {
+            orderId: message.orderId,
+            acceptedPrice: message.acceptedPrice,
+            resolverAddress: account.address,
+            deadline: message.deadline.toString(),
+            nonce: message.nonce.toString(),
+            signature,
+            ...submitted,
+        };
+    }
+
+    /**
+     * Assert verify() rejects with a ResolverAcceptanceError of `code`
+     */
+    async assertRejects(params, code, pattern) {
+        await assert.rejects(this.verifier.verify(params), (error) => {
+            assert.ok(error instanceof ResolverAcceptanceError, error.message);
+            assert.strictEqual(error.code, code);
+            if (pattern) assert.match(error.message, pattern);
+            return true;
+        });
+    }
+
+    async testValid() {
+        await this.verifier.verify(await this.acceptance());
+        const [nonce] = this.nonces.nonces.values();
+        assert.strictEqual(nonce.resolver, RESOLVER.address.toLowerCase());
+        assert.strictEqual(nonce.nonce, "1");
+        assert.strictEqual(nonce.orderId, ORDER_ID);
+    }
+
+    async testWrongSigner() {
+        // Signed by someone else but claimed for the resolver
+        await this.assertRejects(
+            await this.acceptance({
+                account: STRANGER,
+                resolverAddress: RESOLVER.address,
+            }),
+            "INVALID_SIGNATURE"
+        );
+        assert.strictEqual(this.nonces.nonces.size, 0);
+        assert.strictEqual(
+            ResolverAcceptanceVerifier.statusFor(
+                new ResolverAcceptanceError("x", { code: "INVALID_SIGNATURE" })
+            ),
+            401
+        );
+    }
+
+    async testPriceMismatch() {
+        // The relayer must accept at exactly the price the resolver signed
+        await this.assertRejects(
+            await this.acceptance({ acceptedPrice: PRICE + 1n }),
+            "INVALID_SIGNATURE"
+        );
+        await this.assertRejects(
+            await this.acceptance({ orderId: `0x${"99".repeat(32)}` }),
+            "INVALID_SIGNATURE"
+        );
+    }
+
+    async testDomain() {
+        await this.assertRejects(
+            await this.acceptance({
+                domain: acceptanceDomain(
+                    CHAIN_ID,
+                    "0x00000000000000000000000000000000000000c2"
+                ),
+            }),
+            "INVALID_SIGNATURE"
+        );
+        await this.assertRejects(
+            await this.acceptance({
+                domain: acceptanceDomain(1, ORDER_PROTOCOL),
+            }),
+            "INVALID_SIGNATURE"
+        );
+    }
+
+    async testExpired() {
+        const now = BigInt(Math.floor(Date.now() / 1000));
+        await this.assertRejects(
+            await this.acceptance({ signed: { deadline: now - 1n } }),
+            "EXPIRED"
+        );
+        // A deadline of now has already passed
+        await this.assertRejects(
+            await this.acceptance({ signed: { deadline: now } }),
+            "EXPIRED"
+        );
+        assert.strictEqual(this.nonces.nonces.size, 0);
+    }
+
+    async testFarDeadline() {
+        const now = BigInt(Math.floor(Date.now() / 1000));
+        await this.assertRejects(
+            await this.acceptance({ signed: { deadline: now + 3600n } }),
+            "INVALID_ACCEPTANCE",
+            /within 300s/
+        );
+    }
+
+    async testNotResolver() {
+        this.resolvers.clear();
+        await this.assertRejects(
+            await this.acceptance(),
+            "NOT_RESOLVER",
+            /is not a registered resolver/
+        );
+        // Rejected before the nonce is spent
+        assert.strictEqual(this.nonces.nonces.size, 0);
+    }
+
+    async testReplay() {
+        const params = await this.acceptance({ signed: { nonce: 7n } });
+        await this.verifier.verify(params);
+
+        await this.assertRejects(params, "REPLAYED");
+        // The address's case does not make it a new (resolver, nonce) pair
+        await this.assertRejects(
+            { ...params, resolverAddress: RESOLVER.address.toLowerCase() },
+            "REPLAYED"
+        );
+        // The same nonce on another order is still a reuse
+        await this.assertRejects(
+            await this.acceptance({
+                signed: { nonce: 7n, orderId: `0x${"99".repeat(32)}` },
+            }),
+            "REPLAYED"
+        );
+
+        // Nonces are per resolver
+        this.resolvers.add(STRANGER.address.toLowerCase());
+        await this.verifier.verify(
+            await this.acceptance({ account: STRANGER, signed: { nonce: 7n } })
+        );
+        assert.strictEqual(this.nonces.nonces.size, 2);
+    }
+
+    async testMalformed() {
+        const params = await this.acceptance();
+        await this.assertRejects(
+            { ...params, nonce: "1.5" },
+            "INVALID_ACCEPTANCE",
+            /must be integers/
+        );
+        await this.assertRejects(
+            { ...params, orderId: "0x1234" },
+            "INVALID_ACCEPTANCE"
+        );
+        await this.assertRejects(
+            { ...params, resolverAddress: "resolver" },
+            "INVALID_ACCEPTANCE"
+        );
+    }
+
+    addResult(testName, passed, details = {}) {
+        this.testResults.push({
+            testName,
+            passed,
+            details,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    displayResults() {
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter((r) => r.passed).length;
+
+        console.log("\n🏁 ========================================");
+        console.log("🏁   ACCEPTANCE VERIFIER RESULTS");
+        console.log("🏁 ========================================\n");
+
+        this.testResults.forEach((result, index) => {
+            const status = result.passed ? "✅" : "❌";
+            console.log(`   ${index + 1}. ${status} ${result.testName}`);
+            if (!result.passed) {
+                console.log(`      ❌ Error: ${result.details.error}`);
+            }
+        });
+
+        console.log(`\n📊 ${passedTests}/${totalTests} tests passed\n`);
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    const tester = new AcceptanceVerifierTest();
+    tester
+        .runTests()
+        .then((passed) => process.exit(passed ? 0 : 1))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = AcceptanceVerifierTest;
@@ -0,0 +1,419 @@
+#!/usr/bin/env node
+
+/**
+ * Test the Dutch auction manager: price decay, first-acceptance-wins holds,
+ * reopening after a failed acceptance and closing auctions left by a
+ * previous process, on a fake clock with Order and OrderEvent in memory
+ * Run with: npm run test-auction
+ */
+
+const assert = require("assert");
+const mongoose = require("mongoose");
+const Order = require("./models/Order");
+const OrderEvent = require("./models/OrderEvent");
+const DutchAuctionManager = require("./auction/dutch-auction-manager");
+
+const ORDER_ID = `0x${"99".repeat(32)}`;
+const OTHER_ORDER_ID = `0x${"9a".repeat(32)}`;
+const MAKER = "0x00000000000000000000000000000000000000a1";
+const RESOLVER_A = "0x00000000000000000000000000000000000000b1";
+const RESOLVER_B = "0x00000000000000000000000000000000000000b2";
+const T0 = 1760000000000;
+
+/**
+ * In-memory orders and events, enough of the Mongoose API for the auction
+ * manager and the state machine
+ */
+class MemoryStore {
+    constructor() {
+        this.orders = new Map();
+        this.events = [];
+    }
+
+    reset() {
+        this.orders.clear();
+        this.events.length = 0;
+    }
+
+    install() {
+        this.originals = {
+            findByOrderId: Order.findByOrderId,
+            findOneAndUpdate: Order.findOneAndUpdate,
+            updateOne: Order.updateOne,
+            find: Order.find,
+            create: OrderEvent.create,
+        };
+        Order.findByOrderId = async (orderId) => {
+            const order = this.orders.get(orderId);
+            return order ? { ...order } : null;
+        };
+        Order.findOneAndUpdate = async (query, update) => {
+            const order = this.orders.get(query.orderId);
+            if (!order || (query.status && order.status !== query.status)) {
+                return null;
+            }
+            Object.assign(order, update.$set);
+            return { ...order };
+        };
+        Order.updateOne = async (query, update) => {
+            const order = this.orders.get(query.orderId);
+            if (!order || order.auctionActive !== query.auctionActive) {
+                return { modifiedCount: 0 };
+            }
+            Object.assign(order, update);
+            return { modifiedCount: 1 };
+        };
+        Order.find = async ({ auctionActive, orderId }) =>
+            Array.from(this.orders.values())
+                .filter(
+                    (order) =>
+                        order.auctionActive === auctionActive &&
+                        !orderId.$nin.includes(order.orderId)
+                )
+                .map((order) => ({ ...order }));
+        OrderEvent.create = async (fields) => {
+            this.events.push(fields);
+            return fields;
+        };
+    }
+
+    uninstall() {
+        const { create, ...statics } = this.originals;
+        Object.assign(Order, statics);
+        OrderEvent.create = create;
+    }
+
+    addOrder(orderId = ORDER_ID, fields = {}) {
+        this.orders.set(orderId, {
+            orderId,
+            walletAddress: MAKER,
+            startPrice: "100",
+            endPrice: "80",
+            status: "created",
+            auctionActive: false,
+            ...fields,
+        });
+        return this.orders.get(orderId);
+    }
+}
+
+class DutchAuctionTest {
+    constructor() {
+        this.testResults = [];
+        this.store = new MemoryStore();
+        this.now = T0;
+        this.emitted = [];
+        this.manager = null;
+    }
+
+    async runTests() {
+        console.log("🧪 Testing the Dutch auction manager...\n");
+
+        // Model calls must never wait on a real connection
+        mongoose.set("bufferCommands", false);
+        this.store.install();
+        const realNow = Date.now;
+        Date.now = () => this.now;
+
+        try {
+            await this.run("Price decay", () => this.testPriceAt());
+            await this.run("Start an auction", () => this.testCreate());
+            await this.run("First acceptance wins", () => this.testReserve());
+            await this.run("Price checks on acceptance", () =>
+                this.testReservePrice()
+            );
+            await this.run("Release shifts the schedule", () =>
+                this.testRelease()
+            );
+            await this.run("Commit an acceptance", () => this.testAccept());
+            await this.run("Recover stale auctions", () =>
+                this.testRecoverStale()
+            );
+        } finally {
+            Date.now = realNow;
+            this.store.uninstall();
+        }
+
+        this.displayResults();
+        return this.testResults.every((result) => result.passed);
+    }
+
+    async run(testName, test) {
+        console.log(`🔹 ${testName}...`);
+        this.store.reset();
+        this.now = T0;
+        this.emitted = [];
+        // Ticks are driven by hand; the interval never fires during a test
+        this.manager = new DutchAuctionManager(
+            { emit: (event, data) => this.emitted.push({ event, data }) },
+            { tickInterval: 60000 }
+        );
+        try {
+            await test();
+            this.addResult(testName, true);
+            console.log("  ✅ Passed");
+        } catch (error) {
+            this.addResult(testName, false, { error: error.message });
+            console.log("  ❌ Failed:", error.message);
+        } finally {
+            this.manager.shutdown();
+        }
+    }
+
+    async startAuction(duration = 10000) {
+        this.store.addOrder();
+        return this.manager.createAuction(
+            this.store.orders.get(ORDER_ID),
+            duration
+        );
+    }
+
+    testPriceAt() {
+        const auction = {
+            startTime: T0,
+            duration: 1000,
+            startPrice: 100,
+            endPrice: 80,
+        };
+        const price = (elapsed) => this.manager.priceAt(auction, T0 + elapsed);
+
+        assert.strictEqual(price(0), 100);
+        // progress^1.5: a quarter of the way in, an eighth of the drop
+        assert.strictEqual(price(250), 97.5);
+        assert.strictEqual(price(1000), 80);
+        // Clamped on both sides
+        assert.strictEqual(price(-500), 100);
+        assert.strictEqual(price(5000), 80);
+
+        let previous = Infinity;
+        for (let elapsed = 0; elapsed <= 1000; elapsed += 50) {
+            assert.ok(price(elapsed) < previous || elapsed === 0);
+            previous = price(elapsed);
+        }
+    }
+
+    async testCreate() {
+        const auction = await this.startAuction(10000);
+        assert.strictEqual(auction.endTime, T0 + 10000);
+        assert.strictEqual(auction.isActive, true);
+
+        const order = this.store.orders.get(ORDER_ID);
+        assert.strictEqual(order.status, "auction_active");
+        assert.strictEqual(order.auctionActive, true);
+        assert.deepStrictEqual(
+            this.emitted.map(({ event }) => event),
+            ["auctionStarted"]
+        );
+
+        await assert.rejects(
+            this.manager.createAuction(order),
+            /Auction already active/
+        );
+    }
+
+    async testReserve() {
+        await this.startAuction();
+        this.now = T0 + 2500;
+        const live = this.manager.priceAt(
+            this.manager.activeAuctions.get(ORDER_ID)
+        );
+
+        // Both requests arrive before either acceptance is sent
+        const [first, second] = await Promise.all([
+            Promise.resolve().then(() =>
+                this.manager.reserveAuction(ORDER_ID, live, RESOLVER_A)
+            ),
+            Promise.resolve().then(() =>
+                this.manager.reserveAuction(ORDER_ID, live + 1, RESOLVER_B)
+            ),
+        ]);
+
+        assert.deepStrictEqual(first, { success: true, acceptedPrice: live });
+        assert.deepStrictEqual(second, {
+            success: false,
+            message: "Auction is already being accepted",
+        });
+
+        // The price stops decaying while the acceptance is in flight
+        this.now = T0 + 9000;
+        const held = this.manager.getActiveAuction(ORDER_ID);
+        assert.strictEqual(held.isReserved, true);
+        assert.strictEqual(held.currentPrice, live);
+
+        // Neither a timeout nor another resolver can take it meanwhile
+        assert.strictEqual(
+            await this.manager.endAuction(ORDER_ID, "timeout"),
+            false
+        );
+        assert.strictEqual(
+            this.manager.releaseAuction(ORDER_ID, RESOLVER_B),
+            false
+        );
+    }
+
+    async testReservePrice() {
+        await this.startAuction();
+        this.now = T0 + 5000;
+        const live = this.manager.priceAt(
+            this.manager.activeAuctions.get(ORDER_ID)
+        );
+
+        const below = this.manager.reserveAuction(
+            ORDER_ID,
+            live - 0.01,
+            RESOLVER_A
+        );
+        assert.strictEqual(below.success, false);
+        assert.match(below.message, /must be between current price/);
+        assert.strictEqual(
+            this.manager.reserveAuction(ORDER_ID, 100.01, RESOLVER_A).success,
+            false
+        );
+        assert.strictEqual(
+            this.manager.reserveAuction(ORDER_ID, "abc", RESOLVER_A).message,
+            "Invalid accepted price"
+        );
+        assert.strictEqual(
+            this.manager.reserveAuction(OTHER_ORDER_ID, 90, RESOLVER_A).message,
+            "Auction not active"
+        );
+        // Decimal strings, as the accept route passes them
+        assert.ok(
+            this.manager.reserveAuction(ORDER_ID, String(live), RESOLVER_A)
+                .success
+        );
+    }
+
+    async testRelease() {
+        await this.startAuction(10000);
+        this.now = T0 + 4000;
+        const live = this.manager.priceAt(
+            this.manager.activeAuctions.get(ORDER_ID)
+        );
+        this.manager.reserveAuction(ORDER_ID, live, RESOLVER_A);
+
+        // The acceptance fails on-chain 3s later
+        this.now = T0 + 7000;
+        assert.strictEqual(
+            this.manager.releaseAuction(ORDER_ID, RESOLVER_A),
+            true
+        );
+
+        const auction = this.manager.getActiveAuction(ORDER_ID);
+        assert.strictEqual(auction.startTime, T0 + 3000);
+        assert.strictEqual(auction.endTime, T0 + 13000);
+        assert.strictEqual(auction.isReserved, false);
+        // Picks up at the price it was held at
+        assert.strictEqual(auction.currentPrice, live);
+        assert.strictEqual(
+            this.store.orders.get(ORDER_ID).auctionEndTime.getTime(),
+            T0 + 13000
+        );
+
+        // Reopened for anyone
+        assert.ok(
+            this.manager.reserveAuction(ORDER_ID, live, RESOLVER_B).success
+        );
+    }
+
+    async testAccept() {
+        await this.startAuction();
+        this.now = T0 + 1000;
+        const live = this.manager.priceAt(
+            this.manager.activeAuctions.get(ORDER_ID)
+        );
+        await assert.rejects(
+            this.manager.acceptAuction(ORDER_ID, RESOLVER_A),
+            /is not held by/
+        );
+        this.manager.reserveAuction(ORDER_ID, live, RESOLVER_A);
+
+        const result = await this.manager.acceptAuction(ORDER_ID, RESOLVER_A, {
+            transactionHash: "0xaccept",
+        });
+
+        assert.deepStrictEqual(result, { success: true, acceptedPrice: live });
+        assert.strictEqual(this.manager.getActiveAuction(ORDER_ID), null);
+        const order = this.store.orders.get(ORDER_ID);
+        assert.strictEqual(order.status, "accepted");
+        assert.strictEqual(order.auctionActive, false);
+        assert.strictEqual(order.acceptedBy, RESOLVER_A);
+        assert.strictEqual(order.acceptedPrice, String(live));
+        assert.deepStrictEqual(
+            this.store.events.map(({ toStatus }) => toStatus),
+            ["auction_active", "accepted"]
+        );
+        assert.strictEqual(this.store.events[1].transactionHash, "0xaccept");
+    }
+
+    async testRecoverStale() {
+        // Left behind by a crashed process
+        this.store.addOrder(`0x${"01".repeat(32)}`, {
+            status: "auction_active",
+            auctionActive: true,
+        });
+        // Accepted on-chain before the crash; only the flag is stale
+        this.store.addOrder(`0x${"02".repeat(32)}`, {
+            status: "accepted",
+            auctionActive: true,
+        });
+        // Running in this process
+        await this.startAuction();
+
+        assert.strictEqual(await this.manager.recoverStaleAuctions(), 2);
+
+        const reopened = this.store.orders.get(`0x${"01".repeat(32)}`);
+        assert.strictEqual(reopened.status, "created");
+        assert.strictEqual(reopened.auctionActive, false);
+        const accepted = this.store.orders.get(`0x${"02".repeat(32)}`);
+        assert.strictEqual(accepted.status, "accepted");
+        assert.strictEqual(accepted.auctionActive, false);
+        const running = this.store.orders.get(ORDER_ID);
+        assert.strictEqual(running.status, "auction_active");
+        assert.strictEqual(running.auctionActive, true);
+
+        assert.strictEqual(await this.manager.recoverStaleAuctions(), 0);
+    }
+
+    addResult(testName, passed, details = {}) {
+        this.testResults.push({
+            testName,
+            passed,
+            details,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    displayResults() {
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter((r) => r.passed).length;
+
+        console.log("\n🏁 ========================================");
+        console.log("🏁   DUTCH AUCTION RESULTS");
+        console.log("🏁 ========================================\n");
+
+        this.testResults.forEach((result, index) => {
+            const status = result.passed ? "✅" : "❌";
+            console.log(`   ${index + 1}. ${status} ${result.testName}`);
+            if (!result.passed) {
+                console.log(`      ❌ Error: ${result.details.error}`);
+            }
+        });
+
+        console.log(`\n📊 ${passedTests}/${totalTests} tests passed\n`);
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    const tester = new DutchAuctionTest();
+    tester
+        .runTests()
+        .then((passed) => process.exit(passed ? 0 : 1))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = DutchAuctionTest;
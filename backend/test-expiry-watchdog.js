@@ -0,0 +1,378 @@
+#!/usr/bin/env node
+
+/**
+ * Test the expiry watchdog: the fulfillment window boundary and the scan →
+ * refund → failed path, against a stub OrderProtocol with Order,
+ * ResolverCallback and OrderEvent kept in memory
+ * Run with: npm run test-watchdog
+ */
+
+const assert = require("assert");
+const mongoose = require("mongoose");
+const Order = require("./models/Order");
+const OrderEvent = require("./models/OrderEvent");
+const ResolverCallback = require("./models/ResolverCallback");
+const ExpiryWatchdog = require("./lifecycle/expiry-watchdog");
+
+const { isFulfillmentExpired } = ExpiryWatchdog;
+
+const ORDER_ID = `0x${"44".repeat(32)}`;
+const UNTRACKED_ORDER_ID = `0x${"45".repeat(32)}`;
+const MAKER = "0x00000000000000000000000000000000000000a1";
+const RESOLVER = "0x00000000000000000000000000000000000000b1";
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const ACCEPTED_TIME = 1760000000n;
+const MAX_FULFILLMENT_TIME = 600n;
+
+const txHash = (count) => `0x${String(count).padStart(64, "0")}`;
+
+/**
+ * In-memory orders, events and resolver callbacks, enough of the Mongoose
+ * API for the watchdog and the state machine
+ */
+class MemoryStore {
+    constructor() {
+        this.orders = new Map();
+        this.events = [];
+        this.resolvers = [];
+    }
+
+    reset() {
+        this.orders.clear();
+        this.events.length = 0;
+        this.resolvers = [];
+    }
+
+    install() {
+        this.originals = {
+            find: Order.find,
+            findByOrderId: Order.findByOrderId,
+            findOneAndUpdate: Order.findOneAndUpdate,
+            create: OrderEvent.create,
+            distinct: ResolverCallback.distinct,
+        };
+        Order.find = ({ status }) => ({
+            select: async () =>
+                Array.from(this.orders.values())
+                    .filter((order) => order.status === status)
+                    .map(({ orderId }) => ({ orderId })),
+        });
+        Order.findByOrderId = async (orderId) => {
+            const order = this.orders.get(orderId);
+            return order ? { ...order } : null;
+        };
+        Order.findOneAndUpdate = async (query, update) => {
+            const order = this.orders.get(query.orderId);
+            if (!order || (query.status && order.status !== query.status)) {
+                return null;
+            }
+            Object.assign(order, update.$set);
+            return { ...order };
+        };
+        OrderEvent.create = async (fields) => {
+            this.events.push(fields);
+            return fields;
+        };
+        ResolverCallback.distinct = async () => [...this.resolvers];
+    }
+
+    uninstall() {
+        const { create, distinct, ...statics } = this.originals;
+        Object.assign(Order, statics);
+        OrderEvent.create = create;
+        ResolverCallback.distinct = distinct;
+    }
+
+    addOrder(orderId, fields = {}) {
+        this.orders.set(orderId, {
+            orderId,
+            walletAddress: MAKER,
+            status: "accepted",
+            acceptedBy: RESOLVER,
+            acceptedPrice: "88",
+            ...fields,
+        });
+    }
+}
+
+/**
+ * OrderProtocol stand-in: orders by ID and by taker, and fullfillOrder
+ * refunding the maker as the contract does for an expired order
+ */
+class StubOrderProtocol {
+    constructor() {
+        this.orders = new Map();
+        this.refunds = [];
+        this.receiptStatus = "success";
+    }
+
+    addOrder(orderId, fields = {}) {
+        this.orders.set(orderId, {
+            maker: MAKER,
+            taker: RESOLVER,
+            accepted: true,
+            fullfilled: false,
+            acceptedTime: ACCEPTED_TIME,
+            ...fields,
+        });
+    }
+
+    async getOrder(orderId) {
+        return (
+            this.orders.get(orderId) || {
+                maker: ZERO_ADDRESS,
+                taker: ZERO_ADDRESS,
+                accepted: false,
+                fullfilled: false,
+                acceptedTime: 0n,
+            }
+        );
+    }
+
+    takerOrderIds(taker) {
+        return Array.from(this.orders.entries())
+            .filter(([, order]) => order.taker.toLowerCase() === taker)
+            .map(([orderId]) => orderId);
+    }
+
+    async getOrdersByTaker(taker) {
+        return this.takerOrderIds(taker).map((id) => this.orders.get(id));
+    }
+
+    async getOrderIdByTaker(taker, index) {
+        return this.takerOrderIds(taker)[index];
+    }
+
+    async fulfillOrder(orderId, proof, context) {
+        this.refunds.push({ orderId, proof, context });
+        const transactionHash = txHash(this.refunds.length);
+        if (this.receiptStatus === "success") {
+            this.orders.get(orderId).fullfilled = true;
+        }
+        return { transactionHash, receipt: { status: this.receiptStatus } };
+    }
+}
+
+class ExpiryWatchdogTest {
+    constructor() {
+        this.testResults = [];
+        this.store = new MemoryStore();
+        this.blockTime = 0n;
+        this.emitted = [];
+        this.chain = null;
+        this.watchdog = null;
+    }
+
+    async runTests() {
+        console.log("🧪 Testing the expiry watchdog...\n");
+
+        // Model calls must never wait on a real connection
+        mongoose.set("bufferCommands", false);
+        this.store.install();
+
+        try {
+            await this.run("Fulfillment window boundary", () =>
+                this.testBoundary()
+            );
+            await this.run("Refund an expired order", () => this.testRefund());
+            await this.run("Refund an order Mongo never saw", () =>
+                this.testUntracked()
+            );
+            await this.run("Reverted refund", () => this.testReverted());
+            await this.run("Skip orders missing on-chain", () =>
+                this.testMissing()
+            );
+        } finally {
+            this.store.uninstall();
+        }
+
+        this.displayResults();
+        return this.testResults.every((result) => result.passed);
+    }
+
+    async run(testName, test) {
+        console.log(`🔹 ${testName}...`);
+        this.store.reset();
+        this.emitted = [];
+        this.chain = new StubOrderProtocol();
+        this.watchdog = new ExpiryWatchdog({
+            io: { emit: (event, data) => this.emitted.push({ event, data }) },
+            rpcUrl: "http://127.0.0.1:1",
+            contractAddress: "0x00000000000000000000000000000000000000c1",
+            takers: [],
+            publicClient: {
+                getBlock: async () => ({ timestamp: this.blockTime }),
+            },
+        });
+        // What start() would set up, without the RPC and the timer
+        this.watchdog.orderProtocol = this.chain;
+        this.watchdog.maxFulfillmentTime = MAX_FULFILLMENT_TIME;
+        try {
+            await test();
+            this.addResult(testName, true);
+            console.log("  ✅ Passed");
+        } catch (error) {
+            this.addResult(testName, false, { error: error.message });
+            console.log("  ❌ Failed:", error.message);
+        }
+    }
+
+    testBoundary() {
+        const order = {
+            accepted: true,
+            fullfilled: false,
+            acceptedTime: ACCEPTED_TIME,
+        };
+        const deadline = ACCEPTED_TIME + MAX_FULFILLMENT_TIME;
+        const expired = (chainOrder, now) =>
+            isFulfillmentExpired(chainOrder, MAX_FULFILLMENT_TIME, now);
+
+        // block.timestamp > acceptedTime + i_maxFullfillmentTime, strictly
+        assert.strictEqual(expired(order, deadline - 1n), false);
+        assert.strictEqual(expired(order, deadline), false);
+        assert.strictEqual(expired(order, deadline + 1n), true);
+
+        assert.strictEqual(
+            expired({ ...order, accepted: false }, deadline + 1n),
+            false
+        );
+        assert.strictEqual(
+            expired({ ...order, fullfilled: true }, deadline + 1n),
+            false
+        );
+    }
+
+    async testRefund() {
+        this.store.addOrder(ORDER_ID);
+        this.chain.addOrder(ORDER_ID);
+
+        // Still inside the window on the last second
+        this.blockTime = ACCEPTED_TIME + MAX_FULFILLMENT_TIME;
+        await this.watchdog.scan();
+        assert.strictEqual(this.chain.refunds.length, 0);
+        assert.strictEqual(this.store.orders.get(ORDER_ID).status, "accepted");
+
+        this.blockTime += 1n;
+        await this.watchdog.scan();
+
+        assert.deepStrictEqual(this.chain.refunds, [
+            { orderId: ORDER_ID, proof: "", context: { orderId: ORDER_ID } },
+        ]);
+        assert.strictEqual(this.watchdog.refundedCount, 1);
+        assert.strictEqual(this.watchdog.lastError, null);
+
+        assert.strictEqual(this.store.orders.get(ORDER_ID).status, "failed");
+        assert.strictEqual(this.store.events.length, 1);
+        const [event] = this.store.events;
+        assert.strictEqual(event.fromStatus, "accepted");
+        assert.strictEqual(event.toStatus, "failed");
+        assert.strictEqual(event.actor, "expiry-watchdog");
+        assert.strictEqual(event.transactionHash, txHash(1));
+
+        assert.deepStrictEqual(
+            this.emitted.map(({ event }) => event),
+            ["orderStatusChanged", "orderRefunded"]
+        );
+        const refunded = this.emitted[1].data;
+        assert.strictEqual(refunded.maker, MAKER);
+        assert.strictEqual(refunded.taker, RESOLVER);
+        assert.strictEqual(refunded.transactionHash, txHash(1));
+
+        // Refunded and failed: nothing left to do on the next scan
+        await this.watchdog.scan();
+        assert.strictEqual(this.chain.refunds.length, 1);
+    }
+
+    async testUntracked() {
+        // Accepted on-chain by a registered resolver, never written to Mongo
+        this.store.resolvers = [RESOLVER];
+        this.chain.addOrder(UNTRACKED_ORDER_ID);
+        this.chain.addOrder(ORDER_ID, { fullfilled: true });
+        this.blockTime = ACCEPTED_TIME + MAX_FULFILLMENT_TIME + 1n;
+
+        await this.watchdog.scan();
+
+        assert.deepStrictEqual(
+            this.chain.refunds.map(({ orderId }) => orderId),
+            [UNTRACKED_ORDER_ID]
+        );
+        assert.strictEqual(this.store.events.length, 0);
+        // The maker still hears about the refund
+        assert.deepStrictEqual(
+            this.emitted.map(({ event }) => event),
+            ["orderRefunded"]
+        );
+    }
+
+    async testReverted() {
+        this.store.addOrder(ORDER_ID);
+        this.chain.addOrder(ORDER_ID);
+        this.chain.receiptStatus = "reverted";
+        this.blockTime = ACCEPTED_TIME + MAX_FULFILLMENT_TIME + 1n;
+
+        await this.watchdog.scan();
+
+        assert.strictEqual(this.chain.refunds.length, 1);
+        assert.strictEqual(this.watchdog.refundedCount, 0);
+        assert.strictEqual(this.store.orders.get(ORDER_ID).status, "accepted");
+        assert.strictEqual(this.emitted.length, 0);
+
+        // Retried on the next scan
+        this.chain.receiptStatus = "success";
+        await this.watchdog.scan();
+        assert.strictEqual(this.store.orders.get(ORDER_ID).status, "failed");
+    }
+
+    async testMissing() {
+        this.store.addOrder(ORDER_ID);
+        this.blockTime = ACCEPTED_TIME + MAX_FULFILLMENT_TIME + 1n;
+
+        await this.watchdog.scan();
+
+        assert.strictEqual(this.chain.refunds.length, 0);
+        assert.strictEqual(this.store.orders.get(ORDER_ID).status, "accepted");
+        assert.strictEqual(this.watchdog.lastError, null);
+    }
+
+    addResult(testName, passed, details = {}) {
+        this.testResults.push({
+            testName,
+            passed,
+            details,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    displayResults() {
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter((r) => r.passed).length;
+
+        console.log("\n🏁 ========================================");
+        console.log("🏁   EXPIRY WATCHDOG RESULTS");
+        console.log("🏁 ========================================\n");
+
+        this.testResults.forEach((result, index) => {
+            const status = result.passed ? "✅" : "❌";
+            console.log(`   ${index + 1}. ${status} ${result.testName}`);
+            if (!result.passed) {
+                console.log(`      ❌ Error: ${result.details.error}`);
+            }
+        });
+
+        console.log(`\n📊 ${passedTests}/${totalTests} tests passed\n`);
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    const tester = new ExpiryWatchdogTest();
+    tester
+        .runTests()
+        .then((passed) => process.exit(passed ? 0 : 1))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = ExpiryWatchdogTest;
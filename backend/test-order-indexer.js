@@ -0,0 +1,479 @@
+#!/usr/bin/env node
+
+/**
+ * Test the order indexer against a stub chain: batched backfill, checkpoint
+ * re-reads, reorg detection by block hash and the statuses derived from the
+ * contract, with Order, OrderEvent and IndexerCheckpoint kept in memory
+ * Run with: npm run test-indexer
+ */
+
+const assert = require("assert");
+const mongoose = require("mongoose");
+const Order = require("./models/Order");
+const OrderEvent = require("./models/OrderEvent");
+const IndexerCheckpoint = require("./models/IndexerCheckpoint");
+const OrderIndexer = require("./indexer/order-indexer");
+
+const { deriveOrderStatus, chainTransitionPath } = OrderIndexer;
+
+const CONTRACT = "0x00000000000000000000000000000000000000c1";
+const ORDER_ID = `0x${"77".repeat(32)}`;
+const MAKER = "0x00000000000000000000000000000000000000a1";
+const RESOLVER = "0x00000000000000000000000000000000000000b2";
+const TOKEN = "0x00000000000000000000000000000000000000d4";
+const START_BLOCK = 100;
+
+/**
+ * A chain of blocks with OrderProtocol logs and order state, answering the
+ * viem public client and OrderProtocolClient calls the indexer makes
+ */
+class StubChain {
+    constructor() {
+        this.head = START_BLOCK;
+        this.forkPoints = [];
+        this.logs = [];
+        this.orders = new Map();
+        this.proofs = new Map();
+        this.logRequests = [];
+    }
+
+    hashOf(blockNumber) {
+        const forks = this.forkPoints.filter((fork) => fork <= blockNumber);
+        return `0x${blockNumber.toString(16).padStart(8, "0")}${String(
+            forks.length
+        ).padStart(56, "0")}`;
+    }
+
+    /** Replace every block from `blockNumber` up: new hashes, no logs */
+    reorg(blockNumber) {
+        this.forkPoints.push(blockNumber);
+        this.logs = this.logs.filter((log) => log.block < blockNumber);
+    }
+
+    emit(block, eventName, orderId = ORDER_ID) {
+        this.logs.push({
+            block,
+            eventName,
+            args: { orderId },
+            transactionHash: `0x${block.toString(16).padStart(64, "0")}`,
+        });
+    }
+
+    setOrder(fields, proof = "") {
+        this.orders.set(ORDER_ID, {
+            maker: MAKER,
+            taker: "0x0000000000000000000000000000000000000000",
+            recipientUpiAddress: "asha@upi",
+            amount: 1000n * 10n ** 18n,
+            token: TOKEN,
+            startPrice: 90n * 10n ** 18n,
+            acceptedPrice: 0n,
+            endPrice: 85n * 10n ** 18n,
+            startTime: 1760000000n,
+            acceptedTime: 0n,
+            accepted: false,
+            fullfilled: false,
+            ...fields,
+        });
+        this.proofs.set(ORDER_ID, proof);
+    }
+
+    accept() {
+        this.setOrder({
+            taker: RESOLVER,
+            acceptedPrice: 88n * 10n ** 18n,
+            acceptedTime: 1760000100n,
+            accepted: true,
+        });
+    }
+
+    // viem public client
+    client() {
+        return {
+            getBlockNumber: async () => BigInt(this.head),
+            getBlock: async ({ blockNumber }) => ({
+                number: blockNumber,
+                hash: this.hashOf(Number(blockNumber)),
+            }),
+            getLogs: async ({ fromBlock, toBlock, args }) => {
+                const to = toBlock === "latest" ? this.head : Number(toBlock);
+                this.logRequests.push([Number(fromBlock), to]);
+                return this.logs
+                    .filter(
+                        (log) =>
+                            log.block >= Number(fromBlock) &&
+                            log.block <= to &&
+                            (!args || log.args.orderId === args.orderId)
+                    )
+                    .map((log) => ({
+                        ...log,
+                        blockNumber: BigInt(log.block),
+                    }));
+            },
+        };
+    }
+
+    // OrderProtocolClient reads
+    orderProtocol() {
+        const zero = "0x0000000000000000000000000000000000000000";
+        return {
+            getOrder: async (orderId) =>
+                this.orders.get(orderId) || { maker: zero },
+            getProof: async (orderId) => this.proofs.get(orderId) || "",
+        };
+    }
+}
+
+/**
+ * In-memory orders, events and checkpoints, enough of the Mongoose API for
+ * the indexer and the state machine
+ */
+class MemoryStore {
+    constructor() {
+        this.orders = new Map();
+        this.events = [];
+        this.checkpoints = [];
+    }
+
+    reset() {
+        this.orders.clear();
+        this.events.length = 0;
+        this.checkpoints.length = 0;
+    }
+
+    install() {
+        this.originals = {
+            findByOrderId: Order.findByOrderId,
+            findOneAndUpdate: Order.findOneAndUpdate,
+            create: OrderEvent.create,
+            checkpoint: IndexerCheckpoint.findOneAndUpdate,
+        };
+        Order.findByOrderId = async (orderId) => {
+            const order = this.orders.get(orderId);
+            return order ? { ...order } : null;
+        };
+        Order.findOneAndUpdate = async (query, update, options = {}) => {
+            const order = this.orders.get(query.orderId);
+            if (!order && update.$setOnInsert) {
+                this.orders.set(query.orderId, { ...update.$setOnInsert });
+                return {
+                    value: { ...this.orders.get(query.orderId) },
+                    lastErrorObject: { updatedExisting: false },
+                };
+            }
+            if (!order || (query.status && order.status !== query.status)) {
+                return null;
+            }
+            Object.assign(order, update.$set);
+            return options.rawResult
+                ? {
+                      value: { ...order },
+                      lastErrorObject: { updatedExisting: true },
+                  }
+                : { ...order };
+        };
+        OrderEvent.create = async (fields) => {
+            this.events.push(fields);
+            return fields;
+        };
+        IndexerCheckpoint.findOneAndUpdate = async (query, update) => {
+            this.checkpoints.push({ ...query, ...update });
+        };
+    }
+
+    uninstall() {
+        const { create, checkpoint, ...statics } = this.originals;
+        Object.assign(Order, statics);
+        OrderEvent.create = create;
+        IndexerCheckpoint.findOneAndUpdate = checkpoint;
+    }
+
+    get order() {
+        return this.orders.get(ORDER_ID);
+    }
+
+    get transitions() {
+        return this.events.map(({ fromStatus, toStatus }) =>
+            [fromStatus, toStatus].join(" → ")
+        );
+    }
+}
+
+class OrderIndexerTest {
+    constructor() {
+        this.testResults = [];
+        this.store = new MemoryStore();
+    }
+
+    async runTests() {
+        console.log("🧪 Testing the order indexer against a stub chain...\n");
+
+        // Model calls must never wait on a real connection
+        mongoose.set("bufferCommands", false);
+        this.store.install();
+
+        try {
+            await this.run("Derive order status", () => this.testDerive());
+            await this.run("Chain transition path", () => this.testPath());
+            await this.run("Batched backfill", () => this.testBackfill());
+            await this.run("Checkpoint re-reads", () => this.testReread());
+            await this.run("Reorg detected by block hash", () =>
+                this.testReorg()
+            );
+            await this.run("Confirmations", () => this.testConfirmations());
+        } finally {
+            this.store.uninstall();
+        }
+
+        this.displayResults();
+        return this.testResults.every((result) => result.passed);
+    }
+
+    async run(testName, test) {
+        console.log(`🔹 ${testName}...`);
+        this.store.reset();
+        try {
+            await test();
+            this.addResult(testName, true);
+            console.log("  ✅ Passed");
+        } catch (error) {
+            this.addResult(testName, false, { error: error.message });
+            console.log("  ❌ Failed:", error.message);
+        }
+    }
+
+    /**
+     * An indexer wired to the stub chain as start() would leave it, with no
+     * checkpoint yet
+     */
+    createIndexer(chain, options = {}) {
+        const indexer = new OrderIndexer({
+            contractAddress: CONTRACT,
+            startBlock: START_BLOCK,
+            reorgDepth: 2,
+            batchSize: 5,
+            confirmations: 0,
+            ...options,
+        });
+        indexer.client = chain.client();
+        indexer.orderProtocol = chain.orderProtocol();
+        indexer.chainId = 31337;
+        indexer.lastBlock = START_BLOCK - 1;
+        indexer.isRunning = true;
+        return indexer;
+    }
+
+    testDerive() {
+        const order = (accepted, fullfilled) => ({ accepted, fullfilled });
+        assert.strictEqual(
+            deriveOrderStatus(order(false, false), ""),
+            "created"
+        );
+        assert.strictEqual(
+            deriveOrderStatus(order(true, false), ""),
+            "accepted"
+        );
+        assert.strictEqual(
+            deriveOrderStatus(order(true, true), "pout_1"),
+            "fulfilled"
+        );
+        // Refunds are marked fullfilled too, but store no proof
+        assert.strictEqual(deriveOrderStatus(order(true, true), ""), "failed");
+    }
+
+    testPath() {
+        assert.deepStrictEqual(chainTransitionPath("created", "created"), [
+            "created",
+        ]);
+        assert.deepStrictEqual(chainTransitionPath("created", "accepted"), [
+            "accepted",
+        ]);
+        // Accepted and fulfilled within one range
+        assert.deepStrictEqual(chainTransitionPath("created", "fulfilled"), [
+            "accepted",
+            "fulfilled",
+        ]);
+        assert.deepStrictEqual(
+            chainTransitionPath("auction_active", "fulfilled"),
+            ["accepted", "fulfilled"]
+        );
+        assert.deepStrictEqual(chainTransitionPath("created", "failed"), [
+            "failed",
+        ]);
+        // Terminal states and rewinds can only be forced
+        assert.strictEqual(chainTransitionPath("fulfilled", "failed"), null);
+        assert.strictEqual(chainTransitionPath("accepted", "created"), null);
+    }
+
+    async testBackfill() {
+        const chain = new StubChain();
+        chain.head = 112;
+        chain.setOrder({});
+        chain.emit(101, "OrderCreated");
+        chain.accept();
+        chain.emit(107, "OrderAccepted");
+        const indexer = this.createIndexer(chain);
+
+        await indexer.poll();
+
+        assert.strictEqual(indexer.lastError, null);
+        assert.deepStrictEqual(chain.logRequests, [
+            [100, 104],
+            [105, 109],
+            [110, 112],
+        ]);
+        // A checkpoint per batch, with the hash of its last block
+        assert.deepStrictEqual(
+            this.store.checkpoints.map(({ lastBlock }) => lastBlock),
+            [104, 109, 112]
+        );
+        assert.strictEqual(indexer.lastBlockHash, chain.hashOf(112));
+
+        const order = this.store.order;
+        assert.strictEqual(order.status, "accepted");
+        assert.strictEqual(order.walletAddress, MAKER);
+        assert.strictEqual(order.acceptedBy, RESOLVER);
+        assert.strictEqual(order.acceptedPrice, "88");
+        assert.strictEqual(order.blockNumber, 101);
+        assert.deepStrictEqual(this.store.transitions, [
+            " → created",
+            "created → accepted",
+        ]);
+    }
+
+    async testReread() {
+        const chain = new StubChain();
+        chain.head = 110;
+        chain.setOrder({});
+        chain.emit(101, "OrderCreated");
+        chain.accept();
+        chain.emit(109, "OrderAccepted");
+        const indexer = this.createIndexer(chain, { batchSize: 100 });
+        await indexer.poll();
+
+        // Nothing new: the head has not moved past the checkpoint
+        chain.logRequests.length = 0;
+        await indexer.poll();
+        assert.deepStrictEqual(chain.logRequests, []);
+
+        // The last reorgDepth blocks are read again with the new ones, and
+        // the order is not transitioned twice
+        chain.head = 113;
+        chain.setOrder(
+            {
+                taker: RESOLVER,
+                acceptedPrice: 88n * 10n ** 18n,
+                acceptedTime: 1760000100n,
+                accepted: true,
+                fullfilled: true,
+            },
+            "pout_1"
+        );
+        chain.emit(112, "OrderFullfilled");
+        await indexer.poll();
+
+        assert.deepStrictEqual(chain.logRequests, [[109, 113]]);
+        assert.strictEqual(indexer.lastBlock, 113);
+        assert.strictEqual(this.store.order.status, "fulfilled");
+        assert.strictEqual(this.store.order.proof, "pout_1");
+        assert.deepStrictEqual(this.store.transitions, [
+            " → created",
+            "created → accepted",
+            "accepted → fulfilled",
+        ]);
+    }
+
+    async testReorg() {
+        const chain = new StubChain();
+        chain.head = 110;
+        chain.setOrder({});
+        chain.emit(101, "OrderCreated");
+        chain.accept();
+        chain.setOrder(
+            { ...chain.orders.get(ORDER_ID), fullfilled: true },
+            "pout_1"
+        );
+        chain.emit(103, "OrderAccepted");
+        chain.emit(110, "OrderFullfilled");
+        const indexer = this.createIndexer(chain, { batchSize: 100 });
+        await indexer.poll();
+        assert.strictEqual(this.store.order.status, "fulfilled");
+
+        // Blocks 109 and 110 are replaced; on the new chain the order was
+        // refunded in block 109 instead
+        chain.reorg(109);
+        chain.setOrder({ ...chain.orders.get(ORDER_ID), fullfilled: true }, "");
+        chain.emit(109, "OrderFailed");
+        chain.logRequests.length = 0;
+        await indexer.poll();
+
+        // The stale hash at 110 rewinds reorgDepth blocks, and the usual
+        // re-read covers reorgDepth more
+        assert.strictEqual(indexer.lastError, null);
+        assert.deepStrictEqual(chain.logRequests, [[107, 110]]);
+        assert.strictEqual(indexer.lastBlockHash, chain.hashOf(110));
+        assert.strictEqual(this.store.order.status, "failed");
+        const forced = this.store.events[this.store.events.length - 1];
+        assert.strictEqual(forced.fromStatus, "fulfilled");
+        assert.strictEqual(forced.toStatus, "failed");
+        assert.strictEqual(forced.forced, true);
+
+        // Same hash again: no rewind
+        assert.strictEqual(await indexer.detectReorg(), false);
+    }
+
+    async testConfirmations() {
+        const chain = new StubChain();
+        chain.head = 110;
+        const indexer = this.createIndexer(chain, {
+            confirmations: 3,
+            batchSize: 100,
+        });
+
+        await indexer.poll();
+        assert.deepStrictEqual(chain.logRequests, [[100, 107]]);
+        assert.strictEqual(indexer.lastBlock, 107);
+    }
+
+    addResult(testName, passed, details = {}) {
+        this.testResults.push({
+            testName,
+            passed,
+            details,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    displayResults() {
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter((r) => r.passed).length;
+
+        console.log("\n🏁 ========================================");
+        console.log("🏁   ORDER INDEXER RESULTS");
+        console.log("🏁 ========================================\n");
+
+        this.testResults.forEach((result, index) => {
+            const status = result.passed ? "✅" : "❌";
+            console.log(`   ${index + 1}. ${status} ${result.testName}`);
+            if (!result.passed) {
+                console.log(`      ❌ Error: ${result.details.error}`);
+            }
+        });
+
+        console.log(`\n📊 ${passedTests}/${totalTests} tests passed\n`);
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    const tester = new OrderIndexerTest();
+    tester
+        .runTests()
+        .then((passed) => process.exit(passed ? 0 : 1))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = OrderIndexerTest;
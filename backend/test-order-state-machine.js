@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+
+/**
+ * Test the order state machine's transition table, event history and
+ * retries on concurrent writers, with Order and OrderEvent kept in memory
+ * Run with: npm run test-state-machine
+ */
+
+const assert = require("assert");
+const mongoose = require("mongoose");
+const Order = require("./models/Order");
+const OrderEvent = require("./models/OrderEvent");
+const {
+    ORDER_TRANSITIONS,
+    InvalidTransitionError,
+    OrderNotFoundError,
+    canTransition,
+    transitionOrder,
+    recordOrderCreated,
+} = require("./lifecycle/order-state-machine");
+
+const ORDER_ID = `0x${"22".repeat(32)}`;
+const MAKER = "0x00000000000000000000000000000000000000a1";
+
+/**
+ * In-memory orders and events, enough of the Mongoose API for the state
+ * machine. `beforeUpdate` lets a test play another writer between the
+ * state machine's read and its conditional update.
+ */
+class MemoryStore {
+    constructor() {
+        this.orders = new Map();
+        this.events = [];
+        this.beforeUpdate = null;
+    }
+
+    reset() {
+        this.orders.clear();
+        this.events.length = 0;
+        this.beforeUpdate = null;
+    }
+
+    install() {
+        this.originals = {
+            findByOrderId: Order.findByOrderId,
+            findOneAndUpdate: Order.findOneAndUpdate,
+            create: OrderEvent.create,
+        };
+        Order.findByOrderId = async (orderId) => {
+            const order = this.orders.get(orderId);
+            return order ? { ...order } : null;
+        };
+        Order.findOneAndUpdate = async (query, update) => {
+            if (this.beforeUpdate) {
+                this.beforeUpdate(this.orders.get(query.orderId));
+            }
+            const order = this.orders.get(query.orderId);
+            if (!order || (query.status && order.status !== query.status)) {
+                return null;
+            }
+            Object.assign(order, update.$set);
+            return { ...order };
+        };
+        OrderEvent.create = async (fields) => {
+            this.events.push(fields);
+            return fields;
+        };
+    }
+
+    uninstall() {
+        const { create, ...statics } = this.originals;
+        Object.assign(Order, statics);
+        OrderEvent.create = create;
+    }
+
+    addOrder(status, fields = {}) {
+        this.orders.set(ORDER_ID, {
+            orderId: ORDER_ID,
+            walletAddress: MAKER,
+            transactionHash: `0x${"33".repeat(32)}`,
+            status,
+            ...fields,
+        });
+    }
+}
+
+class OrderStateMachineTest {
+    constructor() {
+        this.testResults = [];
+        this.store = new MemoryStore();
+    }
+
+    async runTests() {
+        console.log("🧪 Testing the order state machine in memory...\n");
+
+        // Model calls must never wait on a real connection
+        mongoose.set("bufferCommands", false);
+        this.store.install();
+
+        try {
+            await this.run("Transition table", () => this.testTable());
+            await this.run("Legal transition", () => this.testTransition());
+            await this.run("Illegal transition", () => this.testIllegal());
+            await this.run("Same status is a no-op", () => this.testNoop());
+            await this.run("Unknown order", () => this.testNotFound());
+            await this.run("Unknown status", () => this.testUnknownStatus());
+            await this.run("Retry after a concurrent writer", () =>
+                this.testRetry()
+            );
+            await this.run("Give up on repeated conflicts", () =>
+                this.testConflicts()
+            );
+            await this.run("Forced reconciliation", () => this.testForce());
+            await this.run("Creation event", () => this.testCreated());
+        } finally {
+            this.store.uninstall();
+        }
+
+        this.displayResults();
+        return this.testResults.every((result) => result.passed);
+    }
+
+    async run(testName, test) {
+        console.log(`🔹 ${testName}...`);
+        this.store.reset();
+        try {
+            await test();
+            this.addResult(testName, true);
+            console.log("  ✅ Passed");
+        } catch (error) {
+            this.addResult(testName, false, { error: error.message });
+            console.log("  ❌ Failed:", error.message);
+        }
+    }
+
+    async testTable() {
+        assert.ok(canTransition("created", "auction_active"));
+        assert.ok(canTransition("auction_active", "created"));
+        assert.ok(canTransition("accepted", "fulfilled"));
+        assert.ok(!canTransition("accepted", "created"));
+        assert.ok(!canTransition("unknown", "created"));
+        for (const terminal of ["fulfilled", "failed"]) {
+            assert.deepStrictEqual(ORDER_TRANSITIONS[terminal], []);
+        }
+    }
+
+    async testTransition() {
+        this.store.addOrder("created");
+        const { order, changed, fromStatus } = await transitionOrder(
+            ORDER_ID,
+            "accepted",
+            {
+                actor: "0xresolver",
+                actorType: "resolver",
+                fields: { acceptedPrice: "90" },
+            }
+        );
+
+        assert.strictEqual(changed, true);
+        assert.strictEqual(fromStatus, "created");
+        assert.strictEqual(order.status, "accepted");
+        assert.strictEqual(order.acceptedPrice, "90");
+        assert.strictEqual(this.store.events.length, 1);
+        assert.strictEqual(this.store.events[0].fromStatus, "created");
+        assert.strictEqual(this.store.events[0].toStatus, "accepted");
+        assert.strictEqual(this.store.events[0].forced, false);
+    }
+
+    async testIllegal() {
+        this.store.addOrder("fulfilled");
+        await assert.rejects(
+            transitionOrder(ORDER_ID, "accepted", {
+                actor: "0xresolver",
+                actorType: "resolver",
+            }),
+            (error) =>
+                error instanceof InvalidTransitionError &&
+                error.fromStatus === "fulfilled" &&
+                error.toStatus === "accepted"
+        );
+        assert.strictEqual(this.store.orders.get(ORDER_ID).status, "fulfilled");
+        assert.strictEqual(this.store.events.length, 0);
+    }
+
+    async testNoop() {
+        this.store.addOrder("accepted");
+        const { order, changed } = await transitionOrder(ORDER_ID, "accepted", {
+            actor: "relayer",
+            actorType: "relayer",
+            fields: { acceptTxHash: "0xabc" },
+        });
+
+        assert.strictEqual(changed, false);
+        assert.strictEqual(order.acceptTxHash, "0xabc");
+        assert.strictEqual(this.store.events.length, 0);
+    }
+
+    async testNotFound() {
+        await assert.rejects(
+            transitionOrder(ORDER_ID, "accepted", {
+                actor: "relayer",
+                actorType: "relayer",
+            }),
+            OrderNotFoundError
+        );
+    }
+
+    async testUnknownStatus() {
+        this.store.addOrder("created");
+        await assert.rejects(
+            transitionOrder(ORDER_ID, "refunded", {
+                actor: "relayer",
+                actorType: "relayer",
+            }),
+            InvalidTransitionError
+        );
+    }
+
+    async testRetry() {
+        this.store.addOrder("created");
+        // Another writer starts the auction between our read and update
+        this.store.beforeUpdate = (order) => {
+            this.store.beforeUpdate = null;
+            order.status = "auction_active";
+        };
+
+        const { changed, fromStatus } = await transitionOrder(
+            ORDER_ID,
+            "accepted",
+            { actor: "0xresolver", actorType: "resolver" }
+        );
+
+        assert.strictEqual(changed, true);
+        assert.strictEqual(fromStatus, "auction_active");
+        assert.strictEqual(this.store.orders.get(ORDER_ID).status, "accepted");
+        assert.strictEqual(this.store.events.length, 1);
+        assert.strictEqual(this.store.events[0].fromStatus, "auction_active");
+    }
+
+    async testConflicts() {
+        this.store.addOrder("created");
+        // The status flips on every attempt, so no update ever matches
+        this.store.beforeUpdate = (order) => {
+            order.status =
+                order.status === "created" ? "auction_active" : "created";
+        };
+
+        await assert.rejects(
+            transitionOrder(ORDER_ID, "accepted", {
+                actor: "0xresolver",
+                actorType: "resolver",
+            }),
+            /Concurrent status updates/
+        );
+        assert.strictEqual(this.store.events.length, 0);
+    }
+
+    async testForce() {
+        this.store.addOrder("failed");
+        const { changed } = await transitionOrder(ORDER_ID, "fulfilled", {
+            actor: "chain",
+            actorType: "chain",
+            reason: "Fulfilled on-chain",
+            force: true,
+        });
+
+        assert.strictEqual(changed, true);
+        assert.strictEqual(this.store.orders.get(ORDER_ID).status, "fulfilled");
+        assert.strictEqual(this.store.events[0].forced, true);
+    }
+
+    async testCreated() {
+        this.store.addOrder("created");
+        await recordOrderCreated(this.store.orders.get(ORDER_ID));
+
+        const [event] = this.store.events;
+        assert.strictEqual(event.fromStatus, null);
+        assert.strictEqual(event.toStatus, "created");
+        assert.strictEqual(event.actor, MAKER);
+        assert.strictEqual(event.actorType, "maker");
+    }
+
+    addResult(testName, passed, details = {}) {
+        this.testResults.push({
+            testName,
+            passed,
+            details,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    displayResults() {
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter((r) => r.passed).length;
+
+        console.log("\n🏁 ========================================");
+        console.log("🏁   ORDER STATE MACHINE RESULTS");
+        console.log("🏁 ========================================\n");
+
+        this.testResults.forEach((result, index) => {
+            const status = result.passed ? "✅" : "❌";
+            console.log(`   ${index + 1}. ${status} ${result.testName}`);
+            if (!result.passed) {
+                console.log(`      ❌ Error: ${result.details.error}`);
+            }
+        });
+
+        console.log(`\n📊 ${passedTests}/${totalTests} tests passed\n`);
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    const tester = new OrderStateMachineTest();
+    tester
+        .runTests()
+        .then((passed) => process.exit(passed ? 0 : 1))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = OrderStateMachineTest;
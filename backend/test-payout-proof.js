@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+
+/**
+ * Test the money conversions payouts are sized with, and the checks a
+ * payout must pass before it is accepted as an order's proof
+ * Run with: npm run test-payout-proof
+ */
+
+const assert = require("assert");
+const {
+    WEI_PER_PAISE,
+    parseInr,
+    formatInr,
+    inrToPaise,
+    paiseToInr,
+    formatPaise,
+} = require("../payouts/money");
+const { encodeBeneficiary, bankAccountRef } = require("../payouts/beneficiary");
+const { validateTransaction } = require("./lifecycle/payout-proof");
+
+const ORDER_ID = `0x${"44".repeat(32)}`;
+const ACCEPTED_AT = 1760000000;
+const BANK_ACCOUNT = {
+    accountNumber: "123456789012",
+    ifsc: "HDFC0001234",
+    name: "Asha Rao",
+};
+const SALT = "0x5a17";
+
+class PayoutProofTest {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async runTests() {
+        console.log("🧪 Testing payout amounts and proof validation...\n");
+
+        await this.run("Rupee parsing and formatting", () =>
+            this.testParseFormat()
+        );
+        await this.run("Paise rounding", () => this.testRounding());
+        await this.run("Exact paise", () => this.testExact());
+        await this.run("Valid UPI proof", () => this.testValidUpi());
+        await this.run("Amount off by a paisa", () => this.testAmount());
+        await this.run("Payout not processed", () => this.testStatus());
+        await this.run("Wrong recipient", () => this.testRecipient());
+        await this.run("Missing order reference", () => this.testReference());
+        await this.run("Payout before acceptance", () => this.testTiming());
+        await this.run("Bank fallback by reference", () =>
+            this.testBankReference()
+        );
+
+        this.displayResults();
+        return this.testResults.every((result) => result.passed);
+    }
+
+    async run(testName, test) {
+        console.log(`🔹 ${testName}...`);
+        try {
+            await test();
+            this.addResult(testName, true);
+            console.log("  ✅ Passed");
+        } catch (error) {
+            this.addResult(testName, false, { error: error.message });
+            console.log("  ❌ Failed:", error.message);
+        }
+    }
+
+    /**
+     * On-chain order for ₹1,250.50 paid to `recipient`
+     */
+    order(recipient = "asha@upi") {
+        return {
+            amount: parseInr("1250.50").toString(),
+            recipientUpiAddress: recipient,
+            acceptedTime: ACCEPTED_AT,
+        };
+    }
+
+    /**
+     * Processed UPI payout that satisfies order()
+     */
+    payout(changes = {}) {
+        return {
+            amount: 125050,
+            status: "processed",
+            mode: "UPI",
+            referenceId: ORDER_ID,
+            createdAt: ACCEPTED_AT + 60,
+            beneficiary: { type: "vpa", vpa: "Asha@UPI" },
+            ...changes,
+        };
+    }
+
+    testParseFormat() {
+        assert.strictEqual(
+            parseInr("1250.5"),
+            1250n * 10n ** 18n + 5n * 10n ** 17n
+        );
+        assert.strictEqual(formatInr(parseInr("1250.5")), "1250.50");
+        assert.strictEqual(formatInr(parseInr("0.000001")), "0.000001");
+        assert.throws(() => parseInr("-1"), /Invalid INR amount/);
+        assert.throws(() => parseInr("1e3"), /Invalid INR amount/);
+        assert.strictEqual(formatPaise(125005), "1250.05");
+        assert.strictEqual(paiseToInr(125050), parseInr("1250.50"));
+    }
+
+    testRounding() {
+        const half = WEI_PER_PAISE / 2n;
+        assert.strictEqual(inrToPaise(parseInr("1250.50")), 125050n);
+        assert.strictEqual(inrToPaise(WEI_PER_PAISE * 10n + half - 1n), 10n);
+        assert.strictEqual(inrToPaise(WEI_PER_PAISE * 10n + half), 11n);
+        assert.strictEqual(inrToPaise(parseInr("0.004")), 0n);
+        assert.strictEqual(inrToPaise(parseInr("0.005")), 1n);
+        // Beyond Number precision, still exact
+        assert.strictEqual(
+            inrToPaise(parseInr("90071992547409.93")),
+            9007199254740993n
+        );
+        assert.throws(() => inrToPaise(-1n), /must not be negative/);
+    }
+
+    testExact() {
+        assert.strictEqual(
+            inrToPaise(parseInr("12.34"), { exact: true }),
+            1234n
+        );
+        assert.throws(
+            () => inrToPaise(parseInr("12.345"), { exact: true }),
+            /not a whole number of paise/
+        );
+    }
+
+    testValidUpi() {
+        const result = validateTransaction(
+            ORDER_ID,
+            this.order(),
+            this.payout()
+        );
+        assert.deepStrictEqual(result, { valid: true });
+
+        // The reference can also come from the payout's notes
+        const viaNotes = validateTransaction(
+            ORDER_ID,
+            this.order(),
+            this.payout({ referenceId: null, orderId: ORDER_ID.toUpperCase() })
+        );
+        assert.strictEqual(viaNotes.valid, true);
+    }
+
+    testAmount() {
+        const result = validateTransaction(
+            ORDER_ID,
+            this.order(),
+            this.payout({ amount: 125049 })
+        );
+        assert.strictEqual(result.valid, false);
+        assert.match(result.reason, /expected 125050 paise \(₹1250\.50\)/);
+
+        const garbage = validateTransaction(
+            ORDER_ID,
+            this.order(),
+            this.payout({ amount: "12.5x" })
+        );
+        assert.match(garbage.reason, /Invalid payout amount/);
+    }
+
+    testStatus() {
+        const result = validateTransaction(
+            ORDER_ID,
+            this.order(),
+            this.payout({ status: "processing" })
+        );
+        assert.strictEqual(result.valid, false);
+        assert.match(result.reason, /status is processing/);
+    }
+
+    testRecipient() {
+        const otherVpa = validateTransaction(
+            ORDER_ID,
+            this.order(),
+            this.payout({ beneficiary: { type: "vpa", vpa: "ravi@upi" } })
+        );
+        assert.match(otherVpa.reason, /does not match order recipient/);
+
+        // Right VPA, wrong rail
+        const wrongMode = validateTransaction(
+            ORDER_ID,
+            this.order(),
+            this.payout({ mode: "IMPS" })
+        );
+        assert.strictEqual(wrongMode.valid, false);
+    }
+
+    testReference() {
+        const result = validateTransaction(
+            ORDER_ID,
+            this.order(),
+            this.payout({ referenceId: `0x${"55".repeat(32)}` })
+        );
+        assert.match(result.reason, /does not reference order/);
+    }
+
+    testTiming() {
+        const result = validateTransaction(
+            ORDER_ID,
+            this.order(),
+            this.payout({ createdAt: ACCEPTED_AT - 1 })
+        );
+        assert.match(result.reason, /before order acceptance/);
+    }
+
+    testBankReference() {
+        const recipient = encodeBeneficiary(
+            { type: "vpa", vpa: "asha@upi", bankAccount: BANK_ACCOUNT },
+            SALT
+        );
+        assert.strictEqual(
+            recipient,
+            `asha@upi|bankref:${bankAccountRef(BANK_ACCOUNT, SALT)}`
+        );
+        const impsPayout = this.payout({
+            mode: "IMPS",
+            beneficiary: {
+                type: "bank_account",
+                bankAccount: {
+                    accountNumber: BANK_ACCOUNT.accountNumber,
+                    ifsc: "hdfc0001234",
+                },
+            },
+        });
+
+        // Without the off-chain details only the UPI leg can match
+        const withoutDetails = validateTransaction(
+            ORDER_ID,
+            this.order(recipient),
+            impsPayout
+        );
+        assert.strictEqual(withoutDetails.valid, false);
+        assert.strictEqual(
+            validateTransaction(ORDER_ID, this.order(recipient), this.payout())
+                .valid,
+            true
+        );
+
+        const withDetails = validateTransaction(
+            ORDER_ID,
+            this.order(recipient),
+            impsPayout,
+            { bankAccount: { ...BANK_ACCOUNT, salt: SALT } }
+        );
+        assert.deepStrictEqual(withDetails, { valid: true });
+
+        // Details that don't hash to the reference are rejected outright
+        const forged = validateTransaction(
+            ORDER_ID,
+            this.order(recipient),
+            impsPayout,
+            {
+                bankAccount: {
+                    ...BANK_ACCOUNT,
+                    name: "Someone Else",
+                    salt: SALT,
+                },
+            }
+        );
+        assert.match(forged.reason, /do not match the order's bank reference/);
+    }
+
+    addResult(testName, passed, details = {}) {
+        this.testResults.push({
+            testName,
+            passed,
+            details,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    displayResults() {
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter((r) => r.passed).length;
+
+        console.log("\n🏁 ========================================");
+        console.log("🏁   PAYOUT PROOF RESULTS");
+        console.log("🏁 ========================================\n");
+
+        this.testResults.forEach((result, index) => {
+            const status = result.passed ? "✅" : "❌";
+            console.log(`   ${index + 1}. ${status} ${result.testName}`);
+            if (!result.passed) {
+                console.log(`      ❌ Error: ${result.details.error}`);
+            }
+        });
+
+        console.log(`\n📊 ${passedTests}/${totalTests} tests passed\n`);
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    const tester = new PayoutProofTest();
+    tester
+        .runTests()
+        .then((passed) => process.exit(passed ? 0 : 1))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = PayoutProofTest;
@@ -0,0 +1,467 @@
+#!/usr/bin/env node
+
+/**
+ * Test RazorpayX payout webhooks: signatures over the raw body, ingesting
+ * out-of-order and duplicate events, waiting for a payout to be processed
+ * and opening a dispute when a fulfilled order's payout is reversed, with
+ * the payout, dispute and order collections kept in memory
+ * Run with: npm run test-payout-webhooks
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+const express = require("express");
+const mongoose = require("mongoose");
+const Payout = require("./models/Payout");
+const Dispute = require("./models/Dispute");
+const Order = require("./models/Order");
+const SettlementReceipt = require("./models/SettlementReceipt");
+const RazorpayXPayoutTracker = require("./webhooks/razorpayx-payouts");
+const webhookRoutes = require("./routes/webhooks");
+
+const { PayoutWaitError, verifyWebhookSignature } = RazorpayXPayoutTracker;
+
+const SECRET = "whsec_test";
+const ORDER_ID = `0x${"66".repeat(32)}`;
+const MAKER = "0x00000000000000000000000000000000000000a1";
+const RESOLVER = "0x00000000000000000000000000000000000000b2";
+
+/**
+ * In-memory payouts, disputes and fulfilled orders, enough of the Mongoose
+ * API for the payout tracker. Documents are real model instances, so saves
+ * still run schema validation.
+ */
+class MemoryStore {
+    constructor() {
+        this.payouts = new Map();
+        this.disputes = [];
+        this.orders = [];
+    }
+
+    reset() {
+        this.payouts.clear();
+        this.disputes.length = 0;
+        this.orders.length = 0;
+    }
+
+    install() {
+        const store = this;
+        this.originals = {
+            payoutFindOne: Payout.findOne,
+            payoutSave: Payout.prototype.save,
+            disputeCreate: Dispute.create,
+            disputeFindOne: Dispute.findOne,
+            orderFindOne: Order.findOne,
+            receiptFindOne: SettlementReceipt.findOne,
+        };
+
+        Payout.findOne = async ({ payoutId }) =>
+            this.payouts.get(payoutId) || null;
+        Payout.prototype.save = async function () {
+            const error = this.validateSync();
+            if (error) throw error;
+            store.payouts.set(this.payoutId, this);
+            return this;
+        };
+        Dispute.create = async (fields) => {
+            const dispute = new Dispute(fields);
+            const error = dispute.validateSync();
+            if (error) throw error;
+            if (
+                this.disputes.some(
+                    (other) =>
+                        other.payoutId === dispute.payoutId &&
+                        other.type === dispute.type
+                )
+            ) {
+                throw Object.assign(new Error("duplicate key"), {
+                    code: 11000,
+                });
+            }
+            this.disputes.push(dispute);
+            return dispute;
+        };
+        Dispute.findOne = async ({ payoutId, type }) =>
+            this.disputes.find(
+                (dispute) =>
+                    dispute.payoutId === payoutId && dispute.type === type
+            ) || null;
+        Order.findOne = async ({ proof, status }) =>
+            this.orders.find(
+                (order) => order.proof === proof && order.status === status
+            ) || null;
+        SettlementReceipt.findOne = async () => null;
+    }
+
+    uninstall() {
+        Payout.findOne = this.originals.payoutFindOne;
+        Payout.prototype.save = this.originals.payoutSave;
+        Dispute.create = this.originals.disputeCreate;
+        Dispute.findOne = this.originals.disputeFindOne;
+        Order.findOne = this.originals.orderFindOne;
+        SettlementReceipt.findOne = this.originals.receiptFindOne;
+    }
+}
+
+class PayoutWebhooksTest {
+    constructor() {
+        this.testResults = [];
+        this.store = new MemoryStore();
+    }
+
+    async runTests() {
+        console.log("🧪 Testing RazorpayX payout webhooks in memory...\n");
+
+        // Model calls must never wait on a real connection
+        mongoose.set("bufferCommands", false);
+        this.store.install();
+
+        try {
+            await this.run("Signature over the raw body", () =>
+                this.testSignature()
+            );
+            await this.run("Webhook route", () => this.testRoute());
+            await this.run("Out-of-order events", () => this.testOutOfOrder());
+            await this.run("Duplicate deliveries", () => this.testDuplicate());
+            await this.run("Wait for processed", () => this.testWait());
+            await this.run("Wait times out", () => this.testWaitTimeout());
+            await this.run("Wait ends on failure", () => this.testWaitFailed());
+            await this.run("Dispute on reversal after fulfillment", () =>
+                this.testDispute()
+            );
+            await this.run("No dispute for an unused payout", () =>
+                this.testNoDispute()
+            );
+        } finally {
+            this.store.uninstall();
+        }
+
+        this.displayResults();
+        return this.testResults.every((result) => result.passed);
+    }
+
+    async run(testName, test) {
+        console.log(`🔹 ${testName}...`);
+        this.store.reset();
+        try {
+            await test();
+            this.addResult(testName, true);
+            console.log("  ✅ Passed");
+        } catch (error) {
+            this.addResult(testName, false, { error: error.message });
+            console.log("  ❌ Failed:", error.message);
+        }
+    }
+
+    createTracker(options = {}) {
+        return new RazorpayXPayoutTracker({
+            webhookSecret: SECRET,
+            processedTimeout: 1000,
+            pollInterval: 20,
+            ...options,
+        });
+    }
+
+    /**
+     * A payout webhook body, `created_at` seconds into the test epoch
+     */
+    event(name, { payoutId = "pout_1", createdAt = 1000, ...entity } = {}) {
+        return {
+            entity: "event",
+            event: name,
+            created_at: 1760000000 + createdAt,
+            payload: {
+                payout: {
+                    entity: {
+                        id: payoutId,
+                        amount: 125050,
+                        currency: "INR",
+                        mode: "UPI",
+                        notes: { order_id: ORDER_ID },
+                        ...entity,
+                    },
+                },
+            },
+        };
+    }
+
+    sign(rawBody, secret = SECRET) {
+        return crypto
+            .createHmac("sha256", secret)
+            .update(rawBody)
+            .digest("hex");
+    }
+
+    testSignature() {
+        const rawBody = Buffer.from(
+            JSON.stringify(this.event("payout.processed"))
+        );
+        const signature = this.sign(rawBody);
+
+        assert.ok(verifyWebhookSignature(SECRET, rawBody, signature));
+        // The same event re-serialized is a different body
+        const reformatted = JSON.stringify(JSON.parse(rawBody), null, 2);
+        assert.ok(!verifyWebhookSignature(SECRET, reformatted, signature));
+        assert.ok(
+            !verifyWebhookSignature(SECRET, rawBody, this.sign(rawBody, "x"))
+        );
+        assert.ok(!verifyWebhookSignature(SECRET, rawBody, signature.slice(2)));
+        assert.ok(!verifyWebhookSignature(SECRET, rawBody, undefined));
+        assert.ok(!verifyWebhookSignature("", rawBody, signature));
+    }
+
+    async testRoute() {
+        const tracker = this.createTracker();
+        const app = express();
+        // As server.js parses bodies, keeping the raw bytes
+        app.use(
+            express.json({
+                verify: (req, res, buf) => {
+                    req.rawBody = buf;
+                },
+            })
+        );
+        app.set("payoutTracker", tracker);
+        app.use("/api/webhooks", webhookRoutes);
+
+        const server = app.listen(0);
+        await new Promise((resolve) => server.once("listening", resolve));
+        const url = `http://127.0.0.1:${
+            server.address().port
+        }/api/webhooks/razorpayx`;
+        const post = (rawBody, signature) =>
+            fetch(url, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "X-Razorpay-Signature": signature,
+                    "X-Razorpay-Event-Id": "evt_route",
+                },
+                body: rawBody,
+            });
+
+        try {
+            // Signed bytes with unusual spacing still verify as received
+            const rawBody = JSON.stringify(
+                this.event("payout.processed"),
+                null,
+                3
+            );
+            const accepted = await post(rawBody, this.sign(rawBody));
+            assert.strictEqual(accepted.status, 200);
+            const result = await accepted.json();
+            assert.strictEqual(result.payout.status, "processed");
+            assert.strictEqual(
+                this.store.payouts.get("pout_1").status,
+                "processed"
+            );
+
+            const forged = await post(
+                JSON.stringify(this.event("payout.reversed")),
+                this.sign(rawBody)
+            );
+            assert.strictEqual(forged.status, 401);
+            assert.strictEqual(
+                this.store.payouts.get("pout_1").status,
+                "processed"
+            );
+
+            tracker.webhookSecret = "";
+            const disabled = await post(rawBody, this.sign(rawBody));
+            assert.strictEqual(disabled.status, 503);
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    }
+
+    async testOutOfOrder() {
+        const tracker = this.createTracker();
+
+        // The reversal is delivered before the processed event it follows
+        await tracker.ingest(
+            this.event("payout.reversed", {
+                createdAt: 2000,
+                failure_reason: "Beneficiary bank rejected",
+            }),
+            "evt_reversed"
+        );
+        const { payout } = await tracker.ingest(
+            this.event("payout.processed", { createdAt: 1000, utr: "UTR1" }),
+            "evt_processed"
+        );
+
+        assert.strictEqual(payout.status, "reversed");
+        assert.strictEqual(payout.failureReason, "Beneficiary bank rejected");
+        assert.deepStrictEqual(
+            payout.events.map(({ status }) => status),
+            ["reversed", "processed"]
+        );
+        assert.strictEqual(payout.processedAt, null);
+
+        // failed and reversed rank equally, so either may follow the other
+        await tracker.ingest(this.event("payout.failed"), "evt_failed");
+        assert.strictEqual(this.store.payouts.get("pout_1").status, "failed");
+
+        const { ignored } = await tracker.ingest({ event: "payout.queued" });
+        assert.strictEqual(ignored, true);
+    }
+
+    async testDuplicate() {
+        const tracker = this.createTracker();
+        const body = this.event("payout.processed");
+
+        await tracker.ingest(body, "evt_1");
+        const again = await tracker.ingest(body, "evt_1");
+        assert.strictEqual(again.duplicate, true);
+        assert.strictEqual(this.store.payouts.get("pout_1").events.length, 1);
+    }
+
+    async testWait() {
+        const tracker = this.createTracker();
+        const waiting = tracker.waitForProcessed("pout_1");
+        setTimeout(() => {
+            tracker.ingest(this.event("payout.processed"), "evt_1");
+        }, 30);
+
+        const payout = await waiting;
+        assert.strictEqual(payout.status, "processed");
+        assert.strictEqual(tracker.events.listenerCount("pout_1"), 0);
+
+        // Already processed: no wait at all
+        const again = await tracker.waitForProcessed("pout_1", { timeout: 1 });
+        assert.strictEqual(again, payout);
+    }
+
+    async testWaitTimeout() {
+        const tracker = this.createTracker();
+        const startedAt = Date.now();
+
+        await assert.rejects(
+            tracker.waitForProcessed("pout_1", { timeout: 100 }),
+            (error) =>
+                error instanceof PayoutWaitError &&
+                error.reason === "timeout" &&
+                error.payoutId === "pout_1"
+        );
+        assert.ok(Date.now() - startedAt >= 100);
+        assert.strictEqual(tracker.events.listenerCount("pout_1"), 0);
+    }
+
+    async testWaitFailed() {
+        const tracker = this.createTracker();
+        const waiting = tracker.waitForProcessed("pout_1");
+        await tracker.ingest(
+            this.event("payout.failed", {
+                status_details: { description: "Invalid VPA" },
+            }),
+            "evt_failed"
+        );
+
+        await assert.rejects(
+            waiting,
+            (error) =>
+                error instanceof PayoutWaitError &&
+                error.reason === "failed" &&
+                /Invalid VPA/.test(error.message)
+        );
+    }
+
+    async testDispute() {
+        const emitted = [];
+        const dispatched = [];
+        const tracker = this.createTracker({
+            io: { emit: (event, data) => emitted.push({ event, data }) },
+            resolverCallbackRegistry: {
+                dispatch: async (...args) => dispatched.push(args),
+            },
+        });
+        this.store.orders.push({
+            orderId: ORDER_ID,
+            proof: "pout_1",
+            status: "fulfilled",
+            walletAddress: MAKER,
+            acceptedBy: RESOLVER,
+        });
+
+        await tracker.ingest(this.event("payout.processed"), "evt_processed");
+        const { dispute } = await tracker.ingest(
+            this.event("payout.reversed", { createdAt: 2000 }),
+            "evt_reversed"
+        );
+
+        assert.ok(dispute);
+        assert.strictEqual(dispute.type, "payout_reversed");
+        assert.strictEqual(dispute.orderId, ORDER_ID);
+        assert.strictEqual(dispute.resolverAddress, RESOLVER);
+        assert.strictEqual(dispute.amount, 125050);
+        assert.deepStrictEqual(
+            emitted.map(({ event }) => event),
+            ["disputeOpened"]
+        );
+        assert.strictEqual(dispatched.length, 1);
+        assert.strictEqual(dispatched[0][0], RESOLVER);
+        assert.strictEqual(dispatched[0][1], "PAYOUT_REVERSED");
+        assert.strictEqual(dispatched[0][3].disputeId, dispute.disputeId);
+
+        // A redelivered reversal under a new event ID finds the same dispute
+        const again = await tracker.ingest(
+            this.event("payout.reversed", { createdAt: 2000 }),
+            "evt_reversed_again"
+        );
+        assert.strictEqual(again.dispute.disputeId, dispute.disputeId);
+        assert.strictEqual(this.store.disputes.length, 1);
+    }
+
+    async testNoDispute() {
+        const tracker = this.createTracker();
+        const { payout, dispute } = await tracker.ingest(
+            this.event("payout.reversed"),
+            "evt_reversed"
+        );
+        assert.strictEqual(payout.status, "reversed");
+        assert.strictEqual(dispute, null);
+        assert.strictEqual(this.store.disputes.length, 0);
+    }
+
+    addResult(testName, passed, details = {}) {
+        this.testResults.push({
+            testName,
+            passed,
+            details,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    displayResults() {
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter((r) => r.passed).length;
+
+        console.log("\n🏁 ========================================");
+        console.log("🏁   PAYOUT WEBHOOK RESULTS");
+        console.log("🏁 ========================================\n");
+
+        this.testResults.forEach((result, index) => {
+            const status = result.passed ? "✅" : "❌";
+            console.log(`   ${index + 1}. ${status} ${result.testName}`);
+            if (!result.passed) {
+                console.log(`      ❌ Error: ${result.details.error}`);
+            }
+        });
+
+        console.log(`\n📊 ${passedTests}/${totalTests} tests passed\n`);
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    const tester = new PayoutWebhooksTest();
+    tester
+        .runTests()
+        .then((passed) => process.exit(passed ? 0 : 1))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = PayoutWebhooksTest;
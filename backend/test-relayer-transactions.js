@@ -0,0 +1,460 @@
+#!/usr/bin/env node
+
+/**
+ * Test the relayer transaction manager's nonce, drop and re-broadcast
+ * handling against a stub chain, with RelayerTransaction kept in memory
+ * Run with: npm run test-relayer
+ */
+
+const assert = require("assert");
+const mongoose = require("mongoose");
+const { TransactionReceiptNotFoundError } = require("viem");
+const { privateKeyToAccount } = require("viem/accounts");
+const RelayerTransaction = require("./models/RelayerTransaction");
+const RelayerTransactionManager = require("./relayer/transaction-manager");
+
+const RELAYER_KEY =
+    "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b4690d2";
+const CONTRACT = "0x00000000000000000000000000000000000000c0";
+const ABI = [
+    {
+        type: "function",
+        name: "acceptOrder",
+        stateMutability: "nonpayable",
+        inputs: [{ name: "orderId", type: "bytes32" }],
+        outputs: [],
+    },
+];
+const ORDER_ID = `0x${"11".repeat(32)}`;
+const GWEI = 10n ** 9n;
+
+/**
+ * In-memory RelayerTransaction collection, enough of the Mongoose API for
+ * the manager
+ */
+class MemoryCollection {
+    constructor() {
+        this.records = [];
+    }
+
+    install() {
+        const records = this.records;
+        const matches = (record, query) =>
+            Object.entries(query).every(([field, value]) => {
+                if (field === "broadcasts.0") {
+                    return record.broadcasts.length > 0 === value.$exists;
+                }
+                return record[field] === value;
+            });
+        const chain = (results) => {
+            const query = Promise.resolve(results);
+            query.sort = (order) => {
+                const [[field, direction]] = Object.entries(order);
+                results.sort((a, b) => (a[field] - b[field]) * direction);
+                return query;
+            };
+            query.select = () => query;
+            return query;
+        };
+
+        this.originals = {
+            create: RelayerTransaction.create,
+            find: RelayerTransaction.find,
+            findOne: RelayerTransaction.findOne,
+            updateMany: RelayerTransaction.updateMany,
+            save: RelayerTransaction.prototype.save,
+        };
+        RelayerTransaction.create = async (fields) => {
+            const record = new RelayerTransaction(fields);
+            records.push(record);
+            return record;
+        };
+        RelayerTransaction.find = (query) =>
+            chain(records.filter((record) => matches(record, query)));
+        RelayerTransaction.findOne = (query) => {
+            const found = chain(
+                records.filter((record) => matches(record, query))
+            );
+            const first = found.then((results) => results[0] || null);
+            first.sort = (order) => {
+                found.sort(order);
+                return first;
+            };
+            first.select = () => first;
+            return first;
+        };
+        RelayerTransaction.updateMany = async () => ({ modifiedCount: 0 });
+        RelayerTransaction.prototype.save = async function () {
+            return this;
+        };
+    }
+
+    uninstall() {
+        const { save, ...statics } = this.originals;
+        Object.assign(RelayerTransaction, statics);
+        RelayerTransaction.prototype.save = save;
+    }
+}
+
+/**
+ * Chain stub: a mempool keyed by nonce, a mined nonce and receipts that
+ * tests release by hand
+ */
+class StubChain {
+    constructor(account) {
+        this.account = account;
+        this.minedNonce = 0;
+        this.pendingNonce = 0;
+        this.fees = { maxFeePerGas: 30n * GWEI, maxPriorityFeePerGas: GWEI };
+        this.sent = [];
+        this.receipts = new Map();
+        this.failNextSend = null;
+        this.hashCount = 0;
+
+        this.publicClient = {
+            getChainId: async () => 31337,
+            getTransactionCount: async ({ blockTag }) =>
+                blockTag === "latest" ? this.minedNonce : this.pendingNonce,
+            estimateContractGas: async () => 100000n,
+            estimateFeesPerGas: async () => ({ ...this.fees }),
+            getTransactionReceipt: async ({ hash }) => {
+                if (!this.receipts.has(hash)) {
+                    throw new TransactionReceiptNotFoundError({ hash });
+                }
+                return this.receipts.get(hash);
+            },
+        };
+        this.walletClient = {
+            account,
+            chain: { id: 31337 },
+            sendTransaction: async (request) => {
+                if (this.failNextSend) {
+                    const error = this.failNextSend;
+                    this.failNextSend = null;
+                    throw error;
+                }
+                const hash = `0x${(++this.hashCount)
+                    .toString(16)
+                    .padStart(64, "0")}`;
+                this.sent.push({ ...request, hash });
+                this.pendingNonce = Math.max(
+                    this.pendingNonce,
+                    request.nonce + 1
+                );
+                return hash;
+            },
+        };
+    }
+
+    mine(hash, status = "success") {
+        const sent = this.sent.find((request) => request.hash === hash);
+        this.minedNonce = Math.max(this.minedNonce, sent.nonce + 1);
+        this.receipts.set(hash, {
+            status,
+            transactionHash: hash,
+            blockNumber: 100n,
+            gasUsed: 21000n,
+        });
+    }
+}
+
+class RelayerTransactionsTest {
+    constructor() {
+        this.testResults = [];
+        this.collection = new MemoryCollection();
+    }
+
+    async runTests() {
+        console.log(
+            "🧪 Testing relayer transaction manager against a stub chain...\n"
+        );
+
+        // Model calls must never wait on a real connection
+        mongoose.set("bufferCommands", false);
+        this.collection.install();
+
+        try {
+            await this.run("Sequential nonces", () => this.testNonces());
+            await this.run("Nonce too low resync", () => this.testResync());
+            await this.run("Confirm on receipt", () => this.testConfirm());
+            await this.run("Drop on used nonce", () => this.testDrop());
+            await this.run("Re-broadcast with bumped fees", () =>
+                this.testRebroadcast()
+            );
+            await this.run("Stuck after last broadcast", () =>
+                this.testExhausted()
+            );
+            await this.run("Stuck on failed re-broadcast", () =>
+                this.testRebroadcastFailure()
+            );
+            await this.run("Wait deadline", () => this.testWaitTimeout());
+        } finally {
+            this.collection.uninstall();
+        }
+
+        this.displayResults();
+        return this.testResults.every((result) => result.passed);
+    }
+
+    async run(testName, test) {
+        console.log(`🔹 ${testName}...`);
+        this.collection.records.length = 0;
+        try {
+            await test();
+            this.addResult(testName, true);
+            console.log("  ✅ Passed");
+        } catch (error) {
+            this.addResult(testName, false, { error: error.message });
+            console.log("  ❌ Failed:", error.message);
+        }
+    }
+
+    /**
+     * A started manager whose monitor loop the test drives by hand
+     */
+    async createManager(options = {}) {
+        const chain = new StubChain(privateKeyToAccount(RELAYER_KEY));
+        chain.minedNonce = options.nonce || 0;
+        chain.pendingNonce = options.nonce || 0;
+
+        const manager = new RelayerTransactionManager({
+            rpcUrl: "http://stub",
+            publicClient: chain.publicClient,
+            walletClient: chain.walletClient,
+            confirmationTimeout: 60000,
+            maxBroadcasts: 3,
+            ...options.manager,
+        });
+        manager.scheduleNextCheck = () => {};
+        await manager.start();
+        return { manager, chain };
+    }
+
+    /**
+     * Start sends and wait until they have been broadcast
+     * @returns {Promise<Array>} The pending sendContractTransaction results
+     */
+    async send(manager, count = 1) {
+        const waiting = manager.waiters.size;
+        const results = [];
+        for (let i = 0; i < count; i++) {
+            const result = manager.sendContractTransaction({
+                address: CONTRACT,
+                abi: ABI,
+                functionName: "acceptOrder",
+                args: [ORDER_ID],
+                orderId: ORDER_ID,
+            });
+            result.catch(() => {}); // Asserted by the caller
+            results.push(result);
+        }
+        while (manager.waiters.size < waiting + count) {
+            await new Promise((resolve) => setImmediate(resolve));
+        }
+        return results;
+    }
+
+    // Pretend the latest broadcast has waited out the confirmation timeout
+    expire(manager) {
+        for (const record of this.collection.records) {
+            const latest = record.latestBroadcast();
+            if (latest) {
+                latest.sentAt = new Date(
+                    Date.now() - manager.confirmationTimeout
+                );
+            }
+        }
+    }
+
+    async testNonces() {
+        const { manager, chain } = await this.createManager({ nonce: 7 });
+
+        await this.send(manager, 2);
+        assert.deepStrictEqual(
+            chain.sent.map((request) => request.nonce),
+            [7, 8]
+        );
+        assert.strictEqual(manager.nextNonce, 9);
+
+        // Pending records hold their nonces even if the node forgets them
+        chain.pendingNonce = 7;
+        assert.strictEqual(await manager.syncNonce(), 9);
+        manager.stop();
+    }
+
+    async testResync() {
+        const { manager, chain } = await this.createManager({ nonce: 3 });
+
+        // Another signer used nonce 3 behind our back
+        chain.pendingNonce = 4;
+        chain.failNextSend = new Error("nonce too low");
+        await this.send(manager);
+
+        const [failed, sent] = this.collection.records;
+        assert.strictEqual(failed.status, "failed");
+        assert.strictEqual(failed.nonce, 3);
+        assert.strictEqual(sent.nonce, 4);
+        assert.strictEqual(manager.nextNonce, 5);
+        manager.stop();
+    }
+
+    async testConfirm() {
+        const { manager, chain } = await this.createManager();
+        const [result] = await this.send(manager);
+
+        // Nothing mined yet: still waiting
+        await manager.checkPending();
+        assert.strictEqual(manager.waiters.size, 1);
+
+        chain.mine(chain.sent[0].hash);
+        await manager.checkPending();
+        const { transactionHash, transaction } = await result;
+        assert.strictEqual(transactionHash, chain.sent[0].hash);
+        assert.strictEqual(transaction.status, "confirmed");
+        assert.strictEqual(manager.waiters.size, 0);
+        manager.stop();
+    }
+
+    async testDrop() {
+        const { manager, chain } = await this.createManager();
+        const [result] = await this.send(manager);
+
+        // Nonce 0 mined, but not by any of our broadcasts
+        chain.minedNonce = 1;
+        await manager.checkPending();
+        await assert.rejects(result, { code: "DROPPED" });
+        assert.strictEqual(this.collection.records[0].status, "dropped");
+        manager.stop();
+    }
+
+    async testRebroadcast() {
+        const { manager, chain } = await this.createManager({
+            manager: { feeBumpPercent: 20 },
+        });
+        const [result] = await this.send(manager);
+
+        // Not yet timed out: no re-broadcast
+        await manager.checkPending();
+        assert.strictEqual(chain.sent.length, 1);
+
+        this.expire(manager);
+        await manager.checkPending();
+        assert.strictEqual(chain.sent.length, 2);
+
+        const [first, second] = chain.sent;
+        assert.strictEqual(second.nonce, first.nonce);
+        assert.strictEqual(
+            second.maxFeePerGas,
+            (first.maxFeePerGas * 120n) / 100n
+        );
+        assert.strictEqual(
+            second.maxPriorityFeePerGas,
+            (first.maxPriorityFeePerGas * 120n) / 100n
+        );
+
+        // The first broadcast is the one that gets mined
+        chain.mine(first.hash);
+        await manager.checkPending();
+        const { transactionHash } = await result;
+        assert.strictEqual(transactionHash, first.hash);
+        assert.strictEqual(manager.rebroadcastCount, 1);
+        manager.stop();
+    }
+
+    async testExhausted() {
+        const { manager, chain } = await this.createManager();
+        const [result] = await this.send(manager);
+
+        for (let i = 0; i < 2; i++) {
+            this.expire(manager);
+            await manager.checkPending();
+        }
+        assert.strictEqual(chain.sent.length, 3);
+        assert.strictEqual(manager.waiters.size, 1);
+
+        this.expire(manager);
+        await manager.checkPending();
+        await assert.rejects(result, { code: "STUCK" });
+        assert.strictEqual(chain.sent.length, 3);
+
+        // Still tracked, and still confirmed if it is eventually mined
+        const [record] = this.collection.records;
+        assert.strictEqual(record.status, "pending");
+        chain.mine(chain.sent[2].hash);
+        await manager.checkPending();
+        assert.strictEqual(record.status, "confirmed");
+        manager.stop();
+    }
+
+    async testRebroadcastFailure() {
+        const { manager, chain } = await this.createManager();
+        const [result] = await this.send(manager);
+
+        chain.failNextSend = new Error("insufficient funds for gas");
+        this.expire(manager);
+        await manager.checkPending();
+        await assert.rejects(result, {
+            code: "STUCK",
+            message: /insufficient funds/,
+        });
+        assert.strictEqual(
+            this.collection.records[0].lastError,
+            "insufficient funds for gas"
+        );
+        manager.stop();
+    }
+
+    async testWaitTimeout() {
+        const { manager } = await this.createManager({
+            manager: { waitTimeout: 50 },
+        });
+        const [result] = await this.send(manager);
+
+        await assert.rejects(result, { code: "TIMEOUT" });
+        assert.strictEqual(manager.waiters.size, 0);
+        assert.strictEqual(this.collection.records[0].status, "pending");
+        manager.stop();
+    }
+
+    addResult(testName, passed, details = {}) {
+        this.testResults.push({
+            testName,
+            passed,
+            details,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    displayResults() {
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter((r) => r.passed).length;
+
+        console.log("\n🏁 ========================================");
+        console.log("🏁   RELAYER TRANSACTION MANAGER RESULTS");
+        console.log("🏁 ========================================\n");
+
+        this.testResults.forEach((result, index) => {
+            const status = result.passed ? "✅" : "❌";
+            console.log(`   ${index + 1}. ${status} ${result.testName}`);
+            if (!result.passed) {
+                console.log(`      ❌ Error: ${result.details.error}`);
+            }
+        });
+
+        console.log(`\n📊 ${passedTests}/${totalTests} tests passed\n`);
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    const tester = new RelayerTransactionsTest();
+    tester
+        .runTests()
+        .then((passed) => process.exit(passed ? 0 : 1))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = RelayerTransactionsTest;
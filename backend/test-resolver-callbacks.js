@@ -0,0 +1,518 @@
+#!/usr/bin/env node
+
+/**
+ * Test resolver callback webhooks: "<timestamp>.<body>" HMAC signatures,
+ * the retry backoff schedule, replays and signed registration, delivering
+ * to a local HTTP receiver with ResolverCallback and WebhookDelivery kept
+ * in memory
+ * Run with: npm run test-callbacks
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+const http = require("http");
+const mongoose = require("mongoose");
+const { privateKeyToAccount } = require("viem/accounts");
+const ResolverCallback = require("./models/ResolverCallback");
+const WebhookDelivery = require("./models/WebhookDelivery");
+const ResolverCallbackRegistry = require("./webhooks/resolver-callback-registry");
+const {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    DELIVERY_HEADER,
+    signPayload,
+    buildRegistrationMessage,
+} = require("./webhooks/signature");
+
+const { RegistrationError } = ResolverCallbackRegistry;
+
+const SECRET = "callback_secret";
+const ORDER_ID = `0x${"77".repeat(32)}`;
+const RESOLVER = privateKeyToAccount(`0x${"33".repeat(32)}`);
+const STRANGER = privateKeyToAccount(`0x${"44".repeat(32)}`);
+
+/**
+ * In-memory callbacks and deliveries, enough of the Mongoose API for the
+ * registry. Deliveries are real model instances, so saves still run schema
+ * validation.
+ */
+class MemoryStore {
+    constructor() {
+        this.callbacks = new Map();
+        this.deliveries = new Map();
+    }
+
+    reset() {
+        this.callbacks.clear();
+        this.deliveries.clear();
+    }
+
+    install() {
+        const store = this;
+        this.originals = {
+            findActiveByResolver: ResolverCallback.findActiveByResolver,
+            callbackFindOne: ResolverCallback.findOne,
+            callbackFindOneAndUpdate: ResolverCallback.findOneAndUpdate,
+            deliveryCreate: WebhookDelivery.create,
+            deliveryFindOne: WebhookDelivery.findOne,
+            deliverySave: WebhookDelivery.prototype.save,
+        };
+
+        ResolverCallback.findActiveByResolver = async (resolverAddress) => {
+            const callback = this.callbacks.get(resolverAddress.toLowerCase());
+            return callback && callback.active ? { ...callback } : null;
+        };
+        ResolverCallback.findOne = async ({ resolverAddress }) =>
+            this.callbacks.get(resolverAddress) || null;
+        ResolverCallback.findOneAndUpdate = async (
+            { resolverAddress },
+            update
+        ) => {
+            const callback = {
+                ...this.callbacks.get(resolverAddress),
+                resolverAddress,
+                ...update,
+            };
+            this.callbacks.set(resolverAddress, callback);
+            return callback;
+        };
+        WebhookDelivery.create = async (fields) =>
+            new WebhookDelivery(fields).save();
+        WebhookDelivery.findOne = async ({ deliveryId }) =>
+            this.deliveries.get(deliveryId) || null;
+        WebhookDelivery.prototype.save = async function () {
+            const error = this.validateSync();
+            if (error) throw error;
+            store.deliveries.set(this.deliveryId, this);
+            return this;
+        };
+    }
+
+    uninstall() {
+        ResolverCallback.findActiveByResolver =
+            this.originals.findActiveByResolver;
+        ResolverCallback.findOne = this.originals.callbackFindOne;
+        ResolverCallback.findOneAndUpdate =
+            this.originals.callbackFindOneAndUpdate;
+        WebhookDelivery.create = this.originals.deliveryCreate;
+        WebhookDelivery.findOne = this.originals.deliveryFindOne;
+        WebhookDelivery.prototype.save = this.originals.deliverySave;
+    }
+
+    addCallback(callbackUrl, fields = {}) {
+        const resolverAddress = RESOLVER.address.toLowerCase();
+        this.callbacks.set(resolverAddress, {
+            resolverAddress,
+            callbackUrl,
+            secret: SECRET,
+            registrationSignature: "0x",
+            active: true,
+            ...fields,
+        });
+    }
+}
+
+/**
+ * Resolver endpoint that records raw requests and answers with queued
+ * status codes (200 once the queue is empty)
+ */
+class CallbackReceiver {
+    constructor() {
+        this.requests = [];
+        this.statuses = [];
+        this.server = http.createServer((req, res) => {
+            let body = "";
+            req.on("data", (chunk) => (body += chunk));
+            req.on("end", () => {
+                this.requests.push({
+                    headers: req.headers,
+                    body,
+                    receivedAt: Date.now(),
+                });
+                res.statusCode = this.statuses.shift() || 200;
+                res.end();
+            });
+        });
+    }
+
+    async start() {
+        this.server.listen(0, "127.0.0.1");
+        await new Promise((resolve) => this.server.once("listening", resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}/yupi`;
+    }
+
+    reset() {
+        this.requests = [];
+        this.statuses = [];
+    }
+
+    stop() {
+        return new Promise((resolve) => this.server.close(resolve));
+    }
+}
+
+class ResolverCallbacksTest {
+    constructor() {
+        this.testResults = [];
+        this.store = new MemoryStore();
+        this.receiver = new CallbackReceiver();
+        this.registry = null;
+    }
+
+    async runTests() {
+        console.log("🧪 Testing resolver callback webhooks...\n");
+
+        // Model calls must never wait on a real connection
+        mongoose.set("bufferCommands", false);
+        this.store.install();
+        await this.receiver.start();
+
+        try {
+            await this.run("HMAC over timestamp and body", () =>
+                this.testSignPayload()
+            );
+            await this.run("Signed delivery", () => this.testDelivery());
+            await this.run("Backoff schedule", () => this.testBackoff());
+            await this.run("Retry until delivered", () => this.testRetry());
+            await this.run("Give up after max attempts", () =>
+                this.testExhausted()
+            );
+            await this.run("Replay a delivery", () => this.testReplay());
+            await this.run("Signed registration", () =>
+                this.testRegistration()
+            );
+        } finally {
+            await this.receiver.stop();
+            this.store.uninstall();
+        }
+
+        this.displayResults();
+        return this.testResults.every((result) => result.passed);
+    }
+
+    async run(testName, test) {
+        console.log(`🔹 ${testName}...`);
+        this.store.reset();
+        this.receiver.reset();
+        this.store.addCallback(this.receiver.url);
+        this.registry = new ResolverCallbackRegistry({
+            maxAttempts: 3,
+            baseDelay: 20,
+        });
+        try {
+            await test();
+            this.addResult(testName, true);
+            console.log("  ✅ Passed");
+        } catch (error) {
+            this.addResult(testName, false, { error: error.message });
+            console.log("  ❌ Failed:", error.message);
+        } finally {
+            this.registry.shutdown();
+        }
+    }
+
+    /**
+     * Check a received request the way a resolver would: recompute the
+     * HMAC over the timestamp header and the raw body
+     */
+    assertSigned(request, secret = SECRET) {
+        const timestamp = request.headers[TIMESTAMP_HEADER.toLowerCase()];
+        assert.match(timestamp, /^\d+$/);
+        assert.ok(
+            Math.abs(Number(timestamp) - Date.now() / 1000) < 60,
+            "timestamp is not current"
+        );
+        assert.strictEqual(
+            request.headers[SIGNATURE_HEADER.toLowerCase()],
+            signPayload(secret, timestamp, request.body)
+        );
+    }
+
+    async waitFor(predicate, timeout = 3000) {
+        const deadline = Date.now() + timeout;
+        while (!predicate()) {
+            if (Date.now() > deadline) {
+                throw new Error(`Condition not met within ${timeout}ms`);
+            }
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+    }
+
+    testSignPayload() {
+        const body = JSON.stringify({
+            type: "ORDER_ACCEPTED",
+            orderId: ORDER_ID,
+        });
+        const expected = crypto
+            .createHmac("sha256", SECRET)
+            .update(`1760000000.${body}`)
+            .digest("hex");
+
+        assert.strictEqual(signPayload(SECRET, 1760000000, body), expected);
+        assert.strictEqual(signPayload(SECRET, "1760000000", body), expected);
+        // Timestamp, body and secret are all covered
+        assert.notStrictEqual(signPayload(SECRET, 1760000001, body), expected);
+        assert.notStrictEqual(
+            signPayload(SECRET, 1760000000, `${body} `),
+            expected
+        );
+        assert.notStrictEqual(signPayload("other", 1760000000, body), expected);
+    }
+
+    async testDelivery() {
+        const delivery = await this.registry.dispatch(
+            RESOLVER.address,
+            "ORDER_ACCEPTED",
+            ORDER_ID,
+            { acceptedPrice: "88" }
+        );
+
+        assert.strictEqual(this.receiver.requests.length, 1);
+        const [request] = this.receiver.requests;
+        this.assertSigned(request);
+        assert.strictEqual(
+            request.headers[DELIVERY_HEADER.toLowerCase()],
+            delivery.deliveryId
+        );
+
+        const payload = JSON.parse(request.body);
+        assert.strictEqual(payload.type, "ORDER_ACCEPTED");
+        assert.strictEqual(payload.deliveryId, delivery.deliveryId);
+        assert.strictEqual(payload.orderId, ORDER_ID);
+        assert.deepStrictEqual(payload.details, { acceptedPrice: "88" });
+
+        const stored = this.store.deliveries.get(delivery.deliveryId);
+        assert.strictEqual(stored.status, "delivered");
+        assert.strictEqual(stored.attempts, 1);
+        assert.strictEqual(stored.lastResponseStatus, 200);
+
+        // Nobody to deliver to
+        this.store.reset();
+        assert.strictEqual(
+            await this.registry.dispatch(RESOLVER.address, "ORDER_ACCEPTED"),
+            null
+        );
+    }
+
+    testBackoff() {
+        const registry = new ResolverCallbackRegistry({
+            baseDelay: 1000,
+            maxDelay: 10000,
+        });
+        const realRandom = Math.random;
+        try {
+            Math.random = () => 0;
+            assert.deepStrictEqual(
+                [1, 2, 3, 4, 5, 6].map((n) => registry.computeBackoff(n)),
+                [1000, 2000, 4000, 8000, 10000, 10000]
+            );
+            // At most 20% jitter on top
+            Math.random = () => 0.999999;
+            assert.deepStrictEqual(
+                [1, 2, 5].map((n) => registry.computeBackoff(n)),
+                [1200, 2400, 12000]
+            );
+        } finally {
+            Math.random = realRandom;
+        }
+    }
+
+    async testRetry() {
+        this.receiver.statuses = [500, 503];
+        const { deliveryId } = await this.registry.dispatch(
+            RESOLVER.address,
+            "ORDER_ACCEPTED",
+            ORDER_ID
+        );
+
+        const failedAt = Date.now();
+
+        const delivery = this.store.deliveries.get(deliveryId);
+        assert.strictEqual(delivery.status, "pending");
+        assert.strictEqual(delivery.attempts, 1);
+        assert.strictEqual(delivery.lastResponseStatus, 500);
+        // baseDelay plus up to 20% jitter after the failed attempt
+        const nextAttemptAt = delivery.nextAttemptAt.getTime();
+        assert.ok(nextAttemptAt >= delivery.lastAttemptAt.getTime() + 20);
+        assert.ok(nextAttemptAt <= failedAt + 24);
+        assert.ok(this.registry.retryTimers.has(deliveryId));
+
+        await this.waitFor(() => delivery.status === "delivered");
+
+        assert.strictEqual(delivery.attempts, 3);
+        assert.strictEqual(delivery.lastError, null);
+        const [first, second, third] = this.receiver.requests;
+        assert.ok(second.receivedAt - first.receivedAt >= 20);
+        assert.ok(third.receivedAt - second.receivedAt >= 40);
+        // Every attempt is signed afresh for the same delivery
+        for (const request of this.receiver.requests) {
+            this.assertSigned(request);
+            assert.strictEqual(
+                request.headers[DELIVERY_HEADER.toLowerCase()],
+                deliveryId
+            );
+        }
+        assert.strictEqual(this.registry.retryTimers.size, 0);
+    }
+
+    async testExhausted() {
+        this.receiver.statuses = [500, 500, 500, 500];
+        const { deliveryId } = await this.registry.dispatch(
+            RESOLVER.address,
+            "ORDER_ACCEPTED",
+            ORDER_ID
+        );
+        const delivery = this.store.deliveries.get(deliveryId);
+
+        await this.waitFor(() => delivery.status !== "pending");
+
+        assert.strictEqual(delivery.status, "failed");
+        assert.strictEqual(delivery.attempts, 3);
+        assert.strictEqual(this.receiver.requests.length, 3);
+        assert.match(delivery.lastError, /500/);
+        assert.strictEqual(this.registry.retryTimers.size, 0);
+    }
+
+    async testReplay() {
+        const original = await this.registry.dispatch(
+            RESOLVER.address,
+            "ORDER_FULFILLED",
+            ORDER_ID,
+            { proof: "UTR123" }
+        );
+
+        // The resolver has since re-registered with a new secret
+        this.store.callbacks.get(RESOLVER.address.toLowerCase()).secret =
+            "rotated_secret";
+        const replay = await this.registry.replay(original.deliveryId);
+
+        assert.notStrictEqual(replay.deliveryId, original.deliveryId);
+        assert.strictEqual(replay.replayedFrom, original.deliveryId);
+        assert.strictEqual(replay.status, "delivered");
+        assert.strictEqual(replay.attempts, 1);
+
+        assert.strictEqual(this.receiver.requests.length, 2);
+        const request = this.receiver.requests[1];
+        this.assertSigned(request, "rotated_secret");
+        assert.strictEqual(
+            request.headers[DELIVERY_HEADER.toLowerCase()],
+            replay.deliveryId
+        );
+        const { deliveryId, ...payload } = JSON.parse(request.body);
+        const { deliveryId: originalId, ...originalPayload } = JSON.parse(
+            this.receiver.requests[0].body
+        );
+        assert.strictEqual(deliveryId, replay.deliveryId);
+        assert.strictEqual(originalId, original.deliveryId);
+        assert.deepStrictEqual(payload, originalPayload);
+
+        // The original record is left as it was
+        const stored = this.store.deliveries.get(original.deliveryId);
+        assert.strictEqual(stored.status, "delivered");
+        assert.strictEqual(stored.attempts, 1);
+        assert.strictEqual(stored.replayedFrom, null);
+
+        assert.strictEqual(await this.registry.replay("missing"), null);
+    }
+
+    async testRegistration() {
+        this.store.reset();
+        const timestamp = Math.floor(Date.now() / 1000);
+        const params = {
+            resolverAddress: RESOLVER.address,
+            callbackUrl: this.receiver.url,
+            timestamp,
+            signature: await RESOLVER.signMessage({
+                message: buildRegistrationMessage(
+                    RESOLVER.address,
+                    this.receiver.url,
+                    timestamp
+                ),
+            }),
+        };
+
+        const registered = await this.registry.register(params);
+        assert.strictEqual(
+            registered.resolverAddress,
+            RESOLVER.address.toLowerCase()
+        );
+        assert.match(registered.secret, /^[0-9a-f]{64}$/);
+        const callback = this.store.callbacks.get(registered.resolverAddress);
+        assert.strictEqual(callback.secret, registered.secret);
+        assert.strictEqual(callback.active, true);
+
+        // The same signed registration cannot be submitted twice
+        await assert.rejects(
+            this.registry.register(params),
+            (error) =>
+                error instanceof RegistrationError &&
+                /already used/.test(error.message)
+        );
+        await assert.rejects(
+            this.registry.register({
+                ...params,
+                callbackUrl: "http://127.0.0.1:1/elsewhere",
+            }),
+            /does not match resolverAddress/
+        );
+        await assert.rejects(
+            this.registry.register({
+                ...params,
+                signature: await STRANGER.signMessage({
+                    message: buildRegistrationMessage(
+                        RESOLVER.address,
+                        this.receiver.url,
+                        timestamp
+                    ),
+                }),
+            }),
+            /does not match resolverAddress/
+        );
+        await assert.rejects(
+            this.registry.register({ ...params, timestamp: timestamp - 301 }),
+            /timestamp expired/
+        );
+    }
+
+    addResult(testName, passed, details = {}) {
+        this.testResults.push({
+            testName,
+            passed,
+            details,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    displayResults() {
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter((r) => r.passed).length;
+
+        console.log("\n🏁 ========================================");
+        console.log("🏁   RESOLVER CALLBACK RESULTS");
+        console.log("🏁 ========================================\n");
+
+        this.testResults.forEach((result, index) => {
+            const status = result.passed ? "✅" : "❌";
+            console.log(`   ${index + 1}. ${status} ${result.testName}`);
+            if (!result.passed) {
+                console.log(`      ❌ Error: ${result.details.error}`);
+            }
+        });
+
+        console.log(`\n📊 ${passedTests}/${totalTests} tests passed\n`);
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    const tester = new ResolverCallbacksTest();
+    tester
+        .runTests()
+        .then((passed) => process.exit(passed ? 0 : 1))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = ResolverCallbacksTest;
@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+
+/**
+ * Test Sign-In With Ethereum sessions: single-use nonces, domain and chain
+ * checks, JWT expiry and tampering, and the session middleware, with
+ * AuthNonce kept in memory
+ * Run with: npm run test-auth
+ */
+
+const assert = require("assert");
+const express = require("express");
+const mongoose = require("mongoose");
+const { privateKeyToAccount } = require("viem/accounts");
+const { createSiweMessage } = require("viem/siwe");
+const AuthNonce = require("./models/AuthNonce");
+const SiweSessionManager = require("./auth/siwe-session-manager");
+const { signJwt, verifyJwt } = require("./auth/jwt");
+const {
+    requireSession,
+    requireWalletSession,
+} = require("./middleware/session-auth");
+
+const { SiweAuthError, SIWE_STATEMENT } = SiweSessionManager;
+
+const DOMAIN = "app.yupi.test";
+const CHAIN_ID = 31337;
+const SECRET = "jwt_secret";
+const MAKER = privateKeyToAccount(`0x${"55".repeat(32)}`);
+const STRANGER = privateKeyToAccount(`0x${"66".repeat(32)}`);
+
+/**
+ * In-memory auth nonces. AuthNonce.consume runs as is, against a
+ * findOneAndUpdate that honours its usedAt/expiresAt conditions.
+ */
+class MemoryNonces {
+    constructor() {
+        this.nonces = new Map();
+    }
+
+    reset() {
+        this.nonces.clear();
+    }
+
+    install() {
+        this.originals = {
+            create: AuthNonce.create,
+            findOneAndUpdate: AuthNonce.findOneAndUpdate,
+        };
+        AuthNonce.create = async (fields) => {
+            const nonce = { usedAt: null, usedBy: null, ...fields };
+            this.nonces.set(nonce.nonce, nonce);
+            return nonce;
+        };
+        AuthNonce.findOneAndUpdate = async (query, update) => {
+            const nonce = this.nonces.get(query.nonce);
+            if (
+                !nonce ||
+                nonce.usedAt !== query.usedAt ||
+                !(nonce.expiresAt > query.expiresAt.$gt)
+            ) {
+                return null;
+            }
+            Object.assign(nonce, update.$set);
+            return nonce;
+        };
+    }
+
+    uninstall() {
+        Object.assign(AuthNonce, this.originals);
+    }
+}
+
+class SiweAuthTest {
+    constructor() {
+        this.testResults = [];
+        this.nonces = new MemoryNonces();
+        this.manager = new SiweSessionManager({
+            domains: `${DOMAIN},localhost:3000`,
+            chainId: CHAIN_ID,
+            secret: SECRET,
+        });
+    }
+
+    async runTests() {
+        console.log("🧪 Testing SIWE sessions...\n");
+
+        // Model calls must never wait on a real connection
+        mongoose.set("bufferCommands", false);
+        this.nonces.install();
+
+        try {
+            await this.run("Sign in", () => this.testSignIn());
+            await this.run("Nonce is single use", () => this.testNonceReuse());
+            await this.run("Unknown or expired nonce", () =>
+                this.testBadNonce()
+            );
+            await this.run("Domain and chain mismatch", () =>
+                this.testDomainAndChain()
+            );
+            await this.run("Wrong signer", () => this.testWrongSigner());
+            await this.run("JWT expiry", () => this.testJwtExpiry());
+            await this.run("JWT tampering", () => this.testJwtTampering());
+            await this.run("Session middleware", () => this.testMiddleware());
+        } finally {
+            this.nonces.uninstall();
+        }
+
+        this.displayResults();
+        return this.testResults.every((result) => result.passed);
+    }
+
+    async run(testName, test) {
+        console.log(`🔹 ${testName}...`);
+        this.nonces.reset();
+        try {
+            await test();
+            this.addResult(testName, true);
+            console.log("  ✅ Passed");
+        } catch (error) {
+            this.addResult(testName, false, { error: error.message });
+            console.log("  ❌ Failed:", error.message);
+        }
+    }
+
+    /**
+     * A SIWE message for a freshly issued nonce, signed by `account`;
+     * `fields` overrides what goes into the message
+     */
+    async signedMessage({ account = MAKER, ...fields } = {}) {
+        const { nonce, domain, chainId, statement } =
+            await this.manager.issueNonce();
+        const message = createSiweMessage({
+            address: account.address,
+            domain,
+            chainId,
+            statement,
+            uri: `https://${domain}`,
+            version: "1",
+            nonce,
+            ...fields,
+        });
+        return {
+            nonce: fields.nonce || nonce,
+            message,
+            signature: await account.signMessage({ message }),
+        };
+    }
+
+    async assertRejects(params, code, pattern) {
+        await assert.rejects(this.manager.signIn(params), (error) => {
+            assert.ok(error instanceof SiweAuthError, error.message);
+            assert.strictEqual(error.code, code);
+            if (pattern) assert.match(error.message, pattern);
+            return true;
+        });
+    }
+
+    async testSignIn() {
+        const issued = await this.manager.issueNonce();
+        assert.strictEqual(issued.domain, DOMAIN);
+        assert.strictEqual(issued.chainId, CHAIN_ID);
+        assert.strictEqual(issued.statement, SIWE_STATEMENT);
+
+        const { nonce, message, signature } = await this.signedMessage();
+        const session = await this.manager.signIn({ message, signature });
+
+        const address = MAKER.address.toLowerCase();
+        assert.strictEqual(session.address, address);
+        assert.deepStrictEqual(this.manager.verifySession(session.token), {
+            address,
+            chainId: CHAIN_ID,
+            expiresAt: session.expiresAt,
+        });
+        // Default session TTL of 15 minutes
+        const ttl = session.expiresAt.getTime() - Date.now();
+        assert.ok(ttl > 890 * 1000 && ttl <= 900 * 1000, `${ttl}ms`);
+
+        assert.strictEqual(this.nonces.nonces.get(nonce).usedBy, address);
+    }
+
+    async testNonceReuse() {
+        const params = await this.signedMessage();
+        await this.manager.signIn(params);
+
+        await this.assertRejects(params, "INVALID_NONCE", /already used/);
+
+        // A failed signature does not burn the nonce
+        const fresh = await this.signedMessage();
+        await this.assertRejects(
+            { ...fresh, signature: params.signature },
+            "INVALID_SIGNATURE"
+        );
+        assert.strictEqual(this.nonces.nonces.get(fresh.nonce).usedAt, null);
+        await this.manager.signIn(fresh);
+    }
+
+    async testBadNonce() {
+        await this.assertRejects(
+            await this.signedMessage({ nonce: "neverIssued12345" }),
+            "INVALID_NONCE"
+        );
+
+        const params = await this.signedMessage();
+        this.nonces.nonces.get(params.nonce).expiresAt = new Date(
+            Date.now() - 1000
+        );
+        await this.assertRejects(params, "INVALID_NONCE");
+    }
+
+    async testDomainAndChain() {
+        const phishing = await this.signedMessage({ domain: "yupi.evil" });
+        await this.assertRejects(
+            phishing,
+            "INVALID_MESSAGE",
+            /Domain yupi.evil is not allowed/
+        );
+
+        const mainnet = await this.signedMessage({ chainId: 1 });
+        await this.assertRejects(
+            mainnet,
+            "INVALID_MESSAGE",
+            /Sign in on chain 31337, not 1/
+        );
+
+        const expired = await this.signedMessage({
+            expirationTime: new Date(Date.now() - 1000),
+        });
+        await this.assertRejects(expired, "INVALID_MESSAGE", /expired/);
+
+        // None of them used up their nonce
+        for (const { nonce } of [phishing, mainnet, expired]) {
+            assert.strictEqual(this.nonces.nonces.get(nonce).usedAt, null);
+        }
+
+        // Any of the allowed domains will do
+        await this.manager.signIn(
+            await this.signedMessage({ domain: "localhost:3000" })
+        );
+    }
+
+    async testWrongSigner() {
+        // Signed by someone else, claiming the maker's address
+        const { message } = await this.signedMessage();
+        await this.assertRejects(
+            {
+                message,
+                signature: await STRANGER.signMessage({ message }),
+            },
+            "INVALID_SIGNATURE"
+        );
+        await this.assertRejects(
+            { message, signature: "0x1234" },
+            "INVALID_SIGNATURE"
+        );
+        await this.assertRejects({ message }, "INVALID_MESSAGE");
+    }
+
+    async testJwtExpiry() {
+        const now = Math.floor(Date.now() / 1000);
+        const token = signJwt({ sub: "a", exp: now + 60 }, SECRET);
+
+        assert.strictEqual(verifyJwt(token, SECRET, now).sub, "a");
+        assert.strictEqual(verifyJwt(token, SECRET, now + 59).sub, "a");
+        // exp is the first second the token is no longer valid
+        assert.strictEqual(verifyJwt(token, SECRET, now + 60), null);
+        assert.strictEqual(
+            verifyJwt(signJwt({ sub: "a" }, SECRET), SECRET, now),
+            null
+        );
+        const early = signJwt(
+            { sub: "a", nbf: now + 10, exp: now + 60 },
+            SECRET
+        );
+        assert.strictEqual(verifyJwt(early, SECRET, now), null);
+        assert.strictEqual(verifyJwt(early, SECRET, now + 10).sub, "a");
+
+        // A message that expires sooner cuts the session short
+        const session = await this.manager.signIn(
+            await this.signedMessage({
+                expirationTime: new Date((now + 120) * 1000),
+            })
+        );
+        assert.strictEqual(session.expiresAt.getTime(), (now + 120) * 1000);
+
+        const expired = signJwt(
+            {
+                sub: MAKER.address.toLowerCase(),
+                chainId: CHAIN_ID,
+                exp: now - 1,
+            },
+            SECRET
+        );
+        assert.strictEqual(this.manager.verifySession(expired), null);
+    }
+
+    async testJwtTampering() {
+        const { token } = await this.manager.signIn(await this.signedMessage());
+        const [header, payload, signature] = token.split(".");
+        const claims = JSON.parse(Buffer.from(payload, "base64url"));
+        const encode = (value) =>
+            Buffer.from(JSON.stringify(value)).toString("base64url");
+
+        // Someone else's address under the maker's signature
+        const forged = encode({
+            ...claims,
+            sub: STRANGER.address.toLowerCase(),
+        });
+        assert.strictEqual(
+            this.manager.verifySession(`${header}.${forged}.${signature}`),
+            null
+        );
+        // A later expiry under the original signature
+        const extended = encode({ ...claims, exp: claims.exp + 3600 });
+        assert.strictEqual(
+            this.manager.verifySession(`${header}.${extended}.${signature}`),
+            null
+        );
+        // Unsigned tokens are not accepted
+        const none = encode({ alg: "none", typ: "JWT" });
+        assert.strictEqual(
+            this.manager.verifySession(`${none}.${payload}.`),
+            null
+        );
+        assert.strictEqual(verifyJwt(token, "another_secret"), null);
+        assert.strictEqual(verifyJwt(`${header}.${payload}`, SECRET), null);
+        assert.strictEqual(verifyJwt(undefined, SECRET), null);
+
+        // Correctly signed, but for another chain or not for an address
+        const otherChain = signJwt({ ...claims, chainId: 1 }, SECRET);
+        assert.strictEqual(this.manager.verifySession(otherChain), null);
+        const notAnAddress = signJwt({ ...claims, sub: "admin" }, SECRET);
+        assert.strictEqual(this.manager.verifySession(notAnAddress), null);
+
+        assert.ok(this.manager.verifySession(token));
+    }
+
+    async testMiddleware() {
+        const app = express();
+        app.set("siweSessionManager", this.manager);
+        app.get("/session", requireSession, (req, res) =>
+            res.json(req.session)
+        );
+        app.get(
+            "/wallets/:address",
+            requireWalletSession((req) => req.params.address),
+            (req, res) => res.json({ address: req.params.address })
+        );
+
+        const server = app.listen(0);
+        await new Promise((resolve) => server.once("listening", resolve));
+        const base = `http://127.0.0.1:${server.address().port}`;
+        const get = (path, authorization) =>
+            fetch(`${base}${path}`, {
+                headers: authorization ? { Authorization: authorization } : {},
+            });
+
+        try {
+            const { token } = await this.manager.signIn(
+                await this.signedMessage()
+            );
+            const [header, payload, signature] = token.split(".");
+
+            assert.strictEqual((await get("/session")).status, 401);
+            assert.strictEqual(
+                (await get("/session", `Basic ${token}`)).status,
+                401
+            );
+            assert.strictEqual(
+                (
+                    await get(
+                        "/session",
+                        `Bearer ${header}.${payload}.x${signature}`
+                    )
+                ).status,
+                401
+            );
+
+            const response = await get("/session", `Bearer ${token}`);
+            assert.strictEqual(response.status, 200);
+            const session = await response.json();
+            assert.strictEqual(session.address, MAKER.address.toLowerCase());
+
+            // Acting on another wallet needs that wallet's session
+            const other = await get(
+                `/wallets/${STRANGER.address}`,
+                `Bearer ${token}`
+            );
+            assert.strictEqual(other.status, 403);
+            assert.strictEqual((await other.json()).error, "Forbidden");
+            assert.strictEqual(
+                (await get(`/wallets/${MAKER.address}`, `Bearer ${token}`))
+                    .status,
+                200
+            );
+            assert.strictEqual(
+                (await get(`/wallets/${MAKER.address}`)).status,
+                401
+            );
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    }
+
+    addResult(testName, passed, details = {}) {
+        this.testResults.push({
+            testName,
+            passed,
+            details,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    displayResults() {
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter((r) => r.passed).length;
+
+        console.log("\n🏁 ========================================");
+        console.log("🏁   SIWE AUTH RESULTS");
+        console.log("🏁 ========================================\n");
+
+        this.testResults.forEach((result, index) => {
+            const status = result.passed ? "✅" : "❌";
+            console.log(`   ${index + 1}. ${status} ${result.testName}`);
+            if (!result.passed) {
+                console.log(`      ❌ Error: ${result.details.error}`);
+            }
+        });
+
+        console.log(`\n📊 ${passedTests}/${totalTests} tests passed\n`);
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    const tester = new SiweAuthTest();
+    tester
+        .runTests()
+        .then((passed) => process.exit(passed ? 0 : 1))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = SiweAuthTest;
@@ -29,6 +29,18 @@ class CoinGeckoAPI {
      * @returns {Promise<number>} Price in INR
      */
     async getTokenPriceINR(tokenSymbol) {
+        const quote = await this.getTokenQuoteINR(tokenSymbol);
+        return quote.price;
+    }
+
+    /**
+     * Get the INR price for a token together with the time CoinGecko last
+     * updated it. Throws when no live price is available; there are no
+     * fallback prices.
+     * @param {string} tokenSymbol - Token symbol (e.g., 'USDC', 'ETH')
+     * @returns {Promise<Object>} { price, updatedAt } (updatedAt in ms)
+     */
+    async getTokenQuoteINR(tokenSymbol) {
         try {
             const cacheKey = `${tokenSymbol}_INR`;
             const cached = this.cache.get(cacheKey);
@@ -38,7 +50,7 @@ class CoinGeckoAPI {
                 console.log(
                     `💰 Using cached price for ${tokenSymbol}: ₹${cached.price}`
                 );
-                return cached.price;
+                return { price: cached.price, updatedAt: cached.updatedAt };
             }
 
             const tokenId = this.tokenMapping[tokenSymbol.toUpperCase()];
@@ -50,8 +62,7 @@ class CoinGeckoAPI {
                 `🔍 Fetching live price for ${tokenSymbol} from CoinGecko...`
             );
 
-            // Use the exact CoinGecko API format provided
-            const apiUrl = `https://api.coingecko.com/api/v3/simple/price?ids=${tokenId}&vs_currencies=inr`;
+            const apiUrl = `${this.baseURL}/simple/price?ids=${tokenId}&vs_currencies=inr&include_last_updated_at=true`;
             console.log(`🌐 API URL: ${apiUrl}`);
 
             const response = await axios.get(apiUrl, {
@@ -74,38 +85,24 @@ class CoinGeckoAPI {
                 );
             }
 
+            const lastUpdatedAt = response.data[tokenId]?.last_updated_at;
+            const updatedAt = lastUpdatedAt ? lastUpdatedAt * 1000 : Date.now();
+
             // Cache the price
             this.cache.set(cacheKey, {
                 price,
+                updatedAt,
                 timestamp: Date.now(),
             });
 
             console.log(`💰 Live price for ${tokenSymbol}: ₹${price}`);
-            return price;
+            return { price, updatedAt };
         } catch (error) {
             console.error(
                 `❌ Failed to fetch price for ${tokenSymbol}:`,
                 error.message
             );
-
-            // Return fallback prices if API fails
-            const fallbackPrices = {
-                USDC: 88.76, // Based on example response
-                USDT: 88.5,
-                ETH: 220000, // ~$2600 = ₹220k
-                WETH: 220000,
-                WBTC: 5800000, // ~$70k = ₹58L
-                DAI: 88.5,
-                MATIC: 70, // Current MATIC price
-                BNB: 43000, // Current BNB price
-            };
-
-            const fallbackPrice =
-                fallbackPrices[tokenSymbol.toUpperCase()] || 88.76;
-            console.log(
-                `⚠️ Using fallback price for ${tokenSymbol}: ₹${fallbackPrice}`
-            );
-            return fallbackPrice;
+            throw error;
         }
     }
 
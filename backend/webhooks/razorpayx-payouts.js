@@ -0,0 +1,317 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const Payout = require("../models/Payout");
+const Dispute = require("../models/Dispute");
+const Order = require("../models/Order");
+const SettlementReceipt = require("../models/SettlementReceipt");
+
+const SIGNATURE_HEADER = "X-Razorpay-Signature";
+const EVENT_ID_HEADER = "X-Razorpay-Event-Id";
+
+// Payout events we ingest, and the status each one records
+const PAYOUT_EVENTS = {
+    "payout.processed": "processed",
+    "payout.failed": "failed",
+    "payout.reversed": "reversed",
+};
+
+// A later event never moves a payout back to an earlier status, so
+// out-of-order deliveries cannot undo a failure or reversal
+const STATUS_RANK = { processed: 1, failed: 2, reversed: 2 };
+
+class PayoutWaitError extends Error {
+    constructor(payoutId, reason, message) {
+        super(message);
+        this.name = "PayoutWaitError";
+        this.payoutId = payoutId;
+        this.reason = reason; // failed / reversed / timeout
+    }
+}
+
+/**
+ * RazorpayX webhook signature: hex HMAC-SHA256 of the raw body
+ * @param {string} secret - Webhook secret from the RazorpayX dashboard
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - X-Razorpay-Signature header
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(secret, rawBody, signature) {
+    if (!secret || !rawBody || !signature) return false;
+
+    const expected = Buffer.from(
+        crypto.createHmac("sha256", secret).update(rawBody).digest("hex")
+    );
+    const received = Buffer.from(String(signature));
+    return (
+        expected.length === received.length &&
+        crypto.timingSafeEqual(expected, received)
+    );
+}
+
+/**
+ * RazorpayX Payout Tracker
+ *
+ * Ingests payout lifecycle webhooks into the Payout collection, lets
+ * fulfillment wait until RazorpayX reports a payout processed, and opens a
+ * Dispute (with an alert) when a payout that already proved a fulfilled
+ * order is reversed.
+ */
+class RazorpayXPayoutTracker {
+    constructor(options = {}) {
+        this.io = options.io || null;
+        this.resolverCallbackRegistry = options.resolverCallbackRegistry || null;
+        this.webhookSecret =
+            options.webhookSecret ?? process.env.RAZORPAYX_WEBHOOK_SECRET;
+        this.processedTimeout =
+            options.processedTimeout ||
+            parseInt(process.env.RAZORPAYX_PROCESSED_TIMEOUT_MS) ||
+            20000;
+        this.pollInterval = options.pollInterval || 2000;
+        this.events = new EventEmitter();
+        this.events.setMaxListeners(0);
+    }
+
+    /** Whether webhooks are configured; fulfillment only waits if so */
+    get enabled() {
+        return !!this.webhookSecret;
+    }
+
+    verifySignature(rawBody, signature) {
+        return verifyWebhookSignature(this.webhookSecret, rawBody, signature);
+    }
+
+    /**
+     * Record a payout webhook event
+     * @param {Object} body - Parsed webhook body
+     * @param {string} [eventId] - X-Razorpay-Event-Id
+     * @returns {Promise<Object>} { payout, ignored, duplicate, dispute }
+     */
+    async ingest(body, eventId = null) {
+        const status = PAYOUT_EVENTS[body.event];
+        const entity = body.payload?.payout?.entity;
+        if (!status || !entity || !entity.id) {
+            return { payout: null, ignored: true };
+        }
+
+        const existing = await Payout.findOne({ payoutId: entity.id });
+        if (
+            existing &&
+            eventId &&
+            existing.events.some((event) => event.eventId === eventId)
+        ) {
+            return { payout: existing, duplicate: true };
+        }
+
+        const occurredAt = body.created_at
+            ? new Date(body.created_at * 1000)
+            : new Date();
+        const event = { eventId, event: body.event, status, occurredAt };
+
+        const payout = existing || new Payout({ payoutId: entity.id, status });
+        payout.events.push(event);
+
+        if (!existing || STATUS_RANK[status] >= STATUS_RANK[payout.status]) {
+            payout.set({
+                status,
+                orderId: entity.notes?.order_id || payout.orderId,
+                amount: entity.amount,
+                currency: entity.currency || payout.currency,
+                mode: entity.mode || payout.mode,
+                fundAccountId: entity.fund_account_id || payout.fundAccountId,
+                referenceId: entity.reference_id || payout.referenceId,
+                utr: entity.utr || payout.utr,
+                failureReason:
+                    entity.failure_reason ||
+                    entity.status_details?.description ||
+                    payout.failureReason,
+                notes: entity.notes || payout.notes,
+            });
+            payout[`${status}At`] = occurredAt;
+        } else {
+            console.warn(
+                `⚠️ Ignoring ${body.event} for payout ${entity.id}: already ${payout.status}`
+            );
+        }
+
+        await payout.save();
+        console.log(`💸 Payout ${payout.payoutId} ${body.event} recorded`);
+        this.events.emit(payout.payoutId, payout);
+
+        let dispute = null;
+        if (status === "reversed" && payout.status === "reversed") {
+            dispute = await this.openReversalDispute(payout);
+        }
+
+        return { payout, dispute };
+    }
+
+    /**
+     * Resolve once RazorpayX reports the payout processed
+     * @param {string} payoutId - RazorpayX payout ID
+     * @param {Object} [options] - { timeout }
+     * @returns {Promise<Object>} The Payout document
+     * @throws {PayoutWaitError} If the payout failed, was reversed or the wait timed out
+     */
+    async waitForProcessed(payoutId, { timeout = this.processedTimeout } = {}) {
+        const check = (payout) => {
+            if (!payout || payout.status === "processed") return payout;
+            throw new PayoutWaitError(
+                payoutId,
+                payout.status,
+                `Payout ${payoutId} ${payout.status}${
+                    payout.failureReason ? `: ${payout.failureReason}` : ""
+                }`
+            );
+        };
+
+        const current = check(await Payout.findOne({ payoutId }));
+        if (current) return current;
+
+        console.log(
+            `⏳ Waiting up to ${timeout}ms for payout ${payoutId} to be processed`
+        );
+
+        return new Promise((resolve, reject) => {
+            let pollTimer = null;
+            const finish = (error, payout) => {
+                clearTimeout(deadline);
+                clearTimeout(pollTimer);
+                this.events.off(payoutId, onEvent);
+                error ? reject(error) : resolve(payout);
+            };
+            const settle = (payout) => {
+                try {
+                    const processed = check(payout);
+                    if (processed) finish(null, processed);
+                } catch (error) {
+                    finish(error);
+                }
+            };
+            const onEvent = (payout) => settle(payout);
+
+            // Another instance may have received the webhook, so poll too
+            const poll = async () => {
+                try {
+                    settle(await Payout.findOne({ payoutId }));
+                } catch (error) {
+                    console.error(`Payout lookup failed: ${error.message}`);
+                }
+                pollTimer = setTimeout(poll, this.pollInterval);
+            };
+
+            const deadline = setTimeout(
+                () =>
+                    finish(
+                        new PayoutWaitError(
+                            payoutId,
+                            "timeout",
+                            `No payout.processed event for ${payoutId} within ${timeout}ms`
+                        )
+                    ),
+                timeout
+            );
+            this.events.on(payoutId, onEvent);
+            pollTimer = setTimeout(poll, this.pollInterval);
+        });
+    }
+
+    /**
+     * A reversal after the payout proved a fulfilled order means the
+     * resolver was paid for a payment the recipient never kept: record a
+     * dispute and alert admins (Socket.IO) and the resolver (callback)
+     */
+    async openReversalDispute(payout) {
+        const [order, receipt] = await Promise.all([
+            Order.findOne({ proof: payout.payoutId, status: "fulfilled" }),
+            SettlementReceipt.findOne({
+                payoutId: payout.payoutId,
+                status: "settled",
+            }),
+        ]);
+        if (!order && !receipt) {
+            return null;
+        }
+
+        const orderId = order ? order.orderId : receipt.orderId;
+        const reason = `Payout ${payout.payoutId} reversed after order ${orderId} was fulfilled${
+            payout.failureReason ? ` (${payout.failureReason})` : ""
+        }`;
+
+        let dispute;
+        try {
+            dispute = await Dispute.create({
+                disputeId: crypto.randomUUID(),
+                type: "payout_reversed",
+                orderId,
+                payoutId: payout.payoutId,
+                makerAddress: order ? order.walletAddress : null,
+                resolverAddress: order ? order.acceptedBy : null,
+                amount: payout.amount,
+                reason,
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return Dispute.findOne({
+                    payoutId: payout.payoutId,
+                    type: "payout_reversed",
+                });
+            }
+            throw error;
+        }
+
+        console.error(`🚨 Dispute ${dispute.disputeId} opened: ${reason}`);
+
+        if (this.io) {
+            this.io.emit("disputeOpened", dispute.toFormattedJSON());
+        }
+        if (this.resolverCallbackRegistry && dispute.resolverAddress) {
+            this.resolverCallbackRegistry
+                .dispatch(dispute.resolverAddress, "PAYOUT_REVERSED", orderId, {
+                    disputeId: dispute.disputeId,
+                    payoutId: payout.payoutId,
+                    reason,
+                })
+                .catch((error) => {
+                    console.error(
+                        `Failed to notify resolver of dispute ${dispute.disputeId}:`,
+                        error.message
+                    );
+                });
+        }
+
+        return dispute;
+    }
+
+    async listDisputes(filter = {}, options = {}) {
+        const query = {};
+        if (filter.status) query.status = filter.status;
+        if (filter.orderId) query.orderId = filter.orderId;
+
+        return Dispute.find(query)
+            .sort({ createdAt: -1 })
+            .limit(options.limit || 50)
+            .skip(options.skip || 0);
+    }
+
+    async resolveDispute(disputeId, { resolution, resolvedBy }) {
+        return Dispute.findOneAndUpdate(
+            { disputeId, status: "open" },
+            {
+                $set: {
+                    status: "resolved",
+                    resolution,
+                    resolvedBy,
+                    resolvedAt: new Date(),
+                },
+            },
+            { new: true }
+        );
+    }
+}
+
+RazorpayXPayoutTracker.SIGNATURE_HEADER = SIGNATURE_HEADER;
+RazorpayXPayoutTracker.EVENT_ID_HEADER = EVENT_ID_HEADER;
+RazorpayXPayoutTracker.PayoutWaitError = PayoutWaitError;
+RazorpayXPayoutTracker.verifyWebhookSignature = verifyWebhookSignature;
+
+module.exports = RazorpayXPayoutTracker;
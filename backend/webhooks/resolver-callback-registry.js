@@ -0,0 +1,316 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const { verifyMessage } = require("viem");
+const ResolverCallback = require("../models/ResolverCallback");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    DELIVERY_HEADER,
+    signPayload,
+    buildRegistrationMessage,
+} = require("./signature");
+
+const REGISTRATION_MAX_AGE = 300; // Registration signatures are valid for 5 minutes
+
+/**
+ * Resolver Callback Registry
+ *
+ * Mongo-backed registry of resolver callback URLs. Registration requires a
+ * wallet signature from the resolver address; every delivery is HMAC-signed
+ * with the secret issued at registration, recorded in WebhookDelivery and
+ * retried with exponential backoff until it succeeds or runs out of attempts.
+ */
+class ResolverCallbackRegistry {
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts || 6;
+        this.baseDelay = options.baseDelay || 1000;
+        this.maxDelay = options.maxDelay || 5 * 60 * 1000;
+        this.requestTimeout = options.requestTimeout || 5000;
+        this.retryTimers = new Map();
+    }
+
+    /**
+     * Register (or re-register) a resolver callback
+     * @param {Object} params - { resolverAddress, callbackUrl, timestamp, signature }
+     * @returns {Promise<Object>} { resolverAddress, callbackUrl, secret }
+     */
+    async register({ resolverAddress, callbackUrl, timestamp, signature }) {
+        const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+        if (!Number.isFinite(age) || age > REGISTRATION_MAX_AGE) {
+            throw new RegistrationError("Registration timestamp expired");
+        }
+
+        const message = buildRegistrationMessage(
+            resolverAddress,
+            callbackUrl,
+            timestamp
+        );
+
+        let valid = false;
+        try {
+            valid = await verifyMessage({
+                address: resolverAddress,
+                message,
+                signature,
+            });
+        } catch (error) {
+            valid = false;
+        }
+
+        if (!valid) {
+            throw new RegistrationError(
+                "Signature does not match resolverAddress"
+            );
+        }
+
+        const normalizedAddress = resolverAddress.toLowerCase();
+        const existing = await ResolverCallback.findOne({
+            resolverAddress: normalizedAddress,
+        });
+        if (existing && existing.registrationSignature === signature) {
+            throw new RegistrationError("Registration signature already used");
+        }
+
+        // A fresh secret on every registration; the previous one stops working
+        const secret = crypto.randomBytes(32).toString("hex");
+
+        await ResolverCallback.findOneAndUpdate(
+            { resolverAddress: normalizedAddress },
+            {
+                callbackUrl,
+                secret,
+                registrationSignature: signature,
+                registeredAt: new Date(),
+                active: true,
+            },
+            { upsert: true }
+        );
+
+        console.log(
+            `📡 Registered callback for resolver ${normalizedAddress}: ${callbackUrl}`
+        );
+
+        return { resolverAddress: normalizedAddress, callbackUrl, secret };
+    }
+
+    /**
+     * Queue a signed delivery to a resolver and make the first attempt
+     * @param {string} resolverAddress - Target resolver
+     * @param {string} eventType - e.g. "ORDER_ACCEPTED"
+     * @param {string} orderId - Related order
+     * @param {Object} details - Event details
+     * @returns {Promise<Object|null>} The delivery record, or null if no callback is registered
+     */
+    async dispatch(resolverAddress, eventType, orderId, details = {}) {
+        const callback = await ResolverCallback.findActiveByResolver(
+            resolverAddress
+        );
+
+        if (!callback) {
+            console.log(
+                `❌ No callback registered for resolver ${resolverAddress}`
+            );
+            return null;
+        }
+
+        const deliveryId = crypto.randomUUID();
+        const delivery = await WebhookDelivery.create({
+            deliveryId,
+            resolverAddress: callback.resolverAddress,
+            orderId,
+            eventType,
+            callbackUrl: callback.callbackUrl,
+            maxAttempts: this.maxAttempts,
+            payload: {
+                type: eventType,
+                deliveryId,
+                orderId,
+                resolverAddress,
+                timestamp: new Date().toISOString(),
+                details,
+            },
+        });
+
+        console.log(
+            `📡 Queued ${eventType} delivery ${deliveryId} to resolver ${resolverAddress}`
+        );
+
+        await this.attempt(deliveryId);
+        return delivery;
+    }
+
+    /**
+     * Make one delivery attempt and schedule the next one on failure
+     * @param {string} deliveryId - Delivery to attempt
+     */
+    async attempt(deliveryId) {
+        this.retryTimers.delete(deliveryId);
+
+        const delivery = await WebhookDelivery.findOne({ deliveryId });
+        if (!delivery || delivery.status !== "pending") return;
+
+        const callback = await ResolverCallback.findActiveByResolver(
+            delivery.resolverAddress
+        );
+        if (!callback) {
+            delivery.status = "failed";
+            delivery.lastError = "Resolver callback no longer registered";
+            await delivery.save();
+            return;
+        }
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        delivery.attempts += 1;
+        delivery.lastAttemptAt = new Date();
+        delivery.callbackUrl = callback.callbackUrl;
+
+        try {
+            const response = await axios.post(callback.callbackUrl, body, {
+                timeout: this.requestTimeout,
+                headers: {
+                    "Content-Type": "application/json",
+                    [SIGNATURE_HEADER]: signPayload(
+                        callback.secret,
+                        timestamp,
+                        body
+                    ),
+                    [TIMESTAMP_HEADER]: timestamp.toString(),
+                    [DELIVERY_HEADER]: deliveryId,
+                },
+            });
+
+            delivery.status = "delivered";
+            delivery.deliveredAt = new Date();
+            delivery.lastResponseStatus = response.status;
+            delivery.lastError = null;
+
+            console.log(
+                `✅ Delivered ${delivery.eventType} ${deliveryId} to resolver ${delivery.resolverAddress} (attempt ${delivery.attempts})`
+            );
+        } catch (error) {
+            delivery.lastResponseStatus = error.response?.status || null;
+            delivery.lastError = error.message;
+
+            if (delivery.attempts >= delivery.maxAttempts) {
+                delivery.status = "failed";
+                console.error(
+                    `❌ Delivery ${deliveryId} to resolver ${delivery.resolverAddress} failed permanently: ${error.message}`
+                );
+            } else {
+                const delay = this.computeBackoff(delivery.attempts);
+                delivery.nextAttemptAt = new Date(Date.now() + delay);
+                console.warn(
+                    `⚠️ Delivery ${deliveryId} attempt ${delivery.attempts} failed (${error.message}), retrying in ${delay}ms`
+                );
+            }
+        }
+
+        await delivery.save();
+
+        if (delivery.status === "pending") {
+            this.scheduleAttempt(deliveryId, delivery.nextAttemptAt);
+        }
+    }
+
+    computeBackoff(attempts) {
+        const delay = Math.min(
+            this.baseDelay * Math.pow(2, attempts - 1),
+            this.maxDelay
+        );
+        // Up to 20% jitter so retries from a restart don't arrive in lockstep
+        return Math.round(delay * (1 + Math.random() * 0.2));
+    }
+
+    scheduleAttempt(deliveryId, at) {
+        if (this.retryTimers.has(deliveryId)) return;
+
+        const delay = Math.max(new Date(at).getTime() - Date.now(), 0);
+        const timer = setTimeout(() => {
+            this.attempt(deliveryId).catch((error) => {
+                console.error(
+                    `❌ Delivery attempt ${deliveryId} crashed:`,
+                    error
+                );
+            });
+        }, delay);
+        this.retryTimers.set(deliveryId, timer);
+    }
+
+    /**
+     * Re-schedule deliveries left pending by a previous process
+     */
+    async resumePending() {
+        const pending = await WebhookDelivery.find({ status: "pending" });
+        for (const delivery of pending) {
+            this.scheduleAttempt(delivery.deliveryId, delivery.nextAttemptAt);
+        }
+        if (pending.length > 0) {
+            console.log(
+                `📡 Resumed ${pending.length} pending resolver webhook deliveries`
+            );
+        }
+        return pending.length;
+    }
+
+    /**
+     * Replay a delivery as a new record with the same payload. The original
+     * record is left untouched so the log stays append-only.
+     * @param {string} deliveryId - Delivery to replay
+     * @returns {Promise<Object|null>} The new delivery, or null if not found
+     */
+    async replay(deliveryId) {
+        const original = await WebhookDelivery.findOne({ deliveryId });
+        if (!original) return null;
+
+        const replayId = crypto.randomUUID();
+        const delivery = await WebhookDelivery.create({
+            deliveryId: replayId,
+            resolverAddress: original.resolverAddress,
+            orderId: original.orderId,
+            eventType: original.eventType,
+            callbackUrl: original.callbackUrl,
+            maxAttempts: this.maxAttempts,
+            payload: { ...original.payload, deliveryId: replayId },
+            replayedFrom: original.deliveryId,
+        });
+
+        console.log(`🔁 Replaying delivery ${deliveryId} as ${replayId}`);
+
+        await this.attempt(replayId);
+        return WebhookDelivery.findOne({ deliveryId: replayId });
+    }
+
+    async listDeliveries(filter = {}, options = {}) {
+        const query = {};
+        if (filter.status) query.status = filter.status;
+        if (filter.resolverAddress)
+            query.resolverAddress = filter.resolverAddress.toLowerCase();
+        if (filter.orderId) query.orderId = filter.orderId;
+
+        return WebhookDelivery.find(query)
+            .sort({ createdAt: -1 })
+            .limit(options.limit || 50)
+            .skip(options.skip || 0);
+    }
+
+    shutdown() {
+        for (const timer of this.retryTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.retryTimers.clear();
+    }
+}
+
+class RegistrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "RegistrationError";
+    }
+}
+
+ResolverCallbackRegistry.RegistrationError = RegistrationError;
+
+module.exports = ResolverCallbackRegistry;
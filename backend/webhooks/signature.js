@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+
+const SIGNATURE_HEADER = "X-YuPI-Signature";
+const TIMESTAMP_HEADER = "X-YuPI-Timestamp";
+const DELIVERY_HEADER = "X-YuPI-Delivery";
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<raw body>", hex encoded
+ * @param {string} secret - Shared webhook secret
+ * @param {string|number} timestamp - Unix timestamp (seconds)
+ * @param {string} body - Raw JSON body exactly as sent
+ * @returns {string} Hex signature
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto
+        .createHmac("sha256", secret)
+        .update(`${timestamp}.${body}`)
+        .digest("hex");
+}
+
+/**
+ * Message a resolver signs with its wallet to register a callback URL
+ */
+function buildRegistrationMessage(resolverAddress, callbackUrl, timestamp) {
+    return [
+        "YuPI resolver callback registration",
+        `Resolver: ${resolverAddress.toLowerCase()}`,
+        `Callback: ${callbackUrl}`,
+        `Timestamp: ${timestamp}`,
+    ].join("\n");
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    DELIVERY_HEADER,
+    signPayload,
+    buildRegistrationMessage,
+};
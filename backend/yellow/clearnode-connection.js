@@ -5,12 +5,22 @@ const {
     parseAnyRPCResponse,
     RPCMethod,
     createEIP712AuthMessageSigner,
+    createECDSAMessageSigner,
 } = require("@erc7824/nitrolite");
 const { ethers } = require("ethers");
 const { createWalletClient, http } = require("viem");
 const { privateKeyToAccount } = require("viem/accounts");
 const { mainnet } = require("viem/chains");
 const WebSocket = require("ws");
+const { getContractAddress } = require("../../deployments");
+
+// Per-method RPC timeouts (ms); anything else uses DEFAULT_REQUEST_TIMEOUT
+const REQUEST_TIMEOUTS = {
+    create_app_session: 15000,
+    submit_app_state: 10000,
+    close_app_session: 10000,
+};
+const DEFAULT_REQUEST_TIMEOUT = 5000;
 
 class YellowClearNodeConnection {
     constructor() {
@@ -18,6 +28,7 @@ class YellowClearNodeConnection {
         this.isAuthenticated = false;
         this.wallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY);
         this.sessionKey = ethers.Wallet.createRandom();
+        this.signRequest = createECDSAMessageSigner(this.sessionKey.privateKey);
 
         // Create viem wallet client for EIP-712 signing using main wallet (not session key)
         // The EIP-712 signature must be from the main wallet address for verification
@@ -31,10 +42,14 @@ class YellowClearNodeConnection {
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 2000; // 2 seconds base delay
-        this.requestCallbacks = new Map(); // Initialize request callback map
+        this.requestCallbacks = new Map(); // requestId -> pending request
+        this.outboundQueue = []; // Requests waiting for (re)authentication
+        this.nextRequestId = Date.now();
+        this.closing = false;
         this.authToken = null;
         this.sessionKeyAddress = null;
         this.authTimeout = null;
+        this.authPolicy = null;
     }
 
     async connect() {
@@ -62,7 +77,10 @@ class YellowClearNodeConnection {
                     `Yellow WebSocket closed: ${event.code} ${event.reason}`
                 );
                 this.isAuthenticated = false;
-                this.handleReconnection();
+                this.failInFlight("connection lost");
+                if (!this.closing) {
+                    this.handleReconnection();
+                }
             };
 
             // Connection timeout - only if not authenticated within 10 seconds
@@ -88,12 +106,22 @@ class YellowClearNodeConnection {
                 address: this.wallet.address, // Main wallet address (correct parameter name)
                 session_key: this.sessionKey.address, // Session key for signing
                 app_name: process.env.YELLOW_APP_NAME || "YuPI",
-                application: process.env.CONTRACT_ADDRESS, // Application contract address
+                application: getContractAddress("OrderProtocol"), // Application contract address
                 allowances: [],
                 expire: (Math.floor(Date.now() / 1000) + 3600).toString(), // 1 hour expiry as string
                 scope: "console", // Use string, not array
             };
 
+            // The EIP-712 policy signed in reply to the challenge must carry
+            // exactly these values
+            this.authPolicy = {
+                scope: authParams.scope,
+                application: authParams.application,
+                participant: authParams.session_key,
+                expire: authParams.expire,
+                allowances: authParams.allowances,
+            };
+
             console.log(
                 "🔍 Auth request params:",
                 JSON.stringify(authParams, null, 2)
@@ -162,17 +190,8 @@ class YellowClearNodeConnection {
             const challengeUuid = challengeData.challenge_message;
             console.log("🔑 Challenge UUID:", challengeUuid);
 
-            // Create partial EIP-712 message structure for authentication
-            // Important: expire must be a string representation of the timestamp
-            const expireTimestamp = Math.floor(Date.now() / 1000) + 3600; // 1 hour from now
-
-            const partialMessage = {
-                scope: "console", // Must match what server expects
-                application: process.env.CONTRACT_ADDRESS, // Application contract address
-                participant: this.sessionKey.address, // Session key address as participant
-                expire: expireTimestamp.toString(), // Convert to string as expected by server
-                allowances: [], // Empty allowances array
-            };
+            // Partial EIP-712 message: the policy sent with auth_request
+            const partialMessage = this.authPolicy;
 
             // EIP-712 domain structure - ensure this matches server expectations
             const domain = {
@@ -229,6 +248,8 @@ class YellowClearNodeConnection {
                     this.authToken ? "valid" : "invalid"
                 })`
             );
+
+            this.flushQueue();
         } else {
             console.error("❌ Yellow Network authentication failed:", result);
             throw new Error("Yellow authentication failed");
@@ -237,9 +258,10 @@ class YellowClearNodeConnection {
 
     handleGenericResponse(message) {
         // Handle responses for specific requests using request ID
-        const requestId = message.res ? message.res[0] : message.id;
-        const method = message.res ? message.res[1] : message.method;
-        const data = message.res ? message.res[2] : message.params;
+        const payload = message.res || message.err;
+        const requestId = payload ? payload[0] : message.id;
+        const method = payload ? payload[1] : message.method;
+        const data = payload ? payload[2] : message.params;
 
         console.log(`📨 Received response for method: ${method}`);
 
@@ -247,27 +269,7 @@ class YellowClearNodeConnection {
         switch (method) {
             case "auth_verify":
                 // Handle auth_verify in generic response handler too as backup
-                if (data && data.success) {
-                    this.isAuthenticated = true;
-                    this.authToken = data.jwt_token;
-                    this.sessionKeyAddress = data.session_key;
-
-                    // Clear auth timeout
-                    if (this.authTimeout) {
-                        clearTimeout(this.authTimeout);
-                        this.authTimeout = null;
-                    }
-
-                    console.log(
-                        "✅ Yellow Network authentication successful (generic handler)"
-                    );
-                    console.log(`🔑 Session key: ${this.sessionKeyAddress}`);
-                    console.log(
-                        `🎫 JWT token received (${
-                            this.authToken ? "valid" : "invalid"
-                        })`
-                    );
-                }
+                this.handleAuthResult(message);
                 break;
             case "assets":
                 console.log(
@@ -297,73 +299,160 @@ class YellowClearNodeConnection {
                 console.log(`📩 Generic response for method: ${method}`);
         }
 
-        // Execute callback if exists
-        if (this.requestCallbacks.has(requestId)) {
-            const callback = this.requestCallbacks.get(requestId);
-            callback(null, message);
-            this.requestCallbacks.delete(requestId);
+        const request = this.requestCallbacks.get(requestId);
+        if (!request) {
+            return;
+        }
+
+        if (message.err || method === "error") {
+            const reason = message.err
+                ? message.err[2]
+                : (data && data.error) || "unknown error";
+            request.reject(new Error(`${request.method} failed: ${reason}`));
+        } else {
+            request.resolve(message);
         }
     }
 
-    // Message signer for general RPC operations (not EIP-712)
+    // Message signer for general RPC operations (not EIP-712): the session
+    // key signs keccak256 of the JSON payload, as the ClearNode verifies
     async messageSigner(payload) {
         try {
-            const message = JSON.stringify(payload);
-            const messageBytes = ethers.utils.toUtf8Bytes(message); // UTF-8, not EIP-191
-            const signature = await this.sessionKey.signMessage(messageBytes);
-            return signature;
+            return await this.signRequest(payload);
         } catch (error) {
             console.error("Message signing failed:", error);
             throw error;
         }
     }
 
-    async sendRequest(method, params = {}, timeout = 5000) {
-        if (!this.isAuthenticated) {
-            throw new Error("Not authenticated with Yellow ClearNode");
-        }
-
-        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-            throw new Error("WebSocket connection not available");
-        }
+    /**
+     * Send a signed RPC request and resolve with the response carrying the
+     * same request id. While the connection is down or re-authenticating the
+     * request is queued and sent once authenticated; the timeout covers the
+     * time spent queued.
+     * @param {string} method - RPC method
+     * @param {Object} [params] - RPC params
+     * @param {number|Object} [options] - Timeout in ms, or { timeout, signal }
+     *   where signal is an AbortSignal that cancels the request
+     * @returns {Promise<Object>} Raw response message ({ res, sig })
+     */
+    sendRequest(method, params = {}, options = {}) {
+        const {
+            timeout = REQUEST_TIMEOUTS[method] || DEFAULT_REQUEST_TIMEOUT,
+            signal,
+        } = typeof options === "number" ? { timeout: options } : options;
 
         return new Promise((resolve, reject) => {
-            const requestId = Math.floor(Math.random() * 1000000);
-
-            // Store callback for response
-            this.requestCallbacks.set(requestId, (error, response) => {
-                if (error) reject(error);
-                else resolve(response);
-            });
-
-            // Create request message following nitrolite RPC format
             const request = {
-                req: [requestId, method, params, Math.floor(Date.now() / 1000)],
+                requestId: this.nextRequestId++,
+                method,
+                params,
+                sent: false,
+            };
+
+            const settle = (callback, value) => {
+                clearTimeout(request.timer);
+                if (signal) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+                this.requestCallbacks.delete(request.requestId);
+                this.outboundQueue = this.outboundQueue.filter(
+                    (queued) => queued !== request
+                );
+                callback(value);
             };
+            const onAbort = () =>
+                request.reject(new Error(`Request cancelled: ${method}`));
 
-            // Send signed request
-            this.messageSigner(request.req)
-                .then((signature) => {
-                    const signedRequest = JSON.stringify({
-                        ...request,
-                        sig: [signature],
-                    });
+            request.resolve = (response) => settle(resolve, response);
+            request.reject = (error) => settle(reject, error);
 
-                    console.log(`📤 Sending RPC request: ${method}`);
-                    this.ws.send(signedRequest);
-                })
-                .catch(reject);
+            if (signal && signal.aborted) {
+                return onAbort();
+            }
+            if (signal) {
+                signal.addEventListener("abort", onAbort);
+            }
 
-            // Timeout handling
-            setTimeout(() => {
-                if (this.requestCallbacks.has(requestId)) {
-                    this.requestCallbacks.delete(requestId);
-                    reject(new Error(`Request timeout: ${method}`));
-                }
-            }, timeout);
+            request.timer = setTimeout(
+                () => request.reject(new Error(`Request timeout: ${method}`)),
+                timeout
+            );
+            this.requestCallbacks.set(request.requestId, request);
+
+            if (this.isReady()) {
+                this.transmit(request);
+            } else {
+                console.log(
+                    `⏳ Queueing ${method} until Yellow ClearNode is authenticated`
+                );
+                this.outboundQueue.push(request);
+            }
         });
     }
 
+    isReady() {
+        return (
+            this.isAuthenticated &&
+            !!this.ws &&
+            this.ws.readyState === WebSocket.OPEN
+        );
+    }
+
+    async transmit(request) {
+        try {
+            const req = [
+                request.requestId,
+                request.method,
+                request.params,
+                Date.now(),
+            ];
+            const signature = await this.messageSigner(req);
+
+            // Cancelled, or the connection dropped, while signing
+            if (!this.requestCallbacks.has(request.requestId)) {
+                return;
+            }
+            if (!this.isReady()) {
+                this.outboundQueue.push(request);
+                return;
+            }
+
+            this.ws.send(JSON.stringify({ req, sig: [signature] }));
+            request.sent = true;
+            console.log(
+                `📤 Sending RPC request: ${request.method} (#${request.requestId})`
+            );
+        } catch (error) {
+            request.reject(error);
+        }
+    }
+
+    flushQueue() {
+        const queued = this.outboundQueue;
+        this.outboundQueue = [];
+        if (queued.length > 0) {
+            console.log(`📤 Sending ${queued.length} queued RPC request(s)`);
+        }
+        queued.forEach((request) => this.transmit(request));
+    }
+
+    // Requests already sent may have been applied by the ClearNode, so they
+    // are failed rather than replayed after a reconnect
+    failInFlight(reason) {
+        for (const request of this.requestCallbacks.values()) {
+            if (request.sent) {
+                request.reject(new Error(`${request.method} failed: ${reason}`));
+            }
+        }
+    }
+
+    failQueued(reason) {
+        for (const request of [...this.outboundQueue]) {
+            request.reject(new Error(`${request.method} failed: ${reason}`));
+        }
+    }
+
     handleReconnection() {
         if (this.reconnectAttempts < this.maxReconnectAttempts) {
             this.reconnectAttempts++;
@@ -383,6 +472,7 @@ class YellowClearNodeConnection {
             console.error(
                 "❌ Max reconnection attempts reached for Yellow ClearNode"
             );
+            this.failQueued("Yellow ClearNode unavailable");
         }
     }
 
@@ -391,10 +481,15 @@ class YellowClearNodeConnection {
             connected: !!this.ws && this.ws.readyState === WebSocket.OPEN,
             authenticated: this.isAuthenticated,
             reconnectAttempts: this.reconnectAttempts,
+            pendingRequests: this.requestCallbacks.size,
+            queuedRequests: this.outboundQueue.length,
         };
     }
 
     async disconnect() {
+        this.closing = true;
+        this.failInFlight("disconnected");
+        this.failQueued("disconnected");
         if (this.ws) {
             this.ws.close();
             this.ws = null;
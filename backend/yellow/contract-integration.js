@@ -1,4 +1,23 @@
-const { ethers } = require("ethers");
+const {
+    createPublicClient,
+    createWalletClient,
+    http,
+    keccak256,
+    toHex,
+    parseGwei,
+    formatEther,
+} = require("viem");
+const { privateKeyToAccount } = require("viem/accounts");
+const {
+    getContractAddress,
+    getRpcUrl,
+    getViemChain,
+} = require("../../deployments");
+const {
+    YellowOrderProtocolClient,
+    YellowResolverRegistryClient,
+    walletClientSender,
+} = require("../../contracts");
 
 /**
  * Yellow Contract Integration
@@ -8,67 +27,48 @@ const { ethers } = require("ethers");
  */
 class YellowContractIntegration {
     constructor() {
-        this.provider = new ethers.JsonRpcProvider(process.env.BASE_RPC_URL);
-        this.relayerWallet = new ethers.Wallet(
-            process.env.RELAYER_PRIVATE_KEY,
-            this.provider
-        );
-
-        // Contract instances (will be initialized when contracts are deployed)
+        const chain = getViemChain();
+        this.account = privateKeyToAccount(process.env.RELAYER_PRIVATE_KEY);
+        this.publicClient = createPublicClient({
+            chain,
+            transport: http(getRpcUrl()),
+        });
+        this.walletClient = createWalletClient({
+            account: this.account,
+            chain,
+            transport: http(getRpcUrl()),
+        });
+
+        // Contract clients (will be initialized when contracts are deployed)
         this.orderProtocol = null;
         this.resolverRegistry = null;
 
-        // Contract addresses from environment
-        this.orderProtocolAddress = process.env.YELLOW_ORDER_PROTOCOL_ADDRESS;
-        this.resolverRegistryAddress =
-            process.env.YELLOW_RESOLVER_REGISTRY_ADDRESS;
+        // Contract addresses from the deployments registry (or environment)
+        this.orderProtocolAddress = getContractAddress("YellowOrderProtocol");
+        this.resolverRegistryAddress = getContractAddress(
+            "YellowResolverRegistry"
+        );
 
         // Initialize contracts if addresses are available
         this.initializeContracts();
     }
 
     /**
-     * Initialize contract instances with ABIs
+     * Initialize typed contract clients, sending as the relayer wallet
      */
     initializeContracts() {
         try {
-            // Yellow Order Protocol ABI (simplified)
-            const orderProtocolABI = [
-                "function createOrder(bytes32 orderId, address token, uint256 amount, uint256 upiAmount) external",
-                "function activateOrder(bytes32 orderId, address resolver, string calldata yellowSessionId) external",
-                "function settleOrder(bytes32 orderId) external",
-                "function cancelOrder(bytes32 orderId, string calldata reason) external",
-                "function getOrder(bytes32 orderId) external view returns (tuple(address maker, address resolver, address token, uint256 amount, uint256 upiAmount, string yellowSessionId, uint8 status, uint256 createdAt, uint256 settledAt))",
-                "function addResolver(address resolver) external",
-                "function isAuthorizedResolver(address resolver) external view returns (bool)",
-                "function getOrderStatus(bytes32 orderId) external view returns (uint8)",
-                "function getSettlementTime(bytes32 orderId) external view returns (uint256)",
-                "event OrderCreated(bytes32 indexed orderId, address indexed maker, uint256 amount)",
-                "event OrderActivated(bytes32 indexed orderId, string yellowSessionId)",
-                "event OrderSettled(bytes32 indexed orderId, uint256 settlementTime)",
-            ];
-
-            // Yellow Resolver Registry ABI (simplified)
-            const resolverRegistryABI = [
-                "function registerResolver(address resolverAddress, string calldata endpoint) external",
-                "function setMainResolver(address _mainResolver) external",
-                "function getMainResolver() external view returns (address)",
-                "function isAuthorizedResolver(address resolver) external view returns (bool)",
-                "function getResolver(address resolverAddress) external view returns (tuple(address resolverAddress, string endpoint, bool isActive, uint256 totalOrders, uint256 successfulOrders, uint256 registeredAt, uint256 lastActiveAt))",
-                "function recordOrderCompletion(address resolverAddress, bool successful) external",
-                "function getActiveResolvers() external view returns (address[])",
-                "function getSystemMetrics() external view returns (uint256, uint256, bool, uint256)",
-                "event ResolverRegistered(address indexed resolver, string endpoint)",
-                "event MainResolverSet(address indexed resolver)",
-            ];
+            const options = {
+                publicClient: this.publicClient,
+                send: walletClientSender(this.walletClient, this.publicClient),
+            };
 
             // Initialize contracts if addresses are available
             if (this.orderProtocolAddress) {
-                this.orderProtocol = new ethers.Contract(
-                    this.orderProtocolAddress,
-                    orderProtocolABI,
-                    this.relayerWallet
-                );
+                this.orderProtocol = new YellowOrderProtocolClient({
+                    ...options,
+                    address: this.orderProtocolAddress,
+                });
                 console.log(
                     "✅ Yellow OrderProtocol initialized:",
                     this.orderProtocolAddress
@@ -76,11 +76,10 @@ class YellowContractIntegration {
             }
 
             if (this.resolverRegistryAddress) {
-                this.resolverRegistry = new ethers.Contract(
-                    this.resolverRegistryAddress,
-                    resolverRegistryABI,
-                    this.relayerWallet
-                );
+                this.resolverRegistry = new YellowResolverRegistryClient({
+                    ...options,
+                    address: this.resolverRegistryAddress,
+                });
                 console.log(
                     "✅ Yellow ResolverRegistry initialized:",
                     this.resolverRegistryAddress
@@ -102,8 +101,8 @@ class YellowContractIntegration {
         }
 
         try {
-            const orderId = ethers.keccak256(
-                ethers.toUtf8Bytes(`${orderData.maker}_${Date.now()}`)
+            const orderId = keccak256(
+                toHex(`${orderData.maker}_${Date.now()}`)
             );
 
             console.log("📄 Creating simplified on-chain order...");
@@ -113,26 +112,26 @@ class YellowContractIntegration {
             console.log(`   Amount: ${orderData.amount}`);
             console.log(`   UPI Amount: ${orderData.upiAmount}`);
 
-            const tx = await this.orderProtocol.createOrder(
-                orderId,
-                orderData.token,
-                orderData.amount,
-                orderData.upiAmount,
-                {
-                    gasLimit: 150000, // Fixed gas limit for predictability
-                    gasPrice: ethers.parseUnits("20", "gwei"), // Optional: set gas price
-                }
-            );
+            const { transactionHash, receipt } =
+                await this.orderProtocol.createOrder(
+                    orderId,
+                    orderData.token,
+                    BigInt(orderData.amount),
+                    BigInt(orderData.upiAmount),
+                    {
+                        gas: 150000n, // Fixed gas limit for predictability
+                        gasPrice: parseGwei("20"), // Optional: set gas price
+                    }
+                );
 
-            const receipt = await tx.wait();
-            console.log("✅ Simplified order created:", tx.hash);
+            console.log("✅ Simplified order created:", transactionHash);
             console.log(`   Block: ${receipt.blockNumber}`);
             console.log(`   Gas Used: ${receipt.gasUsed.toString()}`);
 
             return {
                 orderId,
-                txHash: tx.hash,
-                blockNumber: receipt.blockNumber,
+                txHash: transactionHash,
+                blockNumber: Number(receipt.blockNumber),
                 gasUsed: receipt.gasUsed.toString(),
             };
         } catch (error) {
@@ -159,21 +158,24 @@ class YellowContractIntegration {
             console.log(`   Resolver: ${resolverAddress}`);
             console.log(`   Session: ${yellowSessionId}`);
 
-            const tx = await this.orderProtocol.activateOrder(
-                orderId,
-                resolverAddress,
-                yellowSessionId,
-                {
-                    gasLimit: 100000,
-                    gasPrice: ethers.parseUnits("20", "gwei"),
-                }
-            );
+            const { transactionHash, receipt } =
+                await this.orderProtocol.activateOrder(
+                    orderId,
+                    resolverAddress,
+                    yellowSessionId,
+                    {
+                        gas: 100000n,
+                        gasPrice: parseGwei("20"),
+                    }
+                );
 
-            const receipt = await tx.wait();
-            console.log("✅ Order activated with Yellow session:", tx.hash);
+            console.log(
+                "✅ Order activated with Yellow session:",
+                transactionHash
+            );
             console.log(`   Block: ${receipt.blockNumber}`);
 
-            return tx.hash;
+            return transactionHash;
         } catch (error) {
             console.error("❌ Order activation failed:", error);
             throw error;
@@ -194,20 +196,20 @@ class YellowContractIntegration {
             console.log("🎯 Settling order on-chain...");
             console.log(`   Order ID: ${orderId}`);
 
-            const tx = await this.orderProtocol.settleOrder(orderId, {
-                gasLimit: 80000,
-                gasPrice: ethers.parseUnits("20", "gwei"),
-            });
+            const { transactionHash, receipt } =
+                await this.orderProtocol.settleOrder(orderId, {
+                    gas: 80000n,
+                    gasPrice: parseGwei("20"),
+                });
 
-            const receipt = await tx.wait();
-            console.log("✅ Order settled on-chain:", tx.hash);
+            console.log("✅ Order settled on-chain:", transactionHash);
             console.log(`   Block: ${receipt.blockNumber}`);
 
             // Get settlement time for performance metrics
             const settlementTime = await this.getSettlementTime(orderId);
             console.log(`   Settlement Time: ${settlementTime}s`);
 
-            return tx.hash;
+            return transactionHash;
         } catch (error) {
             console.error("❌ Order settlement failed:", error);
             throw error;
@@ -255,10 +257,7 @@ class YellowContractIntegration {
         }
 
         try {
-            const settlementTime = await this.orderProtocol.getSettlementTime(
-                orderId
-            );
-            return Number(settlementTime);
+            return Number(await this.orderProtocol.getSettlementTime(orderId));
         } catch (error) {
             console.error("❌ Failed to get settlement time:", error);
             return 0;
@@ -281,16 +280,16 @@ class YellowContractIntegration {
             console.log(`   Address: ${resolverAddress}`);
             console.log(`   Endpoint: ${endpoint}`);
 
-            const tx = await this.resolverRegistry.registerResolver(
-                resolverAddress,
-                endpoint,
-                { gasLimit: 120000 }
-            );
+            const { transactionHash } =
+                await this.resolverRegistry.registerResolver(
+                    resolverAddress,
+                    endpoint,
+                    { gas: 120000n }
+                );
 
-            const receipt = await tx.wait();
-            console.log("✅ Resolver registered:", tx.hash);
+            console.log("✅ Resolver registered:", transactionHash);
 
-            return tx.hash;
+            return transactionHash;
         } catch (error) {
             console.error("❌ Resolver registration failed:", error);
             throw error;
@@ -310,17 +309,14 @@ class YellowContractIntegration {
         try {
             console.log("🎯 Setting main resolver:", resolverAddress);
 
-            const tx = await this.resolverRegistry.setMainResolver(
-                resolverAddress,
-                {
-                    gasLimit: 80000,
-                }
-            );
+            const { transactionHash } =
+                await this.resolverRegistry.setMainResolver(resolverAddress, {
+                    gas: 80000n,
+                });
 
-            const receipt = await tx.wait();
-            console.log("✅ Main resolver set:", tx.hash);
+            console.log("✅ Main resolver set:", transactionHash);
 
-            return tx.hash;
+            return transactionHash;
         } catch (error) {
             console.error("❌ Set main resolver failed:", error);
             throw error;
@@ -356,14 +352,14 @@ class YellowContractIntegration {
         }
 
         try {
-            const tx = await this.resolverRegistry.recordOrderCompletion(
-                resolverAddress,
-                successful,
-                { gasLimit: 60000 }
-            );
+            const { transactionHash } =
+                await this.resolverRegistry.recordOrderCompletion(
+                    resolverAddress,
+                    successful,
+                    { gas: 60000n }
+                );
 
-            await tx.wait();
-            return tx.hash;
+            return transactionHash;
         } catch (error) {
             console.error("❌ Failed to record order completion:", error);
             // Don't throw - this is not critical
@@ -381,14 +377,7 @@ class YellowContractIntegration {
         }
 
         try {
-            const metrics = await this.resolverRegistry.getSystemMetrics();
-
-            return {
-                totalResolvers: Number(metrics[0]),
-                activeResolvers: Number(metrics[1]),
-                mainResolverSet: metrics[2],
-                totalOrdersProcessed: Number(metrics[3]),
-            };
+            return await this.resolverRegistry.getSystemMetrics();
         } catch (error) {
             console.error("❌ Failed to get system metrics:", error);
             return {
@@ -406,18 +395,18 @@ class YellowContractIntegration {
      */
     async healthCheck() {
         try {
-            const network = await this.provider.getNetwork();
-            const balance = await this.provider.getBalance(
-                this.relayerWallet.address
-            );
+            const chainId = await this.publicClient.getChainId();
+            const balance = await this.publicClient.getBalance({
+                address: this.account.address,
+            });
 
             return {
                 status: "healthy",
                 network: {
-                    name: network.name,
-                    chainId: Number(network.chainId),
+                    name: this.publicClient.chain.name,
+                    chainId,
                 },
-                relayerBalance: ethers.formatEther(balance),
+                relayerBalance: formatEther(balance),
                 contractsInitialized: {
                     orderProtocol: !!this.orderProtocol,
                     resolverRegistry: !!this.resolverRegistry,
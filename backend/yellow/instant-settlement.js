@@ -1,22 +1,431 @@
-// Off-chain settlement logic using Yellow Network state channels
-// This file will handle instant crypto transfers via Yellow Network
-// Will be implemented in Phase 2.3
+const { ethers } = require("ethers");
+const { createPublicClient, http } = require("viem");
+const { getRpcUrl } = require("../../deployments");
+const {
+    OrderProtocolClient,
+    buildSettlementMessage,
+} = require("../../contracts");
+const SettlementReceipt = require("../models/SettlementReceipt");
+const { tokenAmountForInr, applyBps } = require("../../payouts/money");
 
+/**
+ * Final app session allocations for an accepted order.
+ *
+ * The maker escrowed the token amount at the order's end price plus the
+ * resolver fee. The resolver receives the token amount at the accepted price
+ * plus its fee (as OrderProtocol.fullfillOrder pays out), the relayer takes
+ * its fee out of what is left, and the remainder goes back to the maker.
+ *
+ * @param {Object} params
+ * @param {string|bigint} params.amount - INR amount (18 decimals)
+ * @param {string|bigint} params.acceptedPrice - INR per token (18 decimals)
+ * @param {string|bigint} params.endPrice - INR per token (18 decimals)
+ * @param {number} params.resolverFeeBps - Resolver fee in basis points
+ * @param {number} params.relayerFeeBps - Relayer fee in basis points
+ * @param {number} params.decimals - Settlement asset decimals
+ * @returns {Object} { escrow, maker, resolver, relayer } in asset base units
+ */
+function computeAllocations({
+    amount,
+    acceptedPrice,
+    endPrice,
+    resolverFeeBps,
+    relayerFeeBps,
+    decimals,
+}) {
+    const inrAmount = BigInt(amount);
+    const accepted = BigInt(acceptedPrice);
+    const end = BigInt(endPrice);
+
+    if (accepted < end) {
+        throw new Error("Accepted price is below the order's end price");
+    }
+
+    const escrowTokens = tokenAmountForInr(inrAmount, end, decimals);
+    const escrow = escrowTokens + applyBps(escrowTokens, resolverFeeBps);
+
+    const resolverTokens = tokenAmountForInr(inrAmount, accepted, decimals);
+    const resolver =
+        resolverTokens + applyBps(resolverTokens, resolverFeeBps);
+
+    const remainder = escrow - resolver;
+    const relayerFee = applyBps(resolverTokens, relayerFeeBps);
+    const relayer = relayerFee < remainder ? relayerFee : remainder;
+
+    return { escrow, maker: remainder - relayer, resolver, relayer };
+}
+
+/**
+ * Yellow Instant Settlement
+ *
+ * Settles an accepted order off-chain through its Yellow app session:
+ * computes the relayer / maker / resolver split, submits it as the session
+ * state, closes the session and checks the ClearNode's signature on the
+ * closed state. Every attempt is recorded in a SettlementReceipt.
+ */
 class YellowInstantSettlement {
-    constructor(sessionManager) {
+    constructor(sessionManager, options = {}) {
         this.sessionManager = sessionManager;
-        // Implementation pending...
+        this.clearNode = sessionManager.clearNode;
+        this.asset =
+            options.asset || process.env.YELLOW_SETTLEMENT_ASSET || "usdc";
+        this.assetDecimals =
+            options.assetDecimals ??
+            (parseInt(process.env.YELLOW_SETTLEMENT_ASSET_DECIMALS) || 6);
+        this.relayerFeeBps =
+            options.relayerFeeBps ??
+            (parseInt(process.env.YELLOW_RELAYER_FEE_BPS) || 0);
+        this.resolverFeeBps = options.resolverFeeBps ?? null; // read from contract
+        this.clearNodeAddress = (
+            options.clearNodeAddress ||
+            process.env.YELLOW_CLEARNODE_ADDRESS ||
+            ""
+        ).toLowerCase();
+        this.publicClient = options.publicClient || null;
     }
 
-    async executeSettlement(orderId, fromAddress, toAddress, amount, asset) {
-        // Execute instant settlement through Yellow state channels
-        // Implementation pending...
+    /**
+     * Settle an order through its Yellow session. Failures are recorded on
+     * the receipt and returned rather than thrown, so callers can carry on
+     * with on-chain fulfillment.
+     * @param {string} orderId - The order ID
+     * @param {Object} params
+     * @param {Object} params.orderDetails - On-chain order (getOrder, stringified)
+     * @param {string} params.payoutId - RazorpayX payout being settled
+     * @param {string} params.resolverSignature - The order taker's
+     *   co-signature over buildSettlementMessage (see previewSettlement)
+     * @returns {Promise<Object>} { success, receipt, error }
+     */
+    async executeSettlement(
+        orderId,
+        { orderDetails, payoutId, resolverSignature }
+    ) {
+        const existing = await SettlementReceipt.findOne({ orderId });
+        if (existing && existing.status === "settled") {
+            console.log(`⚡ Order ${orderId} already settled via Yellow`);
+            return { success: true, receipt: existing };
+        }
+
+        const receipt =
+            existing ||
+            new SettlementReceipt({
+                orderId,
+                acceptedPrice: orderDetails.acceptedPrice,
+                resolverFeeBps: 0,
+                relayerFeeBps: this.relayerFeeBps,
+            });
+        receipt.status = "pending";
+        receipt.payoutId = payoutId;
+        receipt.error = null;
+
+        try {
+            const session = this.sessionManager.getSessionStatus(orderId);
+            if (session.status !== "active") {
+                throw new Error(
+                    `No active Yellow session for order (${session.status})`
+                );
+            }
+            receipt.sessionId = session.sessionId;
+
+            receipt.resolverFeeBps = await this.getResolverFeeBps();
+            receipt.relayerFeeBps = this.relayerFeeBps;
+            receipt.allocations = this.buildAllocations(
+                orderDetails,
+                receipt.resolverFeeBps
+            );
+
+            // The session never closes without the taker agreeing to the split
+            if (!resolverSignature) {
+                throw new Error("Resolver co-signature is required");
+            }
+            const message = buildSettlementMessage({
+                orderId,
+                sessionId: session.sessionId,
+                payoutId,
+                allocations: receipt.allocations,
+            });
+            const cosigner = ethers.utils.verifyMessage(
+                message,
+                resolverSignature
+            );
+            if (cosigner.toLowerCase() !== orderDetails.taker.toLowerCase()) {
+                throw new Error(
+                    `Resolver co-signature is from ${cosigner}, expected ${orderDetails.taker}`
+                );
+            }
+            receipt.resolverSignature = resolverSignature;
+            await receipt.save();
+
+            const allocations = receipt.allocations.map(
+                ({ participant, asset, amount }) => ({
+                    participant,
+                    asset,
+                    amount,
+                })
+            );
+
+            console.log(`⚡ Executing instant settlement for order ${orderId}`);
+            await this.sessionManager.submitAppState(orderId, allocations);
+            const closeResponse = await this.sessionManager.closeAppSession(
+                orderId,
+                allocations
+            );
+
+            const closed = closeResponse.res[2] || {};
+            receipt.closeResponse = closeResponse;
+            receipt.stateVersion = closed.version ?? null;
+
+            const verification = await this.verifyCloseResponse(
+                closeResponse,
+                session.sessionId
+            );
+            receipt.clearNodeSigner = verification.signer;
+            receipt.signatureVerified = verification.valid;
+
+            if (!verification.valid) {
+                throw new Error(verification.reason);
+            }
+
+            receipt.status = "settled";
+            receipt.settledAt = new Date();
+            await receipt.save();
+
+            console.log(
+                `✅ Instant settlement completed for order ${orderId} (state v${receipt.stateVersion})`
+            );
+            return { success: true, receipt };
+        } catch (error) {
+            console.error(
+                `❌ Instant settlement failed for order ${orderId}:`,
+                error.message
+            );
+            receipt.status = "failed";
+            receipt.error = error.message;
+            await receipt.save();
+            return { success: false, receipt, error: error.message };
+        }
+    }
+
+    /**
+     * The allocations a settlement would close with, and the message the
+     * resolver signs to co-sign them
+     * @param {string} orderId - The order ID
+     * @param {Object} orderDetails - On-chain order (getOrder, stringified)
+     * @param {string} payoutId - RazorpayX payout being settled
+     * @returns {Promise<Object>} { orderId, sessionId, asset, assetDecimals, allocations, message }
+     */
+    async previewSettlement(orderId, orderDetails, payoutId) {
+        const session = this.sessionManager.getSessionStatus(orderId);
+        if (session.status !== "active") {
+            throw new Error(
+                `No active Yellow session for order (${session.status})`
+            );
+        }
+
+        const resolverFeeBps = await this.getResolverFeeBps();
+        const allocations = this.buildAllocations(orderDetails, resolverFeeBps);
+
+        return {
+            orderId,
+            sessionId: session.sessionId,
+            payoutId,
+            asset: this.asset,
+            assetDecimals: this.assetDecimals,
+            allocations,
+            message: buildSettlementMessage({
+                orderId,
+                sessionId: session.sessionId,
+                payoutId,
+                allocations,
+            }),
+        };
     }
 
+    /**
+     * Re-check a stored settlement: the receipt must be settled and the
+     * ClearNode signature on its close response must still verify.
+     * @param {string} orderId - The order ID
+     * @returns {Promise<Object>} { verified, reason, receipt }
+     */
     async verifySettlement(orderId) {
-        // Verify settlement completion
-        // Implementation pending...
+        const receipt = await SettlementReceipt.findOne({ orderId });
+        if (!receipt) {
+            return { verified: false, reason: "No settlement receipt" };
+        }
+        if (receipt.status !== "settled") {
+            return {
+                verified: false,
+                reason: `Settlement ${receipt.status}`,
+                receipt,
+            };
+        }
+
+        const verification = await this.verifyCloseResponse(
+            receipt.closeResponse,
+            receipt.sessionId
+        );
+        return {
+            verified: verification.valid,
+            reason: verification.reason,
+            receipt,
+        };
+    }
+
+    /**
+     * What an order's app session is funded with: the maker's escrow, which
+     * is the total buildAllocations splits when the session closes
+     * @param {Object} orderDetails - On-chain order; amount and endPrice are used
+     * @returns {Promise<Object>} { asset, amount, decimals }
+     */
+    async sessionFunding(orderDetails) {
+        const { escrow } = computeAllocations({
+            amount: orderDetails.amount,
+            acceptedPrice: orderDetails.endPrice,
+            endPrice: orderDetails.endPrice,
+            resolverFeeBps: await this.getResolverFeeBps(),
+            relayerFeeBps: this.relayerFeeBps,
+            decimals: this.assetDecimals,
+        });
+
+        return {
+            asset: this.asset,
+            amount: ethers.utils.formatUnits(escrow, this.assetDecimals),
+            decimals: this.assetDecimals,
+        };
+    }
+
+    buildAllocations(orderDetails, resolverFeeBps) {
+        const { maker, resolver, relayer } = computeAllocations({
+            amount: orderDetails.amount,
+            acceptedPrice: orderDetails.acceptedPrice,
+            endPrice: orderDetails.endPrice,
+            resolverFeeBps,
+            relayerFeeBps: this.relayerFeeBps,
+            decimals: this.assetDecimals,
+        });
+
+        const format = (value) =>
+            ethers.utils.formatUnits(value, this.assetDecimals);
+
+        return [
+            {
+                role: "relayer",
+                participant: this.clearNode.wallet.address,
+                asset: this.asset,
+                amount: format(relayer),
+            },
+            {
+                role: "maker",
+                participant: orderDetails.maker,
+                asset: this.asset,
+                amount: format(maker),
+            },
+            {
+                role: "resolver",
+                participant: orderDetails.taker,
+                asset: this.asset,
+                amount: format(resolver),
+            },
+        ];
+    }
+
+    /**
+     * Check that a close_app_session response is for the expected session,
+     * reports it closed and is signed by the ClearNode. The ClearNode signs
+     * keccak256 of the JSON-encoded `res` array.
+     */
+    async verifyCloseResponse(response, sessionId) {
+        if (!response || !Array.isArray(response.res)) {
+            return { valid: false, signer: null, reason: "Missing response" };
+        }
+
+        const result = response.res[2] || {};
+        const responseSessionId = result.app_session_id || result.appSessionId;
+        if (
+            responseSessionId &&
+            responseSessionId.toLowerCase() !== sessionId.toLowerCase()
+        ) {
+            return {
+                valid: false,
+                signer: null,
+                reason: `Close response is for session ${responseSessionId}`,
+            };
+        }
+        if (result.status && result.status !== "closed") {
+            return {
+                valid: false,
+                signer: null,
+                reason: `Session status is ${result.status}, expected closed`,
+            };
+        }
+
+        const signature = Array.isArray(response.sig) ? response.sig[0] : null;
+        if (!signature) {
+            return { valid: false, signer: null, reason: "Response unsigned" };
+        }
+
+        let signer;
+        try {
+            const digest = ethers.utils.keccak256(
+                ethers.utils.toUtf8Bytes(JSON.stringify(response.res))
+            );
+            signer = ethers.utils.recoverAddress(digest, signature).toLowerCase();
+        } catch (error) {
+            return {
+                valid: false,
+                signer: null,
+                reason: `Bad signature: ${error.message}`,
+            };
+        }
+
+        const expected = await this.getClearNodeAddress();
+        if (signer !== expected) {
+            return {
+                valid: false,
+                signer,
+                reason: `Close response signed by ${signer}, expected ClearNode ${expected}`,
+            };
+        }
+
+        return { valid: true, signer, reason: null };
+    }
+
+    /**
+     * ClearNode signing address: YELLOW_CLEARNODE_ADDRESS, or the broker
+     * address reported by get_config
+     */
+    async getClearNodeAddress() {
+        if (!this.clearNodeAddress) {
+            const response = await this.clearNode.sendRequest("get_config");
+            const config = response.res ? response.res[2] : null;
+            if (!config || !config.broker_address) {
+                throw new Error("ClearNode broker address unavailable");
+            }
+            this.clearNodeAddress = config.broker_address.toLowerCase();
+        }
+        return this.clearNodeAddress;
+    }
+
+    /**
+     * Resolver fee in basis points, read once from OrderProtocol.i_resolverFee
+     */
+    async getResolverFeeBps() {
+        if (this.resolverFeeBps === null) {
+            const orderProtocol = new OrderProtocolClient({
+                publicClient:
+                    this.publicClient ||
+                    createPublicClient({ transport: http(getRpcUrl()) }),
+            });
+            this.resolverFeeBps = Number(await orderProtocol.getResolverFee());
+        }
+        return this.resolverFeeBps;
+    }
+
+    async getReceipt(orderId) {
+        return SettlementReceipt.findOne({ orderId });
     }
 }
 
-export default YellowInstantSettlement;
+YellowInstantSettlement.computeAllocations = computeAllocations;
+
+module.exports = YellowInstantSettlement;
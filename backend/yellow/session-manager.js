@@ -1,139 +1,120 @@
-const {
-    createAppSessionMessage,
-    createCloseAppSessionMessage,
-    parseRPCResponse,
-    RPCMethod,
-} = require("@erc7824/nitrolite");
+const { ethers } = require("ethers");
+
+/**
+ * Throw unless a state's allocations add up to what the session was funded
+ * with; the ClearNode rejects states that create or destroy funds
+ * @param {Object} funding - { asset, amount, decimals } the session opened with
+ * @param {Array} allocations - [{ participant, asset, amount }]
+ */
+function assertFundedTotal(funding, allocations) {
+    const units = (amount) =>
+        ethers.utils.parseUnits(amount, funding.decimals).toBigInt();
+
+    let total = 0n;
+    for (const allocation of allocations) {
+        if (allocation.asset !== funding.asset) {
+            throw new Error(
+                `Allocation in ${allocation.asset}, session is funded in ${funding.asset}`
+            );
+        }
+        total += units(allocation.amount);
+    }
+
+    if (total !== units(funding.amount)) {
+        throw new Error(
+            `Allocations total ${ethers.utils.formatUnits(
+                total,
+                funding.decimals
+            )} ${funding.asset}, session is funded with ${funding.amount}`
+        );
+    }
+}
 
 class YellowSessionManager {
     constructor(clearNodeConnection) {
         this.clearNode = clearNodeConnection;
         this.activeSessions = new Map();
-        this.pendingRequests = new Map();
     }
 
-    async createTripartiteSession(orderId, makerAddress, resolverAddress) {
+    /**
+     * Open an order's app session, funded by the maker
+     * @param {string} orderId - The order ID
+     * @param {string} makerAddress
+     * @param {string} resolverAddress
+     * @param {Object} funding - { asset, amount, decimals }: the maker's escrow
+     *   (see YellowInstantSettlement.sessionFunding)
+     * @returns {Promise<string>} App session ID
+     */
+    async createTripartiteSession(
+        orderId,
+        makerAddress,
+        resolverAddress,
+        funding
+    ) {
         console.log(`🔄 Creating 3-entity Yellow session for order ${orderId}`);
 
-        if (!this.clearNode.isAuthenticated) {
-            throw new Error("ClearNode not authenticated");
-        }
-
-        try {
-            // Create app session parameters according to nitrolite structure
-            const sessionParams = {
-                participants: [
-                    this.clearNode.wallet.address, // Backend relayer
-                    makerAddress, // User/Maker
-                    resolverAddress, // Resolver bot
-                ],
-                // Simple allocation structure for hackathon MVP
-                assets: ["usdc"], // Focus on USDC for demo
-                initial_balances: {
-                    [this.clearNode.wallet.address]: "0",
-                    [makerAddress]: "1000000", // 1 USDC (6 decimals)
-                    [resolverAddress]: "0",
+        const participants = [
+            this.clearNode.wallet.address, // Backend relayer
+            makerAddress, // User/Maker
+            resolverAddress, // Resolver bot
+        ];
+
+        // The relayer drives the session on its own; the order id in
+        // session_data lets the resolver find the session it was added to
+        const sessionParams = {
+            definition: {
+                protocol: "NitroRPC/0.2",
+                participants,
+                weights: [100, 0, 0],
+                quorum: 100,
+                challenge: 0,
+                nonce: Date.now(),
+            },
+            allocations: [
+                {
+                    participant: participants[0],
+                    asset: funding.asset,
+                    amount: "0",
                 },
-            };
-
-            console.log(
-                "📋 Session params:",
-                JSON.stringify(sessionParams, null, 2)
-            );
+                {
+                    participant: makerAddress,
+                    asset: funding.asset,
+                    amount: funding.amount,
+                },
+                {
+                    participant: resolverAddress,
+                    asset: funding.asset,
+                    amount: "0",
+                },
+            ],
+            session_data: JSON.stringify({ orderId }),
+        };
 
-            // Create app session message using nitrolite SDK
-            const sessionMessage = await createAppSessionMessage(
-                this.clearNode.messageSigner.bind(this.clearNode),
-                [sessionParams] // Wrap in array as expected by SDK
-            );
+        console.log("📋 Session params:", JSON.stringify(sessionParams, null, 2));
 
-            // Send the session creation request
-            console.log(
-                "📤 Sending session creation request to Yellow ClearNode"
+        try {
+            const response = await this.clearNode.sendRequest(
+                "create_app_session",
+                sessionParams
             );
 
-            return new Promise((resolve, reject) => {
-                const requestId = Math.floor(Math.random() * 1000000);
-
-                // Store the callback for this request
-                this.pendingRequests.set(requestId, {
-                    resolve,
-                    reject,
-                    orderId,
-                    type: "create_session",
-                });
-
-                // Set up one-time message handler for this request
-                const handleResponse = (event) => {
-                    try {
-                        const message = JSON.parse(event.data);
-                        console.log("📨 Session creation response:", message);
-
-                        // Check if this is our session creation response
-                        if (
-                            message.res &&
-                            message.res[1] === "create_app_session"
-                        ) {
-                            const responseData = message.res[2];
-
-                            if (responseData && responseData.app_session_id) {
-                                const sessionId = responseData.app_session_id;
-                                this.activeSessions.set(orderId, {
-                                    sessionId,
-                                    participants: sessionParams.participants,
-                                    createdAt: new Date(),
-                                    status: "active",
-                                });
-
-                                console.log(
-                                    `✅ Yellow session created: ${sessionId}`
-                                );
-                                resolve(sessionId);
-                            } else if (responseData && responseData.error) {
-                                console.error(
-                                    "❌ Session creation failed:",
-                                    responseData.error
-                                );
-                                reject(
-                                    new Error(
-                                        `Session creation failed: ${responseData.error}`
-                                    )
-                                );
-                            } else {
-                                console.log(
-                                    "⏳ Session creation in progress..."
-                                );
-                                // Could be intermediate response, continue waiting
-                            }
-                        }
-                    } catch (error) {
-                        console.error("Session response parsing error:", error);
-                        reject(
-                            new Error(
-                                `Session response parsing failed: ${error.message}`
-                            )
-                        );
-                    }
-                };
-
-                // Add temporary listener
-                this.clearNode.ws.addEventListener("message", handleResponse);
-
-                // Send the message
-                this.clearNode.ws.send(sessionMessage);
-
-                // Cleanup timeout
-                setTimeout(() => {
-                    this.clearNode.ws.removeEventListener(
-                        "message",
-                        handleResponse
-                    );
-                    if (this.pendingRequests.has(requestId)) {
-                        this.pendingRequests.delete(requestId);
-                        reject(new Error("Session creation timeout"));
-                    }
-                }, 15000); // 15 second timeout for hackathon
+            const result = response.res[2];
+            if (!result || !result.app_session_id) {
+                throw new Error("no app_session_id in response");
+            }
+
+            const sessionId = result.app_session_id;
+            this.activeSessions.set(orderId, {
+                sessionId,
+                participants,
+                funding,
+                version: result.version,
+                createdAt: new Date(),
+                status: "active",
             });
+
+            console.log(`✅ Yellow session created: ${sessionId}`);
+            return sessionId;
         } catch (error) {
             console.error("Session creation failed:", error);
             throw new Error(
@@ -142,96 +123,80 @@ class YellowSessionManager {
         }
     }
 
-    async instantSettlement(orderId, finalAllocations) {
+    /**
+     * Submit an intermediate state (new allocations) for an order's session
+     * @param {string} orderId - The order ID
+     * @param {Array} allocations - [{ participant, asset, amount }]
+     * @returns {Promise<Object>} Raw ClearNode response message
+     */
+    async submitAppState(orderId, allocations) {
         const sessionData = this.activeSessions.get(orderId);
-        if (!sessionData) {
+        if (!sessionData || sessionData.status !== "active") {
             throw new Error("No active session for order");
         }
 
-        console.log(`⚡ Executing instant settlement for order ${orderId}`);
-        console.log(
-            "💰 Final allocations:",
-            JSON.stringify(finalAllocations, null, 2)
-        );
+        assertFundedTotal(sessionData.funding, allocations);
 
-        try {
-            // Create close session parameters
-            const closeParams = {
+        console.log(`📤 Submitting app state for order ${orderId}`);
+
+        const response = await this.clearNode.sendRequest(
+            "submit_app_state",
+            {
                 app_session_id: sessionData.sessionId,
-                final_balances: finalAllocations,
-            };
+                allocations,
+            }
+        );
 
-            // Create close message using nitrolite SDK
-            const closeMessage = await createCloseAppSessionMessage(
-                this.clearNode.messageSigner.bind(this.clearNode),
-                [closeParams]
+        const result = response.res ? response.res[2] : null;
+        if (!result || result.error || response.res[1] === "error") {
+            throw new Error(
+                `State update failed: ${result ? result.error : "empty response"}`
             );
+        }
 
-            return new Promise((resolve, reject) => {
-                const handleResponse = (event) => {
-                    try {
-                        const message = JSON.parse(event.data);
-                        console.log("📨 Settlement response:", message);
-
-                        if (
-                            message.res &&
-                            message.res[1] === "close_app_session"
-                        ) {
-                            const responseData = message.res[2];
-
-                            if (responseData && responseData.success) {
-                                // Mark session as closed
-                                sessionData.status = "closed";
-                                sessionData.closedAt = new Date();
-
-                                console.log(
-                                    "✅ Instant settlement completed via Yellow Network"
-                                );
-                                resolve(responseData);
-                            } else if (responseData && responseData.error) {
-                                console.error(
-                                    "❌ Settlement failed:",
-                                    responseData.error
-                                );
-                                reject(
-                                    new Error(
-                                        `Settlement failed: ${responseData.error}`
-                                    )
-                                );
-                            }
-                        }
-                    } catch (error) {
-                        console.error(
-                            "Settlement response parsing error:",
-                            error
-                        );
-                        reject(
-                            new Error(
-                                `Settlement response parsing failed: ${error.message}`
-                            )
-                        );
-                    }
-                };
-
-                // Add temporary listener
-                this.clearNode.ws.addEventListener("message", handleResponse);
-
-                // Send the close message
-                this.clearNode.ws.send(closeMessage);
-
-                // Cleanup timeout
-                setTimeout(() => {
-                    this.clearNode.ws.removeEventListener(
-                        "message",
-                        handleResponse
-                    );
-                    reject(new Error("Settlement timeout"));
-                }, 10000); // 10 second timeout for hackathon
-            });
-        } catch (error) {
-            console.error("Instant settlement failed:", error);
-            throw new Error(`Failed to execute settlement: ${error.message}`);
+        sessionData.version = result.version;
+        return response;
+    }
+
+    /**
+     * Close an order's session with its final allocations
+     * @param {string} orderId - The order ID
+     * @param {Array} allocations - [{ participant, asset, amount }]
+     * @returns {Promise<Object>} Raw ClearNode response message (incl. sig)
+     */
+    async closeAppSession(orderId, allocations) {
+        const sessionData = this.activeSessions.get(orderId);
+        if (!sessionData || sessionData.status !== "active") {
+            throw new Error("No active session for order");
+        }
+
+        assertFundedTotal(sessionData.funding, allocations);
+
+        console.log(`🔒 Closing Yellow session for order ${orderId}`);
+        console.log("💰 Final allocations:", JSON.stringify(allocations, null, 2));
+
+        const response = await this.clearNode.sendRequest(
+            "close_app_session",
+            {
+                app_session_id: sessionData.sessionId,
+                allocations,
+            }
+        );
+
+        const result = response.res ? response.res[2] : null;
+        if (!result || result.error || response.res[1] === "error") {
+            throw new Error(
+                `Session close failed: ${result ? result.error : "empty response"}`
+            );
         }
+
+        // Mark session as closed
+        sessionData.status = "closed";
+        sessionData.closedAt = new Date();
+        sessionData.version = result.version;
+
+        console.log(`✅ Yellow session ${sessionData.sessionId} closed`);
+        return response;
     }
 
     // Simple session status check
@@ -245,6 +210,7 @@ class YellowSessionManager {
             status: sessionData.status,
             sessionId: sessionData.sessionId,
             participants: sessionData.participants,
+            funding: sessionData.funding,
             createdAt: sessionData.createdAt,
             closedAt: sessionData.closedAt,
         };
@@ -276,4 +242,6 @@ class YellowSessionManager {
     }
 }
 
+YellowSessionManager.assertFundedTotal = assertFundedTotal;
+
 module.exports = YellowSessionManager;
@@ -0,0 +1,21 @@
+/**
+ * Contract ABIs, generated from Foundry out/ artifacts by contracts/generate.js
+ */
+
+const CONTRACT_NAMES = [
+    "MakerRegistry",
+    "OrderProtocol",
+    "ResolverRegistry",
+    "YellowOrderProtocol",
+    "YellowResolverRegistry",
+];
+
+const abis = {
+    MakerRegistry: require("./MakerRegistry.json"),
+    OrderProtocol: require("./OrderProtocol.json"),
+    ResolverRegistry: require("./ResolverRegistry.json"),
+    YellowOrderProtocol: require("./YellowOrderProtocol.json"),
+    YellowResolverRegistry: require("./YellowResolverRegistry.json"),
+};
+
+module.exports = { CONTRACT_NAMES, abis };
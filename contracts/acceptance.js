@@ -0,0 +1,37 @@
+/**
+ * EIP-712 resolver acceptances. A resolver signs one to have the relayer
+ * accept an order on its behalf at a given price; the backend checks the
+ * signature before relaying. Plain data, so ethers (resolver bot) and viem
+ * (backend) can both use it.
+ */
+
+const ACCEPTANCE_PRIMARY_TYPE = "ResolverAcceptance";
+
+const ACCEPTANCE_TYPES = {
+    ResolverAcceptance: [
+        { name: "orderId", type: "bytes32" },
+        { name: "acceptedPrice", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+    ],
+};
+
+/**
+ * Signing domain, bound to the chain and the OrderProtocol deployment
+ * @param {number} chainId
+ * @param {string} verifyingContract - OrderProtocol address
+ */
+function acceptanceDomain(chainId, verifyingContract) {
+    return {
+        name: "YuPI Resolver Acceptance",
+        version: "1",
+        chainId,
+        verifyingContract,
+    };
+}
+
+module.exports = {
+    ACCEPTANCE_PRIMARY_TYPE,
+    ACCEPTANCE_TYPES,
+    acceptanceDomain,
+};
@@ -0,0 +1,65 @@
+const { abis } = require("../abis");
+const { getContractAddress } = require("../../deployments");
+
+/**
+ * Base class for the typed contract clients.
+ *
+ * Reads go through a viem public client. Writes are handed to `send` as a
+ * { address, abi, functionName, args, ...options } request, which is the
+ * shape RelayerTransactionManager.sendContractTransaction() takes; use
+ * walletClientSender() to send from a viem wallet client instead.
+ */
+class ContractClient {
+    /**
+     * @param {string} name - Contract name, e.g. "OrderProtocol"
+     * @param {Object} options
+     * @param {Object} options.publicClient - viem public client for reads
+     * @param {Function} [options.send] - Sends a write request, resolves { transactionHash, receipt }
+     * @param {string} [options.address] - Defaults to the deployments registry
+     * @param {number} [options.chainId] - Registry chain, defaults to the active chain
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.abi = abis[name];
+        this.address =
+            options.address || getContractAddress(name, options.chainId);
+        this.publicClient = options.publicClient;
+        this.send = options.send || null;
+
+        if (!this.address) {
+            throw new Error(`${name} is not deployed on this chain`);
+        }
+    }
+
+    read(functionName, args = []) {
+        if (!this.publicClient) {
+            throw new Error(`${this.name} client has no public client`);
+        }
+        return this.publicClient.readContract({
+            address: this.address,
+            abi: this.abi,
+            functionName,
+            args,
+        });
+    }
+
+    /**
+     * @param {string} functionName
+     * @param {Array} args
+     * @param {Object} [options] - Passed through to `send`, e.g. { orderId }
+     */
+    write(functionName, args, options = {}) {
+        if (!this.send) {
+            throw new Error(`${this.name} client has no transaction sender`);
+        }
+        return this.send({
+            address: this.address,
+            abi: this.abi,
+            functionName,
+            args,
+            ...options,
+        });
+    }
+}
+
+module.exports = ContractClient;
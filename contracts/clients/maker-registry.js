@@ -0,0 +1,40 @@
+const ContractClient = require("./contract-client");
+
+/**
+ * Typed client for MakerRegistry
+ */
+class MakerRegistryClient extends ContractClient {
+    constructor(options = {}) {
+        super("MakerRegistry", options);
+    }
+
+    /** @returns {Promise<boolean>} */
+    isMaker(maker) {
+        return this.read("isMaker", [maker]);
+    }
+
+    /**
+     * @returns {Promise<{ proof: string, isForeigner: boolean }>} Identity
+     *   proof for foreigners, otherwise the maker's UPI address
+     */
+    async getProof(maker) {
+        const [proof, isForeigner] = await this.read("getProof", [maker]);
+        return { proof, isForeigner };
+    }
+
+    /** Owner-only */
+    registerMaker(identityProof, maker, isForeigner, options) {
+        return this.write(
+            "registerMaker",
+            [identityProof, maker, isForeigner],
+            options
+        );
+    }
+
+    /** Owner-only */
+    editMaker(maker, newProof, options) {
+        return this.write("editMaker", [maker, newProof], options);
+    }
+}
+
+module.exports = MakerRegistryClient;
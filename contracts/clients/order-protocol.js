@@ -0,0 +1,110 @@
+const ContractClient = require("./contract-client");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * OrderProtocol.Order, as decoded by viem
+ * @typedef {Object} Order
+ * @property {string} maker
+ * @property {string} taker - Zero address until accepted
+ * @property {string} recipientUpiAddress
+ * @property {bigint} amount - INR amount, 18 decimals
+ * @property {string} token
+ * @property {bigint} startPrice - INR per token, 18 decimals
+ * @property {bigint} acceptedPrice
+ * @property {bigint} endPrice
+ * @property {bigint} startTime - Unix seconds
+ * @property {bigint} acceptedTime
+ * @property {boolean} accepted
+ * @property {boolean} fullfilled
+ */
+
+/**
+ * Typed client for OrderProtocol
+ */
+class OrderProtocolClient extends ContractClient {
+    constructor(options = {}) {
+        super("OrderProtocol", options);
+    }
+
+    /**
+     * Whether a getOrder() result is a real order (unknown IDs read as zeros)
+     * @param {Order} order
+     */
+    static exists(order) {
+        return !!order && order.maker !== ZERO_ADDRESS;
+    }
+
+    /** ABI event definitions, e.g. for getLogs({ events }) */
+    get events() {
+        return this.abi.filter((item) => item.type === "event");
+    }
+
+    /**
+     * @param {string} orderId - bytes32 order ID
+     * @returns {Promise<Order>}
+     */
+    getOrder(orderId) {
+        return this.read("getOrder", [orderId]);
+    }
+
+    /** @returns {Promise<Order[]>} */
+    getOrdersByMaker(maker) {
+        return this.read("getOrdersByMaker", [maker]);
+    }
+
+    /** @returns {Promise<Order[]>} In the same order as getOrderIdByTaker indexes */
+    getOrdersByTaker(taker) {
+        return this.read("getOrdersByTaker", [taker]);
+    }
+
+    /** @returns {Promise<string>} bytes32 order ID */
+    getOrderIdByTaker(taker, index) {
+        return this.read("s_takerToOrderIds", [taker, BigInt(index)]);
+    }
+
+    /** @returns {Promise<string>} Payout proof recorded on fulfillment */
+    getProof(orderId) {
+        return this.read("s_orderIdToProof", [orderId]);
+    }
+
+    /** @returns {Promise<bigint>} Seconds an accepted order has to be fulfilled */
+    getMaxFulfillmentTime() {
+        return this.read("i_maxFullfillmentTime");
+    }
+
+    /** @returns {Promise<number>} Resolver fee in basis points */
+    getResolverFee() {
+        return this.read("i_resolverFee");
+    }
+
+    /** @returns {Promise<string>} */
+    getRelayerAddress() {
+        return this.read("i_relayerAddress");
+    }
+
+    /**
+     * Relayer-only: accept an order on behalf of a resolver
+     * @param {string} orderId
+     * @param {bigint} acceptedPrice - INR per token, 18 decimals
+     * @param {string} taker - Resolver address
+     * @param {Object} [options] - Passed to the sender
+     */
+    acceptOrder(orderId, acceptedPrice, taker, options) {
+        return this.write(
+            "acceptOrder",
+            [orderId, acceptedPrice, taker],
+            options
+        );
+    }
+
+    /**
+     * Relayer-only: mark an order fulfilled; an empty proof refunds the
+     * maker once the fulfillment window has passed
+     */
+    fulfillOrder(orderId, proof, options) {
+        return this.write("fullfillOrder", [orderId, proof], options);
+    }
+}
+
+module.exports = OrderProtocolClient;
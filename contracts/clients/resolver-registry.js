@@ -0,0 +1,27 @@
+const ContractClient = require("./contract-client");
+
+/**
+ * Typed client for ResolverRegistry
+ */
+class ResolverRegistryClient extends ContractClient {
+    constructor(options = {}) {
+        super("ResolverRegistry", options);
+    }
+
+    /** @returns {Promise<boolean>} */
+    isResolver(resolver) {
+        return this.read("isResolver", [resolver]);
+    }
+
+    /** Owner-only */
+    addResolver(resolver, options) {
+        return this.write("addResolver", [resolver], options);
+    }
+
+    /** Owner-only */
+    removeResolver(resolver, options) {
+        return this.write("removeResolver", [resolver], options);
+    }
+}
+
+module.exports = ResolverRegistryClient;
@@ -0,0 +1,83 @@
+const ContractClient = require("./contract-client");
+
+/** YellowOrderProtocol.OrderStatus, by enum value */
+const ORDER_STATUSES = ["Created", "Active", "Settled", "Cancelled"];
+
+/**
+ * YellowOrderProtocol.Order, as decoded by viem
+ * @typedef {Object} YellowOrder
+ * @property {string} maker
+ * @property {string} resolver
+ * @property {string} token
+ * @property {bigint} amount - Token amount in wei
+ * @property {bigint} upiAmount - INR amount in paise
+ * @property {string} yellowSessionId
+ * @property {number} status - Index into ORDER_STATUSES
+ * @property {bigint} createdAt - Unix seconds
+ * @property {bigint} settledAt
+ */
+
+/**
+ * Typed client for YellowOrderProtocol
+ */
+class YellowOrderProtocolClient extends ContractClient {
+    constructor(options = {}) {
+        super("YellowOrderProtocol", options);
+    }
+
+    /** @returns {Promise<YellowOrder>} */
+    getOrder(orderId) {
+        return this.read("getOrder", [orderId]);
+    }
+
+    /** @returns {Promise<string>} One of ORDER_STATUSES */
+    async getOrderStatus(orderId) {
+        return ORDER_STATUSES[await this.read("getOrderStatus", [orderId])];
+    }
+
+    /** @returns {Promise<bigint>} Seconds from creation to settlement */
+    getSettlementTime(orderId) {
+        return this.read("getSettlementTime", [orderId]);
+    }
+
+    /** @returns {Promise<boolean>} */
+    isAuthorizedResolver(resolver) {
+        return this.read("isAuthorizedResolver", [resolver]);
+    }
+
+    createOrder(orderId, token, amount, upiAmount, options) {
+        return this.write(
+            "createOrder",
+            [orderId, token, amount, upiAmount],
+            options
+        );
+    }
+
+    /** Yellow relayer only */
+    activateOrder(orderId, resolver, yellowSessionId, options) {
+        return this.write(
+            "activateOrder",
+            [orderId, resolver, yellowSessionId],
+            options
+        );
+    }
+
+    /** Yellow relayer only */
+    settleOrder(orderId, options) {
+        return this.write("settleOrder", [orderId], options);
+    }
+
+    /** Maker or Yellow relayer */
+    cancelOrder(orderId, reason, options) {
+        return this.write("cancelOrder", [orderId, reason], options);
+    }
+
+    /** Owner-only */
+    addResolver(resolver, options) {
+        return this.write("addResolver", [resolver], options);
+    }
+}
+
+YellowOrderProtocolClient.ORDER_STATUSES = ORDER_STATUSES;
+
+module.exports = YellowOrderProtocolClient;
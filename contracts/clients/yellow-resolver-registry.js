@@ -0,0 +1,82 @@
+const ContractClient = require("./contract-client");
+
+/**
+ * YellowResolverRegistry.Resolver, as decoded by viem
+ * @typedef {Object} YellowResolver
+ * @property {string} resolverAddress
+ * @property {string} endpoint - Callback URL
+ * @property {boolean} isActive
+ * @property {bigint} totalOrders
+ * @property {bigint} successfulOrders
+ * @property {bigint} registeredAt - Unix seconds
+ * @property {bigint} lastActiveAt
+ */
+
+/**
+ * Typed client for YellowResolverRegistry
+ */
+class YellowResolverRegistryClient extends ContractClient {
+    constructor(options = {}) {
+        super("YellowResolverRegistry", options);
+    }
+
+    /** @returns {Promise<string>} */
+    getMainResolver() {
+        return this.read("getMainResolver");
+    }
+
+    /** @returns {Promise<boolean>} */
+    isAuthorizedResolver(resolver) {
+        return this.read("isAuthorizedResolver", [resolver]);
+    }
+
+    /** @returns {Promise<YellowResolver>} */
+    getResolver(resolver) {
+        return this.read("getResolver", [resolver]);
+    }
+
+    /** @returns {Promise<string[]>} */
+    getActiveResolvers() {
+        return this.read("getActiveResolvers");
+    }
+
+    /**
+     * @returns {Promise<Object>} { totalResolvers, activeResolvers,
+     *   mainResolverSet, totalOrdersProcessed }
+     */
+    async getSystemMetrics() {
+        const [
+            totalResolvers,
+            activeResolvers,
+            mainResolverSet,
+            totalOrdersProcessed,
+        ] = await this.read("getSystemMetrics");
+        return {
+            totalResolvers: Number(totalResolvers),
+            activeResolvers: Number(activeResolvers),
+            mainResolverSet,
+            totalOrdersProcessed: Number(totalOrdersProcessed),
+        };
+    }
+
+    /** Owner-only */
+    registerResolver(resolver, endpoint, options) {
+        return this.write("registerResolver", [resolver, endpoint], options);
+    }
+
+    /** Owner-only */
+    setMainResolver(resolver, options) {
+        return this.write("setMainResolver", [resolver], options);
+    }
+
+    /** Owner-only */
+    recordOrderCompletion(resolver, successful, options) {
+        return this.write(
+            "recordOrderCompletion",
+            [resolver, successful],
+            options
+        );
+    }
+}
+
+module.exports = YellowResolverRegistryClient;
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * Contract ABI generator and drift check.
+ *
+ * Copies each contract's ABI from its Foundry build artifact
+ * (out/<Contract>.sol/<Contract>.json) into contracts/abis/<Contract>.json,
+ * and into the frontend's typed copy in frontend/src/lib/abis.ts. Without
+ * out/ (no `forge build`), the ABIs already in contracts/abis/ are kept.
+ *
+ * The drift check compares every struct the ABIs expose (internalType
+ * "struct <Contract>.<Struct>") with its definition in src/<Contract>.sol,
+ * so changing a struct such as OrderProtocol.Order without rebuilding and
+ * regenerating the ABIs fails.
+ *
+ * Usage: node contracts/generate.js [--check]
+ *   --check  exit 1 if the generated files are out of date or a struct has
+ *            drifted, instead of writing
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { CONTRACT_NAMES } = require("./abis");
+
+const ROOT = path.resolve(__dirname, "..");
+const ABI_DIR = path.join(__dirname, "abis");
+const FRONTEND_FILE = path.join(ROOT, "frontend", "src", "lib", "abis.ts");
+const OUT_DIR = path.join(ROOT, "out");
+const SRC_DIR = path.join(ROOT, "src");
+
+const ELEMENTARY_TYPE = /^(address|bool|string|bytes\d*|u?int\d*)$/;
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function abiFile(name) {
+    return path.join(ABI_DIR, `${name}.json`);
+}
+
+function readAbi(name) {
+    const artifact = path.join(OUT_DIR, `${name}.sol`, `${name}.json`);
+    if (fs.existsSync(artifact)) {
+        return readJson(artifact).abi;
+    }
+    if (fs.existsSync(abiFile(name))) {
+        return readJson(abiFile(name));
+    }
+    throw new Error(
+        `No ABI for ${name}: run \`forge build\` to produce out/${name}.sol`
+    );
+}
+
+function stripComments(source) {
+    return source.replace(/\/\*[\s\S]*?\*\//g, "").replace(/\/\/.*$/gm, "");
+}
+
+/**
+ * Struct and enum definitions declared in a contract's source file
+ * @returns {Object} { structs: { Name: [{ type, name }] }, enums: Set }
+ */
+function parseSource(name) {
+    const file = path.join(SRC_DIR, `${name}.sol`);
+    const source = fs.existsSync(file)
+        ? stripComments(fs.readFileSync(file, "utf8"))
+        : "";
+
+    const structs = {};
+    for (const [, structName, body] of source.matchAll(
+        /\bstruct\s+(\w+)\s*\{([^}]*)\}/g
+    )) {
+        structs[structName] = body
+            .split(";")
+            .map((member) => member.trim().split(/\s+/))
+            .filter((parts) => parts.length === 2)
+            .map(([type, member]) => ({ type, name: member }));
+    }
+
+    const enums = new Set(
+        [...source.matchAll(/\benum\s+(\w+)\s*\{/g)].map(([, enumName]) => enumName)
+    );
+    return { structs, enums };
+}
+
+/**
+ * Every struct an ABI exposes through function, event or error parameters
+ * @returns {Map<string, Array>} "Contract.Struct" => components
+ */
+function abiStructs(abi) {
+    const structs = new Map();
+    const visit = (params = []) => {
+        for (const param of params) {
+            const match = /^struct ([\w.]+?)(\[\d*\])*$/.exec(
+                param.internalType || ""
+            );
+            if (match) {
+                structs.set(match[1], param.components);
+            }
+            visit(param.components);
+        }
+    };
+    for (const entry of abi) {
+        visit(entry.inputs);
+        visit(entry.outputs);
+    }
+    return structs;
+}
+
+// The ABI internalType of a Solidity struct member type
+function expectedInternalType(contract, type, enums) {
+    const [, base, array] = /^([\w.]+)((?:\[\d*\])*)$/.exec(type);
+    if (ELEMENTARY_TYPE.test(base)) {
+        const canonical = base.replace(/^(u?int)$/, "$1256");
+        return canonical + array;
+    }
+    if (enums.has(base)) {
+        return `enum ${contract}.${base}${array}`;
+    }
+    return `struct ${contract}.${base}${array}`;
+}
+
+/**
+ * Differences between the structs in the ABIs and in the Solidity sources
+ * @returns {string[]} One message per drifted struct
+ */
+function findStructDrift(abis) {
+    const problems = [];
+
+    for (const [name, abi] of Object.entries(abis)) {
+        const sources = {};
+        const sourceFor = (contract) =>
+            (sources[contract] = sources[contract] || parseSource(contract));
+
+        for (const [qualifiedName, components] of abiStructs(abi)) {
+            const [contract, structName] = qualifiedName.split(".");
+            const { structs, enums } = sourceFor(contract);
+            const members = structs[structName];
+
+            if (!members) {
+                problems.push(
+                    `${qualifiedName} is in the ${name} ABI but not in src/${contract}.sol`
+                );
+                continue;
+            }
+
+            const differences = [];
+            if (members.length !== components.length) {
+                differences.push(
+                    `${members.length} fields in source, ${components.length} in ABI`
+                );
+            }
+            members.forEach((member, index) => {
+                const component = components[index];
+                if (!component) return;
+                if (component.name !== member.name) {
+                    differences.push(
+                        `field ${index} is "${member.name}" in source, "${component.name}" in ABI`
+                    );
+                    return;
+                }
+                const expected = expectedInternalType(contract, member.type, enums);
+                const matches =
+                    component.internalType === expected ||
+                    // Contract and interface members are addresses
+                    (component.type === "address" &&
+                        /^contract /.test(component.internalType));
+                if (!matches) {
+                    differences.push(
+                        `"${member.name}" is ${member.type} in source, ${
+                            component.internalType || component.type
+                        } in ABI`
+                    );
+                }
+            });
+
+            if (differences.length > 0) {
+                problems.push(`${qualifiedName}: ${differences.join("; ")}`);
+            }
+        }
+    }
+    return problems;
+}
+
+function generate() {
+    const abis = {};
+    for (const name of CONTRACT_NAMES) {
+        abis[name] = readAbi(name);
+    }
+
+    const files = {};
+    for (const name of CONTRACT_NAMES) {
+        files[abiFile(name)] = `${JSON.stringify(abis[name], null, 4)}\n`;
+    }
+    files[FRONTEND_FILE] = [
+        "// Generated by contracts/generate.js from Foundry out/ artifacts.",
+        "// Do not edit: run `npm run contracts`.",
+        "",
+        `export const ABIS = ${JSON.stringify(abis, null, 2)} as const`,
+        "",
+    ].join("\n");
+
+    return { abis, files };
+}
+
+function main() {
+    const check = process.argv.includes("--check");
+    const { abis, files } = generate();
+
+    const stale = Object.entries(files).filter(
+        ([file, contents]) =>
+            !fs.existsSync(file) || fs.readFileSync(file, "utf8") !== contents
+    );
+    const drift = findStructDrift(abis);
+
+    if (check) {
+        stale.forEach(([file]) =>
+            console.error(`❌ ${path.relative(ROOT, file)} is out of date`)
+        );
+        drift.forEach((problem) => console.error(`❌ ${problem}`));
+        if (stale.length > 0 || drift.length > 0) {
+            console.error(
+                "Run `forge build && npm run contracts` and commit the result"
+            );
+            process.exit(1);
+        }
+        console.log("✅ Contract ABIs are up to date");
+        return;
+    }
+
+    for (const [file, contents] of stale) {
+        fs.writeFileSync(file, contents);
+        console.log(`📝 Wrote ${path.relative(ROOT, file)}`);
+    }
+    if (stale.length === 0) {
+        console.log("✅ Contract ABIs are up to date");
+    }
+    if (drift.length > 0) {
+        drift.forEach((problem) => console.error(`❌ ${problem}`));
+        console.error(
+            "ABIs do not match src/: run `forge build` and generate again"
+        );
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { generate, findStructDrift };
@@ -0,0 +1,54 @@
+/**
+ * Shared contract package: ABIs generated from Foundry out/ artifacts and
+ * typed read/write clients for the protocol contracts. Addresses come from
+ * the deployments registry.
+ *
+ * The package has no dependencies of its own; callers pass in viem clients.
+ */
+
+const { CONTRACT_NAMES, abis } = require("./abis");
+const {
+    ACCEPTANCE_PRIMARY_TYPE,
+    ACCEPTANCE_TYPES,
+    acceptanceDomain,
+} = require("./acceptance");
+const { buildSettlementMessage } = require("./settlement");
+const ContractClient = require("./clients/contract-client");
+const OrderProtocolClient = require("./clients/order-protocol");
+const MakerRegistryClient = require("./clients/maker-registry");
+const ResolverRegistryClient = require("./clients/resolver-registry");
+const YellowOrderProtocolClient = require("./clients/yellow-order-protocol");
+const YellowResolverRegistryClient = require("./clients/yellow-resolver-registry");
+
+/**
+ * A client `send` function that signs with a viem wallet client and waits
+ * for the receipt, resolving the same shape as the relayer transaction
+ * manager: { transactionHash, receipt }
+ * @param {Object} walletClient - viem wallet client with an account and chain
+ * @param {Object} publicClient - viem public client used to wait for receipts
+ */
+function walletClientSender(walletClient, publicClient) {
+    return async (request) => {
+        const transactionHash = await walletClient.writeContract(request);
+        const receipt = await publicClient.waitForTransactionReceipt({
+            hash: transactionHash,
+        });
+        return { transactionHash, receipt };
+    };
+}
+
+module.exports = {
+    CONTRACT_NAMES,
+    abis,
+    ContractClient,
+    OrderProtocolClient,
+    MakerRegistryClient,
+    ResolverRegistryClient,
+    YellowOrderProtocolClient,
+    YellowResolverRegistryClient,
+    walletClientSender,
+    ACCEPTANCE_PRIMARY_TYPE,
+    ACCEPTANCE_TYPES,
+    acceptanceDomain,
+    buildSettlementMessage,
+};
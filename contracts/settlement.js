@@ -0,0 +1,31 @@
+/**
+ * Yellow settlement co-signatures. A resolver signs the final allocations of
+ * an order's app session close; the backend rebuilds the message from the
+ * same fields and checks the signature before closing, so the resolver only
+ * signs allocations it has checked. Plain strings, so ethers (resolver bot)
+ * and the backend can both use it.
+ */
+
+/**
+ * Message a resolver signs for a session close
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {string} params.sessionId - Yellow app session
+ * @param {string} params.payoutId - Payout the order was paid with
+ * @param {Array<Object>} params.allocations - { role, participant, amount, asset }
+ * @returns {string}
+ */
+function buildSettlementMessage({ orderId, sessionId, payoutId, allocations }) {
+    return [
+        "YuPI settlement close",
+        `Order: ${orderId}`,
+        `Session: ${sessionId}`,
+        `Payout: ${payoutId}`,
+        ...allocations.map(
+            ({ role, participant, amount, asset }) =>
+                `${role}: ${participant.toLowerCase()} ${amount} ${asset}`
+        ),
+    ].join("\n");
+}
+
+module.exports = { buildSettlementMessage };
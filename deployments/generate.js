@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Deployments registry generator.
+ *
+ * Builds deployments/deployments.json, and the frontend's typed copy in
+ * frontend/src/lib/deployments.ts, from:
+ *   deployments/chains.json                        chain metadata, RPC endpoints,
+ *                                                  tokens and contracts deployed
+ *                                                  outside broadcast/
+ *   broadcast/<script>/<chainId>/run-latest.json   Foundry deployment runs
+ *
+ * Only contract creations with a successful receipt are taken from a run.
+ * ABIs live in the contracts package (contracts/generate.js).
+ *
+ * Usage: node deployments/generate.js [--check]
+ *   --check  exit 1 if the generated files are out of date instead of writing
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.resolve(__dirname, "..");
+const CHAINS_FILE = path.join(__dirname, "chains.json");
+const REGISTRY_FILE = path.join(__dirname, "deployments.json");
+const FRONTEND_FILE = path.join(ROOT, "frontend", "src", "lib", "deployments.ts");
+const BROADCAST_DIR = path.join(ROOT, "broadcast");
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * The latest run of each deploy script for a chain
+ * @returns {Array<Object>} [{ script, run }]
+ */
+function readBroadcastRuns(chainId) {
+    if (!fs.existsSync(BROADCAST_DIR)) return [];
+
+    return fs
+        .readdirSync(BROADCAST_DIR)
+        .map((script) => ({
+            script,
+            file: path.join(BROADCAST_DIR, script, chainId, "run-latest.json"),
+        }))
+        .filter(({ file }) => fs.existsSync(file))
+        .map(({ script, file }) => ({ script, run: readJson(file) }));
+}
+
+// Foundry records run timestamps in seconds on some versions, ms on others
+function runTime(run) {
+    return run.timestamp < 1e12 ? run.timestamp * 1000 : run.timestamp;
+}
+
+/**
+ * Contracts created (and mined successfully) by a broadcast run
+ */
+function contractsFromRun(script, run) {
+    const receipts = new Map(
+        (run.receipts || []).map((receipt) => [
+            receipt.transactionHash.toLowerCase(),
+            receipt,
+        ])
+    );
+    const contracts = {};
+
+    for (const transaction of run.transactions || []) {
+        if (
+            !["CREATE", "CREATE2"].includes(transaction.transactionType) ||
+            !transaction.contractName ||
+            !transaction.hash // Simulated, never sent
+        ) {
+            continue;
+        }
+        const receipt = receipts.get(transaction.hash.toLowerCase());
+        if (!receipt || receipt.status !== "0x1") continue;
+
+        contracts[transaction.contractName] = {
+            address: transaction.contractAddress,
+            transactionHash: transaction.hash,
+            blockNumber: parseInt(receipt.blockNumber, 16),
+            source: `broadcast/${script}`,
+        };
+    }
+    return contracts;
+}
+
+function buildChain(chainId, config) {
+    const runs = readBroadcastRuns(chainId);
+    const selected = config.deployScript
+        ? runs.find(({ script }) => script === config.deployScript)
+        : runs.sort((a, b) => runTime(b.run) - runTime(a.run))[0];
+
+    const contracts = selected
+        ? contractsFromRun(selected.script, selected.run)
+        : {};
+
+    // Entries in chains.json cover deployments broadcast/ does not record
+    for (const [name, contract] of Object.entries(config.contracts || {})) {
+        contracts[name] = {
+            transactionHash: null,
+            blockNumber: null,
+            ...contract,
+            source: "chains.json",
+        };
+    }
+
+    return {
+        chainId: Number(chainId),
+        name: config.name,
+        network: config.network,
+        testnet: !!config.testnet,
+        nativeCurrency: config.nativeCurrency,
+        rpcUrls: config.rpcUrls,
+        blockExplorer: config.blockExplorer || null,
+        contracts,
+        tokens: config.tokens || [],
+    };
+}
+
+function generate() {
+    const { defaultChainId, chains } = readJson(CHAINS_FILE);
+
+    const registry = { defaultChainId, chains: {} };
+    for (const [chainId, config] of Object.entries(chains)) {
+        registry.chains[chainId] = buildChain(chainId, config);
+    }
+
+    return {
+        [REGISTRY_FILE]: `${JSON.stringify(registry, null, 4)}\n`,
+        [FRONTEND_FILE]: [
+            "// Generated by deployments/generate.js from Foundry broadcast/ output",
+            "// and deployments/chains.json. Do not edit: run `npm run deployments`.",
+            "",
+            `export const DEPLOYMENTS = ${JSON.stringify(registry, null, 2)} as const`,
+            "",
+        ].join("\n"),
+    };
+}
+
+function main() {
+    const check = process.argv.includes("--check");
+    const files = generate();
+
+    const stale = Object.entries(files).filter(
+        ([file, contents]) =>
+            !fs.existsSync(file) || fs.readFileSync(file, "utf8") !== contents
+    );
+
+    if (check) {
+        if (stale.length > 0) {
+            stale.forEach(([file]) =>
+                console.error(`❌ ${path.relative(ROOT, file)} is out of date`)
+            );
+            console.error("Run `npm run deployments` and commit the result");
+            process.exit(1);
+        }
+        console.log("✅ Deployments registry is up to date");
+        return;
+    }
+
+    for (const [file, contents] of stale) {
+        fs.writeFileSync(file, contents);
+        console.log(`📝 Wrote ${path.relative(ROOT, file)}`);
+    }
+    if (stale.length === 0) {
+        console.log("✅ Deployments registry is up to date");
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { generate };
@@ -0,0 +1,150 @@
+/**
+ * Deployments registry: contract addresses, supported tokens and RPC
+ * endpoints per chain id, generated into deployments.json by generate.js.
+ * ABIs come from the contracts package.
+ *
+ * The active chain is CHAIN_ID, or the registry's defaultChainId. For the
+ * active chain only, RPC_URL and the per-contract address variables below
+ * override the registry, so a local or one-off deployment needs no edits.
+ */
+
+const registry = require("./deployments.json");
+const { abis } = require("../contracts/abis");
+
+const ADDRESS_OVERRIDES = {
+    OrderProtocol: ["CONTRACT_ADDRESS", "ORDER_PROTOCOL_ADDRESS"],
+    MakerRegistry: ["MAKER_REGISTRY_ADDRESS"],
+    ResolverRegistry: ["RESOLVER_REGISTRY_ADDRESS"],
+    YellowOrderProtocol: ["YELLOW_ORDER_PROTOCOL_ADDRESS"],
+    YellowResolverRegistry: ["YELLOW_RESOLVER_REGISTRY_ADDRESS"],
+};
+
+function getActiveChainId() {
+    return Number(process.env.CHAIN_ID || registry.defaultChainId);
+}
+
+function isActiveChain(chainId) {
+    return chainId === getActiveChainId();
+}
+
+/**
+ * A chain's registry entry
+ * @param {number} [chainId] - Defaults to the active chain
+ * @returns {Object} { chainId, name, rpcUrls, contracts, tokens, ... }
+ * @throws {Error} If the chain is not in the registry
+ */
+function getDeployment(chainId = getActiveChainId()) {
+    const deployment = registry.chains[String(chainId)];
+    if (!deployment) {
+        throw new Error(
+            `No deployment registered for chain ${chainId} (known: ${Object.keys(
+                registry.chains
+            ).join(", ")})`
+        );
+    }
+    return deployment;
+}
+
+function getRpcUrl(chainId = getActiveChainId()) {
+    if (isActiveChain(Number(chainId)) && process.env.RPC_URL) {
+        return process.env.RPC_URL;
+    }
+    return getDeployment(chainId).rpcUrls[0];
+}
+
+/**
+ * Address of a deployed contract, or null if it is not deployed on the chain
+ * @param {string} name - Contract name, e.g. "OrderProtocol"
+ * @param {number} [chainId] - Defaults to the active chain
+ */
+function getContractAddress(name, chainId = getActiveChainId()) {
+    if (isActiveChain(Number(chainId))) {
+        const variable = (ADDRESS_OVERRIDES[name] || []).find(
+            (key) => process.env[key]
+        );
+        if (variable) return process.env[variable];
+    }
+    const contract = getDeployment(chainId).contracts[name];
+    return contract ? contract.address : null;
+}
+
+function getAbi(name) {
+    const abi = abis[name];
+    if (!abi) {
+        throw new Error(`No ABI registered for ${name}`);
+    }
+    return abi;
+}
+
+/**
+ * @returns {Object} { address, abi, blockNumber } for a deployed contract;
+ *   blockNumber is the deployment block, when known
+ */
+function getContract(name, chainId = getActiveChainId()) {
+    const contract = getDeployment(chainId).contracts[name] || {};
+    const address = getContractAddress(name, chainId);
+    const isRegistered =
+        !!address &&
+        !!contract.address &&
+        address.toLowerCase() === contract.address.toLowerCase();
+    return {
+        address,
+        abi: getAbi(name),
+        blockNumber: isRegistered ? contract.blockNumber ?? null : null,
+    };
+}
+
+function getTokens(chainId = getActiveChainId()) {
+    return getDeployment(chainId).tokens;
+}
+
+function findToken(symbolOrAddress, chainId = getActiveChainId()) {
+    const key = String(symbolOrAddress).toLowerCase();
+    return (
+        getTokens(chainId).find(
+            (token) =>
+                token.symbol.toLowerCase() === key ||
+                token.address.toLowerCase() === key
+        ) || null
+    );
+}
+
+/**
+ * Chain definition in the shape viem's `chain` option expects
+ */
+function getViemChain(chainId = getActiveChainId()) {
+    const deployment = getDeployment(chainId);
+    const rpcUrl = getRpcUrl(chainId);
+    return {
+        id: deployment.chainId,
+        name: deployment.name,
+        network: deployment.network,
+        nativeCurrency: deployment.nativeCurrency,
+        rpcUrls: {
+            default: { http: [rpcUrl] },
+            public: { http: [rpcUrl] },
+        },
+        blockExplorers: deployment.blockExplorer
+            ? { default: deployment.blockExplorer }
+            : undefined,
+        testnet: deployment.testnet,
+    };
+}
+
+function listChainIds() {
+    return Object.keys(registry.chains).map(Number);
+}
+
+module.exports = {
+    registry,
+    getActiveChainId,
+    getDeployment,
+    getRpcUrl,
+    getContractAddress,
+    getAbi,
+    getContract,
+    getTokens,
+    findToken,
+    getViemChain,
+    listChainIds,
+};
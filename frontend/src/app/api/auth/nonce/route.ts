@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server'
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:5001'
+
+export async function GET() {
+  try {
+    const response = await fetch(`${BACKEND_URL}/api/auth/nonce`, {
+      cache: 'no-store',
+    })
+
+    const data = await response.json()
+    return NextResponse.json(data, { status: response.status })
+  } catch (error) {
+    console.error('Error fetching sign-in nonce:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch sign-in nonce' },
+      { status: 500 }
+    )
+  }
+}
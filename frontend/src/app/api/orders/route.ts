@@ -32,17 +32,14 @@ export async function POST(request: NextRequest) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        Authorization: request.headers.get('Authorization') || '',
       },
       body: JSON.stringify(body),
     })
     
-    if (!response.ok) {
-      const errorData = await response.json()
-      throw new Error(errorData.error || 'Failed to create order')
-    }
-    
+    // Pass backend errors through so clients can tell 401/403 from failures
     const data = await response.json()
-    return NextResponse.json(data)
+    return NextResponse.json(data, { status: response.status })
   } catch (error) {
     console.error('Error creating order:', error)
     return NextResponse.json(
@@ -16,14 +16,14 @@ export async function GET(
       )
     }
     
-    const response = await fetch(`${BACKEND_URL}/api/orders/wallet/${address}`)
-    
-    if (!response.ok) {
-      throw new Error('Failed to fetch orders for wallet')
-    }
+    const response = await fetch(`${BACKEND_URL}/api/orders/wallet/${address}`, {
+      headers: {
+        Authorization: request.headers.get('Authorization') || '',
+      },
+    })
     
     const data = await response.json()
-    return NextResponse.json(data)
+    return NextResponse.json(data, { status: response.status })
   } catch (error) {
     console.error('Error fetching orders for wallet:', error)
     return NextResponse.json(
@@ -5,6 +5,7 @@ import { useAccount, useWaitForTransactionReceipt, useWatchContractEvent } from
 import { useCreateOrder, useERC20, useResolverFee, calculateApprovalAmount, COMMON_TOKENS, formatTokenAmount } from '@/lib/useContracts'
 import { Address } from 'viem'
 import { CONTRACTS } from '@/lib/contracts'
+import { Beneficiary, PayoutMethod, encodeBeneficiary, validateBeneficiary, describeRecipient, newBankSalt } from '@/lib/beneficiary'
 import { YellowWalletIntegration } from '../../yellow/wallet-integration.js'
 import { YellowConnectionIndicator, YellowSessionStatus, PerformanceComparison } from '../../yellow/session-ui.js'
 
@@ -30,13 +31,35 @@ export default function CreateOrder({ onOrderCreated }: CreateOrderProps) {
   })
   
   // Form state
-  const [formData, setFormData] = useState({
+  const initialFormData = {
     amount: '',
     token: COMMON_TOKENS[0].address, // Default to MockUSDC
     startPrice: '',
     endPrice: '',
-    recipientUpiAddress: ''
-  })
+    payoutMethod: 'vpa' as PayoutMethod,
+    recipientUpiAddress: '',
+    bankFallback: false, // UPI orders: allow IMPS/NEFT if the UPI payout fails
+    accountNumber: '',
+    ifsc: '',
+    accountHolderName: ''
+  }
+  const [formData, setFormData] = useState(initialFormData)
+
+  // Typed beneficiary, encoded into the order's on-chain recipient string
+  const beneficiary = useMemo<Beneficiary>(() => {
+    const withBank = formData.payoutMethod === 'bank_account' || formData.bankFallback
+    return {
+      type: formData.payoutMethod,
+      vpa: formData.payoutMethod === 'vpa' ? formData.recipientUpiAddress : null,
+      bankAccount: withBank
+        ? { accountNumber: formData.accountNumber, ifsc: formData.ifsc, name: formData.accountHolderName }
+        : null
+    }
+  }, [formData])
+  // Salts the on-chain bank reference; posted to the backend with the details
+  const [bankSalt, setBankSalt] = useState(newBankSalt)
+  const recipient = encodeBeneficiary(beneficiary, bankSalt)
+  const beneficiaryError = validateBeneficiary(beneficiary)
   
   // Token operations
   const { 
@@ -90,15 +113,16 @@ export default function CreateOrder({ onOrderCreated }: CreateOrderProps) {
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
     const { name, value } = e.target
+    const isCheckbox = e.target instanceof HTMLInputElement && e.target.type === 'checkbox'
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: isCheckbox ? (e.target as HTMLInputElement).checked : value
     }))
   }
 
   const validateForm = (): boolean => {
     // Basic form validation - only check if fields are filled
-    if (!formData.amount || !formData.startPrice || !formData.endPrice || !formData.recipientUpiAddress) {
+    if (!formData.amount || !formData.startPrice || !formData.endPrice || beneficiaryError) {
       return false
     }
     
@@ -174,7 +198,7 @@ export default function CreateOrder({ onOrderCreated }: CreateOrderProps) {
         token: formData.token,
         startPrice: formData.startPrice,
         endPrice: formData.endPrice,
-        recipientUpiAddress: formData.recipientUpiAddress
+        recipient: describeRecipient(recipient)
       })
       
       // Create order on blockchain
@@ -183,7 +207,7 @@ export default function CreateOrder({ onOrderCreated }: CreateOrderProps) {
         token: formData.token as Address,
         startPrice: formData.startPrice,
         endPrice: formData.endPrice,
-        recipientUpiAddress: formData.recipientUpiAddress
+        recipientUpiAddress: recipient
       })
       
       console.log('✅ Order creation transaction submitted successfully')
@@ -250,7 +274,8 @@ export default function CreateOrder({ onOrderCreated }: CreateOrderProps) {
         tokenAddress: formData.token, // Fixed: use tokenAddress instead of token
         startPrice: formData.startPrice,
         endPrice: formData.endPrice,
-        recipientUpiAddress: formData.recipientUpiAddress,
+        recipientUpiAddress: recipient,
+        bankAccount: beneficiary.bankAccount ? { ...beneficiary.bankAccount, salt: bankSalt } : undefined,
         transactionHash: receipt.transactionHash,
         blockNumber: Number(receipt.blockNumber)
       })
@@ -276,7 +301,7 @@ export default function CreateOrder({ onOrderCreated }: CreateOrderProps) {
         setStep('form')
       })
     }
-  }, [isReceiptSuccess, receipt, step, address, formData, saveOrderToDatabase, onOrderCreated])
+  }, [isReceiptSuccess, receipt, step, address, formData, recipient, beneficiary, bankSalt, saveOrderToDatabase, onOrderCreated])
 
   // Listen for OrderFullfilled events
   useWatchContractEvent({
@@ -328,13 +353,8 @@ export default function CreateOrder({ onOrderCreated }: CreateOrderProps) {
   }, [step, orderId, fulfillmentProof])
 
   const resetForm = () => {
-    setFormData({
-      amount: '',
-      token: COMMON_TOKENS[0].address,
-      startPrice: '',
-      endPrice: '',
-      recipientUpiAddress: ''
-    })
+    setFormData(initialFormData)
+    setBankSalt(newBankSalt())
     setStep('form')
     setTxHash('')
     setOrderId('')
@@ -375,7 +395,7 @@ export default function CreateOrder({ onOrderCreated }: CreateOrderProps) {
               <span className="text-blue-700 font-medium">Waiting for payment processing...</span>
             </div>
             <p className="text-sm text-blue-600">
-              A resolver will accept your order and process the UPI payment to {formData.recipientUpiAddress}. 
+              A resolver will accept your order and process the payment to {describeRecipient(recipient)}. 
               You&apos;ll be notified once the payment is complete.
             </p>
           </div>
@@ -426,7 +446,7 @@ export default function CreateOrder({ onOrderCreated }: CreateOrderProps) {
               <p className="font-mono text-sm text-green-700 break-all">{fulfillmentProof}</p>
             </div>
             <p className="text-sm text-green-600 mt-2">
-              ✅ Payment to {formData.recipientUpiAddress} has been successfully processed
+              ✅ Payment to {describeRecipient(recipient)} has been successfully processed
             </p>
           </div>
           
@@ -607,21 +627,86 @@ export default function CreateOrder({ onOrderCreated }: CreateOrderProps) {
           </div>
         )}
 
-        {/* UPI Address */}
+        {/* Payout Method */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-1">
-            Recipient UPI Address
+            Pay Recipient By
           </label>
-          <input
-            type="text"
-            name="recipientUpiAddress"
-            value={formData.recipientUpiAddress}
+          <select
+            name="payoutMethod"
+            value={formData.payoutMethod}
             onChange={handleInputChange}
-            placeholder="user@paytm"
             className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-          />
+          >
+            <option value="vpa">UPI</option>
+            <option value="bank_account">Bank transfer (IMPS/NEFT)</option>
+          </select>
         </div>
 
+        {/* UPI Address */}
+        {formData.payoutMethod === 'vpa' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Recipient UPI Address
+            </label>
+            <input
+              type="text"
+              name="recipientUpiAddress"
+              value={formData.recipientUpiAddress}
+              onChange={handleInputChange}
+              placeholder="user@paytm"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <label className="flex items-center mt-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                name="bankFallback"
+                checked={formData.bankFallback}
+                onChange={handleInputChange}
+                className="mr-2"
+              />
+              Fall back to a bank transfer if UPI fails (limits or bank downtime)
+            </label>
+          </div>
+        )}
+
+        {/* Bank Account */}
+        {(formData.payoutMethod === 'bank_account' || formData.bankFallback) && (
+          <div className="space-y-2">
+            <input
+              type="text"
+              name="accountNumber"
+              value={formData.accountNumber}
+              onChange={handleInputChange}
+              placeholder="Account number"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <input
+              type="text"
+              name="ifsc"
+              value={formData.ifsc}
+              onChange={handleInputChange}
+              placeholder="IFSC (e.g. HDFC0001234)"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <input
+              type="text"
+              name="accountHolderName"
+              value={formData.accountHolderName}
+              onChange={handleInputChange}
+              placeholder="Account holder name"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <p className="text-xs text-gray-500">
+              Bank details are stored with the order on-chain so any resolver can pay them
+            </p>
+          </div>
+        )}
+
+        {beneficiaryError && (formData.recipientUpiAddress || formData.accountNumber) && (
+          <p className="text-sm text-orange-600">{beneficiaryError}</p>
+        )}
+
         {/* Error Messages */}
         {(createOrderError || tokenError) && (
           <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
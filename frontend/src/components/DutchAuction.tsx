@@ -4,6 +4,7 @@ import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
 import { Button } from "./ui/button";
 import { Progress } from "./ui/progress";
 import { Badge } from "./ui/badge";
+import { authHeaders } from "@/lib/auth";
 import { Line } from "react-chartjs-2";
 import {
     Chart as ChartJS,
@@ -29,6 +30,7 @@ ChartJS.register(
 
 interface DutchAuctionProps {
     orderId: string;
+    makerAddress: string; // Starting the auction needs the maker's session
     startPrice: number;
     endPrice: number;
     onAuctionComplete?: (acceptedPrice: number) => void;
@@ -57,6 +59,7 @@ interface FulfillmentData {
 
 const DutchAuction: React.FC<DutchAuctionProps> = ({
     orderId,
+    makerAddress,
     startPrice,
     endPrice,
     onAuctionComplete,
@@ -183,6 +186,7 @@ const DutchAuction: React.FC<DutchAuctionProps> = ({
                 method: "POST",
                 headers: {
                     "Content-Type": "application/json",
+                    ...authHeaders(makerAddress),
                 },
                 body: JSON.stringify({ duration: 5000 }),
             });
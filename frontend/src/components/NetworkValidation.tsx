@@ -1,17 +1,17 @@
 'use client'
 
 import { useAccount, useChainId, useSwitchChain } from 'wagmi'
-import { baseMainnet } from './Providers'
+import { appChain } from './Providers'
 
 export function NetworkValidation({ children }: { children: React.ReactNode }) {
   const { isConnected } = useAccount()
   const chainId = useChainId()
   const { switchChain } = useSwitchChain()
 
-  const isCorrectNetwork = chainId === baseMainnet.id
+  const isCorrectNetwork = chainId === appChain.id
 
   const handleSwitchNetwork = () => {
-    switchChain({ chainId: baseMainnet.id })
+    switchChain({ chainId: appChain.id })
   }
 
   // If not connected, show the app normally
@@ -33,7 +33,7 @@ export function NetworkValidation({ children }: { children: React.ReactNode }) {
               </div>
               <h2 className="text-2xl font-bold text-gray-800 mb-2">Wrong Network Detected</h2>
               <p className="text-gray-600 mb-6">
-                This application only works on <strong>Base Mainnet</strong>. 
+                This application only works on <strong>{appChain.name}</strong>. 
                 Please switch your wallet to the correct network to continue.
               </p>
             </div>
@@ -43,13 +43,13 @@ export function NetworkValidation({ children }: { children: React.ReactNode }) {
                 onClick={handleSwitchNetwork}
                 className="w-full bg-blue-500 text-white py-3 px-6 rounded-lg font-medium hover:bg-blue-600 transition-colors"
               >
-                Switch to Base Mainnet
+                Switch to {appChain.name}
               </button>
               
               <div className="text-sm text-gray-500">
-                <p><strong>Network:</strong> Base Mainnet</p>
-                <p><strong>Chain ID:</strong> 8453</p>
-                <p><strong>Currency:</strong> ETH</p>
+                <p><strong>Network:</strong> {appChain.name}</p>
+                <p><strong>Chain ID:</strong> {appChain.id}</p>
+                <p><strong>Currency:</strong> {appChain.nativeCurrency.symbol}</p>
               </div>
             </div>
           </div>
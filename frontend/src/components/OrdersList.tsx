@@ -3,6 +3,7 @@
 import React, { useState } from 'react'
 import { useAccount } from 'wagmi'
 import { useOrders, useOrderDetails, COMMON_TOKENS } from '@/lib/useContracts'
+import { describeRecipient } from '@/lib/beneficiary'
 import { YellowConnectionIndicator, YellowSessionStatus } from '../../yellow/session-ui.js'
 
 interface DatabaseOrder {
@@ -172,8 +173,8 @@ export default function OrdersList() {
                     <p className="font-medium">₹{order.endPrice}</p>
                   </div>
                   <div>
-                    <p className="text-gray-600">UPI Address</p>
-                    <p className="font-medium break-all">{order.recipientUpiAddress}</p>
+                    <p className="text-gray-600">Recipient</p>
+                    <p className="font-medium break-all">{describeRecipient(order.recipientUpiAddress)}</p>
                   </div>
                   <div>
                     <p className="text-gray-600">Created</p>
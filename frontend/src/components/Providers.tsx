@@ -11,33 +11,31 @@ import {
   QueryClient,
 } from '@tanstack/react-query'
 import { defineChain } from 'viem'
+import { DEPLOYMENT } from '@/lib/contracts'
 
-// Define Base Mainnet chain using viem's defineChain
-export const baseMainnet = defineChain({
-  id: 8453,
-  name: 'Base',
-  nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+// The app's chain, from the deployments registry (NEXT_PUBLIC_CHAIN_ID)
+export const appChain = defineChain({
+  id: DEPLOYMENT.chainId,
+  name: DEPLOYMENT.name,
+  nativeCurrency: DEPLOYMENT.nativeCurrency,
   rpcUrls: {
-    default: { 
+    default: {
       http: [
-        process.env.NEXT_PUBLIC_BASE_RPC_URL || 'https://mainnet.base.org',
-        'https://mainnet.base.org', // Fallback public RPC
-      ] 
+        ...(process.env.NEXT_PUBLIC_RPC_URL ? [process.env.NEXT_PUBLIC_RPC_URL] : []),
+        ...DEPLOYMENT.rpcUrls, // Fallback public RPC
+      ]
     },
   },
   blockExplorers: {
-    default: {
-      name: 'Basescan',
-      url: 'https://basescan.org',
-    },
+    default: DEPLOYMENT.blockExplorer,
   },
-  testnet: false,
+  testnet: DEPLOYMENT.testnet,
 })
 
 const config = getDefaultConfig({
   appName: 'Order Protocol',
   projectId: process.env.NEXT_PUBLIC_WALLET_CONNECT_PROJECT_ID || 'e0e2f0c4b3d3f5a5b5f6a8b1c4d5e7f9',
-  chains: [baseMainnet],
+  chains: [appChain],
   ssr: true,
 })
 
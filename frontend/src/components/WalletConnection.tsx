@@ -1,8 +1,10 @@
 'use client'
 
 import { ConnectButton } from '@rainbow-me/rainbowkit'
-import { useAccount, useBalance, useChainId, useSwitchChain } from 'wagmi'
-import { baseMainnet } from './Providers'
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { useAccount, useBalance, useChainId, useSignMessage, useSwitchChain } from 'wagmi'
+import { appChain } from './Providers'
+import { getSession, signIn } from '@/lib/auth'
 
 export function WalletConnection() {
   const { address, isConnected } = useAccount()
@@ -10,19 +12,54 @@ export function WalletConnection() {
   const { switchChain } = useSwitchChain()
   const { data: balance } = useBalance({
     address: address,
-    chainId: baseMainnet.id,
+    chainId: appChain.id,
   })
 
-  const isCorrectNetwork = chainId === baseMainnet.id
-  // Always show ETH as symbol for Base Mainnet
+  const isCorrectNetwork = chainId === appChain.id
+  const { symbol } = appChain.nativeCurrency
   const balanceFormatted = balance
-    ? `${parseFloat(balance.formatted).toFixed(4)} ETH`
-    : '0.0000 ETH'
+    ? `${parseFloat(balance.formatted).toFixed(4)} ${symbol}`
+    : `0.0000 ${symbol}`
 
   const handleSwitchNetwork = () => {
-    switchChain({ chainId: baseMainnet.id })
+    switchChain({ chainId: appChain.id })
   }
 
+  // SIWE session for wallet-scoped backend routes
+  const { signMessageAsync } = useSignMessage()
+  const [authStatus, setAuthStatus] = useState<'idle' | 'signing' | 'signed-in' | 'error'>('idle')
+  const attemptedAddress = useRef<string | null>(null)
+
+  const handleSignIn = useCallback(async () => {
+    if (!address) return
+
+    setAuthStatus('signing')
+    try {
+      await signIn(address, (message) => signMessageAsync({ message }))
+      setAuthStatus('signed-in')
+    } catch (error) {
+      console.error('Sign-in failed:', error)
+      setAuthStatus('error')
+    }
+  }, [address, signMessageAsync])
+
+  // Sign in automatically once per connected address on the app's chain
+  useEffect(() => {
+    if (!isConnected || !address || !isCorrectNetwork) {
+      attemptedAddress.current = null
+      setAuthStatus('idle')
+      return
+    }
+    if (getSession(address)) {
+      setAuthStatus('signed-in')
+      return
+    }
+    if (attemptedAddress.current === address) return
+
+    attemptedAddress.current = address
+    handleSignIn()
+  }, [isConnected, address, isCorrectNetwork, handleSignIn])
+
   return (
     <div className="flex items-center gap-4">
       {/* Network Warning */}
@@ -34,7 +71,7 @@ export function WalletConnection() {
             onClick={handleSwitchNetwork}
             className="bg-red-500 text-white px-3 py-1 rounded text-sm hover:bg-red-600 transition-colors"
           >
-            Switch to Base Mainnet
+            Switch to {appChain.name}
           </button>
         </div>
       )}
@@ -43,7 +80,29 @@ export function WalletConnection() {
       {isConnected && isCorrectNetwork && (
         <div className="flex items-center gap-2 bg-green-50 border border-green-200 rounded-lg px-3 py-2">
           <div className="w-2 h-2 bg-green-500 rounded-full"></div>
-          <span className="text-green-700 text-sm font-medium">Base Mainnet</span>
+          <span className="text-green-700 text-sm font-medium">{appChain.name}</span>
+          {authStatus === 'signed-in' && (
+            <span className="text-green-600 text-xs">· Signed in</span>
+          )}
+        </div>
+      )}
+
+      {/* Sign-In Status */}
+      {isConnected && isCorrectNetwork && authStatus === 'signing' && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg px-3 py-2">
+          <span className="text-yellow-700 text-sm font-medium">Signing in…</span>
+        </div>
+      )}
+
+      {isConnected && isCorrectNetwork && authStatus === 'error' && (
+        <div className="flex items-center gap-2 bg-red-50 border border-red-200 rounded-lg px-3 py-2">
+          <span className="text-red-700 text-sm font-medium">Not signed in</span>
+          <button
+            onClick={handleSignIn}
+            className="bg-red-500 text-white px-3 py-1 rounded text-sm hover:bg-red-600 transition-colors"
+          >
+            Sign in
+          </button>
         </div>
       )}
 
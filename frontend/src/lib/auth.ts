@@ -0,0 +1,84 @@
+'use client'
+
+import type { Address, Hex } from 'viem'
+import { createSiweMessage } from 'viem/siwe'
+
+// Sign-In With Ethereum sessions for wallet-scoped backend routes. Tokens are
+// short-lived JWTs kept in sessionStorage, one per wallet address.
+
+const STORAGE_PREFIX = 'yupi:session:'
+
+// Fired on window whenever a session is stored or cleared
+export const SESSION_EVENT = 'yupi:session'
+
+export interface Session {
+  token: string
+  address: string
+  expiresAt: string
+}
+
+const storageKey = (address: string) => `${STORAGE_PREFIX}${address.toLowerCase()}`
+
+export function getSession(address?: string): Session | null {
+  if (!address || typeof window === 'undefined') return null
+
+  const stored = window.sessionStorage.getItem(storageKey(address))
+  if (!stored) return null
+
+  const session: Session = JSON.parse(stored)
+  if (new Date(session.expiresAt).getTime() <= Date.now()) {
+    window.sessionStorage.removeItem(storageKey(address))
+    return null
+  }
+  return session
+}
+
+export function clearSession(address: string) {
+  window.sessionStorage.removeItem(storageKey(address))
+  window.dispatchEvent(new Event(SESSION_EVENT))
+}
+
+// Authorization header for the wallet's session, if it has one
+export function authHeaders(address?: string): Record<string, string> {
+  const session = getSession(address)
+  return session ? { Authorization: `Bearer ${session.token}` } : {}
+}
+
+export async function signIn(
+  address: Address,
+  signMessage: (message: string) => Promise<Hex>
+): Promise<Session> {
+  const nonceResponse = await fetch('/api/auth/nonce')
+  if (!nonceResponse.ok) {
+    throw new Error('Failed to get a sign-in nonce')
+  }
+  const { data: nonce } = await nonceResponse.json()
+
+  const message = createSiweMessage({
+    address,
+    chainId: nonce.chainId,
+    domain: window.location.host,
+    nonce: nonce.nonce,
+    statement: nonce.statement,
+    uri: window.location.origin,
+    version: '1',
+  })
+  const signature = await signMessage(message)
+
+  const verifyResponse = await fetch('/api/auth/verify', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ message, signature })
+  })
+  const result = await verifyResponse.json()
+  if (!verifyResponse.ok) {
+    throw new Error(result.message || 'Sign-in was rejected')
+  }
+
+  const session: Session = result.data
+  window.sessionStorage.setItem(storageKey(address), JSON.stringify(session))
+  window.dispatchEvent(new Event(SESSION_EVENT))
+  return session
+}
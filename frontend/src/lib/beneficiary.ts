@@ -0,0 +1,96 @@
+// Order beneficiaries, encoded into the on-chain recipientUpiAddress string.
+// Mirrors payouts/beneficiary.js, which the backend and resolver bot parse with:
+//   alice@upi                      UPI only
+//   bankref:<sha256>               IMPS/NEFT only
+//   alice@upi|bankref:<sha256>     UPI, falling back to IMPS/NEFT
+// Bank details stay off-chain: the order only carries a salted hash of them,
+// and the details and salt are posted to the backend with the order, which
+// releases them to the order's taker alone.
+
+import { sha256, stringToBytes, toHex, type Hex } from 'viem'
+
+export type PayoutMethod = 'vpa' | 'bank_account'
+
+export interface BankAccount {
+  accountNumber: string
+  ifsc: string
+  name: string
+}
+
+export interface Beneficiary {
+  type: PayoutMethod
+  vpa: string | null
+  bankAccount: BankAccount | null // For 'vpa' orders: the IMPS fallback
+}
+
+const VPA_PATTERN = /^[a-zA-Z0-9.\-_]{1,256}@[a-zA-Z][a-zA-Z0-9.\-]{1,64}$/
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/
+const ACCOUNT_NUMBER_PATTERN = /^[0-9A-Za-z]{5,35}$/
+
+/** Returns why a bank account is invalid, or null */
+export function validateBankAccount(account: BankAccount): string | null {
+  if (!ACCOUNT_NUMBER_PATTERN.test(account.accountNumber.trim())) {
+    return 'Enter a valid bank account number'
+  }
+  if (!IFSC_PATTERN.test(account.ifsc.trim().toUpperCase())) {
+    return 'Enter a valid IFSC (e.g. HDFC0001234)'
+  }
+  if (!account.name.trim() || /[|]/.test(account.name)) {
+    return 'Enter the account holder name'
+  }
+  return null
+}
+
+/** Returns why a beneficiary is invalid, or null */
+export function validateBeneficiary(beneficiary: Beneficiary): string | null {
+  if (beneficiary.type === 'vpa' && !VPA_PATTERN.test((beneficiary.vpa || '').trim())) {
+    return 'Enter a valid UPI address (e.g. user@paytm)'
+  }
+  if (beneficiary.type === 'bank_account' && !beneficiary.bankAccount) {
+    return 'Bank account details are required'
+  }
+  return beneficiary.bankAccount ? validateBankAccount(beneficiary.bankAccount) : null
+}
+
+/** Random salt for a bank reference, kept off-chain with the details */
+export function newBankSalt(): Hex {
+  return toHex(crypto.getRandomValues(new Uint8Array(16)))
+}
+
+/** Salted hash of a bank account that goes on-chain instead of its details */
+export function bankAccountRef(account: BankAccount, salt: string): Hex {
+  const preimage = JSON.stringify([
+    account.accountNumber.trim(),
+    account.ifsc.trim().toUpperCase(),
+    account.name.trim(),
+    salt
+  ])
+  return sha256(stringToBytes(preimage))
+}
+
+export function encodeBeneficiary(beneficiary: Beneficiary, salt: string): string {
+  const account = beneficiary.bankAccount
+  const bank = account ? `bankref:${bankAccountRef(account, salt)}` : null
+  if (beneficiary.type === 'bank_account') {
+    return bank || ''
+  }
+  const vpa = (beneficiary.vpa || '').trim()
+  return bank ? `${vpa}|${bank}` : vpa
+}
+
+/** Display form of an on-chain recipient string, masking account numbers */
+export function describeRecipient(recipient: string): string {
+  const describeBank = (segment: string) => {
+    if (segment.startsWith('bankref:')) {
+      return 'a bank account (details held off-chain)'
+    }
+    // Orders created before bank references carry the details in plaintext
+    const [accountNumber = '', ifsc = '', ...name] = segment.slice('bank:'.length).split(':')
+    return `${name.join(':')} (${ifsc} ••••${accountNumber.slice(-4)})`
+  }
+  const [primary, fallback] = recipient.split('|')
+  if (primary.startsWith('bank')) {
+    return describeBank(primary)
+  }
+  return fallback ? `${primary}, or ${describeBank(fallback)} by bank transfer` : primary
+}
@@ -0,0 +1,106 @@
+// Generated by deployments/generate.js from Foundry broadcast/ output
+// and deployments/chains.json. Do not edit: run `npm run deployments`.
+
+export const DEPLOYMENTS = {
+  "defaultChainId": 8453,
+  "chains": {
+    "4801": {
+      "chainId": 4801,
+      "name": "World Chain Sepolia",
+      "network": "worldchain-sepolia",
+      "testnet": true,
+      "nativeCurrency": {
+        "name": "Ether",
+        "symbol": "ETH",
+        "decimals": 18
+      },
+      "rpcUrls": [
+        "https://worldchain-sepolia.g.alchemy.com/public"
+      ],
+      "blockExplorer": {
+        "name": "Worldscan Sepolia",
+        "url": "https://sepolia.worldscan.org"
+      },
+      "contracts": {
+        "MakerRegistry": {
+          "transactionHash": null,
+          "blockNumber": null,
+          "address": "0x819fD6110FC56966F514f9d1adf7E78e0c878790",
+          "source": "chains.json"
+        },
+        "ResolverRegistry": {
+          "transactionHash": null,
+          "blockNumber": null,
+          "address": "0x40F05c21eE1ab02B1Ddc11D327253CEdeE5D7D55",
+          "source": "chains.json"
+        },
+        "OrderProtocol": {
+          "transactionHash": null,
+          "blockNumber": null,
+          "address": "0xC3dd62f9EE406b43A2f463b3a59BEcDC1579933b",
+          "source": "chains.json"
+        }
+      },
+      "tokens": [
+        {
+          "address": "0x32B9dB3C79340317b5F9A33eD2c599e63380283C",
+          "name": "Mock USD Coin",
+          "symbol": "USDC",
+          "decimals": 6
+        }
+      ]
+    },
+    "8453": {
+      "chainId": 8453,
+      "name": "Base",
+      "network": "base",
+      "testnet": false,
+      "nativeCurrency": {
+        "name": "Ether",
+        "symbol": "ETH",
+        "decimals": 18
+      },
+      "rpcUrls": [
+        "https://mainnet.base.org"
+      ],
+      "blockExplorer": {
+        "name": "Basescan",
+        "url": "https://basescan.org"
+      },
+      "contracts": {
+        "MakerRegistry": {
+          "address": "0x2d3864ef59607e77d0041684c28b9230bb72b3bb",
+          "transactionHash": "0xfd89cc7f8542db100b3f89f4870c659420a7910aaaa7378071ce864666d1a175",
+          "blockNumber": 35991915,
+          "source": "broadcast/DeployYellowNetwork.s.sol"
+        },
+        "ResolverRegistry": {
+          "address": "0x9b077955bff0363bc9acf9ae2015286816aed8e4",
+          "transactionHash": "0xeb2a3e7d093754346f483eddc7128a9c1f39c8df48665ac8a9613d7d7d17e017",
+          "blockNumber": 35991915,
+          "source": "broadcast/DeployYellowNetwork.s.sol"
+        },
+        "OrderProtocol": {
+          "address": "0x37fd17f7c301c00d263e573a1bde7ad588d983c5",
+          "transactionHash": "0x1bf8a6caed6eadc5c7c7b507c3543bbfec2f17953022e12aa71b058e065ce8e2",
+          "blockNumber": 35991915,
+          "source": "broadcast/DeployYellowNetwork.s.sol"
+        }
+      },
+      "tokens": [
+        {
+          "address": "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+          "name": "USD Coin",
+          "symbol": "USDC",
+          "decimals": 6
+        },
+        {
+          "address": "0x4200000000000000000000000000000000000006",
+          "name": "Wrapped Ether",
+          "symbol": "WETH",
+          "decimals": 18
+        }
+      ]
+    }
+  }
+} as const
@@ -1,25 +1,17 @@
 'use client'
 
 import { useAccount, useWriteContract, useReadContract } from 'wagmi'
-import { CONTRACTS } from './contracts'
+import { CONTRACTS, DEPLOYMENT } from './contracts'
+import { authHeaders, getSession, SESSION_EVENT } from './auth'
+import type { BankAccount } from './beneficiary'
 import { isAddress, parseUnits, formatUnits, Address } from 'viem'
 import { useMemo, useState, useCallback, useEffect } from 'react'
 
-// Common tokens for Base Mainnet
-export const COMMON_TOKENS = [
-  {
-    address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913' as const,
-    name: 'USD Coin',
-    symbol: 'USDC',
-    decimals: 6
-  },
-  {
-    address: '0x4200000000000000000000000000000000000006' as const,
-    name: 'Wrapped Ether',
-    symbol: 'WETH',
-    decimals: 18
-  }
-]
+// Supported tokens on the app's chain, from the deployments registry
+export const COMMON_TOKENS = DEPLOYMENT.tokens.map((token) => ({
+  ...token,
+  address: token.address as Address,
+}))
 
 interface OrderData {
   amount: string;
@@ -437,6 +429,7 @@ export function useCreateOrder() {
     startPrice: string;
     endPrice: string;
     recipientUpiAddress: string;
+    bankAccount?: BankAccount & { salt: string }; // Off-chain details behind a bankref recipient
     transactionHash: string;
     blockNumber: number;
   }) => {
@@ -445,7 +438,8 @@ export function useCreateOrder() {
       const response = await fetch('/api/orders', {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...authHeaders(orderData.walletAddress)
         },
         body: JSON.stringify(orderData)
       })
@@ -477,14 +471,17 @@ export function useOrders(walletAddress?: Address) {
   const [error, setError] = useState<Error | null>(null)
 
   const fetchOrders = useCallback(async () => {
-    if (!walletAddress) return
+    // Wallet orders need a SIWE session; wait for sign-in
+    if (!walletAddress || !getSession(walletAddress)) return
     
     try {
       setIsLoading(true)
       setError(null)
       
       // Use the Next.js API route which proxies to the backend
-      const response = await fetch(`/api/orders/wallet/${walletAddress}`)
+      const response = await fetch(`/api/orders/wallet/${walletAddress}`, {
+        headers: authHeaders(walletAddress)
+      })
       if (!response.ok) {
         throw new Error('Failed to fetch orders from database')
       }
@@ -500,6 +497,8 @@ export function useOrders(walletAddress?: Address) {
 
   useEffect(() => {
     fetchOrders()
+    window.addEventListener(SESSION_EVENT, fetchOrders)
+    return () => window.removeEventListener(SESSION_EVENT, fetchOrders)
   }, [fetchOrders])
 
   return {
@@ -0,0 +1,318 @@
+/**
+ * Order beneficiaries.
+ *
+ * OrderProtocol stores a single `recipientUpiAddress` string per order, so a
+ * typed beneficiary is encoded into it:
+ *   alice@upi                      UPI only
+ *   bankref:<sha256>               IMPS/NEFT only
+ *   alice@upi|bankref:<sha256>     UPI, falling back to IMPS/NEFT
+ * Plain VPAs keep their old meaning, so existing orders are unaffected.
+ *
+ * Bank account numbers and holder names never go on-chain: `bankref` is a
+ * salted hash of the details (bankAccountRef), which the maker posts to the
+ * backend with the order. The backend keeps them on the Order and hands them
+ * only to the order's taker, who checks them against the on-chain reference
+ * before paying. Orders created before this carry the details in plaintext
+ * (`bank:<account number>:<IFSC>:<name>`); those are still read.
+ *
+ * Parsed, an order beneficiary is
+ *   { type: "vpa" | "bank_account", vpa, bankRef,
+ *     bankAccount: { accountNumber, ifsc, name } }
+ * where `type` is the preferred rail; a "vpa" beneficiary with a bank
+ * account may be paid by bank transfer when UPI fails. For `bankref`
+ * recipients bankAccount stays null until attachBankAccount adds it.
+ */
+
+const crypto = require("crypto");
+const PayoutProvider = require("./payout-provider");
+
+const { checkBeneficiaryFormat } = PayoutProvider;
+
+const BANK_PREFIX = "bank:";
+const BANK_REF_PREFIX = "bankref:";
+const BANK_REF_PATTERN = /^0x[0-9a-f]{64}$/;
+const FALLBACK_SEPARATOR = "|";
+
+// Per-transaction ceilings, in paise
+const UPI_LIMIT_PAISE = 100000 * 100; // ₹1,00,000
+const IMPS_LIMIT_PAISE = 500000 * 100; // ₹5,00,000; NEFT above this
+
+const BANK_MODES = ["IMPS", "NEFT", "RTGS"];
+
+// Failures that say nothing about the recipient, so another rail may work
+const FALLBACK_REASON_PATTERN =
+    /limit|exceed|bank.*(down|offline|unavailable)|downtime|npci|not reachable|temporarily/i;
+
+function parseBankAccount(segment) {
+    const [accountNumber, ifsc, ...name] = segment
+        .slice(BANK_PREFIX.length)
+        .split(":");
+    const bankAccount = {
+        accountNumber: (accountNumber || "").trim(),
+        ifsc: (ifsc || "").trim().toUpperCase(),
+        name: name.join(":").trim(),
+    };
+
+    const formatError = checkBeneficiaryFormat({
+        type: "bank_account",
+        ...bankAccount,
+    });
+    if (formatError) {
+        throw new Error(formatError);
+    }
+    return bankAccount;
+}
+
+function parseBankRef(segment) {
+    const bankRef = segment.slice(BANK_REF_PREFIX.length).trim().toLowerCase();
+    if (!BANK_REF_PATTERN.test(bankRef)) {
+        throw new Error("Bank reference must be a 0x-prefixed sha256 hash");
+    }
+    return bankRef;
+}
+
+// A bank segment of a recipient string: { bankAccount, bankRef }
+function parseBank(segment) {
+    return segment.startsWith(BANK_REF_PREFIX)
+        ? { bankAccount: null, bankRef: parseBankRef(segment) }
+        : { bankAccount: parseBankAccount(segment), bankRef: null };
+}
+
+const isBankSegment = (segment) =>
+    segment.startsWith(BANK_REF_PREFIX) || segment.startsWith(BANK_PREFIX);
+
+/**
+ * Reference to a bank account that goes on-chain instead of its details
+ * @param {Object} bankAccount - { accountNumber, ifsc, name }
+ * @param {string} salt - Random hex kept off-chain with the details, so the
+ *   reference can't be brute-forced from known IFSCs and account numbers
+ * @returns {string} 0x-prefixed sha256 hash
+ */
+function bankAccountRef({ accountNumber, ifsc, name }, salt) {
+    const preimage = JSON.stringify([
+        String(accountNumber).trim(),
+        String(ifsc).trim().toUpperCase(),
+        String(name).trim(),
+        String(salt),
+    ]);
+    return `0x${crypto.createHash("sha256").update(preimage).digest("hex")}`;
+}
+
+/**
+ * Add off-chain bank details to a beneficiary parsed from a `bankref`
+ * recipient, after checking them against the reference
+ * @param {Object} beneficiary - Parsed order beneficiary
+ * @param {Object} bankAccount - { accountNumber, ifsc, name, salt }
+ * @returns {Object} The beneficiary with bankAccount (salt included) set
+ * @throws {Error} If the details are malformed or don't match the reference
+ */
+function attachBankAccount(beneficiary, bankAccount) {
+    if (!beneficiary.bankRef) {
+        throw new Error("Order recipient has no bank reference");
+    }
+    const details = {
+        accountNumber: String(bankAccount.accountNumber || "").trim(),
+        ifsc: String(bankAccount.ifsc || "")
+            .trim()
+            .toUpperCase(),
+        name: String(bankAccount.name || "").trim(),
+    };
+    const formatError = checkBeneficiaryFormat({
+        type: "bank_account",
+        ...details,
+    });
+    if (formatError) {
+        throw new Error(formatError);
+    }
+    if (
+        !bankAccount.salt ||
+        bankAccountRef(details, bankAccount.salt) !== beneficiary.bankRef
+    ) {
+        throw new Error("Bank details do not match the order's bank reference");
+    }
+    return {
+        ...beneficiary,
+        bankAccount: { ...details, salt: bankAccount.salt },
+    };
+}
+
+/**
+ * Parse an order's on-chain recipient string
+ * @param {string} recipient - OrderProtocol recipientUpiAddress
+ * @returns {Object} { type, vpa, bankAccount, bankRef }
+ * @throws {Error} If the string is empty or its bank part is malformed
+ */
+function parseBeneficiary(recipient) {
+    const text = String(recipient || "").trim();
+    if (!text) {
+        throw new Error("Recipient is empty");
+    }
+
+    const [primary, fallback, ...rest] = text.split(FALLBACK_SEPARATOR);
+    if (rest.length > 0) {
+        throw new Error("Recipient has more than one fallback");
+    }
+
+    if (isBankSegment(primary)) {
+        if (fallback !== undefined) {
+            throw new Error("A bank account recipient cannot have a fallback");
+        }
+        return { type: "bank_account", vpa: null, ...parseBank(primary) };
+    }
+
+    if (fallback !== undefined && !isBankSegment(fallback)) {
+        throw new Error("A UPI recipient's fallback must be a bank account");
+    }
+
+    return {
+        type: "vpa",
+        vpa: primary.trim(),
+        ...(fallback
+            ? parseBank(fallback)
+            : { bankAccount: null, bankRef: null }),
+    };
+}
+
+/**
+ * Encode a beneficiary as an on-chain recipient string; a bank account goes
+ * in as its bankAccountRef
+ * @param {Object} beneficiary - { type, vpa, bankAccount }
+ * @param {string} [salt] - Required with a bank account
+ * @returns {string}
+ */
+function encodeBeneficiary({ type, vpa, bankAccount }, salt) {
+    if (bankAccount && !salt) {
+        throw new Error("A salt is required to reference a bank account");
+    }
+    const bank = bankAccount
+        ? `${BANK_REF_PREFIX}${bankAccountRef(bankAccount, salt)}`
+        : null;
+    if (type === "bank_account") {
+        return bank;
+    }
+    return bank ? `${vpa}${FALLBACK_SEPARATOR}${bank}` : vpa;
+}
+
+/**
+ * Bank transfer mode for an amount
+ * @param {number} amountPaise
+ * @returns {string} IMPS or NEFT
+ */
+function bankModeFor(amountPaise) {
+    return amountPaise > IMPS_LIMIT_PAISE ? "NEFT" : "IMPS";
+}
+
+/**
+ * The payouts to try for an order, in order: UPI first when the recipient
+ * has a VPA and the amount is within the UPI limit, then bank transfer
+ * @param {Object} beneficiary - Parsed order beneficiary
+ * @param {number} amountPaise - Payout amount
+ * @returns {Array<Object>} [{ mode, beneficiary }] with provider-ready beneficiaries
+ */
+function planPayouts(beneficiary, amountPaise) {
+    const attempts = [];
+    const account = beneficiary.bankAccount;
+    const bank = account
+        ? {
+              mode: bankModeFor(amountPaise),
+              beneficiary: {
+                  type: "bank_account",
+                  accountNumber: account.accountNumber,
+                  ifsc: account.ifsc,
+                  name: account.name,
+              },
+          }
+        : null;
+
+    if (beneficiary.type === "vpa") {
+        // Over the UPI limit UPI would only fail; go straight to the bank
+        if (amountPaise <= UPI_LIMIT_PAISE || !bank) {
+            attempts.push({
+                mode: "UPI",
+                beneficiary: { type: "vpa", vpa: beneficiary.vpa },
+            });
+        }
+    }
+    if (bank) {
+        attempts.push(bank);
+    }
+    return attempts;
+}
+
+/**
+ * Whether a UPI failure (limit, bank or NPCI downtime) justifies retrying by
+ * bank transfer
+ * @param {string} reason - Provider failure reason
+ * @returns {boolean}
+ */
+function shouldFallBack(reason) {
+    return FALLBACK_REASON_PATTERN.test(String(reason || ""));
+}
+
+/**
+ * Whether a payout was made to the order's beneficiary over a matching rail:
+ * UPI to its VPA, or IMPS/NEFT/RTGS to its bank account
+ * @param {Object} beneficiary - Parsed order beneficiary
+ * @param {Object} payout - Normalized payout with beneficiary
+ * @returns {boolean}
+ */
+function payoutMatchesBeneficiary(beneficiary, payout) {
+    const paidTo = payout.beneficiary;
+    if (!paidTo) return false;
+
+    if (paidTo.type === "vpa") {
+        return (
+            payout.mode === "UPI" &&
+            !!beneficiary.vpa &&
+            !!paidTo.vpa &&
+            paidTo.vpa.trim().toLowerCase() ===
+                beneficiary.vpa.trim().toLowerCase()
+        );
+    }
+
+    if (paidTo.type === "bank_account") {
+        const expected = beneficiary.bankAccount;
+        const actual = paidTo.bankAccount;
+        return (
+            BANK_MODES.includes(payout.mode) &&
+            !!expected &&
+            !!actual &&
+            String(actual.accountNumber) === expected.accountNumber &&
+            String(actual.ifsc).toUpperCase() === expected.ifsc
+        );
+    }
+
+    return false;
+}
+
+/**
+ * Short human-readable form, e.g. "alice@upi (bank fallback ••••7890)"
+ */
+function describeBeneficiary(beneficiary) {
+    const bank = beneficiary.bankAccount
+        ? `${beneficiary.bankAccount.ifsc} ••••${beneficiary.bankAccount.accountNumber.slice(-4)}`
+        : beneficiary.bankRef
+          ? `ref ${beneficiary.bankRef.slice(0, 10)}…`
+          : null;
+    if (beneficiary.type === "bank_account") {
+        return beneficiary.bankAccount
+            ? `${beneficiary.bankAccount.name} (${bank})`
+            : `bank account (${bank})`;
+    }
+    return bank ? `${beneficiary.vpa} (bank fallback ${bank})` : beneficiary.vpa;
+}
+
+module.exports = {
+    UPI_LIMIT_PAISE,
+    IMPS_LIMIT_PAISE,
+    BANK_MODES,
+    parseBeneficiary,
+    encodeBeneficiary,
+    bankAccountRef,
+    attachBankAccount,
+    bankModeFor,
+    planPayouts,
+    shouldFallBack,
+    payoutMatchesBeneficiary,
+    describeBeneficiary,
+};
@@ -0,0 +1,68 @@
+const PayoutProvider = require("./payout-provider");
+const RazorpayXPayoutProvider = require("./providers/razorpayx-provider");
+const MockPayoutProvider = require("./providers/mock-provider");
+const beneficiary = require("./beneficiary");
+const money = require("./money");
+
+const PROVIDERS = {
+    razorpayx: RazorpayXPayoutProvider,
+    mock: MockPayoutProvider,
+};
+
+/**
+ * Build the payout provider named by `options.provider` or PAYOUT_PROVIDER
+ * (razorpayx by default). The mock reads MOCK_PAYOUT_BALANCE (rupees),
+ * MOCK_PAYOUT_DELAY_MS, MOCK_PAYOUT_STATE_FILE, MOCK_PAYOUT_INVALID_VPAS
+ * and MOCK_PAYOUT_FAIL when the matching option is not given.
+ * @param {Object} [options] - Provider options
+ * @returns {PayoutProvider}
+ */
+function createPayoutProvider(options = {}) {
+    const name = (
+        options.provider ||
+        process.env.PAYOUT_PROVIDER ||
+        "razorpayx"
+    ).toLowerCase();
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(
+            `Unknown payout provider "${name}" (expected one of: ${Object.keys(
+                PROVIDERS
+            ).join(", ")})`
+        );
+    }
+
+    if (Provider !== MockPayoutProvider) {
+        return new Provider(options);
+    }
+
+    const balance = parseFloat(process.env.MOCK_PAYOUT_BALANCE);
+    const provider = new MockPayoutProvider({
+        balance: Number.isNaN(balance) ? undefined : Math.round(balance * 100),
+        processingDelay: parseInt(process.env.MOCK_PAYOUT_DELAY_MS) || 0,
+        stateFile: process.env.MOCK_PAYOUT_STATE_FILE,
+        invalidVpas: (process.env.MOCK_PAYOUT_INVALID_VPAS || "")
+            .split(",")
+            .map((vpa) => vpa.trim())
+            .filter(Boolean),
+        ...options,
+    });
+    MockPayoutProvider.applyScriptedFailures(
+        provider,
+        process.env.MOCK_PAYOUT_FAIL || ""
+    );
+    return provider;
+}
+
+module.exports = {
+    PayoutProvider,
+    PayoutProviderError: PayoutProvider.PayoutProviderError,
+    RazorpayXPayoutProvider,
+    MockPayoutProvider,
+    PAYOUT_STATUSES: PayoutProvider.PAYOUT_STATUSES,
+    FAILED_PAYOUT_STATUSES: PayoutProvider.FAILED_PAYOUT_STATUSES,
+    checkBeneficiaryFormat: PayoutProvider.checkBeneficiaryFormat,
+    createPayoutProvider,
+    ...beneficiary,
+    ...money,
+};
@@ -0,0 +1,142 @@
+/**
+ * Exact money arithmetic for OrderProtocol amounts.
+ *
+ * The contract stores INR amounts and INR-per-token prices with 18 decimals
+ * (OrderProtocol.PRECISION); RazorpayX works in paise. Everything here is
+ * BigInt so no value passes through a float. Shared by the backend and the
+ * resolver bot, so a payout is sized and validated with the same rounding.
+ */
+
+const INR_DECIMALS = 18;
+const PRECISION = 10n ** BigInt(INR_DECIMALS);
+const PAISE_PER_RUPEE = 100n;
+const WEI_PER_PAISE = PRECISION / PAISE_PER_RUPEE;
+const BPS_DENOMINATOR = 10000n;
+
+/**
+ * Parse a decimal rupee string ("1250.5") into 18-decimal INR
+ * @param {string|number} value - Rupees
+ * @returns {bigint}
+ */
+function parseInr(value) {
+    const text = String(value).trim();
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+    if (!match) {
+        throw new Error(`Invalid INR amount: ${value}`);
+    }
+    const [, whole, fraction = ""] = match;
+    if (fraction.length > INR_DECIMALS) {
+        throw new Error(
+            `INR amount ${value} has more than ${INR_DECIMALS} decimals`
+        );
+    }
+    return (
+        BigInt(whole) * PRECISION +
+        BigInt(fraction.padEnd(INR_DECIMALS, "0") || "0")
+    );
+}
+
+/**
+ * Format 18-decimal INR as a rupee string with at least two decimals
+ * @param {string|bigint} amount - INR (18 decimals)
+ * @returns {string} e.g. "1250.50"
+ */
+function formatInr(amount) {
+    const value = BigInt(amount);
+    const whole = value / PRECISION;
+    const fraction = (value % PRECISION)
+        .toString()
+        .padStart(INR_DECIMALS, "0")
+        .replace(/0+$/, "")
+        .padEnd(2, "0");
+    return `${whole}.${fraction}`;
+}
+
+/**
+ * Convert 18-decimal INR to paise. Sub-paise remainders are rounded half up,
+ * as the resolver does when sizing the payout; pass { exact: true } to
+ * reject them instead.
+ * @param {string|bigint} amount - INR (18 decimals)
+ * @param {Object} [options]
+ * @param {boolean} [options.exact] - Throw if the amount is not whole paise
+ * @returns {bigint}
+ */
+function inrToPaise(amount, { exact = false } = {}) {
+    const value = BigInt(amount);
+    if (value < 0n) {
+        throw new Error("INR amount must not be negative");
+    }
+    const paise = value / WEI_PER_PAISE;
+    const remainder = value % WEI_PER_PAISE;
+    if (remainder === 0n) {
+        return paise;
+    }
+    if (exact) {
+        throw new Error(
+            `INR amount ${formatInr(value)} is not a whole number of paise`
+        );
+    }
+    return remainder * 2n >= WEI_PER_PAISE ? paise + 1n : paise;
+}
+
+/**
+ * Convert paise to 18-decimal INR
+ * @param {string|number|bigint} paise
+ * @returns {bigint}
+ */
+function paiseToInr(paise) {
+    return BigInt(paise) * WEI_PER_PAISE;
+}
+
+/**
+ * Format paise as a rupee string
+ * @param {string|number|bigint} paise
+ * @returns {string} e.g. "1250.50"
+ */
+function formatPaise(paise) {
+    const value = BigInt(paise);
+    return `${value / PAISE_PER_RUPEE}.${(value % PAISE_PER_RUPEE)
+        .toString()
+        .padStart(2, "0")}`;
+}
+
+/**
+ * Token amount for an INR amount at a price, mirroring
+ * OrderProtocol._calculateTokenAmount (rounds down)
+ * @param {string|bigint} inrAmount - INR (18 decimals)
+ * @param {string|bigint} priceInrPerToken - INR per token (18 decimals)
+ * @param {number} tokenDecimals - Token decimals
+ * @returns {bigint} Token base units
+ */
+function tokenAmountForInr(inrAmount, priceInrPerToken, tokenDecimals) {
+    const price = BigInt(priceInrPerToken);
+    if (price === 0n) {
+        throw new Error("Price must be greater than zero");
+    }
+    return (BigInt(inrAmount) * 10n ** BigInt(tokenDecimals)) / price;
+}
+
+/**
+ * Basis-point share of an amount, rounded down like
+ * OrderProtocol._calculateResolverFee
+ * @param {string|bigint} amount - Base units
+ * @param {number|bigint} feeBps - Share in basis points
+ * @returns {bigint}
+ */
+function applyBps(amount, feeBps) {
+    return (BigInt(amount) * BigInt(feeBps)) / BPS_DENOMINATOR;
+}
+
+module.exports = {
+    INR_DECIMALS,
+    PRECISION,
+    WEI_PER_PAISE,
+    BPS_DENOMINATOR,
+    parseInr,
+    formatInr,
+    inrToPaise,
+    paiseToInr,
+    formatPaise,
+    tokenAmountForInr,
+    applyBps,
+};
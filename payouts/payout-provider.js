@@ -0,0 +1,175 @@
+/**
+ * Payout provider interface shared by the resolver bot (which pays order
+ * recipients) and the backend (which verifies those payouts as proofs).
+ *
+ * Amounts are always integer paise. Payouts are returned in one normalized
+ * shape whatever the provider:
+ *   {
+ *     id, status, amount, currency, mode,
+ *     beneficiaryId, beneficiary,   // beneficiary only when requested
+ *     referenceId, orderId, utr, failureReason,
+ *     fees, tax, createdAt,         // createdAt in unix seconds
+ *     raw                           // provider response
+ *   }
+ * Beneficiaries are typed:
+ *   { type: "vpa", vpa }
+ *   { type: "bank_account", accountNumber, ifsc, name }
+ */
+
+const PAYOUT_STATUSES = [
+    "queued",
+    "pending",
+    "processing",
+    "processed",
+    "reversed",
+    "cancelled",
+    "rejected",
+    "failed",
+];
+
+// Terminal statuses in which the recipient did not (or no longer) get paid
+const FAILED_PAYOUT_STATUSES = ["reversed", "cancelled", "rejected", "failed"];
+
+const BENEFICIARY_TYPES = ["vpa", "bank_account"];
+
+const VPA_PATTERN = /^[a-zA-Z0-9.\-_]{1,256}@[a-zA-Z][a-zA-Z0-9.\-]{1,64}$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_PATTERN = /^[0-9A-Za-z]{5,35}$/;
+
+class PayoutProviderError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {string} [options.code] - Provider or transport error code
+     * @param {number} [options.status] - HTTP status, if any
+     * @param {Object} [options.details] - Raw provider error body
+     */
+    constructor(message, { code = "PROVIDER_ERROR", status, details } = {}) {
+        super(message);
+        this.name = "PayoutProviderError";
+        this.code = code;
+        this.status = status ?? null;
+        this.details = details ?? null;
+    }
+}
+
+/**
+ * Check a beneficiary's type and format without calling a provider
+ * @param {Object} beneficiary - { type, vpa } or { type, accountNumber, ifsc, name }
+ * @returns {string|null} Why the beneficiary is invalid, or null
+ */
+function checkBeneficiaryFormat(beneficiary) {
+    if (!beneficiary || !BENEFICIARY_TYPES.includes(beneficiary.type)) {
+        return `Unsupported beneficiary type: ${beneficiary?.type}`;
+    }
+
+    if (beneficiary.type === "vpa") {
+        return VPA_PATTERN.test(String(beneficiary.vpa || "").trim())
+            ? null
+            : `Invalid UPI address: ${beneficiary.vpa}`;
+    }
+
+    if (!ACCOUNT_NUMBER_PATTERN.test(String(beneficiary.accountNumber || ""))) {
+        return "Invalid bank account number";
+    }
+    if (!IFSC_PATTERN.test(String(beneficiary.ifsc || "").toUpperCase())) {
+        return `Invalid IFSC: ${beneficiary.ifsc}`;
+    }
+    if (!beneficiary.name) {
+        return "Bank account holder name is required";
+    }
+    return null;
+}
+
+/**
+ * Base class for payout providers. Subclasses implement every method below.
+ */
+class PayoutProvider {
+    constructor(options = {}) {
+        this.name = options.name || "payout";
+    }
+
+    /**
+     * Create the contact (the person) a beneficiary belongs to
+     * @param {Object} [options] - { name, reference, notes }
+     * @returns {Promise<Object>} { contactId }
+     */
+    async createContact(options = {}) {
+        throw new Error(`${this.name} does not implement createContact`);
+    }
+
+    /**
+     * Register a recipient so payouts can be sent to it
+     * @param {Object} beneficiary - Typed beneficiary
+     * @param {Object} [options] - { name, reference, notes } for the contact,
+     *   or { contactId } to add the recipient to an existing contact
+     * @returns {Promise<Object>} { beneficiaryId, contactId, type, vpa, bankAccount }
+     */
+    async createBeneficiary(beneficiary, options = {}) {
+        throw new Error(`${this.name} does not implement createBeneficiary`);
+    }
+
+    /**
+     * Check that a recipient exists and can receive payouts
+     * @param {Object} beneficiary - Typed beneficiary, with its beneficiaryId
+     *   (and contactId) when it is already registered
+     * @returns {Promise<Object>} { valid, pending, accountName, reason }, plus
+     *   { beneficiaryId, contactId } when the provider registered the recipient
+     *   to validate it, and { validationId } while pending
+     */
+    async validateBeneficiary(beneficiary) {
+        throw new Error(`${this.name} does not implement validateBeneficiary`);
+    }
+
+    /**
+     * Current result of a validation that was pending
+     * @param {string} validationId - From validateBeneficiary
+     * @returns {Promise<Object>} Same shape as validateBeneficiary
+     */
+    async getValidation(validationId) {
+        throw new Error(`${this.name} does not implement getValidation`);
+    }
+
+    /**
+     * Send money to a beneficiary
+     * @param {Object} params
+     * @param {string} params.beneficiaryId - From createBeneficiary
+     * @param {number} params.amountPaise - Amount in paise
+     * @param {string} params.orderId - Order the payout pays for
+     * @param {string} [params.mode] - UPI / IMPS / NEFT / RTGS
+     * @param {string} [params.referenceId] - Provider reference (defaults to orderId)
+     * @param {string} [params.narration] - Bank statement narration
+     * @param {string} [params.idempotencyKey] - Repeat-safe key
+     * @param {Object} [params.notes] - Extra notes (notes.order_id is always set)
+     * @returns {Promise<Object>} Normalized payout
+     */
+    async createPayout(params) {
+        throw new Error(`${this.name} does not implement createPayout`);
+    }
+
+    /**
+     * Fetch a payout's current state
+     * @param {string} payoutId - Provider payout ID
+     * @param {Object} [options] - { withBeneficiary } also resolves the recipient
+     * @returns {Promise<Object>} Normalized payout
+     */
+    async getPayoutStatus(payoutId, options = {}) {
+        throw new Error(`${this.name} does not implement getPayoutStatus`);
+    }
+
+    /**
+     * Balance available for payouts
+     * @returns {Promise<Object>} { balance, currency } (balance in paise)
+     */
+    async getBalance() {
+        throw new Error(`${this.name} does not implement getBalance`);
+    }
+}
+
+PayoutProvider.PAYOUT_STATUSES = PAYOUT_STATUSES;
+PayoutProvider.FAILED_PAYOUT_STATUSES = FAILED_PAYOUT_STATUSES;
+PayoutProvider.BENEFICIARY_TYPES = BENEFICIARY_TYPES;
+PayoutProvider.PayoutProviderError = PayoutProviderError;
+PayoutProvider.checkBeneficiaryFormat = checkBeneficiaryFormat;
+
+module.exports = PayoutProvider;
@@ -0,0 +1,359 @@
+const fs = require("fs");
+const PayoutProvider = require("../payout-provider");
+
+const { PayoutProviderError, checkBeneficiaryFormat } = PayoutProvider;
+
+/**
+ * Deterministic in-process payout provider for tests and local setups.
+ *
+ * IDs are sequential (pout_mock00000001, ...) and time comes from `now`, so
+ * runs are repeatable. A payout is "processing" for `processingDelay` ms and
+ * then "processed" (or whatever outcome was scripted with failNextPayout).
+ * Payouts above the balance are "queued" until the balance covers them.
+ *
+ * With `stateFile`, state is kept in a JSON file that every call re-reads,
+ * so the resolver bot and the backend can share one mock across processes.
+ */
+class MockPayoutProvider extends PayoutProvider {
+    constructor(options = {}) {
+        super({ name: options.name || "mock" });
+        this.processingDelay = options.processingDelay || 0;
+        this.now = options.now || Date.now;
+        this.stateFile = options.stateFile || null;
+        this.invalidVpas = new Set(
+            (options.invalidVpas || []).map((vpa) => vpa.toLowerCase())
+        );
+        this.failures = {}; // method -> [error messages]
+        this.outcomes = []; // scripted final statuses for the next payouts
+        this.state = {
+            sequence: 0,
+            balance: options.balance ?? 10000000, // paise (₹1,00,000)
+            beneficiaries: {},
+            payouts: {},
+            idempotencyKeys: {},
+        };
+
+        if (this.stateFile && fs.existsSync(this.stateFile)) {
+            this.load();
+        } else {
+            this.save();
+        }
+    }
+
+    /** Make the next `count` calls to a method throw */
+    failNext(method, error = "mock failure", count = 1) {
+        this.failures[method] = this.failures[method] || [];
+        for (let i = 0; i < count; i++) this.failures[method].push(error);
+    }
+
+    /** End the next `count` payouts in `status` (failed / reversed / ...) */
+    failNextPayout(status = "failed", reason = "mock failure", count = 1) {
+        for (let i = 0; i < count; i++) this.outcomes.push({ status, reason });
+    }
+
+    /** Force a payout's status, e.g. to reverse a processed payout */
+    setPayoutStatus(payoutId, status, reason = null) {
+        this.load();
+        const payout = this.state.payouts[payoutId];
+        if (!payout) {
+            throw new Error(`Unknown payout ${payoutId}`);
+        }
+        this.finish(payout, status, reason);
+        this.save();
+    }
+
+    setBalance(paise) {
+        this.load();
+        this.state.balance = paise;
+        this.save();
+    }
+
+    async createContact(options = {}) {
+        this.checkFailure("createContact");
+        this.load();
+        const contactId = `cont_mock${this.nextSequence()}`;
+        this.save();
+        return { contactId };
+    }
+
+    async createBeneficiary(beneficiary, options = {}) {
+        this.checkFailure("createBeneficiary");
+        const formatError = checkBeneficiaryFormat(beneficiary);
+        if (formatError) {
+            throw new PayoutProviderError(formatError, {
+                code: "INVALID_BENEFICIARY",
+            });
+        }
+
+        this.load();
+        const sequence = this.nextSequence();
+        const record = {
+            beneficiaryId: `fa_mock${sequence}`,
+            contactId: options.contactId || `cont_mock${sequence}`,
+            ...normalizeBeneficiary(beneficiary),
+            reference: options.reference || null,
+        };
+        this.state.beneficiaries[record.beneficiaryId] = record;
+        this.save();
+
+        const { reference, ...result } = record;
+        return result;
+    }
+
+    async validateBeneficiary(beneficiary) {
+        this.checkFailure("validateBeneficiary");
+        this.load();
+
+        if (beneficiary.beneficiaryId) {
+            beneficiary = this.state.beneficiaries[beneficiary.beneficiaryId];
+            if (!beneficiary) {
+                return { valid: false, pending: false, reason: "Unknown beneficiary" };
+            }
+        }
+
+        const formatError = checkBeneficiaryFormat(
+            beneficiary.type === "bank_account" && beneficiary.bankAccount
+                ? { type: "bank_account", ...beneficiary.bankAccount }
+                : beneficiary
+        );
+        if (formatError) {
+            return { valid: false, pending: false, reason: formatError };
+        }
+        if (
+            beneficiary.type === "vpa" &&
+            this.invalidVpas.has(beneficiary.vpa.trim().toLowerCase())
+        ) {
+            return {
+                valid: false,
+                pending: false,
+                reason: `UPI address ${beneficiary.vpa} does not exist`,
+            };
+        }
+
+        return {
+            valid: true,
+            pending: false,
+            beneficiaryId: beneficiary.beneficiaryId || null,
+            accountName: beneficiary.bankAccount?.name || "Mock Recipient",
+            reason: null,
+        };
+    }
+
+    // Mock validations complete immediately, so none is ever pending
+    async getValidation(validationId) {
+        this.checkFailure("getValidation");
+        throw new PayoutProviderError(`Unknown validation ${validationId}`, {
+            code: "NOT_FOUND",
+            status: 404,
+        });
+    }
+
+    async createPayout({
+        beneficiaryId,
+        amountPaise,
+        orderId,
+        mode = "UPI",
+        referenceId,
+        idempotencyKey,
+        notes = {},
+    }) {
+        this.checkFailure("createPayout");
+        this.load();
+
+        if (idempotencyKey && this.state.idempotencyKeys[idempotencyKey]) {
+            return this.getPayoutStatus(
+                this.state.idempotencyKeys[idempotencyKey]
+            );
+        }
+
+        const beneficiary = this.state.beneficiaries[beneficiaryId];
+        if (!beneficiary) {
+            throw new PayoutProviderError(
+                `Fund account ${beneficiaryId} does not exist`,
+                { code: "BAD_REQUEST_ERROR", status: 400 }
+            );
+        }
+        if (!Number.isInteger(amountPaise) || amountPaise <= 0) {
+            throw new PayoutProviderError(`Invalid amount: ${amountPaise}`, {
+                code: "BAD_REQUEST_ERROR",
+                status: 400,
+            });
+        }
+
+        const sequence = this.nextSequence();
+        const payout = {
+            id: `pout_mock${sequence}`,
+            status: "queued",
+            amount: amountPaise,
+            currency: "INR",
+            mode,
+            beneficiaryId,
+            referenceId: referenceId || orderId,
+            orderId,
+            notes: { ...notes, order_id: orderId },
+            utr: null,
+            failureReason: null,
+            outcome: this.outcomes.shift() || null,
+            createdAt: Math.floor(this.now() / 1000),
+            startedAt: null,
+        };
+        this.state.payouts[payout.id] = payout;
+        if (idempotencyKey) {
+            this.state.idempotencyKeys[idempotencyKey] = payout.id;
+        }
+        this.advance(payout);
+        this.save();
+
+        return this.toPayout(payout);
+    }
+
+    async getPayoutStatus(payoutId, { withBeneficiary = false } = {}) {
+        this.checkFailure("getPayoutStatus");
+        this.load();
+
+        const payout = this.state.payouts[payoutId];
+        if (!payout) {
+            throw new PayoutProviderError(`Payout ${payoutId} does not exist`, {
+                code: "BAD_REQUEST_ERROR",
+                status: 400,
+            });
+        }
+        this.advance(payout);
+        this.save();
+
+        return this.toPayout(payout, withBeneficiary);
+    }
+
+    async getBalance() {
+        this.checkFailure("getBalance");
+        this.load();
+        return { balance: this.state.balance, currency: "INR" };
+    }
+
+    /**
+     * Move a payout along its lifecycle: queued until the balance covers
+     * it, then processing for `processingDelay` ms, then its outcome
+     */
+    advance(payout) {
+        if (payout.status === "queued" && this.state.balance >= payout.amount) {
+            this.state.balance -= payout.amount;
+            payout.status = "processing";
+            payout.startedAt = this.now();
+        }
+
+        if (
+            payout.status === "processing" &&
+            this.now() - payout.startedAt >= this.processingDelay
+        ) {
+            const { status, reason } = payout.outcome || {
+                status: "processed",
+            };
+            this.finish(payout, status, reason);
+        }
+    }
+
+    finish(payout, status, reason = null) {
+        const wasDebited = ["processing", "processed"].includes(payout.status);
+        payout.status = status;
+        if (status === "processed") {
+            payout.utr = payout.utr || `MOCKUTR${payout.id.slice(-8)}`;
+        } else if (PayoutProvider.FAILED_PAYOUT_STATUSES.includes(status)) {
+            payout.failureReason = reason;
+            if (wasDebited) {
+                this.state.balance += payout.amount;
+            }
+        }
+    }
+
+    toPayout(payout, withBeneficiary = false) {
+        const beneficiary = withBeneficiary
+            ? this.state.beneficiaries[payout.beneficiaryId]
+            : null;
+        return {
+            id: payout.id,
+            status: payout.status,
+            amount: payout.amount,
+            currency: payout.currency,
+            mode: payout.mode,
+            beneficiaryId: payout.beneficiaryId,
+            beneficiary: beneficiary
+                ? {
+                      type: beneficiary.type,
+                      vpa: beneficiary.vpa,
+                      bankAccount: beneficiary.bankAccount,
+                  }
+                : null,
+            referenceId: payout.referenceId,
+            orderId: payout.orderId,
+            utr: payout.utr,
+            failureReason: payout.failureReason,
+            fees: 0,
+            tax: 0,
+            createdAt: payout.createdAt,
+            raw: { ...payout },
+        };
+    }
+
+    checkFailure(method) {
+        const failures = this.failures[method];
+        if (failures && failures.length > 0) {
+            throw new PayoutProviderError(failures.shift(), {
+                code: "MOCK_FAILURE",
+            });
+        }
+    }
+
+    nextSequence() {
+        this.state.sequence += 1;
+        return String(this.state.sequence).padStart(8, "0");
+    }
+
+    load() {
+        if (this.stateFile && fs.existsSync(this.stateFile)) {
+            this.state = JSON.parse(fs.readFileSync(this.stateFile, "utf8"));
+        }
+    }
+
+    save() {
+        if (this.stateFile) {
+            fs.writeFileSync(this.stateFile, JSON.stringify(this.state, null, 2));
+        }
+    }
+}
+
+function normalizeBeneficiary(beneficiary) {
+    if (beneficiary.type === "vpa") {
+        return { type: "vpa", vpa: beneficiary.vpa.trim() };
+    }
+    return {
+        type: "bank_account",
+        bankAccount: {
+            accountNumber: beneficiary.accountNumber,
+            ifsc: beneficiary.ifsc.toUpperCase(),
+            name: beneficiary.name,
+        },
+    };
+}
+
+/**
+ * Scripted failures from MOCK_PAYOUT_FAIL, e.g.
+ * "createBeneficiary:timeout,failed:INSUFFICIENT_FUNDS" fails the next
+ * createBeneficiary call and ends the next payout in "failed". Entries named
+ * after a payout status script that payout's outcome; anything else is a
+ * provider method.
+ */
+function applyScriptedFailures(provider, spec) {
+    for (const entry of spec.split(",").filter(Boolean)) {
+        const [name, ...error] = entry.trim().split(":");
+        const reason = error.join(":") || undefined;
+        if (PayoutProvider.FAILED_PAYOUT_STATUSES.includes(name)) {
+            provider.failNextPayout(name, reason);
+        } else {
+            provider.failNext(name, reason);
+        }
+    }
+}
+
+MockPayoutProvider.applyScriptedFailures = applyScriptedFailures;
+
+module.exports = MockPayoutProvider;
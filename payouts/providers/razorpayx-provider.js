@@ -0,0 +1,302 @@
+const crypto = require("crypto");
+const PayoutProvider = require("../payout-provider");
+
+const { PayoutProviderError, checkBeneficiaryFormat } = PayoutProvider;
+
+const DEFAULT_BASE_URL = "https://api.razorpay.com/v1";
+
+// RazorpayX caps reference_id at 40 characters
+const MAX_REFERENCE_LENGTH = 40;
+
+/**
+ * RazorpayX payout provider.
+ *
+ * A beneficiary is a RazorpayX contact plus a fund account (`vpa` or
+ * `bank_account`); its beneficiaryId is the fund account ID. Payouts are
+ * queued if the account balance is low rather than rejected.
+ */
+class RazorpayXPayoutProvider extends PayoutProvider {
+    constructor(options = {}) {
+        super({ name: options.name || "razorpayx" });
+        this.keyId = options.keyId || process.env.RAZORPAYX_KEY_ID;
+        this.keySecret = options.keySecret || process.env.RAZORPAYX_KEY_SECRET;
+        this.accountNumber =
+            options.accountNumber || process.env.RAZORPAYX_ACCOUNT_NUMBER;
+        this.baseURL =
+            options.baseURL || process.env.RAZORPAYX_BASE_URL || DEFAULT_BASE_URL;
+        this.timeout = options.timeout || 30000;
+        // Built-in fetch keeps this module free of package dependencies, so
+        // the bot and the backend can both load it from the repository root
+        this.fetch = options.fetch || globalThis.fetch;
+    }
+
+    /**
+     * Basic base64(key_id:key_secret)
+     */
+    getAuthHeader() {
+        const credentials = `${this.keyId}:${this.keySecret}`;
+        return `Basic ${Buffer.from(credentials).toString("base64")}`;
+    }
+
+    async request(method, path, { data, params, headers = {} } = {}) {
+        const url = new URL(`${this.baseURL}${path}`);
+        for (const [key, value] of Object.entries(params || {})) {
+            if (value !== undefined) url.searchParams.set(key, value);
+        }
+
+        let response;
+        try {
+            response = await this.fetch(url, {
+                method,
+                body: data ? JSON.stringify(data) : undefined,
+                headers: {
+                    Authorization: this.getAuthHeader(),
+                    "Content-Type": "application/json",
+                    ...headers,
+                },
+                signal: AbortSignal.timeout(this.timeout),
+            });
+        } catch (error) {
+            throw new PayoutProviderError(error.message, {
+                code: error.name === "TimeoutError" ? "TIMEOUT" : "NETWORK_ERROR",
+            });
+        }
+
+        const body = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new PayoutProviderError(
+                body?.error?.description ||
+                    body?.message ||
+                    `RazorpayX API error ${response.status}`,
+                {
+                    code: body?.error?.code || `HTTP_${response.status}`,
+                    status: response.status,
+                    details: body,
+                }
+            );
+        }
+        return body;
+    }
+
+    async createContact(options = {}) {
+        const contact = await this.request("POST", "/contacts", {
+            data: {
+                name: options.name || "Order Recipient",
+                email: "order@yourapp.com",
+                contact: "9999999999",
+                type: "self",
+                reference_id: options.reference
+                    ? options.reference.slice(0, MAX_REFERENCE_LENGTH)
+                    : undefined,
+                notes: options.notes || {},
+            },
+        });
+        return { contactId: contact.id };
+    }
+
+    async createBeneficiary(beneficiary, options = {}) {
+        const formatError = checkBeneficiaryFormat(beneficiary);
+        if (formatError) {
+            throw new PayoutProviderError(formatError, {
+                code: "INVALID_BENEFICIARY",
+            });
+        }
+
+        const contactId =
+            options.contactId || (await this.createContact(options)).contactId;
+
+        const fundAccount = await this.request("POST", "/fund_accounts", {
+            data:
+                beneficiary.type === "vpa"
+                    ? {
+                          contact_id: contactId,
+                          account_type: "vpa",
+                          vpa: { address: beneficiary.vpa.trim() },
+                      }
+                    : {
+                          contact_id: contactId,
+                          account_type: "bank_account",
+                          bank_account: {
+                              name: beneficiary.name,
+                              ifsc: beneficiary.ifsc.toUpperCase(),
+                              account_number: beneficiary.accountNumber,
+                          },
+                      },
+        });
+
+        return {
+            beneficiaryId: fundAccount.id,
+            contactId,
+            ...toBeneficiary(fundAccount),
+        };
+    }
+
+    async validateBeneficiary(beneficiary) {
+        if (!beneficiary.beneficiaryId) {
+            const formatError = checkBeneficiaryFormat(beneficiary);
+            if (formatError) {
+                return { valid: false, pending: false, reason: formatError };
+            }
+            beneficiary = await this.createBeneficiary(beneficiary, {
+                name: "Beneficiary Validation",
+            });
+        }
+
+        const validation = await this.request(
+            "POST",
+            "/fund_accounts/validations",
+            {
+                data: {
+                    account_number: this.accountNumber,
+                    fund_account: { id: beneficiary.beneficiaryId },
+                    // Bank accounts are validated with a penny drop
+                    amount: beneficiary.type === "vpa" ? undefined : 100,
+                    currency: "INR",
+                },
+            }
+        );
+
+        return {
+            ...toValidation(validation),
+            beneficiaryId: beneficiary.beneficiaryId,
+            contactId: beneficiary.contactId || null,
+        };
+    }
+
+    async getValidation(validationId) {
+        const validation = await this.request(
+            "GET",
+            `/fund_accounts/validations/${encodeURIComponent(validationId)}`
+        );
+        return {
+            ...toValidation(validation),
+            beneficiaryId: validation.fund_account?.id || null,
+        };
+    }
+
+    async createPayout({
+        beneficiaryId,
+        amountPaise,
+        orderId,
+        mode = "UPI",
+        referenceId,
+        narration = "Order Payment",
+        idempotencyKey = crypto.randomUUID(),
+        notes = {},
+    }) {
+        const payout = await this.request("POST", "/payouts", {
+            data: {
+                account_number: this.accountNumber,
+                fund_account_id: beneficiaryId,
+                amount: amountPaise,
+                currency: "INR",
+                mode,
+                purpose: "payout",
+                queue_if_low_balance: true,
+                reference_id: (referenceId || orderId).slice(
+                    0,
+                    MAX_REFERENCE_LENGTH
+                ),
+                narration,
+                notes: { ...notes, order_id: orderId },
+            },
+            headers: { "X-Payout-Idempotency": idempotencyKey },
+        });
+
+        return toPayout(payout);
+    }
+
+    async getPayoutStatus(payoutId, { withBeneficiary = false } = {}) {
+        const payout = await this.request(
+            "GET",
+            `/payouts/${encodeURIComponent(payoutId)}`
+        );
+
+        if (withBeneficiary && !payout.fund_account && payout.fund_account_id) {
+            payout.fund_account = await this.request(
+                "GET",
+                `/fund_accounts/${encodeURIComponent(payout.fund_account_id)}`
+            );
+        }
+
+        return toPayout(payout);
+    }
+
+    async getBalance() {
+        const data = await this.request("GET", "/accounts/balance", {
+            params: { account_number: this.accountNumber },
+        });
+        return {
+            balance: Number(data.balance),
+            currency: data.currency || "INR",
+        };
+    }
+}
+
+/**
+ * Typed beneficiary from a RazorpayX fund account
+ */
+function toBeneficiary(fundAccount) {
+    if (fundAccount.account_type === "vpa") {
+        return { type: "vpa", vpa: fundAccount.vpa?.address || null };
+    }
+    if (fundAccount.account_type === "bank_account") {
+        const account = fundAccount.bank_account || {};
+        return {
+            type: "bank_account",
+            bankAccount: {
+                accountNumber: account.account_number,
+                ifsc: account.ifsc,
+                name: account.name,
+            },
+        };
+    }
+    return { type: fundAccount.account_type };
+}
+
+/**
+ * Validation result from a RazorpayX fund account validation
+ */
+function toValidation(validation) {
+    const results = validation.results || {};
+    const pending = validation.status !== "completed";
+    return {
+        valid: !pending && results.account_status === "active",
+        pending,
+        validationId: validation.id,
+        accountName: results.registered_name || null,
+        reason: pending
+            ? `Validation ${validation.id} is ${validation.status}`
+            : results.account_status === "active"
+            ? null
+            : `Account status is ${results.account_status || "unknown"}`,
+    };
+}
+
+/**
+ * Normalized payout from a RazorpayX payout entity
+ */
+function toPayout(payout) {
+    return {
+        id: payout.id,
+        status: payout.status,
+        amount: payout.amount,
+        currency: payout.currency,
+        mode: payout.mode,
+        beneficiaryId: payout.fund_account_id,
+        beneficiary: payout.fund_account
+            ? toBeneficiary(payout.fund_account)
+            : null,
+        referenceId: payout.reference_id || null,
+        orderId: payout.notes?.order_id || null,
+        utr: payout.utr || null,
+        failureReason:
+            payout.failure_reason || payout.status_details?.description || null,
+        fees: payout.fees || 0,
+        tax: payout.tax || 0,
+        createdAt: payout.created_at,
+        raw: payout,
+    };
+}
+
+module.exports = RazorpayXPayoutProvider;
@@ -0,0 +1,105 @@
+// SIWE session with the backend
+// Wallet-scoped backend routes (accept, fulfill) need a Bearer token from a
+// Sign-In With Ethereum login by the resolver wallet. The token is cached
+// and renewed shortly before it expires.
+
+const axios = require("axios");
+const { createSiweMessage } = require("viem/siwe");
+
+const RENEW_BEFORE_MS = 60 * 1000;
+
+class BackendSession {
+    /**
+     * @param {Object} options
+     * @param {ethers.Wallet} options.wallet - Resolver wallet (signs in)
+     * @param {string} [options.backendUrl] - Backend base URL
+     * @param {Object} [options.logger] - Logger (defaults to console)
+     */
+    constructor(options = {}) {
+        this.wallet = options.wallet;
+        this.backendUrl = options.backendUrl || process.env.BACKEND_URL;
+        this.logger = options.logger || console;
+
+        this.token = null;
+        this.expiresAt = 0;
+        this.pending = null;
+    }
+
+    /**
+     * Sign in with the wallet and cache the session token
+     * @returns {Promise<string>} Session token
+     */
+    async signIn() {
+        const nonceResponse = await axios.get(
+            `${this.backendUrl}/api/auth/nonce`,
+            { timeout: 10000 }
+        );
+        const { nonce, domain, chainId, statement } = nonceResponse.data.data;
+
+        const message = createSiweMessage({
+            address: this.wallet.address,
+            chainId,
+            domain,
+            nonce,
+            statement,
+            uri: this.backendUrl,
+            version: "1",
+        });
+        const signature = await this.wallet.signMessage(message);
+
+        const verifyResponse = await axios.post(
+            `${this.backendUrl}/api/auth/verify`,
+            { message, signature },
+            {
+                headers: { "Content-Type": "application/json" },
+                timeout: 10000,
+            }
+        );
+        const { token, expiresAt } = verifyResponse.data.data;
+
+        this.token = token;
+        this.expiresAt = new Date(expiresAt).getTime();
+        this.logger.info(
+            `🔐 Signed in to backend until ${new Date(
+                this.expiresAt
+            ).toISOString()}`
+        );
+        return token;
+    }
+
+    /**
+     * Current session token, signing in again when it is about to expire
+     * @returns {Promise<string>}
+     */
+    async getToken() {
+        if (this.token && Date.now() < this.expiresAt - RENEW_BEFORE_MS) {
+            return this.token;
+        }
+
+        // Concurrent callers share one sign-in
+        if (!this.pending) {
+            this.pending = this.signIn().finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    /**
+     * Headers for a wallet-scoped backend request
+     * @returns {Promise<Object>}
+     */
+    async getAuthHeaders() {
+        return { Authorization: `Bearer ${await this.getToken()}` };
+    }
+
+    /**
+     * Drop the cached token (e.g. after a 401)
+     */
+    invalidate() {
+        this.token = null;
+        this.expiresAt = 0;
+    }
+}
+
+module.exports = BackendSession;
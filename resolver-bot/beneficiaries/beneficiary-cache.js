@@ -0,0 +1,142 @@
+// Local cache of payout recipients for the resolver bot
+// Remembers the contact and fund account registered for each UPI address or
+// bank account, so repeat recipients are paid through the same fund account,
+// and the result of validating each UPI address, so it is checked once per
+// TTL rather than per order. A validation the provider hasn't finished is
+// remembered too, and looked up again rather than started afresh. Kept per
+// payout provider in a JSON file.
+
+const fs = require("fs");
+const path = require("path");
+
+class BeneficiaryCache {
+    /**
+     * @param {Object} options
+     * @param {string} options.provider - Payout provider name (IDs are per provider)
+     * @param {string} [options.file] - JSON file (RESOLVER_BENEFICIARY_CACHE_FILE,
+     *   default resolver-beneficiaries.json in the working directory)
+     * @param {number} [options.validationTtl] - How long a validation result
+     *   holds, in ms (BENEFICIARY_VALIDATION_TTL_HOURS, default 24 hours)
+     */
+    constructor(options = {}) {
+        this.provider = options.provider;
+        this.file = path.resolve(
+            options.file ||
+                process.env.RESOLVER_BENEFICIARY_CACHE_FILE ||
+                "resolver-beneficiaries.json"
+        );
+        this.validationTtl =
+            options.validationTtl ||
+            (parseFloat(process.env.BENEFICIARY_VALIDATION_TTL_HOURS) || 24) *
+                60 *
+                60 *
+                1000;
+        this.entries = {};
+        this.load();
+    }
+
+    load() {
+        if (fs.existsSync(this.file)) {
+            this.entries = JSON.parse(fs.readFileSync(this.file, "utf8"));
+        }
+    }
+
+    save() {
+        // Write then rename, so a crash mid-write can't corrupt the cache
+        const temp = `${this.file}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify(this.entries, null, 2));
+        fs.renameSync(temp, this.file);
+    }
+
+    /**
+     * Cache key of a provider-ready beneficiary
+     * @param {Object} beneficiary - { type, vpa } or { type, accountNumber, ifsc }
+     */
+    keyFor(beneficiary) {
+        const recipient =
+            beneficiary.type === "vpa"
+                ? `vpa:${beneficiary.vpa.trim().toLowerCase()}`
+                : `bank:${beneficiary.ifsc.toUpperCase()}:${
+                      beneficiary.accountNumber
+                  }`;
+        return `${this.provider}:${recipient}`;
+    }
+
+    /**
+     * @param {Object} beneficiary
+     * @returns {Object|null} { contactId, beneficiaryId, validation,
+     *   pendingValidationId } copy
+     */
+    get(beneficiary) {
+        const entry = this.entries[this.keyFor(beneficiary)];
+        return entry ? structuredClone(entry) : null;
+    }
+
+    /**
+     * Merge fields into a beneficiary's entry
+     * @param {Object} beneficiary
+     * @param {Object} changes - e.g. { contactId, beneficiaryId }
+     */
+    set(beneficiary, changes) {
+        const key = this.keyFor(beneficiary);
+        this.entries[key] = {
+            ...this.entries[key],
+            ...changes,
+            updatedAt: new Date().toISOString(),
+        };
+        this.save();
+    }
+
+    /**
+     * Drop a beneficiary, e.g. after the provider rejected its fund account
+     */
+    forget(beneficiary) {
+        delete this.entries[this.keyFor(beneficiary)];
+        this.save();
+    }
+
+    /**
+     * The beneficiary's last validation result, if it is still fresh
+     * @returns {Object|null} { valid, accountName, reason, validatedAt }
+     */
+    getValidation(beneficiary) {
+        const validation = this.get(beneficiary)?.validation;
+        if (
+            !validation ||
+            Date.now() - new Date(validation.validatedAt).getTime() >
+                this.validationTtl
+        ) {
+            return null;
+        }
+        return validation;
+    }
+
+    /**
+     * Store a validation result (completed, or pending so it can be looked
+     * up later), and the fund account it was run against so payouts and
+     * later validations reuse it
+     * @param {Object} beneficiary
+     * @param {Object} result - From PayoutProvider.validateBeneficiary or
+     *   getValidation
+     */
+    recordValidation(beneficiary, result) {
+        const changes = result.pending
+            ? { pendingValidationId: result.validationId || null }
+            : {
+                  validation: {
+                      valid: result.valid,
+                      accountName: result.accountName || null,
+                      reason: result.reason || null,
+                      validatedAt: new Date().toISOString(),
+                  },
+                  pendingValidationId: null,
+              };
+        if (result.beneficiaryId && !this.get(beneficiary)?.beneficiaryId) {
+            changes.beneficiaryId = result.beneficiaryId;
+            changes.contactId = result.contactId || null;
+        }
+        this.set(beneficiary, changes);
+    }
+}
+
+module.exports = BeneficiaryCache;
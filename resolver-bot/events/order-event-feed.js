@@ -0,0 +1,346 @@
+/**
+ * Order Event Feed
+ *
+ * Delivers OrderProtocol's OrderCreated and OrderAccepted logs to the bot
+ * without gaps. The last fully handled block is persisted, so on startup the
+ * feed backfills everything since then with getLogs in bounded ranges. Live
+ * events come from a WebSocket subscription when one is configured and
+ * healthy, and from getLogs polling over the JSON-RPC provider otherwise; the
+ * feed falls back to polling when the socket closes or stops delivering
+ * blocks, and retries the socket periodically. Ranges overlap across
+ * switches, so events are de-duplicated by transaction hash and log index.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const EVENT_NAMES = ["OrderCreated", "OrderAccepted"];
+
+// Recently delivered events kept for de-duplication
+const MAX_SEEN_EVENTS = 10000;
+
+class OrderEventFeed {
+    /**
+     * @param {Object} options
+     * @param {ethers.Provider} options.provider - JSON-RPC provider for getLogs
+     * @param {ethers.Contract} options.contract - OrderProtocol
+     * @param {Function} options.onEvent - async ({ name, args, log }) => void
+     * @param {Object} options.logger
+     * @param {string} [options.wsUrl] - WebSocket RPC (RPC_WS_URL); polling only without one
+     * @param {number} [options.startBlock] - First block to backfill on a first run (e.g. the deployment block)
+     * @param {string} [options.cursorFile] - JSON file (RESOLVER_EVENT_CURSOR_FILE)
+     * @param {number} [options.batchSize] - Blocks per getLogs call (EVENT_BACKFILL_BATCH_BLOCKS)
+     * @param {number} [options.maxBackfill] - Most blocks a first run looks back (EVENT_BACKFILL_MAX_BLOCKS)
+     * @param {number} [options.pollInterval] - getLogs polling interval in ms (EVENT_POLL_INTERVAL_MS)
+     * @param {number} [options.staleTimeout] - Socket is unhealthy after this long without a block (EVENT_WS_STALE_MS)
+     * @param {number} [options.wsRetryDelay] - How often to retry the socket while polling (EVENT_WS_RETRY_MS)
+     */
+    constructor(options = {}) {
+        this.provider = options.provider;
+        this.contract = options.contract;
+        this.onEvent = options.onEvent;
+        this.logger = options.logger || console;
+        this.wsUrl = options.wsUrl ?? process.env.RPC_WS_URL;
+        this.startBlock = options.startBlock ?? null;
+        this.cursorFile = path.resolve(
+            options.cursorFile ||
+                process.env.RESOLVER_EVENT_CURSOR_FILE ||
+                "resolver-events.json"
+        );
+        this.batchSize =
+            options.batchSize ||
+            parseInt(process.env.EVENT_BACKFILL_BATCH_BLOCKS) ||
+            2000;
+        this.maxBackfill =
+            options.maxBackfill ||
+            parseInt(process.env.EVENT_BACKFILL_MAX_BLOCKS) ||
+            10000;
+        this.pollInterval =
+            options.pollInterval ||
+            parseInt(process.env.EVENT_POLL_INTERVAL_MS) ||
+            4000;
+        this.staleTimeout =
+            options.staleTimeout ||
+            parseInt(process.env.EVENT_WS_STALE_MS) ||
+            30000;
+        this.wsRetryDelay =
+            options.wsRetryDelay ||
+            parseInt(process.env.EVENT_WS_RETRY_MS) ||
+            60000;
+
+        this.filter = {
+            address: this.contract.target,
+            topics: [
+                EVENT_NAMES.map(
+                    (name) => this.contract.interface.getEvent(name).topicHash
+                ),
+            ],
+        };
+
+        this.mode = null; // "websocket" or "polling" while running
+        this.running = false;
+        this.cursor = null; // Last block whose events were all handled
+        this.seen = new Set();
+        this.syncing = null; // In-flight getLogs catch-up
+        this.delivering = 0;
+        this.wsProvider = null;
+        this.lastWsBlockAt = 0;
+        this.pollTimer = null;
+        this.healthTimer = null;
+        this.wsRetryTimer = null;
+    }
+
+    /**
+     * Backfill missed events, then follow new ones
+     */
+    async start() {
+        if (this.running) return;
+        this.running = true;
+
+        this.loadCursor();
+        const head = await this.provider.getBlockNumber();
+        if (this.cursor === null) {
+            // First run: start at the deployment block, but not too far back
+            const earliest = Math.max(head - this.maxBackfill, 0);
+            this.cursor = Math.max(this.startBlock ?? head, earliest) - 1;
+        }
+
+        this.logger.info(
+            `⏪ Backfilling order events from block ${this.cursor + 1} to ${head}`
+        );
+        try {
+            await this.sync(head);
+        } catch (error) {
+            // Live polling carries on from the cursor
+            this.logger.warn(`⚠️ Backfill stopped early: ${error.message}`);
+        }
+
+        if (!this.wsUrl || !(await this.useWebSocket())) {
+            this.usePolling();
+        }
+    }
+
+    async stop() {
+        this.running = false;
+        clearTimeout(this.pollTimer);
+        clearInterval(this.healthTimer);
+        clearTimeout(this.wsRetryTimer);
+        await this.closeWebSocket();
+        this.mode = null;
+    }
+
+    loadCursor() {
+        if (fs.existsSync(this.cursorFile)) {
+            const { lastBlock } = JSON.parse(
+                fs.readFileSync(this.cursorFile, "utf8")
+            );
+            this.cursor = lastBlock;
+        }
+    }
+
+    saveCursor(block) {
+        if (block <= this.cursor) return;
+        this.cursor = block;
+
+        // Write then rename, so a crash mid-write can't corrupt the cursor
+        const temp = `${this.cursorFile}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify({ lastBlock: block }, null, 2));
+        fs.renameSync(temp, this.cursorFile);
+    }
+
+    /**
+     * Fetch and handle logs from the cursor up to `toBlock` in bounded
+     * ranges, advancing the cursor after each range. Concurrent callers share
+     * one catch-up.
+     */
+    sync(toBlock) {
+        if (!this.syncing) {
+            // Cleared in a callback: with nothing to fetch the loop ends
+            // before this.syncing is even assigned
+            this.syncing = (async () => {
+                while (this.running && this.cursor < toBlock) {
+                    const fromBlock = this.cursor + 1;
+                    const endBlock = Math.min(
+                        fromBlock + this.batchSize - 1,
+                        toBlock
+                    );
+                    const logs = await this.provider.getLogs({
+                        ...this.filter,
+                        fromBlock,
+                        toBlock: endBlock,
+                    });
+                    for (const log of logs) {
+                        await this.deliver(log);
+                    }
+                    this.saveCursor(endBlock);
+                }
+            })().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    /**
+     * Handle a raw log once, whichever source it came from
+     */
+    async deliver(log) {
+        const key = `${log.transactionHash}:${log.index}`;
+        if (this.seen.has(key)) return;
+        this.seen.add(key);
+        if (this.seen.size > MAX_SEEN_EVENTS) {
+            this.seen.delete(this.seen.values().next().value);
+        }
+
+        const parsed = this.contract.interface.parseLog(log);
+        if (!parsed) return;
+
+        this.delivering++;
+        try {
+            await this.onEvent({ name: parsed.name, args: parsed.args, log });
+        } catch (error) {
+            this.logger.error(`Error handling ${parsed.name} event:`, error);
+        } finally {
+            this.delivering--;
+        }
+    }
+
+    usePolling() {
+        if (!this.running) return;
+        if (this.mode !== "polling") {
+            this.logger.info(
+                `🔁 Polling order events every ${this.pollInterval}ms`
+            );
+        }
+        this.mode = "polling";
+
+        const poll = async () => {
+            try {
+                await this.sync(await this.provider.getBlockNumber());
+            } catch (error) {
+                this.logger.warn(
+                    `⚠️ Polling order events failed: ${error.message}`
+                );
+            }
+            if (this.running && this.mode === "polling") {
+                this.pollTimer = setTimeout(poll, this.pollInterval);
+            }
+        };
+        this.pollTimer = setTimeout(poll, this.pollInterval);
+
+        if (this.wsUrl) {
+            this.scheduleWebSocketRetry();
+        }
+    }
+
+    scheduleWebSocketRetry() {
+        clearTimeout(this.wsRetryTimer);
+        this.wsRetryTimer = setTimeout(async () => {
+            if (!this.running || this.mode !== "polling") return;
+            if (!(await this.useWebSocket())) {
+                this.scheduleWebSocketRetry();
+            }
+        }, this.wsRetryDelay);
+    }
+
+    /**
+     * Subscribe over the WebSocket, then close the gap since the cursor
+     * with getLogs
+     * @returns {Promise<boolean>} Whether the socket is now the live source
+     */
+    async useWebSocket() {
+        let wsProvider;
+        try {
+            wsProvider = new ethers.WebSocketProvider(this.wsUrl);
+            // ethers leaves socket errors unhandled; fail the connect instead
+            const socketFailed = new Promise((_, reject) => {
+                wsProvider.websocket.onerror = () =>
+                    reject(new Error("WebSocket error"));
+                wsProvider.websocket.onclose = () =>
+                    reject(new Error("WebSocket closed"));
+            });
+            const head = await withTimeout(
+                Promise.race([wsProvider.getBlockNumber(), socketFailed]),
+                this.staleTimeout
+            );
+
+            wsProvider.websocket.onclose = () =>
+                this.fallBackToPolling(wsProvider, "WebSocket closed");
+            wsProvider.websocket.onerror = () =>
+                this.fallBackToPolling(wsProvider, "WebSocket error");
+
+            await wsProvider.on(this.filter, (log) => this.deliver(log));
+            await wsProvider.on("block", (blockNumber) => {
+                this.lastWsBlockAt = Date.now();
+                // Logs of the newest block may still be arriving
+                if (this.delivering === 0 && !this.syncing) {
+                    this.saveCursor(blockNumber - 1);
+                }
+            });
+
+            this.wsProvider = wsProvider;
+            this.lastWsBlockAt = Date.now();
+            clearTimeout(this.pollTimer);
+            clearTimeout(this.wsRetryTimer);
+            this.mode = "websocket";
+            this.logger.info("🔌 Subscribed to order events over WebSocket");
+
+            this.healthTimer = setInterval(() => {
+                if (Date.now() - this.lastWsBlockAt > this.staleTimeout) {
+                    this.fallBackToPolling(
+                        wsProvider,
+                        `no block for ${this.staleTimeout}ms`
+                    );
+                }
+            }, this.staleTimeout / 2);
+
+            await this.sync(head);
+            return true;
+        } catch (error) {
+            this.logger.warn(
+                `⚠️ WebSocket subscription unavailable: ${error.message}`
+            );
+            if (wsProvider && wsProvider !== this.wsProvider) {
+                await wsProvider.destroy().catch(() => {});
+            }
+            if (this.mode === "websocket") {
+                await this.fallBackToPolling(this.wsProvider, error.message);
+            }
+            return false;
+        }
+    }
+
+    async fallBackToPolling(wsProvider, reason) {
+        // Ignore late signals from a socket that was already replaced
+        if (!this.running || wsProvider !== this.wsProvider) return;
+
+        this.logger.warn(`⚠️ Order event socket unhealthy (${reason})`);
+        clearInterval(this.healthTimer);
+        await this.closeWebSocket();
+        this.usePolling();
+    }
+
+    async closeWebSocket() {
+        const wsProvider = this.wsProvider;
+        this.wsProvider = null;
+        if (wsProvider) {
+            await wsProvider.destroy().catch(() => {});
+        }
+    }
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(
+            () => reject(new Error(`timed out after ${ms}ms`)),
+            ms
+        );
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+OrderEventFeed.EVENT_NAMES = EVENT_NAMES;
+
+module.exports = OrderEventFeed;
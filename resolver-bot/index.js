@@ -1,12 +1,40 @@
 const { ethers } = require("ethers");
 const winston = require("winston");
-const fs = require("fs");
-const path = require("path");
+const crypto = require("crypto");
 const axios = require("axios");
 const express = require("express");
 const { v4: uuidv4 } = require("uuid");
 const { io } = require("socket.io-client");
-const YellowResolverClient = require("./yellow/resolver-client-clean");
+const YellowResolverClient = require("./yellow/resolver-client");
+const YellowAutoSettlement = require("./yellow/auto-settlement");
+const BackendSession = require("./auth/backend-session");
+const JobStore = require("./jobs/job-store");
+const BeneficiaryCache = require("./beneficiaries/beneficiary-cache");
+const Treasury = require("./treasury/treasury");
+const OrderEventFeed = require("./events/order-event-feed");
+const {
+    PricingStrategy,
+    MarketData,
+    createPricingStrategy,
+} = require("./pricing");
+const {
+    createPayoutProvider,
+    parseBeneficiary,
+    attachBankAccount,
+    planPayouts,
+    shouldFallBack,
+    describeBeneficiary,
+    inrToPaise,
+    FAILED_PAYOUT_STATUSES,
+} = require("../payouts");
+const {
+    getContract,
+    getDeployment,
+    getRpcUrl,
+    getActiveChainId,
+    findToken,
+} = require("../deployments");
+const { ACCEPTANCE_TYPES, acceptanceDomain } = require("../contracts");
 require("dotenv").config();
 
 // Configure logger
@@ -35,27 +63,47 @@ class ResolverBot {
         this.provider = null;
         this.wallet = null;
         this.contract = null;
+        this.deploymentBlock = null; // OrderProtocol's, when the registry knows it
+        this.eventFeed = null;
         this.isListening = false;
         this.retryAttempts = 3;
         this.retryDelay = 2000; // 2 seconds
         this.callbackServer = null;
         this.callbackPort = process.env.RESOLVER_CALLBACK_PORT || 3001;
+        this.webhookSecret = null; // Issued by the backend at registration
+        this.processedDeliveries = new Set(); // Backend retries may redeliver
+        this.backendSession = null; // SIWE session for wallet-scoped routes
 
-        // RazorpayX credentials
-        this.razorpayKeyId = process.env.RAZORPAYX_KEY_ID;
-        this.razorpayKeySecret = process.env.RAZORPAYX_KEY_SECRET;
+        // Payout provider (PAYOUT_PROVIDER, RazorpayX by default)
+        this.payoutProviderName = (
+            process.env.PAYOUT_PROVIDER || "razorpayx"
+        ).toLowerCase();
+        this.payoutProvider = null;
+        this.beneficiaryCache = null; // Fund accounts and UPI validations
+
+        // Per-order payout/settlement progress, persisted across restarts
+        this.jobStore = null;
+        this.runningJobs = new Set();
+
+        // Payout balance and exposure limits on new orders
+        this.treasury = null;
 
         // Logger instance
         this.logger = logger;
 
+        // Pricing strategy (PRICING_STRATEGY, min-margin by default)
+        this.pricingStrategy = null;
+        this.marketData = null;
+        this.resolverFeeBps = null; // Read from the contract on first use
+
         // Dutch auction support
         this.socketClient = null;
 
         // Yellow Network integration
         this.yellowClient = null; // Will be initialized later
         this.yellowEnabled = process.env.YELLOW_ENABLED === "true";
+        this.autoSettlement = null; // Post-payout settlement pipeline
         this.activeAuctions = new Map();
-        this.auctionTimeouts = new Map();
     }
 
     async initialize() {
@@ -65,27 +113,58 @@ class ResolverBot {
             // Validate environment variables
             this.validateEnvironment();
 
-            // Set up blockchain connection
-            this.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+            // Set up blockchain connection (CHAIN_ID's registry entry;
+            // RPC_URL and CONTRACT_ADDRESS override it)
+            this.provider = new ethers.JsonRpcProvider(getRpcUrl());
             this.wallet = new ethers.Wallet(
                 process.env.PRIVATE_KEY,
                 this.provider
             );
+            this.backendSession = new BackendSession({
+                wallet: this.wallet,
+                logger,
+            });
 
-            // Load contract ABI
-            const abiPath = path.join(__dirname, "abi", "OrderProtocol.json");
-            const contractABI = JSON.parse(fs.readFileSync(abiPath, "utf8"));
-
-            // Create contract instance
+            const orderProtocol = getContract("OrderProtocol");
+            if (!orderProtocol.address) {
+                throw new Error(
+                    `OrderProtocol is not deployed on chain ${getActiveChainId()}; set CONTRACT_ADDRESS`
+                );
+            }
             this.contract = new ethers.Contract(
-                process.env.CONTRACT_ADDRESS,
-                contractABI,
+                orderProtocol.address,
+                orderProtocol.abi,
                 this.wallet
             );
+            this.deploymentBlock = orderProtocol.blockNumber;
 
             // Test connection
             await this.testConnection();
 
+            this.pricingStrategy = createPricingStrategy();
+            this.marketData = new MarketData({
+                provider: this.provider,
+                nativeSymbol: getDeployment().nativeCurrency.symbol,
+            });
+            logger.info(`🧮 Pricing strategy: ${this.pricingStrategy.name}`);
+
+            this.payoutProvider = createPayoutProvider({
+                provider: this.payoutProviderName,
+            });
+            this.beneficiaryCache = new BeneficiaryCache({
+                provider: this.payoutProvider.name,
+            });
+            this.jobStore = new JobStore();
+            logger.info(`📁 Job store: ${this.jobStore.file}`);
+
+            this.treasury = new Treasury({
+                payoutProvider: this.payoutProvider,
+                jobStore: this.jobStore,
+                logger,
+            });
+            await this.treasury.start();
+            logger.info(`💼 Treasury: ${this.treasury.describe()}`);
+
             // Setup callback server
             await this.setupCallbackServer();
 
@@ -95,21 +174,30 @@ class ResolverBot {
             // Setup Dutch auction socket connection
             await this.setupAuctionSocket();
 
-            // Initialize Yellow Network client after wallet is created
+            // Create Yellow Network client after wallet is created; it
+            // connects in start() so a ClearNode outage doesn't block startup
             if (this.yellowEnabled) {
                 this.yellowClient = new YellowResolverClient(this.wallet);
-                await this.yellowClient.connect();
             }
 
+            this.autoSettlement = new YellowAutoSettlement(this.yellowClient, {
+                wallet: this.wallet,
+                contract: this.contract,
+                logger,
+                payoutProvider: this.payoutProvider,
+                backendSession: this.backendSession,
+            });
+
             logger.info("Resolver Bot initialized successfully");
             logger.info(`Wallet Address: ${this.wallet.address}`);
-            logger.info(`Contract Address: ${process.env.CONTRACT_ADDRESS}`);
+            logger.info(
+                `Contract Address: ${this.contract.target} (chain ${getActiveChainId()})`
+            );
             logger.info(`Backend URL: ${process.env.BACKEND_URL}`);
             logger.info(
                 `Callback Server: http://localhost:${this.callbackPort}`
             );
-            logger.info(`RazorpayX Key ID: ${process.env.RAZORPAYX_KEY_ID}`);
-            logger.info(`RazorpayX configured: ✅`);
+            logger.info(`Payout Provider: ${this.payoutProvider.name}`);
         } catch (error) {
             logger.error("Failed to initialize Resolver Bot:", error);
             throw error;
@@ -117,14 +205,10 @@ class ResolverBot {
     }
 
     validateEnvironment() {
-        const requiredVars = [
-            "PRIVATE_KEY",
-            "RPC_URL",
-            "CONTRACT_ADDRESS",
-            "BACKEND_URL",
-            "RAZORPAYX_KEY_ID",
-            "RAZORPAYX_KEY_SECRET",
-        ];
+        const requiredVars = ["PRIVATE_KEY", "BACKEND_URL"];
+        if (this.payoutProviderName === "razorpayx") {
+            requiredVars.push("RAZORPAYX_KEY_ID", "RAZORPAYX_KEY_SECRET");
+        }
         for (const varName of requiredVars) {
             if (!process.env[varName]) {
                 throw new Error(
@@ -144,7 +228,14 @@ class ResolverBot {
             );
 
             const app = express();
-            app.use(express.json());
+            app.use(
+                express.json({
+                    // Keep the raw body for webhook signature verification
+                    verify: (req, res, buf) => {
+                        req.rawBody = buf.toString("utf8");
+                    },
+                })
+            );
 
             // Health check endpoint
             app.get("/health", (req, res) => {
@@ -158,13 +249,30 @@ class ResolverBot {
             // Order acceptance callback endpoint
             app.post("/callback/order-accepted", async (req, res) => {
                 try {
-                    const { type, orderId, resolverAddress, details } =
+                    if (!this.verifyCallbackSignature(req)) {
+                        logger.warn(
+                            "🚫 Rejected callback with invalid or missing signature"
+                        );
+                        return res.status(401).json({
+                            error: "Invalid signature",
+                        });
+                    }
+
+                    const { type, deliveryId, orderId, resolverAddress } =
                         req.body;
 
                     logger.info(
                         `📡 Received callback: ${type} for order ${orderId}`
                     );
 
+                    if (this.processedDeliveries.has(deliveryId)) {
+                        return res.json({
+                            success: true,
+                            message: "Callback already processed",
+                        });
+                    }
+                    this.processedDeliveries.add(deliveryId);
+
                     if (
                         type === "ORDER_ACCEPTED" &&
                         resolverAddress.toLowerCase() ===
@@ -174,6 +282,9 @@ class ResolverBot {
                             `🎯 Processing callback for our accepted order ${orderId}`
                         );
 
+                        // Record the job first so it survives a crash
+                        this.jobStore.create(orderId);
+
                         // Process payment for the accepted order
                         setTimeout(async () => {
                             await this.processOrderPayment(orderId);
@@ -216,20 +327,68 @@ class ResolverBot {
         }
     }
 
+    /**
+     * Verify the backend's HMAC signature on a callback request
+     * @param {Object} req - Express request with rawBody
+     * @returns {boolean} Whether the signature is valid and fresh
+     */
+    verifyCallbackSignature(req) {
+        const signature = req.get("X-YuPI-Signature");
+        const timestamp = req.get("X-YuPI-Timestamp");
+
+        if (!this.webhookSecret || !signature || !timestamp || !req.rawBody) {
+            return false;
+        }
+
+        // Reject stale or replayed requests (5 minute window)
+        const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+        if (!Number.isFinite(age) || age > 300) {
+            return false;
+        }
+
+        const expected = Buffer.from(
+            crypto
+                .createHmac("sha256", this.webhookSecret)
+                .update(`${timestamp}.${req.rawBody}`)
+                .digest("hex"),
+            "hex"
+        );
+        const received = Buffer.from(signature, "hex");
+
+        return (
+            expected.length === received.length &&
+            crypto.timingSafeEqual(expected, received)
+        );
+    }
+
     /**
      * Register callback URL with backend
      */
     async registerCallback() {
         try {
-            const callbackUrl = `http://localhost:${this.callbackPort}/callback/order-accepted`;
+            const callbackUrl =
+                process.env.RESOLVER_CALLBACK_URL ||
+                `http://localhost:${this.callbackPort}/callback/order-accepted`;
 
             logger.info(`📡 Registering callback URL: ${callbackUrl}`);
 
+            // Prove ownership of the resolver address to the backend
+            const timestamp = Math.floor(Date.now() / 1000);
+            const message = [
+                "YuPI resolver callback registration",
+                `Resolver: ${this.wallet.address.toLowerCase()}`,
+                `Callback: ${callbackUrl}`,
+                `Timestamp: ${timestamp}`,
+            ].join("\n");
+            const signature = await this.wallet.signMessage(message);
+
             const response = await axios.post(
                 `${process.env.BACKEND_URL}/api/orders/resolver/register`,
                 {
                     resolverAddress: this.wallet.address,
                     callbackUrl: callbackUrl,
+                    timestamp,
+                    signature,
                 },
                 {
                     headers: {
@@ -240,6 +399,7 @@ class ResolverBot {
             );
 
             if (response.status === 200 && response.data.success) {
+                this.webhookSecret = response.data.data.webhookSecret;
                 logger.info(`✅ Callback registered successfully with backend`);
             } else {
                 logger.warn(`⚠️ Failed to register callback:`, response.data);
@@ -314,49 +474,68 @@ class ResolverBot {
     }
 
     /**
-     * Handle auction started event - decide whether to participate
+     * Handle auction started event - gather the pricing inputs once, then
+     * let the pricing strategy decide at each price
      */
-    handleAuctionStarted(auctionData) {
+    async handleAuctionStarted(auctionData) {
         const { orderId, startPrice, endPrice, duration } = auctionData;
 
-        // Random decision: 70% chance to participate in auction
-        const shouldParticipate = Math.random() < 0.7;
-
-        if (!shouldParticipate) {
-            logger.info(
-                `⏭️ Skipping auction for order ${orderId} (random decision)`
-            );
-            return;
-        }
-
-        logger.info(`🎯 Participating in Dutch auction for order ${orderId}`);
+        logger.info(`🎯 Watching Dutch auction for order ${orderId}`);
         logger.info(
             `📊 Price range: ₹${startPrice} → ₹${endPrice} over ${duration}ms`
         );
 
         // Store auction info
-        this.activeAuctions.set(orderId, {
+        const auction = {
             ...auctionData,
             participating: true,
             startTime: Date.now(),
-        });
-
-        // Schedule random acceptance time between 0.5s and 4.5s (leaving 0.5s buffer)
-        const minDelay = 500; // 0.5 seconds
-        const maxDelay = 4500; // 4.5 seconds
-        const randomDelay = Math.random() * (maxDelay - minDelay) + minDelay;
+            pricingContext: null,
+            lastDecision: null,
+            accepting: false,
+        };
+        this.activeAuctions.set(orderId, auction);
 
-        logger.info(
-            `⏰ Will attempt to accept auction for order ${orderId} in ${randomDelay.toFixed(
-                0
-            )}ms`
-        );
+        try {
+            const order = await this.contract.getOrder(orderId);
+            const recipient = await this.checkRecipient(
+                orderId,
+                order.recipientUpiAddress
+            );
+            if (!recipient.payable) {
+                logger.warn(
+                    `⏭️ Skipping auction for order ${orderId}: ${recipient.reason}`
+                );
+                this.cleanupAuction(orderId);
+                return;
+            }
 
-        const timeoutId = setTimeout(() => {
-            this.attemptAuctionAcceptance(orderId);
-        }, randomDelay);
+            auction.amountPaise = Number(inrToPaise(order.amount));
+            const funding = this.treasury.check(orderId, auction.amountPaise);
+            if (!funding.ok) {
+                logger.warn(
+                    `⏭️ Skipping auction for order ${orderId}: ${funding.reason}`
+                );
+                this.cleanupAuction(orderId);
+                return;
+            }
+            auction.pricingContext = await this.buildPricingContext(
+                orderId,
+                order
+            );
+        } catch (error) {
+            logger.error(
+                `⏭️ Skipping auction for order ${orderId}: no pricing inputs (${error.message})`
+            );
+            this.cleanupAuction(orderId);
+            return;
+        }
 
-        this.auctionTimeouts.set(orderId, timeoutId);
+        this.evaluateAuction(orderId, {
+            currentPrice: startPrice,
+            progress: 0,
+            timeRemaining: duration,
+        });
     }
 
     /**
@@ -379,6 +558,31 @@ class ResolverBot {
                 );
                 auction.lastLoggedProgress = progress;
             }
+
+            this.evaluateAuction(orderId, data);
+        }
+    }
+
+    /**
+     * Ask the pricing strategy about the auction's current price and accept
+     * once it says so
+     */
+    evaluateAuction(orderId, { currentPrice, progress, timeRemaining }) {
+        const auction = this.activeAuctions.get(orderId);
+        if (!auction || !auction.pricingContext || auction.accepting) return;
+
+        const decision = this.decidePrice(
+            {
+                ...auction.pricingContext,
+                auction: { currentPrice, progress, timeRemaining },
+            },
+            auction.lastDecision
+        );
+        auction.lastDecision = decision;
+
+        if (decision.action === "accept") {
+            auction.accepting = true;
+            this.attemptAuctionAcceptance(orderId);
         }
     }
 
@@ -420,8 +624,9 @@ class ResolverBot {
             );
 
             // Accept the order at current Dutch auction price
-            const success = await this.acceptOrder(
+            const success = await this.acceptFundedOrder(
                 orderId,
+                auction.amountPaise,
                 currentPrice.toString()
             );
 
@@ -467,13 +672,6 @@ class ResolverBot {
      * Clean up auction tracking data
      */
     cleanupAuction(orderId) {
-        // Clear timeout if exists
-        const timeoutId = this.auctionTimeouts.get(orderId);
-        if (timeoutId) {
-            clearTimeout(timeoutId);
-            this.auctionTimeouts.delete(orderId);
-        }
-
         // Remove auction data
         this.activeAuctions.delete(orderId);
 
@@ -502,39 +700,182 @@ class ResolverBot {
     }
 
     /**
-     * Generate Authorization header for RazorpayX API calls
-     * Format: Basic base64(key_id:key_secret)
-     * @returns {string} Authorization header value
+     * Gather the pricing strategy's inputs for an order
+     * (see pricing/pricing-strategy.js)
+     * @param {string} orderId - The order ID
+     * @param {Object} [order] - The order from the contract, read if not given
+     * @returns {Promise<Object>} Pricing context, without an auction
      */
-    getRazorpayXAuthHeader() {
-        const keyId = process.env.RAZORPAYX_KEY_ID;
-        const keySecret = process.env.RAZORPAYX_KEY_SECRET;
+    async buildPricingContext(orderId, order = null) {
+        order = order || (await this.contract.getOrder(orderId));
 
-        // Create base64 encoded string of key_id:key_secret
-        const credentials = `${keyId}:${keySecret}`;
-        const base64Credentials = Buffer.from(credentials).toString("base64");
-
-        return `Basic ${base64Credentials}`;
-    }
+        const token = findToken(order.token);
+        if (!token) {
+            throw new Error(`Unknown token ${order.token}`);
+        }
+        if (this.resolverFeeBps === null) {
+            this.resolverFeeBps = Number(await this.contract.i_resolverFee());
+        }
 
-    calculateAcceptedPrice(startPrice, endPrice) {
-        // Calculate a random price between start and end price
-        // For better strategy, we could implement Dutch auction logic here
-        const startPriceBN = BigInt(startPrice);
-        const endPriceBN = BigInt(endPrice);
+        const [oraclePrice, gasCost] = await Promise.all([
+            this.marketData.getTokenPrice(token.symbol),
+            this.marketData.getGasCost(),
+        ]);
 
-        // Generate random factor between 0.3 and 0.7 (30% to 70% of the range)
-        const randomFactor = Math.random() * 0.4 + 0.3;
-        const range = startPriceBN - endPriceBN;
-        const discount = BigInt(Math.floor(Number(range) * randomFactor));
+        return {
+            orderId,
+            order: {
+                amount: Number(ethers.formatEther(order.amount)),
+                tokenSymbol: token.symbol,
+                startPrice: Number(ethers.formatEther(order.startPrice)),
+                endPrice: Number(ethers.formatEther(order.endPrice)),
+            },
+            auction: null,
+            oraclePrice,
+            resolverFeeBps: this.resolverFeeBps,
+            payoutFee: this.marketData.payoutFee,
+            gasCost,
+        };
+    }
 
-        const acceptedPrice = startPriceBN - discount;
+    /**
+     * Ask the pricing strategy about an order and log the decision with the
+     * inputs it was made on. Repeats of `previous` (same action and reason,
+     * e.g. on every auction tick) are not logged again.
+     * @param {Object} context - Pricing context
+     * @param {Object} [previous] - The last decision for this order
+     * @returns {Object} { action: accept|skip, price, reason }
+     */
+    decidePrice(context, previous = null) {
+        const decision = this.pricingStrategy.decide(context);
+        if (
+            previous &&
+            previous.action === decision.action &&
+            previous.reason === decision.reason
+        ) {
+            return decision;
+        }
 
+        const summary =
+            decision.action === "accept"
+                ? `accept at ₹${decision.price.toFixed(4)}`
+                : "skip";
         logger.info(
-            `Price calculation - Start: ${startPrice}, End: ${endPrice}, Accepted: ${acceptedPrice.toString()}`
+            `🧮 ${this.pricingStrategy.name}: ${summary} order ${context.orderId} (${decision.reason})`,
+            {
+                decision,
+                margin:
+                    decision.action === "accept"
+                        ? PricingStrategy.marginAt(context, decision.price)
+                        : null,
+                inputs: {
+                    order: context.order,
+                    auction: context.auction,
+                    oraclePrice: context.oraclePrice,
+                    resolverFeeBps: context.resolverFeeBps,
+                    payoutFee: context.payoutFee,
+                    gasCost: context.gasCost,
+                },
+            }
         );
+        return decision;
+    }
+
+    /**
+     * Whether the bot can pay an order's recipient. A UPI address without a
+     * fresh validation result is validated with the payout provider, through
+     * its cached fund account when it has one, or looked up again when an
+     * earlier validation is still pending; if it fails, the order is still
+     * payable when it carries a bank account.
+     * @param {string} orderId
+     * @param {string} recipientUpiAddress - The order's on-chain recipient
+     * @returns {Promise<Object>} { payable, reason }
+     */
+    async checkRecipient(orderId, recipientUpiAddress) {
+        let beneficiary;
+        try {
+            beneficiary = parseBeneficiary(recipientUpiAddress);
+        } catch (error) {
+            return { payable: false, reason: error.message };
+        }
+        if (beneficiary.type !== "vpa") {
+            return { payable: true, reason: null };
+        }
 
-        return acceptedPrice.toString();
+        const vpa = { type: "vpa", vpa: beneficiary.vpa };
+        let validation = this.beneficiaryCache.getValidation(vpa);
+        if (!validation) {
+            const cached = this.beneficiaryCache.get(vpa);
+            try {
+                validation = cached?.pendingValidationId
+                    ? await this.payoutProvider.getValidation(
+                          cached.pendingValidationId
+                      )
+                    : await this.payoutProvider.validateBeneficiary({
+                          ...vpa,
+                          beneficiaryId: cached?.beneficiaryId,
+                          contactId: cached?.contactId,
+                      });
+            } catch (error) {
+                // A validation the provider lost is started again next time
+                if (cached?.pendingValidationId && error.status === 404) {
+                    this.beneficiaryCache.set(vpa, {
+                        pendingValidationId: null,
+                    });
+                }
+                return {
+                    payable: false,
+                    reason: `UPI address could not be validated (${error.message})`,
+                };
+            }
+            this.beneficiaryCache.recordValidation(vpa, validation);
+            logger.info(
+                `🔎 Validated ${beneficiary.vpa} for order ${orderId}: ${
+                    validation.valid ? "valid" : validation.reason
+                }`
+            );
+        }
+
+        if (validation.valid) {
+            return { payable: true, reason: null };
+        }
+        const reason = validation.reason || "UPI address failed validation";
+        if (beneficiary.bankAccount || beneficiary.bankRef) {
+            logger.warn(
+                `⚠️ ${beneficiary.vpa} failed validation (${reason}); order ${orderId} will be paid by bank transfer`
+            );
+            return { payable: true, reason };
+        }
+        return { payable: false, reason };
+    }
+
+    /**
+     * Fetch the bank details the maker kept off-chain for a `bankref`
+     * recipient; the backend releases them to the order's taker only
+     * @param {string} orderId
+     * @returns {Promise<Object|null>} { accountNumber, ifsc, name, salt }, or
+     *   null if they could not be fetched
+     */
+    async fetchBankAccount(orderId) {
+        try {
+            const response = await axios.get(
+                `${process.env.BACKEND_URL}/api/orders/${orderId}/beneficiary`,
+                {
+                    headers: await this.backendSession.getAuthHeaders(),
+                    timeout: 15000,
+                }
+            );
+            return response.data.data.bankAccount;
+        } catch (error) {
+            if (error.response?.status === 401) {
+                this.backendSession.invalidate();
+            }
+            logger.error(
+                `Failed to fetch bank details for order ${orderId}:`,
+                error.response?.data?.message || error.message
+            );
+            return null;
+        }
     }
 
     /**
@@ -582,322 +923,228 @@ class ResolverBot {
     }
 
     /**
-     * Create a contact for RazorpayX transactions
-     * @param {Object} contactDetails - Contact details
-     * @returns {Object} Contact response
+     * Pay an order's beneficiary through the payout provider, one recorded
+     * job stage at a time: create the contact, register the recipient (VPA
+     * or bank account) as its fund account, then create the payout with the
+     * job's idempotency key. Stages the job already reached are skipped.
+     * @param {Object} job - The order's job
+     * @param {Object} paymentDetails - Payment details
+     * @param {Object} paymentDetails.beneficiary - Provider beneficiary for this attempt
+     * @param {string} paymentDetails.mode - UPI / IMPS / NEFT
+     * @returns {Object} Payout response
      */
-    async createContact(orderHash) {
-        try {
-            // Create a short reference ID (max 40 chars for RazorpayX)
-            // Use last 30 chars of order hash for uniqueness
-            const shortOrderId = orderHash.slice(-30);
-            const referenceId = `ord_${shortOrderId}`;
-
-            const contactData = {
-                name: "Order Recipient",
-                email: "order@yourapp.com",
-                contact: "9999999999",
-                type: "self",
-                reference_id: referenceId,
-                notes: {
-                    order_id: orderHash,
-                    payment_type: "order_settlement",
-                },
-            };
-
-            this.logger.info(
-                `📞 Creating contact for order ${orderHash} (ref: ${referenceId})`
-            );
-
-            const response = await axios.post(
-                "https://api.razorpay.com/v1/contacts",
-                contactData,
-                {
-                    auth: {
-                        username: this.razorpayKeyId,
-                        password: this.razorpayKeySecret,
-                    },
-                    headers: {
-                        "Content-Type": "application/json",
-                    },
-                }
-            );
-
-            this.logger.info(
-                `✅ Contact created successfully: ${response.data.id}`
-            );
-            return response.data;
-        } catch (error) {
-            // Simple debug logging to avoid circular reference issues
-            console.log("🚨 ERROR IN CONTACT CREATION:");
-            console.log("Error message:", error.message);
-            console.log("Error type:", typeof error);
-            console.log("Has response:", !!error.response);
-
-            this.logger.error("RazorpayX Contact API Error", {
-                status: error.response?.status,
-                data: error.response?.data,
-                message: error.message,
-                hasResponse: !!error.response,
-            });
-
-            let errorMessage = error.message || "Unknown error";
-            if (error.response && error.response.data) {
-                if (
-                    error.response.data.error &&
-                    error.response.data.error.description
-                ) {
-                    errorMessage = error.response.data.error.description;
-                } else {
-                    errorMessage = JSON.stringify(error.response.data);
-                }
-            }
-
-            throw new Error(`Failed to create contact: ${errorMessage}`);
-        }
-    }
+    async createOrderPayout(job, paymentDetails) {
+        const {
+            beneficiary,
+            mode,
+            amountPaise,
+            orderId,
+            recipientName = "Order Recipient",
+        } = paymentDetails;
+        const recipient =
+            beneficiary.type === "vpa"
+                ? beneficiary.vpa
+                : `${beneficiary.ifsc} ••••${beneficiary.accountNumber.slice(-4)}`;
+        const contactOptions = {
+            name: recipientName,
+            // Last 30 chars of the order hash keep the reference unique
+            reference: `ord_${orderId.slice(-30)}`,
+            notes: {
+                order_id: orderId,
+                payment_type: "order_settlement",
+            },
+        };
 
-    /**
-     * Create a fund account for UPI payments
-     * @param {Object} fundAccountDetails - Fund account details
-     * @returns {Object} Fund account response
-     */
-    async createFundAccount(fundAccountDetails) {
         try {
-            const { recipientUpiAddress, contactId } = fundAccountDetails;
-
             logger.info(
-                `🏦 Creating fund account for ${recipientUpiAddress}...`
+                `💳 Creating ${mode} payout for ${amountPaise} paise to ${recipient} via ${this.payoutProvider.name}`
             );
 
-            const fundAccountPayload = {
-                contact_id: contactId,
-                account_type: "vpa",
-                vpa: {
-                    address: recipientUpiAddress,
-                },
-            };
-
-            const response = await axios.post(
-                "https://api.razorpay.com/v1/fund_accounts",
-                fundAccountPayload,
-                {
-                    headers: {
-                        Authorization: this.getRazorpayXAuthHeader(),
-                        "Content-Type": "application/json",
-                    },
-                    timeout: 30000,
-                }
-            );
+            // Repeat recipients are paid through their existing fund account
+            const cached = this.beneficiaryCache.get(beneficiary);
+            if (
+                cached?.beneficiaryId &&
+                !JobStore.reached(job, "fund_account")
+            ) {
+                job = this.recordJobStage(orderId, "fund_account", {
+                    contactId: cached.contactId,
+                    beneficiaryId: cached.beneficiaryId,
+                });
+                logger.info(`♻️ Reusing fund account for ${recipient}`);
+            }
 
-            if (response.status === 200 || response.status === 201) {
-                const fundAccountData = response.data;
-                logger.info(`✅ Fund account created: ${fundAccountData.id}`);
-                return {
-                    success: true,
-                    fundAccountId: fundAccountData.id,
-                    data: fundAccountData,
-                };
-            } else {
-                logger.error(
-                    `❌ Fund account creation failed with status ${response.status}`
-                );
-                return {
-                    success: false,
-                    error: `HTTP ${response.status}`,
-                    message: response.data,
-                };
+            // Step 1: Create the contact
+            if (!JobStore.reached(job, "contact")) {
+                const { contactId } =
+                    await this.payoutProvider.createContact(contactOptions);
+                job = this.recordJobStage(orderId, "contact", { contactId });
             }
-        } catch (error) {
-            logger.error(`Failed to create fund account:`, error);
 
-            if (error.response) {
-                const { status, data } = error.response;
-                logger.error(
-                    `RazorpayX Fund Account API Error ${status}:`,
-                    data
+            // Step 2: Register the recipient as the contact's fund account
+            if (!JobStore.reached(job, "fund_account")) {
+                const registered = await this.payoutProvider.createBeneficiary(
+                    beneficiary,
+                    { ...contactOptions, contactId: job.contactId }
                 );
-
-                return {
-                    success: false,
-                    error: `API Error ${status}`,
-                    message:
-                        data.error?.description ||
-                        data.message ||
-                        "Unknown error",
-                    details: data,
-                };
+                job = this.recordJobStage(orderId, "fund_account", {
+                    beneficiaryId: registered.beneficiaryId,
+                });
+                this.beneficiaryCache.set(beneficiary, {
+                    contactId: job.contactId,
+                    beneficiaryId: registered.beneficiaryId,
+                });
             }
-
-            return {
-                success: false,
-                error: error.code || "UNKNOWN_ERROR",
-                message: error.message,
-            };
-        }
-    }
-
-    /**
-     * Create a VPA payout using RazorpayX API (proper flow)
-     * @param {Object} paymentDetails - Payment details
-     * @returns {Object} Payout response
-     */
-    async createVPAPayout(paymentDetails) {
-        try {
-            const {
-                recipientUpiAddress,
-                amountPaise,
-                orderId,
-                recipientName = "Order Recipient",
-            } = paymentDetails;
-
             logger.info(
-                `💳 Creating VPA payout for ${amountPaise} paise to ${recipientUpiAddress}`
+                `🏦 Using beneficiary: ${job.beneficiaryId} (contact ${job.contactId})`
             );
 
-            // Step 1: Create contact
-            const contact = await this.createContact(orderId);
-
-            if (!contact || !contact.id) {
-                logger.error(
-                    `❌ Failed to create contact: No contact ID returned`
-                );
-                return { success: false, message: "Failed to create contact" };
-            }
-
-            const contactId = contact.id;
-            logger.info(`👤 Using contact: ${contactId}`);
-
-            // Step 2: Create fund account
-            const fundAccountResult = await this.createFundAccount({
-                recipientUpiAddress,
-                contactId,
-            });
-
-            if (!fundAccountResult.success) {
-                logger.error(
-                    `❌ Failed to create fund account: ${fundAccountResult.message}`
-                );
-                return fundAccountResult;
-            }
-
-            const fundAccountId = fundAccountResult.fundAccountId;
-            logger.info(`🏦 Using fund account: ${fundAccountId}`);
-
-            // Step 3: Create payout
-            const idempotencyKey = uuidv4();
-
-            const payoutPayload = {
-                account_number: process.env.RAZORPAYX_ACCOUNT_NUMBER,
-                fund_account_id: fundAccountId,
-                amount: amountPaise, // Amount in paise
-                currency: "INR",
-                mode: "UPI",
-                purpose: "payout",
-                queue_if_low_balance: true,
-                reference_id: `order_${orderId.substring(0, 10)}`,
+            // Step 3: Create payout. The key was stored before the first
+            // try, so a retry after a crash or timeout gets the same payout
+            const payout = await this.payoutProvider.createPayout({
+                beneficiaryId: job.beneficiaryId,
+                amountPaise,
+                orderId,
+                mode,
+                referenceId: `order_${orderId.substring(0, 10)}`,
                 narration: `Order Payment`, // Keep under 30 chars
+                idempotencyKey: job.idempotencyKey,
                 notes: {
-                    order_id: orderId,
-                    payment_method: "UPI",
+                    payment_method: mode,
                     processed_by: "resolver_bot",
                 },
-            };
-
-            logger.info(
-                `📤 Creating payout with fund account ${fundAccountId}...`
-            );
-
-            const response = await axios.post(
-                "https://api.razorpay.com/v1/payouts",
-                payoutPayload,
-                {
-                    headers: {
-                        Authorization: this.getRazorpayXAuthHeader(),
-                        "Content-Type": "application/json",
-                        "X-Payout-Idempotency": idempotencyKey,
-                    },
-                    timeout: 30000,
-                }
-            );
+            });
+            this.recordJobStage(orderId, "payout_created", {
+                payoutId: payout.id,
+                utr: payout.utr,
+            });
 
-            if (response.status === 200 || response.status === 201) {
-                const payoutData = response.data;
-                logger.info(`✅ VPA payout created successfully!`);
-                logger.info(`💰 Payout ID: ${payoutData.id}`);
-                logger.info(
-                    `🏦 Fund Account ID: ${payoutData.fund_account_id}`
-                );
-                logger.info(`📊 Status: ${payoutData.status}`);
-                logger.info(`🔗 UTR: ${payoutData.utr || "Pending"}`);
+            logger.info(`✅ ${mode} payout created successfully!`);
+            logger.info(`💰 Payout ID: ${payout.id}`);
+            logger.info(`🏦 Fund Account ID: ${payout.beneficiaryId}`);
+            logger.info(`📊 Status: ${payout.status}`);
+            logger.info(`🔗 UTR: ${payout.utr || "Pending"}`);
 
-                return {
-                    success: true,
-                    payoutId: payoutData.id,
-                    fundAccountId: payoutData.fund_account_id,
-                    contactId: contactId,
-                    status: payoutData.status,
-                    utr: payoutData.utr,
-                    fees: payoutData.fees,
-                    tax: payoutData.tax,
-                    createdAt: payoutData.created_at,
-                    data: payoutData,
-                };
-            } else {
-                logger.error(
-                    `❌ VPA payout failed with status ${response.status}`
-                );
-                return {
-                    success: false,
-                    error: `HTTP ${response.status}`,
-                    message: response.data,
-                };
-            }
+            return {
+                success: true,
+                payoutId: payout.id,
+                fundAccountId: payout.beneficiaryId,
+                contactId: job.contactId,
+                mode,
+                recipient,
+                status: payout.status,
+                utr: payout.utr,
+                fees: payout.fees,
+                tax: payout.tax,
+                createdAt: payout.createdAt,
+                data: payout.raw,
+            };
         } catch (error) {
-            logger.error(`Failed to create VPA payout:`, error);
-
-            if (error.response) {
-                const { status, data } = error.response;
-                logger.error(`RazorpayX API Error ${status}:`, data);
+            logger.error(`Failed to create ${mode} payout:`, {
+                message: error.message,
+                code: error.code,
+                status: error.status,
+                details: error.details,
+            });
 
-                return {
-                    success: false,
-                    error: `API Error ${status}`,
-                    message:
-                        data.error?.description ||
-                        data.message ||
-                        "Unknown error",
-                    details: data,
-                };
+            // A rejection other than a rail limit or outage may mean the
+            // fund account is no longer usable; register it afresh next time
+            if (error.status && !shouldFallBack(error.message)) {
+                this.beneficiaryCache.forget(beneficiary);
             }
 
             return {
                 success: false,
-                error: error.code || "UNKNOWN_ERROR",
+                error: error.status
+                    ? `API Error ${error.status}`
+                    : error.code || "UNKNOWN_ERROR",
                 message: error.message,
+                details: error.details,
+                // Only a definite rejection by the provider is final (and
+                // safe to retry on another rail); after a network error the
+                // payout may exist, so the job is resumed with the same key
+                rejected: !!error.status,
+                canFallBack: !!error.status && shouldFallBack(error.message),
             };
         }
     }
 
     /**
-     * Process payment for an accepted order
+     * Move a job forward to `stage`. Stages it already passed are not
+     * recorded again (a resumed settlement repeats its early steps).
+     * @returns {Object} The updated job
+     */
+    recordJobStage(orderId, stage, data = {}) {
+        const job = this.jobStore.get(orderId);
+        return this.jobStore.update(
+            orderId,
+            JobStore.reached(job, stage) ? data : { ...data, stage }
+        );
+    }
+
+    /**
+     * Start the next payout attempt (another rail) with a fresh idempotency
+     * key, keeping the contact
+     * @returns {Object} The updated job
+     */
+    startPayoutAttempt(orderId, attempt, mode) {
+        const job = this.jobStore.get(orderId);
+        return this.jobStore.update(orderId, {
+            stage: job.contactId ? "contact" : "accepted",
+            attempt,
+            mode,
+            idempotencyKey: uuidv4(),
+            beneficiaryId: null,
+            payoutId: null,
+            utr: null,
+        });
+    }
+
+    /**
+     * Process payment for an accepted order. Progress is kept in the job
+     * store, so this can be called again for the same order (after a crash,
+     * or for a redelivered callback) and picks up where it stopped without
+     * paying twice. UPI payouts that fail for limit or bank-downtime
+     * reasons are retried by IMPS/NEFT when the order's beneficiary has a
+     * bank account.
      * @param {string} orderId - The order ID
      */
     async processOrderPayment(orderId) {
+        // A redelivered callback may race a resumed job
+        if (this.runningJobs.has(orderId)) {
+            logger.info(`⏳ Order ${orderId} is already being processed`);
+            return false;
+        }
+        this.runningJobs.add(orderId);
+
         try {
-            logger.info(`🚀 Processing payment for order ${orderId}...`);
+            let job = this.jobStore.create(orderId);
+            if (JobStore.TERMINAL_STAGES.includes(job.stage)) {
+                logger.info(`📁 Order ${orderId} job is already ${job.stage}`);
+                return job.stage === "settled";
+            }
+
+            logger.info(
+                `🚀 Processing payment for order ${orderId} (stage: ${job.stage})...`
+            );
 
             // Step 1: Read order details from contract
             const orderDetails = await this.readOrderFromContract(orderId);
 
             // Validate order state
-            if (!orderDetails.accepted) {
-                logger.error(`❌ Order ${orderId} is not accepted yet`);
+            if (orderDetails.fullfilled) {
+                if (JobStore.reached(job, "payout_created")) {
+                    this.recordJobStage(orderId, "settled");
+                    logger.info(`✅ Order ${orderId} is already fulfilled`);
+                    return true;
+                }
+                logger.warn(`⚠️ Order ${orderId} is already fulfilled`);
+                this.jobStore.fail(orderId, "Order was already fulfilled");
                 return false;
             }
 
-            if (orderDetails.fullfilled) {
-                logger.warn(`⚠️ Order ${orderId} is already fulfilled`);
+            if (!orderDetails.accepted) {
+                logger.error(`❌ Order ${orderId} is not accepted yet`);
+                this.jobStore.fail(orderId, "Order is not accepted");
                 return false;
             }
 
@@ -908,120 +1155,189 @@ class ResolverBot {
                 logger.error(
                     `❌ This resolver is not the taker for order ${orderId}`
                 );
+                this.jobStore.fail(orderId, "Resolver is not the taker");
                 return false;
             }
 
             // Step 2: Calculate payment amount in paise (INR amount from contract is in 18 decimals)
-            const amountInrWei = BigInt(orderDetails.amount);
-            const amountInr = Number(ethers.formatEther(amountInrWei)); // Convert to regular INR
-            const amountPaise = Math.round(amountInr * 100); // Convert to paise
+            const amountInr = Number(ethers.formatEther(orderDetails.amount)); // Convert to regular INR
+            // Rounded as the backend rounds it when validating the payout
+            const amountPaise = Number(inrToPaise(orderDetails.amount));
+            if (job.amountPaise !== amountPaise) {
+                // Counted as exposure by the treasury until paid out
+                job = this.jobStore.update(orderId, { amountPaise });
+            }
+
+            let beneficiary = parseBeneficiary(
+                orderDetails.recipientUpiAddress
+            );
+            if (beneficiary.bankRef) {
+                const bankAccount = await this.fetchBankAccount(orderId);
+                if (bankAccount) {
+                    beneficiary = attachBankAccount(beneficiary, bankAccount);
+                } else if (beneficiary.type === "bank_account") {
+                    // Retried on the next run; the details may not be posted yet
+                    logger.error(
+                        `❌ No bank details for order ${orderId}; payout deferred`
+                    );
+                    return false;
+                } else {
+                    logger.warn(
+                        `⚠️ No bank details for order ${orderId}; paying by UPI without a bank fallback`
+                    );
+                }
+            }
+            const attempts = planPayouts(beneficiary, amountPaise);
 
             logger.info(`💰 Payment details:`, {
                 orderId,
                 amountINR: amountInr,
                 amountPaise,
-                recipientUpi: orderDetails.recipientUpiAddress,
+                recipient: describeBeneficiary(beneficiary),
+                modes: attempts.map(({ mode }) => mode),
             });
 
-            // Step 2.5: Join Yellow Network session for instant settlement
             const startTime = Date.now();
-            let yellowSessionId = null;
 
-            if (this.yellowClient && this.yellowClient.isConnected()) {
-                try {
-                    logger.info(
-                        `🟡 Joining Yellow Network session for order ${orderId}...`
-                    );
-                    yellowSessionId = await this.yellowClient.joinOrderSession(
-                        orderId,
-                        {
-                            amount: amountInr,
-                            recipientUpi: orderDetails.recipientUpiAddress,
-                            makerAddress: orderDetails.maker,
-                        }
-                    );
-                    logger.info(
-                        `✅ Yellow Network session joined: ${yellowSessionId}`
-                    );
-                } catch (error) {
-                    logger.warn(
-                        `⚠️ Yellow Network session failed, falling back to standard payment:`,
-                        error.message
-                    );
+            for (let i = job.attempt; i < attempts.length; i++) {
+                const { mode } = attempts[i];
+                const hasFallback = i < attempts.length - 1;
+
+                if (!job.idempotencyKey) {
+                    job = this.jobStore.update(orderId, {
+                        attempt: i,
+                        mode,
+                        idempotencyKey: uuidv4(),
+                    });
                 }
-            }
 
-            // Step 3: Create VPA payout (potentially accelerated by Yellow Network)
-            const payoutResult = await this.createVPAPayout({
-                recipientUpiAddress: orderDetails.recipientUpiAddress,
-                amountPaise,
-                orderId,
-                yellowSessionId, // Pass session ID for tracking
-            });
+                // Step 3: Create the payout, unless an earlier run did
+                if (!JobStore.reached(job, "payout_created")) {
+                    const payoutResult = await this.createOrderPayout(job, {
+                        ...attempts[i],
+                        amountPaise,
+                        orderId,
+                    });
 
-            if (payoutResult.success) {
-                // Step 3.5: Execute instant settlement via Yellow Network if available
-                if (yellowSessionId && this.yellowClient) {
-                    try {
-                        const settlementResult =
-                            await this.yellowClient.executeInstantSettlement(
-                                yellowSessionId,
-                                payoutResult.payoutId,
-                                payoutResult.utr
+                    if (!payoutResult.success) {
+                        if (hasFallback && payoutResult.canFallBack) {
+                            logger.warn(
+                                `↪️ ${mode} payout rejected (${payoutResult.message}), retrying by ${attempts[i + 1].mode}`
                             );
-
-                        const processingTime = Date.now() - startTime;
-                        logger.info(
-                            `🚀 Yellow Network instant settlement completed in ${processingTime}ms`,
-                            {
-                                sessionId: yellowSessionId,
-                                settlementId: settlementResult.settlementId,
-                                performanceGain: `${Math.max(
-                                    0,
-                                    20000 - processingTime
-                                )}ms faster`,
-                            }
-                        );
-                    } catch (error) {
-                        logger.warn(
-                            `⚠️ Yellow Network settlement failed, standard processing continues:`,
-                            error.message
+                            job = this.startPayoutAttempt(
+                                orderId,
+                                i + 1,
+                                attempts[i + 1].mode
+                            );
+                            continue;
+                        }
+                        logger.error(
+                            `❌ Payment failed for order ${orderId}:`,
+                            payoutResult.message
                         );
+                        if (payoutResult.rejected) {
+                            this.jobStore.fail(orderId, payoutResult.message);
+                        }
+                        return false;
                     }
+
+                    // Step 4: Display success message
+                    this.displayPaymentSuccess({
+                        orderId,
+                        recipient: payoutResult.recipient,
+                        mode,
+                        amountINR: amountInr,
+                        amountPaise,
+                        payoutId: payoutResult.payoutId,
+                        utr: payoutResult.utr,
+                        status: payoutResult.status,
+                        contactId: payoutResult.contactId,
+                        fundAccountId: payoutResult.fundAccountId,
+                        fees: payoutResult.fees,
+                        tax: payoutResult.tax,
+                    });
+                    job = this.jobStore.get(orderId);
+                } else {
+                    logger.info(
+                        `♻️ Reusing ${mode} payout ${job.payoutId} for order ${orderId}`
+                    );
                 }
 
-                // Step 4: Display success message
-                this.displayPaymentSuccess({
-                    orderId,
-                    recipientUpi: orderDetails.recipientUpiAddress,
-                    amountINR: amountInr,
-                    amountPaise,
-                    payoutId: payoutResult.payoutId,
-                    utr: payoutResult.utr,
-                    status: payoutResult.status,
-                    contactId: payoutResult.contactId,
-                    fundAccountId: payoutResult.fundAccountId,
-                    fees: payoutResult.fees,
-                    tax: payoutResult.tax,
-                });
+                // Step 5: Wait for the payout, settle and watch for fulfillment
+                const settlement =
+                    await this.autoSettlement.processOrderSettlement({
+                        orderId,
+                        payoutId: job.payoutId,
+                        utr: job.utr,
+                        startTime,
+                        onStage: (stage, data) =>
+                            this.recordJobStage(orderId, stage, data),
+                    });
 
-                // Step 5: Submit proof to backend for order fulfillment
-                await this.submitProofToBackend(orderId, payoutResult.payoutId);
+                if (settlement.success) {
+                    this.recordJobStage(orderId, "settled", {
+                        settlementMode: settlement.mode,
+                        transactionHash: settlement.transactionHash,
+                    });
+                    return true;
+                }
 
-                return true;
-            } else {
-                logger.error(
-                    `❌ Payment failed for order ${orderId}:`,
-                    payoutResult.message
-                );
+                // A payout that definitely failed can be retried on the next
+                // rail; one that timed out may still complete, so it can't
+                const payoutFailed =
+                    settlement.stage === "payout" &&
+                    FAILED_PAYOUT_STATUSES.includes(settlement.status);
+                if (
+                    payoutFailed &&
+                    hasFallback &&
+                    shouldFallBack(settlement.error)
+                ) {
+                    logger.warn(
+                        `↪️ ${mode} payout ${job.payoutId} ${settlement.status} (${settlement.error}), retrying by ${attempts[i + 1].mode}`
+                    );
+                    job = this.startPayoutAttempt(
+                        orderId,
+                        i + 1,
+                        attempts[i + 1].mode
+                    );
+                    continue;
+                }
+
+                // Anything else (a payout or fulfillment timeout) is left
+                // for the next resume
+                if (payoutFailed) {
+                    this.jobStore.fail(orderId, settlement.error);
+                }
                 return false;
             }
+
+            return false;
         } catch (error) {
             logger.error(
                 `Failed to process payment for order ${orderId}:`,
                 error
             );
             return false;
+        } finally {
+            this.runningJobs.delete(orderId);
+        }
+    }
+
+    /**
+     * Resume every unfinished order job, e.g. after a crash or restart.
+     * Stages already done are skipped and payouts reuse the stored
+     * idempotency key, so no order is paid twice.
+     */
+    resumeJobs() {
+        const jobs = this.jobStore.listIncomplete();
+        if (jobs.length === 0) {
+            return;
+        }
+
+        logger.info(`♻️ Resuming ${jobs.length} unfinished order job(s)`);
+        for (const job of jobs) {
+            logger.info(`♻️ Resuming order ${job.orderId} at ${job.stage}`);
+            this.processOrderPayment(job.orderId);
         }
     }
 
@@ -1032,7 +1348,8 @@ class ResolverBot {
     displayPaymentSuccess(paymentDetails) {
         const {
             orderId,
-            recipientUpi,
+            recipient,
+            mode,
             amountINR,
             amountPaise,
             payoutId,
@@ -1051,7 +1368,7 @@ ${separator}
 ${separator}
 📋 Order ID: ${orderId}
 💰 Amount: ₹${amountINR.toFixed(2)} (${amountPaise} paise)
-🏦 Recipient UPI: ${recipientUpi}
+🏦 Recipient: ${recipient} (${mode})
 🆔 Payout ID: ${payoutId}
 🔗 UTR/Transaction ID: ${utr || "Processing..."}
 📊 Status: ${status.toUpperCase()}
@@ -1069,6 +1386,35 @@ ${separator}
         console.log("\x1b[32m%s\x1b[0m", message); // Green color in console
     }
 
+    /**
+     * Sign an EIP-712 acceptance authorizing the backend relayer to accept
+     * an order for this resolver at the given price
+     * @param {string} orderId - The order ID
+     * @param {bigint} acceptedPriceWei - Price in wei
+     * @returns {Promise<Object>} { deadline, nonce, signature }
+     */
+    async signAcceptance(orderId, acceptedPriceWei) {
+        const acceptance = {
+            orderId,
+            acceptedPrice: acceptedPriceWei,
+            deadline:
+                Math.floor(Date.now() / 1000) +
+                (parseInt(process.env.ACCEPTANCE_DEADLINE_SECONDS) || 120),
+            nonce: BigInt(`0x${crypto.randomBytes(16).toString("hex")}`),
+        };
+        const signature = await this.wallet.signTypedData(
+            acceptanceDomain(getActiveChainId(), this.contract.target),
+            ACCEPTANCE_TYPES,
+            acceptance
+        );
+
+        return {
+            deadline: acceptance.deadline,
+            nonce: acceptance.nonce.toString(),
+            signature,
+        };
+    }
+
     async acceptOrder(orderId, acceptedPrice) {
         try {
             logger.info(
@@ -1078,9 +1424,17 @@ ${separator}
             const backendUrl = process.env.BACKEND_URL;
             const apiEndpoint = `${backendUrl}/api/orders/${orderId}/accept`;
 
+            // Auction prices arrive as decimals; sign and send the exact wei
+            // amount so the backend verifies the same value
+            const acceptedPriceWei =
+                parseFloat(acceptedPrice) > 1e15
+                    ? BigInt(acceptedPrice)
+                    : ethers.parseEther(acceptedPrice);
+
             const requestPayload = {
-                acceptedPrice: acceptedPrice,
+                acceptedPrice: acceptedPriceWei.toString(),
                 resolverAddress: this.wallet.address,
+                ...(await this.signAcceptance(orderId, acceptedPriceWei)),
             };
 
             logger.info(`Making request to: ${apiEndpoint}`);
@@ -1090,6 +1444,7 @@ ${separator}
             const response = await axios.post(apiEndpoint, requestPayload, {
                 headers: {
                     "Content-Type": "application/json",
+                    ...(await this.backendSession.getAuthHeaders()),
                 },
                 timeout: 30000, // 30 second timeout
             });
@@ -1123,7 +1478,16 @@ ${separator}
                 logger.error(`API Error ${status}:`, data);
 
                 // Log specific error messages
-                if (status === 409) {
+                if (data?.error === "Invalid acceptance") {
+                    logger.error(
+                        `Backend rejected the signed acceptance: ${data.message}`
+                    );
+                } else if (status === 401) {
+                    logger.warn(
+                        "Backend session was rejected; signing in again"
+                    );
+                    this.backendSession.invalidate();
+                } else if (status === 409) {
                     logger.warn(
                         `Order ${orderId} was already accepted by another resolver`
                     );
@@ -1150,6 +1514,35 @@ ${separator}
         }
     }
 
+    /**
+     * Accept an order if the treasury can still fund it, holding its amount
+     * while the acceptance is in flight
+     * @param {string} orderId
+     * @param {number} amountPaise - The order's payout amount
+     * @param {string} acceptedPrice - Passed to acceptOrder
+     * @returns {Promise<boolean>} Whether the order was accepted
+     */
+    async acceptFundedOrder(orderId, amountPaise, acceptedPrice) {
+        const funding = await this.treasury.reserve(orderId, amountPaise);
+        if (!funding.ok) {
+            logger.warn(`💼 Not accepting order ${orderId}: ${funding.reason}`);
+            return false;
+        }
+
+        try {
+            const success = await this.acceptOrder(orderId, acceptedPrice);
+            if (success) {
+                // The job carries the order's exposure from here on (the
+                // backend's callback may already have created it)
+                this.jobStore.create(orderId);
+                this.jobStore.update(orderId, { amountPaise });
+            }
+            return success;
+        } finally {
+            this.treasury.release(orderId);
+        }
+    }
+
     async handleOrderCreated(orderId, maker, amount, event) {
         try {
             const startTime = Date.now();
@@ -1179,14 +1572,48 @@ ${separator}
                 return;
             }
 
-            // Calculate accepted price
-            const acceptedPrice = this.calculateAcceptedPrice(
-                order.startPrice.toString(),
-                order.endPrice.toString()
+            // Never take an order whose recipient can't be paid
+            const recipient = await this.checkRecipient(
+                orderId,
+                order.recipientUpiAddress
+            );
+            if (!recipient.payable) {
+                logger.warn(
+                    `⏭️ Skipping order ${orderId}: ${recipient.reason}`
+                );
+                return;
+            }
+
+            const amountPaise = Number(inrToPaise(order.amount));
+            const funding = this.treasury.check(orderId, amountPaise);
+            if (!funding.ok) {
+                logger.warn(`⏭️ Skipping order ${orderId}: ${funding.reason}`);
+                return;
+            }
+
+            // Price the order with the configured strategy
+            const decision = this.decidePrice(
+                await this.buildPricingContext(orderId, order)
             );
+            if (decision.action !== "accept") {
+                return;
+            }
+
+            // Back to wei, kept inside the order's range despite float rounding
+            let acceptedPrice = ethers.parseEther(decision.price.toFixed(18));
+            if (acceptedPrice > order.startPrice) {
+                acceptedPrice = order.startPrice;
+            }
+            if (acceptedPrice < order.endPrice) {
+                acceptedPrice = order.endPrice;
+            }
 
             // Accept the order
-            const success = await this.acceptOrder(orderId, acceptedPrice);
+            const success = await this.acceptFundedOrder(
+                orderId,
+                amountPaise,
+                acceptedPrice.toString()
+            );
 
             const processingTime = Date.now() - startTime;
             logger.info(`Order processing completed in ${processingTime}ms`);
@@ -1201,6 +1628,19 @@ ${separator}
         }
     }
 
+    async handleContractEvent({ name, args, log }) {
+        if (name === "OrderCreated") {
+            const [orderId, maker, amount] = args;
+            await this.handleOrderCreated(orderId, maker, amount, log);
+        } else if (name === "OrderAccepted") {
+            // Logged for monitoring
+            const [orderId, taker, acceptedPrice] = args;
+            logger.info(
+                `📋 Order ${orderId} accepted by ${taker} at price ${acceptedPrice}`
+            );
+        }
+    }
+
     async startListening() {
         try {
             if (this.isListening) {
@@ -1210,28 +1650,16 @@ ${separator}
 
             logger.info("🎧 Starting to listen for OrderCreated events...");
 
-            // Listen for OrderCreated events
-            this.contract.on(
-                "OrderCreated",
-                async (orderId, maker, amount, event) => {
-                    await this.handleOrderCreated(
-                        orderId,
-                        maker,
-                        amount,
-                        event
-                    );
-                }
-            );
-
-            // Listen for other relevant events for monitoring
-            this.contract.on(
-                "OrderAccepted",
-                (orderId, taker, acceptedPrice, event) => {
-                    logger.info(
-                        `📋 Order ${orderId} accepted by ${taker} at price ${acceptedPrice}`
-                    );
-                }
-            );
+            // Backfills events missed while the bot was down, then follows
+            // new ones over WebSocket (RPC_WS_URL) or getLogs polling
+            this.eventFeed = new OrderEventFeed({
+                provider: this.provider,
+                contract: this.contract,
+                startBlock: this.deploymentBlock,
+                logger,
+                onEvent: (event) => this.handleContractEvent(event),
+            });
+            await this.eventFeed.start();
 
             this.isListening = true;
             logger.info("✅ Bot is now actively listening for events");
@@ -1250,8 +1678,8 @@ ${separator}
 
             logger.info("🛑 Stopping event listener...");
 
-            // Remove all listeners
-            this.contract.removeAllListeners();
+            // Stop following contract events
+            await this.eventFeed.stop();
             this.isListening = false;
 
             // Close callback server
@@ -1270,13 +1698,13 @@ ${separator}
                 logger.info("📴 Auction socket disconnected");
             }
 
-            // Clean up any active auction timeouts
-            for (const [orderId, timeoutId] of this.auctionTimeouts) {
-                clearTimeout(timeoutId);
-                logger.debug(`🧹 Cleared timeout for auction ${orderId}`);
+            if (this.yellowClient) {
+                this.yellowClient.disconnect();
+                logger.info("📴 Yellow Network disconnected");
             }
-            this.auctionTimeouts.clear();
+
             this.activeAuctions.clear();
+            this.treasury.stop();
 
             logger.info("✅ Event listener stopped");
         } catch (error) {
@@ -1284,50 +1712,6 @@ ${separator}
         }
     }
 
-    /**
-     * Submit payment proof to backend for order fulfillment verification
-     */
-    async submitProofToBackend(orderId, transactionId) {
-        try {
-            this.logger.info(
-                `📤 Submitting proof to backend for order ${orderId}...`
-            );
-            this.logger.info(`🔗 Transaction ID: ${transactionId}`);
-
-            const response = await axios.post(
-                `${process.env.BACKEND_URL}/api/orders/${orderId}/fulfill`,
-                {
-                    transactionId: transactionId,
-                    resolverAddress: this.wallet.address,
-                },
-                {
-                    headers: {
-                        "Content-Type": "application/json",
-                    },
-                    timeout: 30000,
-                }
-            );
-
-            if (response.status === 200) {
-                this.logger.info(`✅ Proof submitted successfully!`);
-                this.logger.info(`📋 Backend response:`, response.data);
-                return true;
-            } else {
-                this.logger.warn(
-                    `⚠️ Unexpected response status: ${response.status}`
-                );
-                return false;
-            }
-        } catch (error) {
-            this.logger.error("❌ Failed to submit proof to backend:", {
-                orderId,
-                transactionId,
-                error: error.message,
-            });
-            return false;
-        }
-    }
-
     async start() {
         try {
             await this.initialize();
@@ -1359,6 +1743,9 @@ ${separator}
                 );
             }
 
+            // Pick up orders a previous run left unfinished
+            this.resumeJobs();
+
             logger.info("🚀 Resolver Bot is now running 24x7!");
             logger.info("Press Ctrl+C to stop the bot");
 
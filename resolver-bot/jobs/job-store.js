@@ -0,0 +1,147 @@
+// Durable job state for the resolver bot
+// One job per accepted order, tracking how far its payout and settlement
+// got. The store is a JSON file rewritten atomically on every change, so a
+// restarted bot can resume each unfinished order where it stopped.
+
+const fs = require("fs");
+const path = require("path");
+
+// In order; a job only moves back to "contact" to retry on another rail
+const JOB_STAGES = [
+    "accepted",
+    "contact",
+    "fund_account",
+    "payout_created",
+    "payout_processed",
+    "proof_submitted",
+    "settled",
+];
+
+const TERMINAL_STAGES = ["settled", "failed"];
+
+class JobStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.file] - JSON file (RESOLVER_JOB_STORE_FILE,
+     *   default resolver-jobs.json in the working directory)
+     */
+    constructor(options = {}) {
+        this.file = path.resolve(
+            options.file ||
+                process.env.RESOLVER_JOB_STORE_FILE ||
+                "resolver-jobs.json"
+        );
+        this.jobs = {};
+        this.load();
+    }
+
+    load() {
+        if (fs.existsSync(this.file)) {
+            this.jobs = JSON.parse(fs.readFileSync(this.file, "utf8"));
+        }
+    }
+
+    save() {
+        // Write then rename, so a crash mid-write can't corrupt the store
+        const temp = `${this.file}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify(this.jobs, null, 2));
+        fs.renameSync(temp, this.file);
+    }
+
+    /**
+     * @param {string} orderId
+     * @returns {Object|null} A copy of the job
+     */
+    get(orderId) {
+        const job = this.jobs[orderId.toLowerCase()];
+        return job ? structuredClone(job) : null;
+    }
+
+    /**
+     * Start a job for an accepted order. Creating an existing job returns
+     * it unchanged, so redelivered callbacks are harmless.
+     * @param {string} orderId
+     * @param {Object} [data] - Initial fields
+     * @returns {Object} The job
+     */
+    create(orderId, data = {}) {
+        const key = orderId.toLowerCase();
+        if (!this.jobs[key]) {
+            const now = new Date().toISOString();
+            this.jobs[key] = {
+                orderId,
+                stage: "accepted",
+                attempt: 0,
+                ...data,
+                history: [{ stage: "accepted", at: now }],
+                createdAt: now,
+                updatedAt: now,
+            };
+            this.save();
+        }
+        return this.get(orderId);
+    }
+
+    /**
+     * Merge fields into a job, recording a stage change in its history
+     * @param {string} orderId
+     * @param {Object} changes - Fields to set, e.g. { stage, payoutId }
+     * @returns {Object} The updated job
+     */
+    update(orderId, changes) {
+        const job = this.jobs[orderId.toLowerCase()];
+        if (!job) {
+            throw new Error(`No job for order ${orderId}`);
+        }
+        if (
+            changes.stage &&
+            changes.stage !== "failed" &&
+            !JOB_STAGES.includes(changes.stage)
+        ) {
+            throw new Error(`Unknown job stage: ${changes.stage}`);
+        }
+
+        const now = new Date().toISOString();
+        if (changes.stage && changes.stage !== job.stage) {
+            job.history.push({ stage: changes.stage, at: now });
+        }
+        Object.assign(job, changes, { updatedAt: now });
+        this.save();
+        return this.get(orderId);
+    }
+
+    /**
+     * Stop working on a job
+     * @param {string} orderId
+     * @param {string} reason
+     */
+    fail(orderId, reason) {
+        return this.update(orderId, { stage: "failed", error: reason });
+    }
+
+    /**
+     * Jobs that are neither settled nor failed, oldest first
+     * @returns {Object[]}
+     */
+    listIncomplete() {
+        return Object.values(this.jobs)
+            .filter((job) => !TERMINAL_STAGES.includes(job.stage))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map((job) => structuredClone(job));
+    }
+
+    /**
+     * Whether a job is at or past a stage
+     */
+    static reached(job, stage) {
+        return (
+            job.stage !== "failed" &&
+            JOB_STAGES.indexOf(job.stage) >= JOB_STAGES.indexOf(stage)
+        );
+    }
+}
+
+JobStore.JOB_STAGES = JOB_STAGES;
+JobStore.TERMINAL_STAGES = TERMINAL_STAGES;
+
+module.exports = JobStore;
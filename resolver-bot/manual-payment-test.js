@@ -1,4 +1,5 @@
 const ResolverBot = require("./index.js");
+const { getContract, getRpcUrl } = require("../deployments");
 
 /**
  * Manually trigger payment processing for an already accepted order
@@ -22,27 +23,22 @@ async function manuallyProcessPayment() {
         console.log("⚙️ Setting up basic resolver components...");
 
         const { ethers } = require("ethers");
-        const fs = require("fs");
-        const path = require("path");
         require("dotenv").config();
 
         // Set up blockchain connection
-        bot.provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+        bot.provider = new ethers.JsonRpcProvider(getRpcUrl());
         bot.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, bot.provider);
 
-        // Load contract ABI
-        const abiPath = path.join(__dirname, "abi", "OrderProtocol.json");
-        const contractABI = JSON.parse(fs.readFileSync(abiPath, "utf8"));
-
-        // Create contract instance
+        // Create contract instance from the deployments registry
+        const orderProtocol = getContract("OrderProtocol");
         bot.contract = new ethers.Contract(
-            process.env.CONTRACT_ADDRESS,
-            contractABI,
+            orderProtocol.address,
+            orderProtocol.abi,
             bot.wallet
         );
 
         console.log(`✅ Connected as: ${bot.wallet.address}`);
-        console.log(`📋 Contract: ${process.env.CONTRACT_ADDRESS}`);
+        console.log(`📋 Contract: ${orderProtocol.address}`);
 
         // Process the payment for this order
         console.log("\n💳 Processing payment...");
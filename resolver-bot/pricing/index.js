@@ -0,0 +1,60 @@
+const PricingStrategy = require("./pricing-strategy");
+const MarketData = require("./market-data");
+const MinMarginStrategy = require("./strategies/min-margin-strategy");
+const SnipingStrategy = require("./strategies/sniping-strategy");
+const FixedSpreadStrategy = require("./strategies/fixed-spread-strategy");
+
+const STRATEGIES = {
+    "min-margin": MinMarginStrategy,
+    sniping: SnipingStrategy,
+    "fixed-spread": FixedSpreadStrategy,
+};
+
+function envNumber(name) {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? undefined : value;
+}
+
+/**
+ * Build the pricing strategy named by `options.strategy` or PRICING_STRATEGY
+ * (min-margin by default). Strategy options fall back to PRICING_MIN_MARGIN,
+ * PRICING_SNIPE_AT_PROGRESS, PRICING_SNIPE_WINDOW_MS and PRICING_SPREAD.
+ * @param {Object} [options] - Strategy options
+ * @returns {PricingStrategy}
+ */
+function createPricingStrategy(options = {}) {
+    const name = (
+        options.strategy ||
+        process.env.PRICING_STRATEGY ||
+        "min-margin"
+    ).toLowerCase();
+    const Strategy = STRATEGIES[name];
+    if (!Strategy) {
+        throw new Error(
+            `Unknown pricing strategy "${name}" (expected one of: ${Object.keys(
+                STRATEGIES
+            ).join(", ")})`
+        );
+    }
+
+    const fromEnv = {
+        minMargin: envNumber("PRICING_MIN_MARGIN"),
+        atProgress: envNumber("PRICING_SNIPE_AT_PROGRESS"),
+        windowMs: envNumber("PRICING_SNIPE_WINDOW_MS"),
+        spread: envNumber("PRICING_SPREAD"),
+    };
+    for (const key of Object.keys(fromEnv)) {
+        if (fromEnv[key] === undefined) delete fromEnv[key];
+    }
+
+    return new Strategy({ ...fromEnv, ...options });
+}
+
+module.exports = {
+    PricingStrategy,
+    MarketData,
+    MinMarginStrategy,
+    SnipingStrategy,
+    FixedSpreadStrategy,
+    createPricingStrategy,
+};
@@ -0,0 +1,68 @@
+const axios = require("axios");
+const { ethers } = require("ethers");
+
+/**
+ * Market inputs for pricing decisions: INR oracle prices from the backend's
+ * price oracle (cached briefly) and the INR cost of the gas a fallback
+ * on-chain fulfillment would use.
+ */
+class MarketData {
+    /**
+     * @param {Object} options
+     * @param {ethers.Provider} options.provider - Chain provider, for fee data
+     * @param {string} [options.nativeSymbol] - Symbol of the gas token (default ETH)
+     * @param {string} [options.backendUrl]
+     * @param {number} [options.gasUnits] - Gas of a fulfillment (PRICING_GAS_UNITS)
+     * @param {number} [options.payoutFee] - INR per payout (PRICING_PAYOUT_FEE_INR)
+     * @param {number} [options.cacheTtl] - Oracle price cache in ms
+     */
+    constructor(options = {}) {
+        this.provider = options.provider;
+        this.nativeSymbol = options.nativeSymbol || "ETH";
+        this.backendUrl = options.backendUrl || process.env.BACKEND_URL;
+        this.gasUnits =
+            options.gasUnits ||
+            parseInt(process.env.PRICING_GAS_UNITS) ||
+            250000;
+        this.payoutFee =
+            options.payoutFee ??
+            (parseFloat(process.env.PRICING_PAYOUT_FEE_INR) || 6);
+        this.cacheTtl = options.cacheTtl || 30000;
+        this.prices = new Map();
+    }
+
+    /**
+     * Oracle price of a token in INR
+     * @param {string} symbol - Token symbol (e.g. USDC)
+     * @returns {Promise<number>}
+     */
+    async getTokenPrice(symbol) {
+        const cached = this.prices.get(symbol);
+        if (cached && Date.now() - cached.at < this.cacheTtl) {
+            return cached.price;
+        }
+
+        const response = await axios.get(
+            `${this.backendUrl}/api/orders/live-pricing/${symbol}`,
+            { timeout: 10000 }
+        );
+        const price = response.data.data.pricing.pricePerToken;
+        this.prices.set(symbol, { price, at: Date.now() });
+        return price;
+    }
+
+    /**
+     * INR cost of a fulfillment transaction at current fees
+     * @returns {Promise<number>}
+     */
+    async getGasCost() {
+        const feeData = await this.provider.getFeeData();
+        const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+        const gasEth = Number(
+            ethers.formatEther(gasPrice * BigInt(this.gasUnits))
+        );
+        return gasEth * (await this.getTokenPrice(this.nativeSymbol));
+    }
+}
+
+module.exports = MarketData;
@@ -0,0 +1,104 @@
+/**
+ * Pricing strategy interface for the resolver bot.
+ *
+ * A strategy decides whether to take an order and at what price. Prices are
+ * decimal INR per token, like the Dutch auction's; all costs are INR. It
+ * receives a pricing context:
+ *   {
+ *     orderId,
+ *     order: { amount, tokenSymbol, startPrice, endPrice },  // amount in INR
+ *     auction: { currentPrice, progress, timeRemaining } | null,
+ *     oraclePrice,      // INR per token
+ *     resolverFeeBps,   // resolver fee paid on top of the token amount
+ *     payoutFee,        // INR paid to the payout provider
+ *     gasCost,          // INR of native gas for a fallback fulfillment
+ *   }
+ * `auction` is null for orders taken straight from OrderCreated; its
+ * progress is 0-100 and timeRemaining is in ms. A decision is either
+ *   { action: "accept", price, reason } or { action: "skip", reason }.
+ * During an auction, skipping means "not at this price": the bot asks
+ * again on every price update.
+ */
+
+class PricingStrategy {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+    }
+
+    /**
+     * @param {Object} context - Pricing context (see above)
+     * @returns {Object} Decision
+     */
+    decide(context) {
+        throw new Error(`${this.name} strategy does not implement decide()`);
+    }
+
+    accept(price, reason) {
+        return { action: "accept", price, reason };
+    }
+
+    skip(reason) {
+        return { action: "skip", reason };
+    }
+
+    /**
+     * Accept at the current auction price if it is at or below `maxPrice`,
+     * or, without an auction, at the highest price in the order's range up
+     * to `maxPrice`
+     * @param {string} limit - What maxPrice is, for the decision's reason
+     */
+    acceptUpTo(context, maxPrice, limit) {
+        const { auction, order } = context;
+
+        if (auction) {
+            return auction.currentPrice <= maxPrice
+                ? this.accept(auction.currentPrice, `at or below ${limit}`)
+                : this.skip(`auction price is above ${limit}`);
+        }
+
+        if (maxPrice < order.endPrice) {
+            return this.skip(`order's end price is above ${limit}`);
+        }
+        return this.accept(
+            Math.min(order.startPrice, maxPrice),
+            `at or below ${limit}`
+        );
+    }
+}
+
+/**
+ * Total INR cost of filling an order: the payout itself plus fees
+ */
+function costOf(context) {
+    return context.order.amount + context.payoutFee + context.gasCost;
+}
+
+/**
+ * Margin over cost when accepting at `price`, valuing the tokens received
+ * (with the resolver fee) at the oracle price
+ * @returns {number} e.g. 0.01 for 1%
+ */
+function marginAt(context, price) {
+    const tokens =
+        (context.order.amount / price) * (1 + context.resolverFeeBps / 10000);
+    const cost = costOf(context);
+    return (tokens * context.oraclePrice - cost) / cost;
+}
+
+/**
+ * Highest price at which the order still earns `margin`
+ */
+function maxPriceForMargin(context, margin) {
+    const tokensNeeded = (costOf(context) * (1 + margin)) / context.oraclePrice;
+    return (
+        (context.order.amount * (1 + context.resolverFeeBps / 10000)) /
+        tokensNeeded
+    );
+}
+
+PricingStrategy.costOf = costOf;
+PricingStrategy.marginAt = marginAt;
+PricingStrategy.maxPriceForMargin = maxPriceForMargin;
+
+module.exports = PricingStrategy;
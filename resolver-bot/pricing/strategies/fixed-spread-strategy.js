@@ -0,0 +1,26 @@
+const PricingStrategy = require("../pricing-strategy");
+
+/**
+ * Take an order when the price is at least `spread` below the oracle
+ * price, ignoring fees and gas
+ */
+class FixedSpreadStrategy extends PricingStrategy {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.spread] - e.g. 0.01 for 1% under the oracle (default)
+     */
+    constructor(options = {}) {
+        super("fixed-spread", options);
+        this.spread = options.spread ?? 0.01;
+    }
+
+    decide(context) {
+        return this.acceptUpTo(
+            context,
+            context.oraclePrice * (1 - this.spread),
+            `${(this.spread * 100).toFixed(2)}% under the oracle price`
+        );
+    }
+}
+
+module.exports = FixedSpreadStrategy;
@@ -0,0 +1,26 @@
+const PricingStrategy = require("../pricing-strategy");
+
+/**
+ * Take an order once it earns at least `minMargin` over its full cost
+ * (payout, payout fee and gas), valuing the tokens at the oracle price
+ */
+class MinMarginStrategy extends PricingStrategy {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.minMargin] - e.g. 0.005 for 0.5% (default)
+     */
+    constructor(options = {}) {
+        super("min-margin", options);
+        this.minMargin = options.minMargin ?? 0.005;
+    }
+
+    decide(context) {
+        return this.acceptUpTo(
+            context,
+            PricingStrategy.maxPriceForMargin(context, this.minMargin),
+            `the ${(this.minMargin * 100).toFixed(2)}% margin price`
+        );
+    }
+}
+
+module.exports = MinMarginStrategy;
@@ -0,0 +1,58 @@
+const PricingStrategy = require("../pricing-strategy");
+
+/**
+ * Wait for the Dutch auction to fall and take the order late, at
+ * `atProgress` percent of the auction or within `windowMs` of its end,
+ * as long as it still earns `minMargin`. Orders outside an auction are
+ * taken at the price the auction curve would have reached by then.
+ */
+class SnipingStrategy extends PricingStrategy {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.atProgress] - Auction progress to wait for, 0-100 (default 80)
+     * @param {number} [options.windowMs] - Or this close to the end (default 1000)
+     * @param {number} [options.minMargin] - Floor on the margin (default 0, break-even)
+     */
+    constructor(options = {}) {
+        super("sniping", options);
+        this.atProgress = options.atProgress ?? 80;
+        this.windowMs = options.windowMs ?? 1000;
+        this.minMargin = options.minMargin ?? 0;
+    }
+
+    decide(context) {
+        const { auction, order } = context;
+
+        if (
+            auction &&
+            auction.progress < this.atProgress &&
+            auction.timeRemaining > this.windowMs
+        ) {
+            return this.skip(
+                `waiting for ${this.atProgress}% of the auction or its last ${this.windowMs}ms`
+            );
+        }
+
+        const maxPrice = PricingStrategy.maxPriceForMargin(
+            context,
+            this.minMargin
+        );
+        const limit = `the ${(this.minMargin * 100).toFixed(2)}% margin price`;
+        if (auction) {
+            return this.acceptUpTo(context, maxPrice, limit);
+        }
+
+        // The price the auction would have fallen to at atProgress
+        const snipePrice =
+            order.startPrice -
+            (order.startPrice - order.endPrice) *
+                Math.pow(this.atProgress / 100, 1.5);
+        return this.acceptUpTo(
+            context,
+            Math.min(maxPrice, snipePrice),
+            `the ${this.atProgress}% auction price and ${limit}`
+        );
+    }
+}
+
+module.exports = SnipingStrategy;
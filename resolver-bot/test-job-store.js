@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+/**
+ * Test the resolver job store: stage tracking, failure and resuming
+ * unfinished jobs from the file after a restart
+ * Run with: npm run test-jobs
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JobStore = require("./jobs/job-store");
+
+const ORDER_A = `0x${"aa".repeat(32)}`;
+const ORDER_B = `0x${"bb".repeat(32)}`;
+const ORDER_C = `0x${"cc".repeat(32)}`;
+
+class JobStoreTest {
+    constructor() {
+        this.testResults = [];
+        this.dir = null;
+    }
+
+    async runTests() {
+        console.log("🧪 Testing the resolver job store...\n");
+
+        this.dir = fs.mkdtempSync(path.join(os.tmpdir(), "resolver-jobs-"));
+        try {
+            await this.run("Create is idempotent", () => this.testCreate());
+            await this.run("Stage history", () => this.testStages());
+            await this.run("Unknown stage", () => this.testUnknownStage());
+            await this.run("Reached stages", () => this.testReached());
+            await this.run("Fail", () => this.testFail());
+            await this.run("Resume after restart", () => this.testResume());
+            await this.run("Copies, not live jobs", () => this.testCopies());
+        } finally {
+            fs.rmSync(this.dir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        return this.testResults.every((result) => result.passed);
+    }
+
+    async run(testName, test) {
+        console.log(`🔹 ${testName}...`);
+        try {
+            await test();
+            this.addResult(testName, true);
+            console.log("  ✅ Passed");
+        } catch (error) {
+            this.addResult(testName, false, { error: error.message });
+            console.log("  ❌ Failed:", error.message);
+        }
+    }
+
+    // A store on a fresh file
+    createStore(name) {
+        return new JobStore({ file: path.join(this.dir, `${name}.json`) });
+    }
+
+    testCreate() {
+        const store = this.createStore("create");
+        const job = store.create(ORDER_A, { acceptedPrice: "90" });
+        assert.strictEqual(job.stage, "accepted");
+        assert.strictEqual(job.attempt, 0);
+        assert.strictEqual(job.acceptedPrice, "90");
+
+        // A redelivered callback leaves the job alone
+        store.update(ORDER_A, { stage: "contact" });
+        const again = store.create(ORDER_A.toUpperCase().replace("0X", "0x"), {
+            acceptedPrice: "95",
+        });
+        assert.strictEqual(again.stage, "contact");
+        assert.strictEqual(again.acceptedPrice, "90");
+    }
+
+    testStages() {
+        const store = this.createStore("stages");
+        store.create(ORDER_A);
+        store.update(ORDER_A, { stage: "contact", contactId: "cont_1" });
+        store.update(ORDER_A, { stage: "contact", attempt: 1 });
+        const job = store.update(ORDER_A, {
+            stage: "payout_created",
+            payoutId: "pout_1",
+        });
+
+        assert.deepStrictEqual(
+            job.history.map(({ stage }) => stage),
+            ["accepted", "contact", "payout_created"]
+        );
+        assert.strictEqual(job.contactId, "cont_1");
+        assert.strictEqual(job.attempt, 1);
+        assert.strictEqual(job.payoutId, "pout_1");
+        assert.throws(
+            () => store.update(ORDER_B, { stage: "contact" }),
+            /No job for order/
+        );
+    }
+
+    testUnknownStage() {
+        const store = this.createStore("unknown");
+        store.create(ORDER_A);
+        assert.throws(
+            () => store.update(ORDER_A, { stage: "paid" }),
+            /Unknown job stage: paid/
+        );
+        assert.strictEqual(store.get(ORDER_A).stage, "accepted");
+    }
+
+    testReached() {
+        const job = (stage) => ({ stage });
+        assert.ok(JobStore.reached(job("payout_created"), "contact"));
+        assert.ok(JobStore.reached(job("payout_created"), "payout_created"));
+        assert.ok(!JobStore.reached(job("fund_account"), "payout_created"));
+        assert.ok(JobStore.reached(job("settled"), "proof_submitted"));
+        assert.ok(!JobStore.reached(job("failed"), "accepted"));
+    }
+
+    testFail() {
+        const store = this.createStore("fail");
+        store.create(ORDER_A);
+        const job = store.fail(ORDER_A, "Resolver is not the taker");
+        assert.strictEqual(job.stage, "failed");
+        assert.strictEqual(job.error, "Resolver is not the taker");
+        assert.deepStrictEqual(store.listIncomplete(), []);
+    }
+
+    testResume() {
+        const file = path.join(this.dir, "resume.json");
+        const store = new JobStore({ file });
+        store.create(ORDER_A);
+        store.create(ORDER_B);
+        store.create(ORDER_C);
+        store.update(ORDER_A, {
+            stage: "payout_created",
+            mode: "UPI",
+            idempotencyKey: "key-a",
+            payoutId: "pout_a",
+        });
+        store.update(ORDER_B, { stage: "settled" });
+        store.fail(ORDER_C, "Payout rejected");
+
+        // Written atomically: no temp file is left behind
+        assert.ok(!fs.existsSync(`${file}.tmp`));
+
+        // A restarted bot picks up only the unfinished job, where it stopped
+        const restarted = new JobStore({ file });
+        const incomplete = restarted.listIncomplete();
+        assert.deepStrictEqual(
+            incomplete.map(({ orderId }) => orderId),
+            [ORDER_A]
+        );
+        const [job] = incomplete;
+        assert.ok(JobStore.reached(job, "payout_created"));
+        assert.ok(!JobStore.reached(job, "payout_processed"));
+        assert.strictEqual(job.idempotencyKey, "key-a");
+        assert.strictEqual(job.payoutId, "pout_a");
+    }
+
+    testCopies() {
+        const store = this.createStore("copies");
+        const job = store.create(ORDER_A);
+        job.stage = "settled";
+        job.history.push({ stage: "settled" });
+        assert.strictEqual(store.get(ORDER_A).stage, "accepted");
+        assert.strictEqual(store.get(ORDER_A).history.length, 1);
+    }
+
+    addResult(testName, passed, details = {}) {
+        this.testResults.push({
+            testName,
+            passed,
+            details,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    displayResults() {
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter((r) => r.passed).length;
+
+        console.log("\n🏁 ========================================");
+        console.log("🏁   JOB STORE RESULTS");
+        console.log("🏁 ========================================\n");
+
+        this.testResults.forEach((result, index) => {
+            const status = result.passed ? "✅" : "❌";
+            console.log(`   ${index + 1}. ${status} ${result.testName}`);
+            if (!result.passed) {
+                console.log(`      ❌ Error: ${result.details.error}`);
+            }
+        });
+
+        console.log(`\n📊 ${passedTests}/${totalTests} tests passed\n`);
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    const tester = new JobStoreTest();
+    tester
+        .runTests()
+        .then((passed) => process.exit(passed ? 0 : 1))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = JobStoreTest;
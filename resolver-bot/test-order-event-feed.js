@@ -0,0 +1,504 @@
+#!/usr/bin/env node
+
+/**
+ * Test the order event feed against a stub JSON-RPC provider and a stub
+ * WebSocket provider: backfill batching, the stored cursor, de-duplication
+ * across WebSocket/polling switches and falling back from a stale socket
+ * Run with: npm run test-event-feed
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { abis } = require("../contracts");
+const OrderEventFeed = require("./events/order-event-feed");
+
+const CONTRACT_ADDRESS = "0x00000000000000000000000000000000000000c1";
+const MAKER = "0x00000000000000000000000000000000000000a1";
+const RESOLVER = "0x00000000000000000000000000000000000000b1";
+const WS_URL = "ws://stub.invalid";
+
+const contract = new ethers.Contract(CONTRACT_ADDRESS, abis.OrderProtocol);
+
+/**
+ * JSON-RPC stand-in: a chain head, logs by block, and a record of every
+ * getLogs range
+ */
+class StubChain {
+    constructor(head) {
+        this.head = head;
+        this.logs = [];
+        this.ranges = [];
+        this.failAt = null; // fromBlock of a getLogs call that throws
+    }
+
+    async getBlockNumber() {
+        return this.head;
+    }
+
+    async getLogs({ address, topics, fromBlock, toBlock }) {
+        assert.strictEqual(address, CONTRACT_ADDRESS);
+        assert.strictEqual(topics[0].length, OrderEventFeed.EVENT_NAMES.length);
+        if (fromBlock === this.failAt) {
+            this.failAt = null;
+            throw new Error("query returned more than 10000 results");
+        }
+        this.ranges.push([fromBlock, toBlock]);
+        return this.logs.filter(
+            (log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+        );
+    }
+
+    /**
+     * Add an OrderCreated (or OrderAccepted) log at `blockNumber`
+     */
+    addLog(blockNumber, name = "OrderCreated", index = 0) {
+        const orderId = ethers.zeroPadValue(ethers.toBeHex(blockNumber), 32);
+        const values =
+            name === "OrderCreated"
+                ? [orderId, MAKER, 100n]
+                : [orderId, RESOLVER, 90n];
+        const { topics, data } = contract.interface.encodeEventLog(
+            contract.interface.getEvent(name),
+            values
+        );
+        const log = {
+            address: CONTRACT_ADDRESS,
+            topics,
+            data,
+            blockNumber,
+            transactionHash: ethers.zeroPadValue(
+                ethers.toBeHex(blockNumber * 1000 + index),
+                32
+            ),
+            index,
+        };
+        this.logs.push(log);
+        return log;
+    }
+}
+
+/**
+ * ethers.WebSocketProvider stand-in. Each instance is one socket; tests
+ * push logs and blocks through it, or close it.
+ */
+class StubWebSocketProvider {
+    constructor(url) {
+        assert.strictEqual(url, WS_URL);
+        this.websocket = { onerror: null, onclose: null };
+        this.listeners = new Map();
+        this.destroyed = false;
+        StubWebSocketProvider.instances.push(this);
+    }
+
+    async getBlockNumber() {
+        if (StubWebSocketProvider.refuse) {
+            setImmediate(() => this.websocket.onerror());
+            return new Promise(() => {});
+        }
+        return StubWebSocketProvider.chain.head;
+    }
+
+    async on(event, listener) {
+        this.listeners.set(
+            typeof event === "string" ? event : "logs",
+            listener
+        );
+    }
+
+    async destroy() {
+        this.destroyed = true;
+    }
+
+    emitLog(log) {
+        return this.listeners.get("logs")(log);
+    }
+
+    emitBlock(blockNumber) {
+        this.listeners.get("block")(blockNumber);
+    }
+}
+
+class OrderEventFeedTest {
+    constructor() {
+        this.testResults = [];
+        this.dir = null;
+        this.feeds = 0;
+        this.feed = null;
+        this.events = [];
+        this.warnings = [];
+    }
+
+    async runTests() {
+        console.log("🧪 Testing the order event feed...\n");
+
+        this.dir = fs.mkdtempSync(path.join(os.tmpdir(), "resolver-events-"));
+        const descriptor = Object.getOwnPropertyDescriptor(
+            ethers,
+            "WebSocketProvider"
+        );
+        Object.defineProperty(ethers, "WebSocketProvider", {
+            value: StubWebSocketProvider,
+            configurable: true,
+        });
+
+        try {
+            await this.run("Backfill in batches", () => this.testBackfill());
+            await this.run("First run looks back a bounded range", () =>
+                this.testMaxBackfill()
+            );
+            await this.run("Cursor survives a restart", () =>
+                this.testCursor()
+            );
+            await this.run("Poll for new blocks", () => this.testPolling());
+            await this.run("Follow the WebSocket", () => this.testWebSocket());
+            await this.run("No duplicates across a switch", () =>
+                this.testDedup()
+            );
+            await this.run("Fall back from a stale socket", () =>
+                this.testStaleSocket()
+            );
+            await this.run("Retry the socket while polling", () =>
+                this.testRetrySocket()
+            );
+        } finally {
+            Object.defineProperty(ethers, "WebSocketProvider", descriptor);
+            fs.rmSync(this.dir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        return this.testResults.every((result) => result.passed);
+    }
+
+    async run(testName, test) {
+        console.log(`🔹 ${testName}...`);
+        this.events = [];
+        this.warnings = [];
+        StubWebSocketProvider.instances = [];
+        StubWebSocketProvider.refuse = false;
+        try {
+            await test();
+            this.addResult(testName, true);
+            console.log("  ✅ Passed");
+        } catch (error) {
+            this.addResult(testName, false, { error: error.message });
+            console.log("  ❌ Failed:", error.message);
+        } finally {
+            if (this.feed) await this.feed.stop();
+            this.feed = null;
+        }
+    }
+
+    /**
+     * A feed on `chain` with its own cursor file unless one is given;
+     * polling and socket retries are slow unless a test speeds them up
+     */
+    createFeed(chain, options = {}) {
+        StubWebSocketProvider.chain = chain;
+        this.feed = new OrderEventFeed({
+            provider: chain,
+            contract,
+            onEvent: async (event) => this.events.push(event),
+            logger: {
+                info() {},
+                warn: (message) => this.warnings.push(message),
+                error() {},
+            },
+            wsUrl: "",
+            cursorFile: path.join(this.dir, `feed-${++this.feeds}.json`),
+            pollInterval: 60000,
+            wsRetryDelay: 60000,
+            ...options,
+        });
+        return this.feed;
+    }
+
+    readCursor(feed) {
+        return JSON.parse(fs.readFileSync(feed.cursorFile, "utf8")).lastBlock;
+    }
+
+    deliveredBlocks() {
+        return this.events.map(({ log }) => log.blockNumber);
+    }
+
+    async waitFor(predicate, timeout = 3000) {
+        const deadline = Date.now() + timeout;
+        while (!predicate()) {
+            if (Date.now() > deadline) {
+                throw new Error(`Condition not met within ${timeout}ms`);
+            }
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+    }
+
+    async testBackfill() {
+        const chain = new StubChain(1050);
+        chain.addLog(150);
+        chain.addLog(720, "OrderAccepted");
+        chain.addLog(1050);
+        chain.addLog(90); // Before deployment
+
+        const feed = this.createFeed(chain, {
+            startBlock: 100,
+            batchSize: 300,
+        });
+        await feed.start();
+
+        assert.deepStrictEqual(chain.ranges, [
+            [100, 399],
+            [400, 699],
+            [700, 999],
+            [1000, 1050],
+        ]);
+        assert.deepStrictEqual(this.deliveredBlocks(), [150, 720, 1050]);
+        assert.deepStrictEqual(
+            this.events.map(({ name }) => name),
+            ["OrderCreated", "OrderAccepted", "OrderCreated"]
+        );
+        assert.strictEqual(this.events[1].args.taker.toLowerCase(), RESOLVER);
+        assert.strictEqual(this.events[1].args.acceptedPrice, 90n);
+
+        assert.strictEqual(this.readCursor(feed), 1050);
+        assert.strictEqual(feed.mode, "polling");
+    }
+
+    async testMaxBackfill() {
+        const chain = new StubChain(50000);
+        await this.createFeed(chain, {
+            startBlock: 0,
+            maxBackfill: 10000,
+            batchSize: 5000,
+        }).start();
+
+        assert.deepStrictEqual(chain.ranges, [
+            [40000, 44999],
+            [45000, 49999],
+            [50000, 50000],
+        ]);
+    }
+
+    async testCursor() {
+        const chain = new StubChain(800);
+        chain.addLog(300);
+        chain.addLog(650);
+        const cursorFile = path.join(this.dir, "restart.json");
+        fs.writeFileSync(cursorFile, JSON.stringify({ lastBlock: 500 }));
+
+        // A failed batch stops the backfill at the last complete batch
+        chain.failAt = 701;
+        let feed = this.createFeed(chain, {
+            cursorFile,
+            startBlock: 0,
+            batchSize: 200,
+        });
+        await feed.start();
+
+        assert.deepStrictEqual(chain.ranges, [[501, 700]]);
+        assert.deepStrictEqual(this.deliveredBlocks(), [650]);
+        assert.strictEqual(this.readCursor(feed), 700);
+        assert.match(this.warnings[0], /Backfill stopped early/);
+        assert.ok(!fs.existsSync(`${cursorFile}.tmp`));
+        await feed.stop();
+
+        // Restarted: picks up after the stored block, not from startBlock
+        chain.head = 900;
+        chain.addLog(850);
+        chain.ranges = [];
+        feed = this.createFeed(chain, { cursorFile, batchSize: 200 });
+        await feed.start();
+
+        assert.deepStrictEqual(chain.ranges, [[701, 900]]);
+        assert.deepStrictEqual(this.deliveredBlocks(), [650, 850]);
+        assert.strictEqual(this.readCursor(feed), 900);
+
+        // The cursor only moves forward
+        feed.saveCursor(880);
+        assert.strictEqual(this.readCursor(feed), 900);
+    }
+
+    async testPolling() {
+        const chain = new StubChain(100);
+        const feed = this.createFeed(chain, {
+            startBlock: 100,
+            pollInterval: 20,
+        });
+        await feed.start();
+        assert.strictEqual(feed.mode, "polling");
+
+        chain.addLog(101);
+        chain.addLog(103, "OrderAccepted");
+        chain.head = 103;
+        await this.waitFor(() => this.events.length === 2);
+
+        assert.deepStrictEqual(this.deliveredBlocks(), [101, 103]);
+        await this.waitFor(() => this.readCursor(feed) === 103);
+    }
+
+    async testWebSocket() {
+        const chain = new StubChain(200);
+        chain.addLog(190);
+        const feed = this.createFeed(chain, {
+            startBlock: 150,
+            wsUrl: WS_URL,
+        });
+        await feed.start();
+
+        assert.strictEqual(feed.mode, "websocket");
+        assert.strictEqual(StubWebSocketProvider.instances.length, 1);
+        const [socket] = StubWebSocketProvider.instances;
+        assert.deepStrictEqual(this.deliveredBlocks(), [190]);
+
+        await socket.emitLog(chain.addLog(201));
+        socket.emitBlock(202);
+        assert.deepStrictEqual(this.deliveredBlocks(), [190, 201]);
+        // Logs of block 202 may still be on their way
+        assert.strictEqual(this.readCursor(feed), 201);
+        // No polling while the socket is live
+        assert.deepStrictEqual(chain.ranges, [[150, 200]]);
+    }
+
+    async testDedup() {
+        const chain = new StubChain(300);
+        const feed = this.createFeed(chain, {
+            startBlock: 300,
+            wsUrl: WS_URL,
+            pollInterval: 20,
+        });
+        await feed.start();
+        const [socket] = StubWebSocketProvider.instances;
+
+        // Block 301 arrives over the socket, then the socket drops before
+        // the cursor moves past it; block 302 is only seen by polling
+        await socket.emitLog(chain.addLog(301));
+        await socket.emitLog(chain.addLog(301, "OrderAccepted", 1));
+        chain.addLog(302);
+        chain.head = 302;
+        socket.websocket.onclose();
+
+        await this.waitFor(() => feed.mode === "polling");
+        assert.ok(socket.destroyed);
+        await this.waitFor(() => this.readCursor(feed) === 302);
+
+        // The poll re-read block 301 but delivered only block 302 from it
+        assert.ok(
+            chain.ranges.some(([from, to]) => from <= 301 && to >= 302),
+            JSON.stringify(chain.ranges)
+        );
+        assert.deepStrictEqual(this.deliveredBlocks(), [301, 301, 302]);
+        assert.deepStrictEqual(
+            this.events.map(({ log }) => log.index),
+            [0, 1, 0]
+        );
+        assert.match(this.warnings[0], /WebSocket closed/);
+    }
+
+    async testStaleSocket() {
+        const chain = new StubChain(400);
+        const feed = this.createFeed(chain, {
+            startBlock: 400,
+            wsUrl: WS_URL,
+            staleTimeout: 60,
+            pollInterval: 20,
+        });
+        await feed.start();
+        const [socket] = StubWebSocketProvider.instances;
+        assert.strictEqual(feed.mode, "websocket");
+
+        // Blocks keep the socket healthy...
+        for (let block = 401; block <= 404; block++) {
+            await new Promise((resolve) => setTimeout(resolve, 25));
+            socket.emitBlock(block);
+        }
+        assert.strictEqual(feed.mode, "websocket");
+
+        // ...until they stop arriving
+        chain.addLog(405);
+        chain.head = 405;
+        await this.waitFor(() => feed.mode === "polling");
+        assert.ok(socket.destroyed);
+        assert.match(this.warnings[0], /no block for 60ms/);
+
+        // Polling catches up on what the silent socket missed
+        await this.waitFor(() => this.events.length === 1);
+        assert.deepStrictEqual(this.deliveredBlocks(), [405]);
+
+        // A late close from the replaced socket changes nothing
+        await socket.websocket.onclose();
+        assert.strictEqual(feed.mode, "polling");
+        assert.strictEqual(this.warnings.length, 1);
+    }
+
+    async testRetrySocket() {
+        const chain = new StubChain(500);
+        StubWebSocketProvider.refuse = true;
+        const feed = this.createFeed(chain, {
+            startBlock: 500,
+            wsUrl: WS_URL,
+            wsRetryDelay: 30,
+        });
+        await feed.start();
+
+        assert.strictEqual(feed.mode, "polling");
+        assert.ok(StubWebSocketProvider.instances[0].destroyed);
+        assert.match(this.warnings[0], /WebSocket error/);
+
+        // Still refused on the next retry, then back
+        await this.waitFor(() => StubWebSocketProvider.instances.length >= 2);
+        StubWebSocketProvider.refuse = false;
+        chain.addLog(501);
+        chain.head = 501;
+        await this.waitFor(() => feed.mode === "websocket");
+
+        // The gap since the cursor is closed on the way back
+        await this.waitFor(() => this.events.length === 1);
+        assert.deepStrictEqual(this.deliveredBlocks(), [501]);
+        const live = StubWebSocketProvider.instances.filter(
+            (socket) => !socket.destroyed
+        );
+        assert.strictEqual(live.length, 1);
+    }
+
+    addResult(testName, passed, details = {}) {
+        this.testResults.push({
+            testName,
+            passed,
+            details,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    displayResults() {
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter((r) => r.passed).length;
+
+        console.log("\n🏁 ========================================");
+        console.log("🏁   ORDER EVENT FEED RESULTS");
+        console.log("🏁 ========================================\n");
+
+        this.testResults.forEach((result, index) => {
+            const status = result.passed ? "✅" : "❌";
+            console.log(`   ${index + 1}. ${status} ${result.testName}`);
+            if (!result.passed) {
+                console.log(`      ❌ Error: ${result.details.error}`);
+            }
+        });
+
+        console.log(`\n📊 ${passedTests}/${totalTests} tests passed\n`);
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    const tester = new OrderEventFeedTest();
+    tester
+        .runTests()
+        .then((passed) => process.exit(passed ? 0 : 1))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = OrderEventFeedTest;
@@ -1,5 +1,6 @@
 const { ethers } = require("ethers");
 const axios = require("axios");
+const { getContract, getRpcUrl } = require("../deployments");
 require("dotenv").config();
 
 /**
@@ -13,22 +14,19 @@ async function testPaymentFlow() {
     try {
         // Step 1: Setup blockchain connection
         console.log("📡 Setting up blockchain connection...");
-        const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+        const provider = new ethers.JsonRpcProvider(getRpcUrl());
         const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
 
-        // Load contract ABI and create contract instance
-        const fs = require("fs");
-        const path = require("path");
-        const abiPath = path.join(__dirname, "abi", "OrderProtocol.json");
-        const contractABI = JSON.parse(fs.readFileSync(abiPath, "utf8"));
+        // Create contract instance from the deployments registry
+        const orderProtocol = getContract("OrderProtocol");
         const contract = new ethers.Contract(
-            process.env.CONTRACT_ADDRESS,
-            contractABI,
+            orderProtocol.address,
+            orderProtocol.abi,
             wallet
         );
 
         console.log(`✅ Connected as: ${wallet.address}`);
-        console.log(`📋 Contract: ${process.env.CONTRACT_ADDRESS}\n`);
+        console.log(`📋 Contract: ${orderProtocol.address}\n`);
 
         // Step 2: Create a mock order ID (in real scenario, this comes from the callback)
         const mockOrderId =
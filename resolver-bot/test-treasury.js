@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+/**
+ * Test the treasury's exposure arithmetic and acceptance checks against a
+ * stub payout provider and a job store on a temporary file
+ * Run with: npm run test-treasury
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JobStore = require("./jobs/job-store");
+const Treasury = require("./treasury/treasury");
+
+const ORDER_A = `0x${"aa".repeat(32)}`;
+const ORDER_B = `0x${"bb".repeat(32)}`;
+const ORDER_C = `0x${"cc".repeat(32)}`;
+const ORDER_D = `0x${"dd".repeat(32)}`;
+const ORDER_NEW = `0x${"ee".repeat(32)}`;
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+class TreasuryTest {
+    constructor() {
+        this.testResults = [];
+        this.dir = null;
+        this.stores = 0;
+    }
+
+    async runTests() {
+        console.log("🧪 Testing treasury exposure and limits...\n");
+
+        this.dir = fs.mkdtempSync(path.join(os.tmpdir(), "resolver-treasury-"));
+        try {
+            await this.run("Exposure by job stage", () => this.testExposure());
+            await this.run("Unknown balance", () => this.testUnknownBalance());
+            await this.run("Per-order limit", () => this.testOrderLimit());
+            await this.run("Exposure limit", () => this.testExposureLimit());
+            await this.run("Balance covers exposure", () => this.testBalance());
+            await this.run("Reservations", () => this.testReservations());
+            await this.run("Pause below floor", () => this.testFloor());
+        } finally {
+            fs.rmSync(this.dir, { recursive: true, force: true });
+        }
+
+        this.displayResults();
+        return this.testResults.every((result) => result.passed);
+    }
+
+    async run(testName, test) {
+        console.log(`🔹 ${testName}...`);
+        try {
+            await test();
+            this.addResult(testName, true);
+            console.log("  ✅ Passed");
+        } catch (error) {
+            this.addResult(testName, false, { error: error.message });
+            console.log("  ❌ Failed:", error.message);
+        }
+    }
+
+    /**
+     * A refreshed treasury over jobs given as { orderId: [stage, paise] }
+     */
+    async createTreasury({ balance = 100000, jobs = {}, ...options } = {}) {
+        const jobStore = new JobStore({
+            file: path.join(this.dir, `jobs-${++this.stores}.json`),
+        });
+        for (const [orderId, [stage, amountPaise]] of Object.entries(jobs)) {
+            jobStore.create(orderId, { amountPaise });
+            jobStore.update(orderId, { stage });
+        }
+
+        const payoutProvider = {
+            balance,
+            getBalance: async () => ({
+                balance: payoutProvider.balance,
+                currency: "INR",
+            }),
+        };
+        const treasury = new Treasury({
+            payoutProvider,
+            jobStore,
+            logger: silentLogger,
+            maxOrderPaise: null,
+            maxExposurePaise: null,
+            balanceFloorPaise: 0,
+            refreshInterval: 60000,
+            ...options,
+        });
+        await treasury.refresh();
+        return { treasury, payoutProvider, jobStore };
+    }
+
+    async testExposure() {
+        const { treasury } = await this.createTreasury({
+            jobs: {
+                [ORDER_A]: ["accepted", 10000], // Unpaid
+                [ORDER_B]: ["payout_created", 20000], // Pending payout
+                [ORDER_C]: ["payout_processed", 40000], // Paid
+                [ORDER_D]: ["failed", 80000], // Done with
+            },
+        });
+
+        assert.deepStrictEqual(treasury.getExposure(), {
+            pendingPayouts: 20000,
+            unpaid: 10000,
+            total: 30000,
+        });
+    }
+
+    async testUnknownBalance() {
+        const { treasury, payoutProvider } = await this.createTreasury();
+        treasury.balancePaise = null;
+        payoutProvider.getBalance = async () => {
+            throw new Error("provider down");
+        };
+        await treasury.refresh();
+
+        assert.deepStrictEqual(treasury.check(ORDER_NEW, 100), {
+            ok: false,
+            reason: "payout balance is unknown",
+        });
+    }
+
+    async testOrderLimit() {
+        const { treasury } = await this.createTreasury({
+            maxOrderPaise: 50000,
+        });
+
+        assert.ok(treasury.check(ORDER_NEW, 50000).ok);
+        const result = treasury.check(ORDER_NEW, 50001);
+        assert.strictEqual(result.ok, false);
+        assert.match(result.reason, /₹500\.01 is over the ₹500\.00 per-order/);
+    }
+
+    async testExposureLimit() {
+        const { treasury } = await this.createTreasury({
+            balance: 1000000,
+            maxExposurePaise: 50000,
+            jobs: { [ORDER_A]: ["payout_created", 30000] },
+        });
+
+        assert.ok(treasury.check(ORDER_NEW, 20000).ok);
+        const result = treasury.check(ORDER_NEW, 20001);
+        assert.strictEqual(result.ok, false);
+        assert.match(result.reason, /exposure would be ₹500\.01/);
+    }
+
+    async testBalance() {
+        const { treasury } = await this.createTreasury({
+            balance: 50000,
+            jobs: {
+                [ORDER_A]: ["accepted", 10000],
+                [ORDER_B]: ["payout_created", 15000],
+            },
+        });
+
+        // ₹500 balance, ₹250 already owed
+        assert.ok(treasury.check(ORDER_NEW, 25000).ok);
+        const result = treasury.check(ORDER_NEW, 25001);
+        assert.strictEqual(result.ok, false);
+        assert.match(
+            result.reason,
+            /balance ₹500\.00 can't cover ₹250\.01 on top of ₹250\.00 exposure/
+        );
+    }
+
+    async testReservations() {
+        const { treasury, jobStore } = await this.createTreasury({
+            balance: 50000,
+        });
+
+        // Concurrent acceptances can't overdraw the balance together
+        assert.ok((await treasury.reserve(ORDER_A, 30000)).ok);
+        assert.strictEqual(treasury.getExposure().unpaid, 30000);
+        assert.strictEqual((await treasury.reserve(ORDER_B, 30000)).ok, false);
+
+        // An order's own hold doesn't count against it on a re-check
+        assert.ok(treasury.check(ORDER_A, 30000).ok);
+
+        // Once its job exists the hold isn't counted twice
+        jobStore.create(ORDER_A, { amountPaise: 30000 });
+        assert.strictEqual(treasury.getExposure().total, 30000);
+        treasury.release(ORDER_A);
+        assert.strictEqual(treasury.getExposure().total, 30000);
+
+        // A failed acceptance frees its hold
+        assert.ok((await treasury.reserve(ORDER_B, 20000)).ok);
+        treasury.release(ORDER_B);
+        assert.strictEqual(treasury.getExposure().total, 30000);
+    }
+
+    async testFloor() {
+        const { treasury, payoutProvider } = await this.createTreasury({
+            balance: 10000,
+            balanceFloorPaise: 20000,
+        });
+        const alerts = [];
+        treasury.on("alert", (alert) => alerts.push(alert));
+
+        assert.strictEqual(treasury.paused, true);
+        assert.match(treasury.check(ORDER_NEW, 100).reason, /paused/);
+
+        // One alert per pause, not per refresh
+        await treasury.refresh();
+        assert.strictEqual(alerts.length, 0);
+
+        payoutProvider.balance = 30000;
+        await treasury.refresh();
+        assert.strictEqual(treasury.paused, false);
+        assert.ok(treasury.check(ORDER_NEW, 100).ok);
+
+        payoutProvider.balance = 5000;
+        await treasury.refresh();
+        assert.strictEqual(alerts.length, 1);
+        assert.strictEqual(alerts[0].type, "balance_below_floor");
+    }
+
+    addResult(testName, passed, details = {}) {
+        this.testResults.push({
+            testName,
+            passed,
+            details,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    displayResults() {
+        const totalTests = this.testResults.length;
+        const passedTests = this.testResults.filter((r) => r.passed).length;
+
+        console.log("\n🏁 ========================================");
+        console.log("🏁   TREASURY RESULTS");
+        console.log("🏁 ========================================\n");
+
+        this.testResults.forEach((result, index) => {
+            const status = result.passed ? "✅" : "❌";
+            console.log(`   ${index + 1}. ${status} ${result.testName}`);
+            if (!result.passed) {
+                console.log(`      ❌ Error: ${result.details.error}`);
+            }
+        });
+
+        console.log(`\n📊 ${passedTests}/${totalTests} tests passed\n`);
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    const tester = new TreasuryTest();
+    tester
+        .runTests()
+        .then((passed) => process.exit(passed ? 0 : 1))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
+}
+
+module.exports = TreasuryTest;
@@ -1,4 +1,10 @@
 const { ethers } = require("ethers");
+const {
+    getActiveChainId,
+    getContract,
+    getContractAddress,
+    getRpcUrl,
+} = require("../deployments");
 require("dotenv").config();
 
 async function testResolverBot() {
@@ -12,10 +18,11 @@ async function testResolverBot() {
                 process.env.PRIVATE_KEY ? "***configured***" : "❌ missing"
             }`
         );
-        console.log(`✅ RPC_URL: ${process.env.RPC_URL || "❌ missing"}`);
+        console.log(`✅ CHAIN_ID: ${getActiveChainId()}`);
+        console.log(`✅ RPC_URL: ${getRpcUrl()}`);
         console.log(
             `✅ CONTRACT_ADDRESS: ${
-                process.env.CONTRACT_ADDRESS || "❌ missing"
+                getContractAddress("OrderProtocol") || "❌ missing"
             }`
         );
         console.log(
@@ -37,7 +44,7 @@ async function testResolverBot() {
 
         // Test blockchain connection
         console.log("🔗 Testing Blockchain Connection:");
-        const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+        const provider = new ethers.JsonRpcProvider(getRpcUrl());
         const network = await provider.getNetwork();
         console.log(
             `✅ Network: ${network.name} (Chain ID: ${network.chainId})`
@@ -56,18 +63,14 @@ async function testResolverBot() {
 
         // Test contract connection
         console.log("\n📝 Testing Contract Connection:");
-        const fs = require("fs");
-        const path = require("path");
-        const abiPath = path.join(__dirname, "abi", "OrderProtocol.json");
-        const contractABI = JSON.parse(fs.readFileSync(abiPath, "utf8"));
-
+        const orderProtocol = getContract("OrderProtocol");
         const contract = new ethers.Contract(
-            process.env.CONTRACT_ADDRESS,
-            contractABI,
+            orderProtocol.address,
+            orderProtocol.abi,
             wallet
         );
 
-        console.log(`✅ Contract Address: ${process.env.CONTRACT_ADDRESS}`);
+        console.log(`✅ Contract Address: ${orderProtocol.address}`);
 
         // Test if we can read from the contract
         try {
@@ -0,0 +1,240 @@
+/**
+ * Treasury
+ *
+ * Keeps the resolver bot from accepting orders its payout account can't
+ * fund. RazorpayX queues payouts when the balance is low, so an order
+ * accepted without funds would sit unpaid until its deadline. The treasury
+ * tracks the payout balance (refreshed from the payout provider), payouts
+ * created but not yet processed, and orders accepted but not yet paid out
+ * (from the job store, plus in-flight acceptances), and admits a new order
+ * only if it is within the per-order limit, keeps total exposure within its
+ * limit and is covered by the balance left after exposure. Below the balance
+ * floor acceptance pauses and an "alert" event is emitted until the balance
+ * recovers.
+ */
+
+const { EventEmitter } = require("events");
+const axios = require("axios");
+const JobStore = require("../jobs/job-store");
+
+function rupees(paise) {
+    return `₹${(paise / 100).toFixed(2)}`;
+}
+
+// Rupee env var as paise, or null when unset
+function paiseFromEnv(name) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? Math.round(value * 100) : null;
+}
+
+class Treasury extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {PayoutProvider} options.payoutProvider
+     * @param {JobStore} options.jobStore
+     * @param {Object} [options.logger]
+     * @param {number} [options.maxOrderPaise] - Largest order (TREASURY_MAX_ORDER_INR)
+     * @param {number} [options.maxExposurePaise] - Most accepted-but-unsettled value (TREASURY_MAX_EXPOSURE_INR)
+     * @param {number} [options.balanceFloorPaise] - Pause below this balance (TREASURY_BALANCE_FLOOR_INR)
+     * @param {number} [options.refreshInterval] - Balance refresh in ms (TREASURY_REFRESH_MS)
+     * @param {string} [options.alertWebhookUrl] - Alerts are also POSTed here (TREASURY_ALERT_WEBHOOK_URL)
+     */
+    constructor(options = {}) {
+        super();
+        this.payoutProvider = options.payoutProvider;
+        this.jobStore = options.jobStore;
+        this.logger = options.logger || console;
+        this.maxOrderPaise =
+            options.maxOrderPaise ?? paiseFromEnv("TREASURY_MAX_ORDER_INR");
+        this.maxExposurePaise =
+            options.maxExposurePaise ??
+            paiseFromEnv("TREASURY_MAX_EXPOSURE_INR");
+        this.balanceFloorPaise =
+            options.balanceFloorPaise ??
+            paiseFromEnv("TREASURY_BALANCE_FLOOR_INR") ??
+            0;
+        this.refreshInterval =
+            options.refreshInterval ||
+            parseInt(process.env.TREASURY_REFRESH_MS) ||
+            30000;
+        this.alertWebhookUrl =
+            options.alertWebhookUrl ?? process.env.TREASURY_ALERT_WEBHOOK_URL;
+
+        this.balancePaise = null; // Unknown until the first refresh
+        this.refreshedAt = 0;
+        this.paused = false;
+        this.reservations = new Map(); // orderId -> paise, while accepting
+        this.refreshTimer = null;
+    }
+
+    async start() {
+        await this.refresh();
+        this.refreshTimer = setInterval(
+            () => this.refresh(),
+            this.refreshInterval
+        );
+    }
+
+    stop() {
+        clearInterval(this.refreshTimer);
+    }
+
+    /**
+     * Fetch the payout balance and pause or resume acceptance around the
+     * floor
+     */
+    async refresh() {
+        try {
+            const { balance } = await this.payoutProvider.getBalance();
+            this.balancePaise = balance;
+            this.refreshedAt = Date.now();
+        } catch (error) {
+            this.logger.warn(
+                `⚠️ Could not refresh payout balance: ${error.message}`
+            );
+            return;
+        }
+
+        if (this.balancePaise < this.balanceFloorPaise) {
+            if (!this.paused) {
+                this.paused = true;
+                this.alert(
+                    "balance_below_floor",
+                    `Payout balance ${rupees(this.balancePaise)} is below the ${rupees(this.balanceFloorPaise)} floor; pausing order acceptance`
+                );
+            }
+        } else if (this.paused) {
+            this.paused = false;
+            this.logger.info(
+                `💼 Payout balance back to ${rupees(this.balancePaise)}; resuming order acceptance`
+            );
+        }
+    }
+
+    alert(type, message) {
+        const alert = {
+            type,
+            message,
+            balancePaise: this.balancePaise,
+            exposure: this.getExposure(),
+            at: new Date().toISOString(),
+        };
+        this.logger.error(`🚨 Treasury alert: ${message}`);
+        this.emit("alert", alert);
+
+        if (this.alertWebhookUrl) {
+            axios
+                .post(this.alertWebhookUrl, alert, { timeout: 10000 })
+                .catch((error) =>
+                    this.logger.warn(
+                        `⚠️ Treasury alert webhook failed: ${error.message}`
+                    )
+                );
+        }
+    }
+
+    /**
+     * Value the bot owes recipients, in paise: payouts created but not yet
+     * processed, and orders accepted but not yet paid out
+     * @returns {Object} { pendingPayouts, unpaid, total }
+     */
+    getExposure() {
+        let pendingPayouts = 0;
+        let unpaid = 0;
+        const jobs = new Set();
+        for (const job of this.jobStore.listIncomplete()) {
+            jobs.add(job.orderId.toLowerCase());
+            if (JobStore.reached(job, "payout_processed")) continue;
+            if (JobStore.reached(job, "payout_created")) {
+                pendingPayouts += job.amountPaise || 0;
+            } else {
+                unpaid += job.amountPaise || 0;
+            }
+        }
+        for (const [orderId, paise] of this.reservations) {
+            if (!jobs.has(orderId)) unpaid += paise;
+        }
+        return { pendingPayouts, unpaid, total: pendingPayouts + unpaid };
+    }
+
+    /**
+     * Whether an order fits the limits and the balance now
+     * @param {string} orderId
+     * @param {number} amountPaise
+     * @returns {Object} { ok, reason }
+     */
+    check(orderId, amountPaise) {
+        const refuse = (reason) => ({ ok: false, reason });
+        if (this.paused) {
+            return refuse(
+                `acceptance is paused (balance ${rupees(this.balancePaise)} below floor)`
+            );
+        }
+        if (this.balancePaise === null) {
+            return refuse("payout balance is unknown");
+        }
+        if (this.maxOrderPaise !== null && amountPaise > this.maxOrderPaise) {
+            return refuse(
+                `${rupees(amountPaise)} is over the ${rupees(this.maxOrderPaise)} per-order limit`
+            );
+        }
+
+        // An order's own hold doesn't count against it
+        const exposure =
+            this.getExposure().total -
+            (this.reservations.get(orderId.toLowerCase()) || 0);
+        if (
+            this.maxExposurePaise !== null &&
+            exposure + amountPaise > this.maxExposurePaise
+        ) {
+            return refuse(
+                `exposure would be ${rupees(exposure + amountPaise)}, over the ${rupees(this.maxExposurePaise)} limit`
+            );
+        }
+        if (exposure + amountPaise > this.balancePaise) {
+            return refuse(
+                `balance ${rupees(this.balancePaise)} can't cover ${rupees(amountPaise)} on top of ${rupees(exposure)} exposure`
+            );
+        }
+        return { ok: true, reason: null };
+    }
+
+    /**
+     * Admit an order and hold its amount until release(), so concurrent
+     * acceptances can't overdraw the limits together
+     * @param {string} orderId
+     * @param {number} amountPaise
+     * @returns {Promise<Object>} { ok, reason }
+     */
+    async reserve(orderId, amountPaise) {
+        if (Date.now() - this.refreshedAt > this.refreshInterval) {
+            await this.refresh();
+        }
+
+        const result = this.check(orderId, amountPaise);
+        if (result.ok) {
+            this.reservations.set(orderId.toLowerCase(), amountPaise);
+        }
+        return result;
+    }
+
+    /**
+     * Drop an order's hold, once it was accepted (its job now counts) or
+     * acceptance failed
+     */
+    release(orderId) {
+        this.reservations.delete(orderId.toLowerCase());
+    }
+
+    /**
+     * Summary for logs
+     */
+    describe() {
+        const { pendingPayouts, unpaid } = this.getExposure();
+        const balance =
+            this.balancePaise === null ? "unknown" : rupees(this.balancePaise);
+        return `balance ${balance}, pending payouts ${rupees(pendingPayouts)}, accepted unpaid ${rupees(unpaid)}`;
+    }
+}
+
+module.exports = Treasury;
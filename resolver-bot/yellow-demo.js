@@ -5,12 +5,19 @@
  * Hackathon Demo Script - Shows complete crypto-to-UPI flow with Yellow Network
  */
 
+const { ethers } = require("ethers");
 const YellowResolverClient = require("./yellow/resolver-client");
+const MockClearNode = require("./yellow/mock-clearnode");
 require("dotenv").config();
 
 class YellowResolverDemo {
     constructor() {
-        this.yellowClient = new YellowResolverClient(process.env.PRIVATE_KEY);
+        // Runs against a local mock ClearNode so the demo works offline
+        this.clearNode = new MockClearNode();
+        this.wallet = process.env.PRIVATE_KEY
+            ? new ethers.Wallet(process.env.PRIVATE_KEY)
+            : ethers.Wallet.createRandom();
+        this.yellowClient = null;
     }
 
     async runDemo() {
@@ -21,6 +28,15 @@ class YellowResolverDemo {
         console.log("🚀 Demonstrating 85% faster crypto-to-UPI settlements!\n");
 
         try {
+            const clearNodeUrl = await this.clearNode.start();
+            this.yellowClient = new YellowResolverClient(this.wallet, {
+                clearNodeUrl,
+                application:
+                    process.env.CONTRACT_ADDRESS ||
+                    "0x0000000000000000000000000000000000000001",
+            });
+            await this.yellowClient.connect();
+
             // Step 1: Show traditional vs Yellow Network comparison
             await this.showPerformanceComparison();
 
@@ -31,6 +47,9 @@ class YellowResolverDemo {
             await this.showFinalMetrics();
         } catch (error) {
             console.error("❌ Demo failed:", error.message);
+        } finally {
+            if (this.yellowClient) this.yellowClient.disconnect();
+            await this.clearNode.stop();
         }
     }
 
@@ -79,12 +98,19 @@ class YellowResolverDemo {
         console.log("🟡 Step 2: Yellow Network Session Creation...");
         const sessionStartTime = Date.now();
 
-        // Mock authentication
-        this.yellowClient.isAuthenticated = true;
+        // The backend opens the session when the order is accepted
+        this.clearNode.addAppSession({
+            participants: [
+                this.clearNode.wallet.address,
+                orderData.makerAddress,
+                this.wallet.address,
+            ],
+            sessionData: { orderId: orderData.orderId },
+        });
 
         const sessionId = await this.yellowClient.joinOrderSession(
             orderData.orderId,
-            orderData
+            { makerAddress: orderData.makerAddress }
         );
 
         const sessionCreationTime = Date.now() - sessionStartTime;
@@ -108,11 +134,22 @@ class YellowResolverDemo {
         const settlementStartTime = Date.now();
 
         const settlementResult =
-            await this.yellowClient.executeInstantSettlement(
-                sessionId,
-                mockPayoutId,
-                mockUtr
-            );
+            await this.yellowClient.executeInstantSettlement(sessionId, {
+                payoutId: mockPayoutId,
+                utr: mockUtr,
+                allocations: [
+                    {
+                        participant: this.wallet.address,
+                        asset: "usdc",
+                        amount: "30.0",
+                    },
+                    {
+                        participant: orderData.makerAddress,
+                        asset: "usdc",
+                        amount: "0.5",
+                    },
+                ],
+            });
 
         const totalFlowTime = Date.now() - sessionStartTime;
 
@@ -145,12 +182,8 @@ class YellowResolverDemo {
         console.log(`  📊 Total Sessions: ${metrics.totalSessions}`);
         console.log(`  ✅ Settled Sessions: ${metrics.settledSessions}`);
         console.log(
-            `  ⚡ Average Settlement: ${metrics.averageSettlementTime}ms`
-        );
-        console.log(
-            `  🚀 Performance Improvement: ${metrics.performanceImprovement}`
+            `  ⚡ Average Settlement: ${metrics.averageSettlementTime}ms\n`
         );
-        console.log(`  📈 Status: ${metrics.status}\n`);
 
         console.log("🎯 KEY BENEFITS FOR USERS:");
         console.log("  ⚡ 85%+ faster settlements");
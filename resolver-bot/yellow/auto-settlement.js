@@ -1,26 +1,449 @@
 // Automated Yellow settlements for resolver bot
-// This file will handle automated settlement processing via Yellow Network
-// Will be implemented in Phase 4.2
+// Drives an order from a created payout to on-chain fulfillment:
+// wait for the payout, co-sign the Yellow session close through the backend,
+// then watch the contract and fall back to plain on-chain fulfillment if the
+// channel path stalls.
+
+const { ethers } = require("ethers");
+const axios = require("axios");
+const { FAILED_PAYOUT_STATUSES } = require("../../payouts");
+const { buildSettlementMessage } = require("../../contracts");
 
 class YellowAutoSettlement {
-    constructor(resolverClient) {
+    /**
+     * @param {Object} resolverClient - Yellow resolver client (optional)
+     * @param {Object} options
+     * @param {ethers.Wallet} options.wallet - Resolver wallet (co-signs closes)
+     * @param {ethers.Contract} options.contract - OrderProtocol contract
+     * @param {Object} options.payoutProvider - Payout provider the payout was made with
+     * @param {Object} options.backendSession - SIWE session for backend calls
+     * @param {Object} [options.logger] - Logger (defaults to console)
+     */
+    constructor(resolverClient, options = {}) {
         this.resolverClient = resolverClient;
-        // Implementation pending...
+        this.wallet = options.wallet || resolverClient?.wallet;
+        this.contract = options.contract;
+        this.payoutProvider = options.payoutProvider;
+        this.backendSession = options.backendSession;
+        this.logger = options.logger || console;
+        this.backendUrl = options.backendUrl || process.env.BACKEND_URL;
+
+        this.pollInterval =
+            options.pollInterval ||
+            parseInt(process.env.SETTLEMENT_POLL_INTERVAL_MS) ||
+            3000;
+        this.payoutTimeout =
+            options.payoutTimeout ||
+            parseInt(process.env.SETTLEMENT_PAYOUT_TIMEOUT_MS) ||
+            10 * 60 * 1000;
+        this.channelTimeout =
+            options.channelTimeout ||
+            parseInt(process.env.SETTLEMENT_CHANNEL_TIMEOUT_MS) ||
+            60000;
+        this.lookbackBlocks = options.lookbackBlocks || 5000;
+    }
+
+    /**
+     * Run the whole post-payout flow for an order
+     * @param {Object} params
+     * @param {string} params.orderId - The order ID
+     * @param {string} params.payoutId - Provider payout ID
+     * @param {string} [params.utr] - UTR if already known
+     * @param {number} [params.startTime] - When processing of the order began
+     * @param {Function} [params.onStage] - (stage, data) when the payout is
+     *   processed ("payout_processed") and the proof is accepted
+     *   ("proof_submitted"), so progress can be recorded
+     * @returns {Promise<Object>} { success, mode, status, payout, error }
+     */
+    async processOrderSettlement({
+        orderId,
+        payoutId,
+        utr,
+        startTime = Date.now(),
+        onStage = () => {},
+    }) {
+        try {
+            this.logger.info(
+                `🟡 Settling order ${orderId} for payout ${payoutId}...`
+            );
+
+            // Step 1: The payout must have reached the recipient
+            const payout = await this.waitForPayoutProcessed(payoutId);
+            if (!payout.success) {
+                this.logger.error(
+                    `❌ Payout ${payoutId} did not complete: ${payout.error}`
+                );
+                return { success: false, stage: "payout", ...payout };
+            }
+            await onStage("payout_processed", { utr: payout.utr || utr });
+
+            // Step 2: Submit proof with a co-signed channel close, watching the
+            // contract before submitting so the event can't be missed
+            const channelWatch = new AbortController();
+            const channelOutcome = this.monitorSettlementStatus(orderId, {
+                timeout: this.channelTimeout,
+                signal: channelWatch.signal,
+            });
+
+            const submission = await this.executeInstantSettlement(orderId, {
+                payoutId,
+                utr: payout.utr || utr,
+            });
+            if (submission.success) {
+                await onStage("proof_submitted", { settlementMode: "yellow" });
+            } else {
+                channelWatch.abort();
+            }
+
+            let outcome = await channelOutcome;
+            let mode = "yellow";
+
+            // Step 3: Channel path stalled - fulfill on-chain only
+            if (outcome.status === "timeout" || outcome.status === "aborted") {
+                this.logger.warn(
+                    `⚠️ Channel settlement for order ${orderId} stalled (${
+                        submission.error || outcome.status
+                    }), falling back to on-chain fulfillment`
+                );
+                mode = "onchain";
+
+                const fallbackOutcome = this.monitorSettlementStatus(orderId, {
+                    timeout: this.channelTimeout,
+                });
+                const fallback = await this.submitFulfillment(orderId, {
+                    transactionId: payoutId,
+                    settlementMode: "onchain",
+                });
+                if (fallback.success) {
+                    await onStage("proof_submitted", {
+                        settlementMode: "onchain",
+                    });
+                }
+                outcome = await fallbackOutcome;
+            }
+
+            const totalTime = Date.now() - startTime;
+            this.logPerformance(orderId, totalTime);
+
+            if (outcome.status !== "fulfilled") {
+                this.logger.error(
+                    `❌ Order ${orderId} was not fulfilled (${outcome.status})`
+                );
+                return {
+                    success: false,
+                    stage: "fulfillment",
+                    mode,
+                    status: outcome.status,
+                    payout,
+                };
+            }
+
+            this.logger.info(
+                `✅ Order ${orderId} fulfilled via ${mode} settlement in ${totalTime}ms`
+            );
+            return {
+                success: true,
+                mode,
+                status: outcome.status,
+                transactionHash: outcome.transactionHash,
+                payout,
+            };
+        } catch (error) {
+            this.logger.error(
+                `❌ Settlement failed for order ${orderId}:`,
+                error.message
+            );
+            return { success: false, error: error.message };
+        }
     }
 
-    async processOrderSettlement(order) {
-        // Process order settlement automatically via Yellow Network
-        // Implementation pending...
+    /**
+     * Poll the payout provider until a payout is processed
+     * @param {string} payoutId - Provider payout ID
+     * @returns {Promise<Object>} { success, status, utr, error }
+     */
+    async waitForPayoutProcessed(payoutId) {
+        const deadline = Date.now() + this.payoutTimeout;
+        let lastStatus = null;
+
+        while (Date.now() < deadline) {
+            try {
+                const { status, utr, failureReason } =
+                    await this.payoutProvider.getPayoutStatus(payoutId);
+
+                if (status !== lastStatus) {
+                    this.logger.info(`📊 Payout ${payoutId} status: ${status}`);
+                    lastStatus = status;
+                }
+
+                if (status === "processed") {
+                    return { success: true, status, utr };
+                }
+
+                if (FAILED_PAYOUT_STATUSES.includes(status)) {
+                    return {
+                        success: false,
+                        status,
+                        error: failureReason || `Payout ${status}`,
+                    };
+                }
+            } catch (error) {
+                this.logger.warn(
+                    `⚠️ Could not fetch payout ${payoutId}: ${error.message}`
+                );
+            }
+
+            await new Promise((resolve) =>
+                setTimeout(resolve, this.pollInterval)
+            );
+        }
+
+        return {
+            success: false,
+            status: lastStatus,
+            error: `Payout not processed within ${this.payoutTimeout}ms`,
+        };
     }
 
+    /**
+     * Co-sign the order's Yellow session close and submit the payout proof.
+     * The backend's allocations are rebuilt and checked locally before
+     * anything is signed.
+     * @param {string} orderId - The order ID
+     * @param {Object} paymentData - { payoutId, utr }
+     * @returns {Promise<Object>} { success, data, error }
+     */
     async executeInstantSettlement(orderId, paymentData) {
-        // Execute instant settlement through Yellow state channels
-        // Implementation pending...
+        const { payoutId } = paymentData;
+
+        try {
+            const response = await axios.get(
+                `${this.backendUrl}/api/orders/${orderId}/settlement`,
+                { params: { payoutId }, timeout: 15000 }
+            );
+            const { preview, previewError, acceptedPrice } = response.data.data;
+
+            if (!preview) {
+                throw new Error(`No settlement to co-sign: ${previewError}`);
+            }
+
+            const order = await this.contract.getOrder(orderId);
+            this.checkAllocations(preview, {
+                amount: order.amount,
+                acceptedPrice: BigInt(acceptedPrice),
+            });
+
+            const message = buildSettlementMessage({
+                orderId,
+                sessionId: preview.sessionId,
+                payoutId,
+                allocations: preview.allocations,
+            });
+            if (message !== preview.message) {
+                throw new Error("Backend settlement message does not match");
+            }
+
+            const settlementSignature = await this.wallet.signMessage(message);
+            this.logger.info(
+                `✍️ Co-signed Yellow session ${preview.sessionId} close for order ${orderId}`
+            );
+
+            await this.cosignOnClearNode(orderId, preview, paymentData);
+
+            return await this.submitFulfillment(orderId, {
+                transactionId: payoutId,
+                settlementSignature,
+            });
+        } catch (error) {
+            this.logger.warn(
+                `⚠️ Yellow instant settlement for order ${orderId} failed: ${error.message}`
+            );
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Also sign the final state on the ClearNode when connected. The backend
+     * closes the session either way, so a failure here is only logged.
+     */
+    async cosignOnClearNode(orderId, preview, { payoutId, utr }) {
+        if (!this.resolverClient || !this.resolverClient.isConnected()) return;
+
+        try {
+            const sessionId = await this.resolverClient.joinOrderSession(
+                orderId,
+                { sessionId: preview.sessionId }
+            );
+            await this.resolverClient.executeInstantSettlement(sessionId, {
+                payoutId,
+                utr,
+                allocations: preview.allocations,
+            });
+        } catch (error) {
+            this.logger.warn(
+                `⚠️ Could not co-sign Yellow state on ClearNode: ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Make sure the resolver allocation pays this wallet at least the token
+     * amount at the accepted price
+     */
+    checkAllocations(preview, { amount, acceptedPrice }) {
+        const resolver = preview.allocations.find(
+            (allocation) => allocation.role === "resolver"
+        );
+        if (!resolver) {
+            throw new Error("Settlement has no resolver allocation");
+        }
+
+        if (
+            resolver.participant.toLowerCase() !==
+            this.wallet.address.toLowerCase()
+        ) {
+            throw new Error(
+                `Resolver allocation goes to ${resolver.participant}`
+            );
+        }
+
+        const expected =
+            (BigInt(amount) * 10n ** BigInt(preview.assetDecimals)) /
+            acceptedPrice;
+        const allocated = ethers.parseUnits(
+            resolver.amount,
+            preview.assetDecimals
+        );
+        if (allocated < expected) {
+            throw new Error(
+                `Resolver allocation ${resolver.amount} is below the accepted price amount ${ethers.formatUnits(
+                    expected,
+                    preview.assetDecimals
+                )}`
+            );
+        }
     }
 
-    async monitorSettlementStatus(orderId) {
-        // Monitor settlement status and handle completion
-        // Implementation pending...
+    /**
+     * POST the payout proof to the backend's fulfill endpoint
+     */
+    async submitFulfillment(orderId, body) {
+        try {
+            this.logger.info(
+                `📤 Submitting proof to backend for order ${orderId} (${
+                    body.settlementMode || "yellow"
+                })...`
+            );
+
+            const response = await axios.post(
+                `${this.backendUrl}/api/orders/${orderId}/fulfill`,
+                { ...body, resolverAddress: this.wallet.address },
+                {
+                    headers: {
+                        "Content-Type": "application/json",
+                        ...(await this.backendSession.getAuthHeaders()),
+                    },
+                    timeout: 30000,
+                }
+            );
+
+            this.logger.info(`✅ Proof submitted successfully!`);
+            return { success: true, data: response.data };
+        } catch (error) {
+            const message = error.response?.data?.message || error.message;
+            if (error.response?.status === 401) {
+                this.backendSession.invalidate();
+            }
+            this.logger.error(`❌ Failed to submit proof to backend:`, {
+                orderId,
+                transactionId: body.transactionId,
+                error: message,
+            });
+            return { success: false, error: message };
+        }
+    }
+
+    /**
+     * Wait for the order to be fulfilled (or failed) on-chain
+     * @param {string} orderId - The order ID
+     * @param {Object} [options] - { timeout, signal }
+     * @returns {Promise<Object>} { status: fulfilled|failed|timeout|aborted, ... }
+     */
+    monitorSettlementStatus(orderId, { timeout, signal } = {}) {
+        const startedAt = Date.now();
+        const fulfilledFilter = this.contract.filters.OrderFullfilled(orderId);
+        const failedFilter = this.contract.filters.OrderFailed(orderId);
+
+        return new Promise((resolve) => {
+            let done = false;
+            let timer = null;
+            let poller = null;
+
+            const finish = (result) => {
+                if (done) return;
+                done = true;
+                clearTimeout(timer);
+                clearInterval(poller);
+                this.contract.off(fulfilledFilter, onFulfilled);
+                this.contract.off(failedFilter, onFailed);
+                signal?.removeEventListener("abort", onAbort);
+                resolve({
+                    orderId,
+                    elapsed: Date.now() - startedAt,
+                    ...result,
+                });
+            };
+
+            const onFulfilled = (id, taker, proof, event) =>
+                finish({
+                    status: "fulfilled",
+                    proof,
+                    transactionHash: event?.log?.transactionHash,
+                });
+            const onFailed = (id, maker, event) =>
+                finish({
+                    status: "failed",
+                    transactionHash: event?.log?.transactionHash,
+                });
+            const onAbort = () => finish({ status: "aborted" });
+
+            this.contract.on(fulfilledFilter, onFulfilled);
+            this.contract.on(failedFilter, onFailed);
+            signal?.addEventListener("abort", onAbort);
+            if (signal?.aborted) return onAbort();
+
+            // Events can be dropped by flaky RPC subscriptions, so also poll
+            poller = setInterval(async () => {
+                try {
+                    const order = await this.contract.getOrder(orderId);
+                    if (!order.fullfilled) return;
+
+                    // fullfilled is also set when the order failed
+                    const [fulfilledLog] = await this.contract.queryFilter(
+                        fulfilledFilter,
+                        -this.lookbackBlocks
+                    );
+                    finish(
+                        fulfilledLog
+                            ? {
+                                  status: "fulfilled",
+                                  proof: fulfilledLog.args?.proof,
+                                  transactionHash: fulfilledLog.transactionHash,
+                              }
+                            : { status: "failed" }
+                    );
+                } catch (error) {
+                    this.logger.warn(
+                        `⚠️ Could not poll order ${orderId}: ${error.message}`
+                    );
+                }
+            }, this.pollInterval);
+
+            timer = setTimeout(
+                () => finish({ status: "timeout" }),
+                timeout || this.channelTimeout
+            );
+        });
     }
 
     logPerformance(orderId, totalTime) {
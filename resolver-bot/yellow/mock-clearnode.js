@@ -0,0 +1,526 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Yellow ClearNode
+ *
+ * A local WebSocket server speaking the subset of the nitrolite RPC protocol
+ * the backend relayer and the resolver client use, for tests and offline
+ * development. It checks the EIP-712 auth policy and the session-key
+ * signature on every request, like the real ClearNode, keeps a ledger per
+ * participant that app sessions draw from and pay into (pushing `bu` balance
+ * updates), rejects session states that don't add up to what the session was
+ * funded with, and lets tests delay, fail or drop methods and connections.
+ *
+ * Standalone: npm run mock-clearnode (see README "Local ClearNode")
+ */
+
+const { randomUUID } = require("crypto");
+const { WebSocketServer } = require("ws");
+const { ethers } = require("ethers");
+const { EIP712AuthTypes } = require("@erc7824/nitrolite");
+
+const DEFAULT_ASSETS = [
+    {
+        token: "0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359",
+        chain_id: 137,
+        symbol: "usdc",
+        decimals: 6,
+    },
+];
+
+class MockClearNode {
+    constructor(options = {}) {
+        this.port = options.port || 0;
+        this.wallet = options.wallet || ethers.Wallet.createRandom();
+        this.assets = options.assets || DEFAULT_ASSETS;
+        this.defaultBalance = options.defaultBalance ?? "1000"; // per asset, for unknown wallets
+        this.latency = options.latency || 0; // ms, every response
+        this.server = null;
+        this.clients = new Map(); // socket -> { address, sessionKey, policy, challenge }
+        this.appSessions = new Map(); // app_session_id -> session
+        this.funding = new Map(); // app_session_id -> Map(asset -> units) it opened with
+        this.channels = []; // get_channels entries
+        this.ledger = new Map(); // address (lowercase) -> Map(asset -> units)
+        this.delays = {}; // method -> ms
+        this.failures = {}; // method -> [error messages]
+        this.drops = {}; // method -> number of requests to leave unanswered
+        this.requests = []; // { method, params, signer }
+    }
+
+    async start() {
+        this.server = new WebSocketServer({ port: this.port });
+        await new Promise((resolve) => this.server.once("listening", resolve));
+        this.port = this.server.address().port;
+
+        this.server.on("connection", (socket) => {
+            this.clients.set(socket, {});
+            socket.on("message", (data) => this.handleMessage(socket, data));
+            socket.on("close", () => this.clients.delete(socket));
+        });
+
+        return this.url;
+    }
+
+    get url() {
+        return `ws://127.0.0.1:${this.port}`;
+    }
+
+    async stop() {
+        for (const socket of this.clients.keys()) socket.terminate();
+        await new Promise((resolve) => this.server.close(resolve));
+    }
+
+    /** Add latency to every response */
+    setLatency(ms) {
+        this.latency = ms;
+    }
+
+    /** Delay every response to a method (on top of the global latency) */
+    setDelay(method, ms) {
+        this.delays[method] = ms;
+    }
+
+    /** Answer the next `count` requests for a method with an error */
+    failNext(method, error = "mock failure", count = 1) {
+        this.failures[method] = this.failures[method] || [];
+        for (let i = 0; i < count; i++) this.failures[method].push(error);
+    }
+
+    /** Leave the next `count` requests for a method unanswered */
+    dropNext(method, count = 1) {
+        this.drops[method] = (this.drops[method] || 0) + count;
+    }
+
+    /** Drop every open connection, as a network blip would */
+    dropConnections() {
+        for (const socket of this.clients.keys()) socket.terminate();
+    }
+
+    /** Set a participant's unified ledger balance (decimal string) */
+    setBalance(address, asset, amount) {
+        this.getLedger(address).set(asset, this.toUnits(asset, amount));
+    }
+
+    /** A participant's unified ledger balance (decimal string) */
+    getBalance(address, asset) {
+        return this.fromUnits(asset, this.getLedger(address).get(asset) || 0n);
+    }
+
+    /** Open a channel reported by get_channels */
+    addChannel({ participant, asset = this.assets[0].symbol, amount = "0" }) {
+        const { token, chain_id } = this.getAsset(asset);
+        const channel = {
+            channel_id: ethers.hexlify(ethers.randomBytes(32)),
+            participant,
+            status: "open",
+            token,
+            wallet: participant,
+            amount: this.toUnits(asset, amount).toString(),
+            chain_id,
+            adjudicator: ethers.ZeroAddress,
+            challenge: 86400,
+            nonce: Date.now(),
+            version: 1,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+        };
+        this.channels.push(channel);
+        return channel;
+    }
+
+    /** Open an app session, as the backend relayer would */
+    addAppSession({ participants, sessionData, allocations = [] }) {
+        const session = {
+            app_session_id: ethers.hexlify(ethers.randomBytes(32)),
+            status: "open",
+            participants,
+            protocol: "NitroRPC/0.2",
+            challenge: 86400,
+            weights: participants.map(() => 0),
+            quorum: 100,
+            version: 1,
+            nonce: Date.now(),
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+            session_data: sessionData ? JSON.stringify(sessionData) : undefined,
+            allocations,
+        };
+        this.appSessions.set(session.app_session_id, session);
+        this.funding.set(session.app_session_id, this.totals(allocations));
+        return session;
+    }
+
+    send(socket, requestId, method, result) {
+        const res = [requestId, method, result, Date.now()];
+        const digest = ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(res)));
+        socket.send(
+            JSON.stringify({
+                res,
+                sig: [this.wallet.signingKey.sign(digest).serialized],
+            })
+        );
+    }
+
+    async handleMessage(socket, data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            return this.send(socket, 0, "error", { error: "invalid json" });
+        }
+
+        const [requestId, method, params] = message.req || [];
+        const client = this.clients.get(socket);
+
+        if (this.drops[method] > 0) {
+            this.drops[method] -= 1;
+            return;
+        }
+
+        const delay = this.latency + (this.delays[method] || 0);
+        if (delay) await new Promise((resolve) => setTimeout(resolve, delay));
+        if (socket.readyState !== socket.OPEN) return;
+
+        const failures = this.failures[method];
+        if (failures && failures.length > 0) {
+            return this.send(socket, requestId, "error", {
+                error: failures.shift(),
+            });
+        }
+
+        try {
+            if (method === "auth_request") {
+                return this.handleAuthRequest(socket, client, requestId, params);
+            }
+            if (method === "auth_verify") {
+                return this.handleAuthVerify(socket, client, requestId, message);
+            }
+
+            const signer = this.verifyRequest(client, message);
+            this.requests.push({ method, params, signer });
+            const result = this.handleRequest(client, method, params);
+            this.send(socket, requestId, method, result);
+        } catch (error) {
+            this.send(socket, requestId, "error", { error: error.message });
+        }
+    }
+
+    handleAuthRequest(socket, client, requestId, params) {
+        client.address = params.address;
+        client.sessionKey = params.session_key;
+        client.appName = params.app_name;
+        client.policy = {
+            scope: params.scope,
+            application: params.application,
+            participant: params.session_key,
+            expire: params.expire,
+            allowances: params.allowances,
+        };
+        client.challenge = randomUUID();
+
+        this.send(socket, requestId, "auth_challenge", {
+            challenge_message: client.challenge,
+        });
+    }
+
+    handleAuthVerify(socket, client, requestId, message) {
+        const [, , params] = message.req;
+        if (!client.challenge || params.challenge !== client.challenge) {
+            throw new Error("invalid challenge");
+        }
+
+        const { Policy, Allowance } = EIP712AuthTypes;
+        const signer = ethers.verifyTypedData(
+            { name: client.appName },
+            { Policy, Allowance },
+            { ...client.policy, challenge: client.challenge, wallet: client.address },
+            message.sig[0]
+        );
+        if (signer.toLowerCase() !== client.address.toLowerCase()) {
+            throw new Error("invalid auth signature");
+        }
+
+        client.challenge = null;
+        client.authenticated = true;
+        this.send(socket, requestId, "auth_verify", {
+            success: true,
+            address: client.address,
+            session_key: client.sessionKey,
+            jwt_token: `mock.${randomUUID()}`,
+        });
+    }
+
+    verifyRequest(client, message) {
+        if (!client.authenticated) {
+            throw new Error("not authenticated");
+        }
+
+        const digest = ethers.keccak256(
+            ethers.toUtf8Bytes(JSON.stringify(message.req))
+        );
+        const signer = ethers.recoverAddress(digest, message.sig[0]);
+        if (signer.toLowerCase() !== client.sessionKey.toLowerCase()) {
+            throw new Error("invalid signature");
+        }
+        return signer;
+    }
+
+    handleRequest(client, method, params = {}) {
+        switch (method) {
+            case "get_config":
+                return { broker_address: this.wallet.address, networks: [] };
+            case "get_assets":
+                return {
+                    assets: this.assets.filter(
+                        (asset) =>
+                            !params.chain_id ||
+                            asset.chain_id === params.chain_id
+                    ),
+                };
+            case "get_channels": {
+                const participant = params.participant || client.address;
+                return {
+                    channels: this.channels.filter(
+                        (channel) =>
+                            sameAddress(channel.participant, participant) &&
+                            (!params.status || channel.status === params.status)
+                    ),
+                };
+            }
+            case "get_ledger_balances":
+                return {
+                    ledger_balances: this.assets.map(({ symbol }) => ({
+                        asset: symbol,
+                        amount: this.getBalance(
+                            params.participant || client.address,
+                            symbol
+                        ),
+                    })),
+                };
+            case "get_app_sessions":
+                return {
+                    app_sessions: Array.from(this.appSessions.values())
+                        .filter(
+                            (session) =>
+                                session.participants.some((participant) =>
+                                    sameAddress(participant, params.participant)
+                                ) &&
+                                (!params.status ||
+                                    session.status === params.status)
+                        )
+                        .map(({ allocations, ...session }) => session),
+                };
+            case "create_app_session":
+                return this.createAppSession(client, params);
+            case "submit_app_state":
+            case "close_app_session": {
+                const session = this.appSessions.get(params.app_session_id);
+                if (!session) throw new Error("app session not found");
+                if (session.status !== "open") {
+                    throw new Error("app session is closed");
+                }
+                this.checkFundedTotals(session, params.allocations);
+
+                session.allocations = params.allocations;
+                session.version += 1;
+                session.updated_at = new Date().toISOString();
+                if (method === "close_app_session") {
+                    session.status = "closed";
+                    this.moveFunds(params.allocations, 1n);
+                }
+
+                return {
+                    app_session_id: session.app_session_id,
+                    version: session.version,
+                    status: session.status,
+                };
+            }
+            default:
+                throw new Error(`unsupported method ${method}`);
+        }
+    }
+
+    createAppSession(client, { definition, allocations = [], session_data }) {
+        if (!definition || !Array.isArray(definition.participants)) {
+            throw new Error("missing app definition");
+        }
+        const { participants, weights = [] } = definition;
+        if (weights.length !== participants.length) {
+            throw new Error("weights must match participants");
+        }
+        if (!participants.some((p) => sameAddress(p, client.address))) {
+            throw new Error("requester is not a participant");
+        }
+
+        for (const allocation of allocations) {
+            if (!participants.some((p) => sameAddress(p, allocation.participant))) {
+                throw new Error(
+                    `allocation for non-participant ${allocation.participant}`
+                );
+            }
+            const balance =
+                this.getLedger(allocation.participant).get(allocation.asset) ||
+                0n;
+            if (balance < this.toUnits(allocation.asset, allocation.amount)) {
+                throw new Error(
+                    `insufficient ${allocation.asset} balance for ${allocation.participant}`
+                );
+            }
+        }
+        this.moveFunds(allocations, -1n);
+
+        const session = {
+            app_session_id: ethers.hexlify(ethers.randomBytes(32)),
+            status: "open",
+            participants,
+            protocol: definition.protocol,
+            challenge: definition.challenge,
+            weights,
+            quorum: definition.quorum,
+            version: 1,
+            nonce: definition.nonce,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString(),
+            session_data,
+            allocations,
+        };
+        this.appSessions.set(session.app_session_id, session);
+        this.funding.set(session.app_session_id, this.totals(allocations));
+
+        return {
+            app_session_id: session.app_session_id,
+            version: session.version,
+            status: session.status,
+        };
+    }
+
+    /**
+     * Reject a state that doesn't redistribute exactly what the session was
+     * funded with, asset by asset, as the ClearNode does
+     */
+    checkFundedTotals(session, allocations = []) {
+        const funded = this.funding.get(session.app_session_id);
+        const totals = this.totals(allocations);
+
+        for (const asset of new Set([...funded.keys(), ...totals.keys()])) {
+            const expected = funded.get(asset) || 0n;
+            const actual = totals.get(asset) || 0n;
+            if (actual !== expected) {
+                throw new Error(
+                    `${asset} allocations total ${this.fromUnits(
+                        asset,
+                        actual
+                    )}, session is funded with ${this.fromUnits(asset, expected)}`
+                );
+            }
+        }
+    }
+
+    /** Per-asset totals of allocations, in base units */
+    totals(allocations) {
+        const totals = new Map();
+        for (const { asset, amount } of allocations) {
+            totals.set(
+                asset,
+                (totals.get(asset) || 0n) + this.toUnits(asset, amount)
+            );
+        }
+        return totals;
+    }
+
+    /** Debit (-1n) or credit (1n) allocations and push balance updates */
+    moveFunds(allocations, direction) {
+        const touched = new Set();
+        for (const { participant, asset, amount } of allocations) {
+            const ledger = this.getLedger(participant);
+            const units = this.toUnits(asset, amount) * direction;
+            ledger.set(asset, (ledger.get(asset) || 0n) + units);
+            touched.add(participant.toLowerCase());
+        }
+
+        for (const [socket, client] of this.clients) {
+            if (!client.authenticated) continue;
+            const address = client.address.toLowerCase();
+            if (!touched.has(address)) continue;
+
+            this.send(socket, 0, "bu", {
+                balance_updates: this.assets.map(({ symbol }) => ({
+                    asset: symbol,
+                    amount: this.getBalance(address, symbol),
+                })),
+            });
+        }
+    }
+
+    getLedger(address) {
+        const key = address.toLowerCase();
+        if (!this.ledger.has(key)) {
+            this.ledger.set(
+                key,
+                new Map(
+                    this.assets.map(({ symbol }) => [
+                        symbol,
+                        this.toUnits(symbol, this.defaultBalance),
+                    ])
+                )
+            );
+        }
+        return this.ledger.get(key);
+    }
+
+    getAsset(symbol) {
+        const asset = this.assets.find((a) => a.symbol === symbol);
+        if (!asset) throw new Error(`unknown asset ${symbol}`);
+        return asset;
+    }
+
+    toUnits(asset, amount) {
+        return ethers.parseUnits(String(amount), this.getAsset(asset).decimals);
+    }
+
+    fromUnits(asset, units) {
+        return ethers.formatUnits(units, this.getAsset(asset).decimals);
+    }
+}
+
+function sameAddress(a, b) {
+    return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Scripted failures from MOCK_CLEARNODE_FAIL, e.g.
+ * "create_app_session:insufficient funds,get_config" fails the next
+ * create_app_session and get_config once each
+ */
+function applyScriptedFailures(clearNode, spec) {
+    for (const entry of spec.split(",").filter(Boolean)) {
+        const [method, ...error] = entry.trim().split(":");
+        clearNode.failNext(method, error.join(":") || undefined);
+    }
+}
+
+if (require.main === module) {
+    require("dotenv").config();
+
+    const clearNode = new MockClearNode({
+        port: parseInt(process.env.MOCK_CLEARNODE_PORT) || 8000,
+        wallet: process.env.MOCK_CLEARNODE_PRIVATE_KEY
+            ? new ethers.Wallet(process.env.MOCK_CLEARNODE_PRIVATE_KEY)
+            : undefined,
+        latency: parseInt(process.env.MOCK_CLEARNODE_LATENCY_MS) || 0,
+        defaultBalance: process.env.MOCK_CLEARNODE_DEFAULT_BALANCE,
+    });
+    applyScriptedFailures(clearNode, process.env.MOCK_CLEARNODE_FAIL || "");
+
+    clearNode.start().then((url) => {
+        console.log(`🟡 Mock ClearNode listening on ${url}`);
+        console.log(`🔑 Broker address: ${clearNode.wallet.address}`);
+    });
+
+    process.on("SIGINT", async () => {
+        await clearNode.stop();
+        process.exit(0);
+    });
+}
+
+module.exports = MockClearNode;
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * Yellow maker → resolver → settlement flow against a local mock ClearNode
+ *
+ * Runs the backend relayer connection and session manager and the resolver
+ * bot's Yellow client against resolver-bot/yellow/mock-clearnode.js, so the
+ * whole off-chain flow can be exercised without the live network:
+ * 1. Relayer and resolver authenticate (auth_request/challenge/verify)
+ * 2. Relayer reads assets and channels
+ * 3. Relayer opens the order's app session, funded with the maker's escrow
+ * 4. Resolver joins the session and co-signs the final allocations
+ * 5. Relayer closes the session; the close response is verified and the
+ *    resolver receives a balance update
+ * Then replays session creation with scripted latency and failures.
+ *
+ * No MongoDB or chain is needed: settlement receipts are not written.
+ * Run with: node test-yellow-local-flow.js
+ */
+
+const assert = require("assert");
+const { ethers } = require("./resolver-bot/node_modules/ethers");
+const MockClearNode = require("./resolver-bot/yellow/mock-clearnode");
+const YellowResolverClient = require("./resolver-bot/yellow/resolver-client");
+
+const APPLICATION = "0x0000000000000000000000000000000000000001";
+const ORDER_ID = "0x" + "ab".repeat(32);
+
+async function waitFor(condition, timeout, what) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+}
+
+async function testLocalFlow() {
+    console.log("🟡 Yellow flow against a local mock ClearNode\n");
+
+    const clearNode = new MockClearNode();
+    const url = await clearNode.start();
+    console.log(`🟡 Mock ClearNode on ${url}`);
+
+    // The backend modules read their configuration from the environment
+    const relayer = ethers.Wallet.createRandom();
+    process.env.YELLOW_CLEARNODE_URL = url;
+    process.env.RELAYER_PRIVATE_KEY = relayer.privateKey;
+    process.env.CONTRACT_ADDRESS = APPLICATION;
+    delete process.env.YELLOW_CLEARNODE_ADDRESS;
+
+    const YellowClearNodeConnection = require("./backend/yellow/clearnode-connection");
+    const YellowSessionManager = require("./backend/yellow/session-manager");
+    const YellowInstantSettlement = require("./backend/yellow/instant-settlement");
+
+    const connection = new YellowClearNodeConnection();
+    const sessionManager = new YellowSessionManager(connection);
+    const settlement = new YellowInstantSettlement(sessionManager, {
+        resolverFeeBps: 100,
+    });
+
+    const resolver = ethers.Wallet.createRandom();
+    const resolverClient = new YellowResolverClient(resolver, {
+        clearNodeUrl: url,
+        application: APPLICATION,
+    });
+    const maker = ethers.Wallet.createRandom().address;
+    clearNode.addChannel({ participant: relayer.address, amount: "500" });
+
+    try {
+        // Step 1: both sides authenticate
+        console.log("1️⃣  Authenticating relayer and resolver...");
+        await connection.connect();
+        await resolverClient.connect();
+        await waitFor(() => connection.isAuthenticated, 5000, "relayer auth");
+        console.log("   ✅ Both authenticated");
+
+        // Step 2: relayer reads assets and channels
+        console.log("2️⃣  Reading assets and channels...");
+        const { assets } = await connection.getAssets();
+        const { channels } = await connection.getChannels();
+        assert.strictEqual(assets[0].symbol, "usdc");
+        assert.strictEqual(channels.length, 1);
+        console.log(`   ✅ ${assets.length} asset(s), ${channels.length} channel(s)`);
+
+        // Step 3: relayer opens the order's session, funded with the
+        // maker's escrow
+        console.log("3️⃣  Opening the order's app session...");
+        const orderDetails = {
+            maker,
+            taker: resolver.address,
+            amount: ethers.parseEther("85").toString(),
+            acceptedPrice: ethers.parseEther("85").toString(),
+            endPrice: ethers.parseEther("84").toString(),
+        };
+        const funding = await settlement.sessionFunding(orderDetails);
+        const sessionId = await sessionManager.createTripartiteSession(
+            ORDER_ID,
+            maker,
+            resolver.address,
+            funding
+        );
+        assert.strictEqual(
+            clearNode.getBalance(maker, "usdc"),
+            ethers.formatUnits(
+                ethers.parseUnits("1000", 6) -
+                    ethers.parseUnits(funding.amount, 6),
+                6
+            )
+        );
+        console.log(`   ✅ Session ${sessionId} funded with ${funding.amount} usdc`);
+
+        // Step 4: resolver joins and co-signs the final allocations
+        console.log("4️⃣  Resolver joins and co-signs...");
+        const preview = await settlement.previewSettlement(
+            ORDER_ID,
+            orderDetails,
+            "pout_local"
+        );
+        await resolverClient.joinOrderSession(ORDER_ID, {
+            sessionId,
+            makerAddress: maker,
+        });
+        const resolverSignature = await resolver.signMessage(preview.message);
+        const cosigned = await resolverClient.executeInstantSettlement(
+            sessionId,
+            {
+                payoutId: "pout_local",
+                allocations: preview.allocations,
+            }
+        );
+        assert.ok(cosigned.success);
+        assert.strictEqual(
+            ethers.verifyMessage(preview.message, resolverSignature),
+            resolver.address
+        );
+        console.log(`   ✅ Co-signed state v${cosigned.version}`);
+
+        // Step 5: relayer closes the session with the same allocations
+        console.log("5️⃣  Closing the session...");
+        const balanceUpdate = new Promise((resolve) =>
+            resolverClient.once("balanceUpdate", resolve)
+        );
+        const allocations = preview.allocations.map(
+            ({ participant, asset, amount }) => ({ participant, asset, amount })
+        );
+        await assert.rejects(
+            sessionManager.closeAppSession(ORDER_ID, [
+                { ...allocations[0], amount: "0.5" },
+                ...allocations.slice(1),
+            ]),
+            /Allocations total .*, session is funded with/
+        );
+        const closeResponse = await sessionManager.closeAppSession(
+            ORDER_ID,
+            allocations
+        );
+        const verification = await settlement.verifyCloseResponse(
+            closeResponse,
+            sessionId
+        );
+        assert.ok(verification.valid, verification.reason);
+
+        const update = await balanceUpdate;
+        const resolverAmount = preview.allocations.find(
+            (allocation) => allocation.role === "resolver"
+        ).amount;
+        assert.strictEqual(
+            update.balance_updates[0].amount,
+            ethers.formatUnits(
+                ethers.parseUnits("1000", 6) +
+                    ethers.parseUnits(resolverAmount, 6),
+                6
+            )
+        );
+        console.log(
+            `   ✅ Closed and verified; resolver balance ${update.balance_updates[0].amount} usdc`
+        );
+
+        // Scripted latency and failures
+        console.log("6️⃣  Scripted latency and failures...");
+        clearNode.setDelay("create_app_session", 200);
+        clearNode.failNext("create_app_session", "insufficient funds");
+        await assert.rejects(
+            sessionManager.createTripartiteSession(
+                "0x" + "cd".repeat(32),
+                maker,
+                resolver.address,
+                funding
+            ),
+            /create_app_session failed: insufficient funds/
+        );
+        clearNode.dropNext("get_assets");
+        await assert.rejects(
+            connection.sendRequest("get_assets", {}, 300),
+            /Request timeout: get_assets/
+        );
+        console.log("   ✅ Failures surfaced to callers");
+
+        console.log("\n🎉 Local Yellow flow passed");
+    } finally {
+        resolverClient.disconnect();
+        await connection.disconnect();
+        await clearNode.stop();
+    }
+}
+
+if (require.main === module) {
+    testLocalFlow()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Local Yellow flow failed:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = testLocalFlow;